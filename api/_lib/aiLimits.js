@@ -0,0 +1,70 @@
+/**
+ * Guards shared by the AI routes: per-IP and per-session rate limits, the
+ * daily budget check, and completions that are metered as they run.
+ */
+
+import { estimateCost } from './llm/index.js';
+import { createRateLimiter, getClientIp } from './rateLimit.js';
+import { recordUsage, recordRejection, checkBudget } from './usage.js';
+import { httpError } from './publicFetch.js';
+import { readNumber } from './env.js';
+
+// Requests per minute, shared by every AI route and /api/article
+const ipLimiter = createRateLimiter({
+    limit: readNumber(process.env.AI_RATE_LIMIT_IP, 30, 1),
+    windowMs: 60 * 1000
+});
+const sessionLimiter = createRateLimiter({
+    limit: readNumber(process.env.AI_RATE_LIMIT_SESSION, 20, 1),
+    windowMs: 60 * 1000
+});
+
+/**
+ * Counts the request against the per-IP and per-session limits
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object (gets X-RateLimit-* headers)
+ * @returns {number} Seconds to wait when limited, 0 when allowed
+ */
+export function applyRateLimits(req, res) {
+    const results = [ipLimiter.hit(getClientIp(req))];
+
+    // Sessions are client-chosen IDs, so they only narrow the per-IP limit
+    const session = req.headers?.['x-session-id'];
+    if (typeof session === 'string' && /^[\w-]{8,64}$/.test(session)) {
+        results.push(sessionLimiter.hit(session));
+    }
+
+    const tightest = results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    res.setHeader('X-RateLimit-Limit', tightest.limit.toString());
+    res.setHeader('X-RateLimit-Remaining', tightest.remaining.toString());
+
+    return Math.max(...results.map(result => result.retryAfter));
+}
+
+/**
+ * Refuses new model calls once the daily budget is used up
+ * @returns {Promise<void>} Rejects with a 429 error carrying retryAfter
+ */
+export async function ensureBudget() {
+    const budget = await checkBudget();
+    if (budget.allowed) return;
+
+    await recordRejection('overBudget');
+    const error = httpError(429, 'Daily AI budget reached; AI features resume tomorrow');
+    error.retryAfter = budget.retryAfter;
+    throw error;
+}
+
+/**
+ * Runs a completion and records its token usage and cost
+ * @param {Object} provider - LLM provider
+ * @param {Object} request - Completion request
+ * @returns {Promise<Object>} { text, usage, cost }
+ */
+export async function complete(provider, request) {
+    const { text, usage } = await provider.complete(request);
+    const cost = estimateCost(provider, usage);
+
+    await recordUsage({ type: request.task, provider: provider.name, model: provider.model, usage, cost });
+    return { text, usage, cost };
+}
@@ -0,0 +1,64 @@
+/**
+ * Article loading shared by /api/article and the summary prompts: fetches a
+ * public page, extracts its readable text and caches the result.
+ */
+
+import { createCache } from './cache.js';
+import { parsePublicUrl, fetchPublicText, httpError } from './publicFetch.js';
+import { extractArticle } from './articleExtractor.js';
+import { readNumber } from './env.js';
+
+const ARTICLE_CACHE_TTL = readNumber(process.env.ARTICLE_CACHE_TTL, 3600);
+const MAX_ARTICLE_BYTES = 3 * 1024 * 1024;
+
+// Below this the page is a paywall, a login wall or an app shell, not an article
+const MIN_WORDS = 80;
+
+const cache = createCache({
+    ttl: ARTICLE_CACHE_TTL * 1000,
+    maxEntries: 200
+});
+
+/**
+ * Loads and extracts an article
+ * @param {string} url - Article URL
+ * @returns {Promise<Object>} { article, cached } where article is { url, title, byline, publishedAt,
+ *   siteName, excerpt, text, wordCount, truncated }
+ */
+export async function loadArticle(url) {
+    const articleUrl = parsePublicUrl(url);
+
+    if (!articleUrl) {
+        throw httpError(400, 'A public http(s) article URL is required');
+    }
+
+    const cacheKey = articleUrl.href;
+    const cached = cache.get(cacheKey);
+    if (cached) return { article: cached.value, cached: true };
+
+    const article = await cache.load(cacheKey, () => fetchArticle(articleUrl));
+    return { article, cached: false };
+}
+
+/**
+ * Fetches and extracts an article page
+ * @param {URL} articleUrl - Validated article URL
+ * @returns {Promise<Object>} Extracted article
+ */
+async function fetchArticle(articleUrl) {
+    const { text, url } = await fetchPublicText(articleUrl, {
+        accept: 'text/html, application/xhtml+xml;q=0.9',
+        userAgent: 'Mozilla/5.0 (compatible; HotsTrends article reader)',
+        contentTypes: /text\/html|application\/xhtml\+xml/i,
+        maxBytes: MAX_ARTICLE_BYTES,
+        label: 'Article'
+    });
+
+    const article = extractArticle(text);
+
+    if (article.wordCount < MIN_WORDS) {
+        throw httpError(422, 'No readable article text found');
+    }
+
+    return { url: url.href, ...article };
+}
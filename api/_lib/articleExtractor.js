@@ -0,0 +1,292 @@
+/**
+ * Readability-style article extraction. Pulls the main text, byline and
+ * publish date out of an HTML page using metadata (Open Graph, JSON-LD) and
+ * paragraph scoring. String based like the feed parser, so it needs no DOM.
+ */
+
+import { decodeEntities } from '../../src/utils/helpers.js';
+
+const MAX_TEXT_CHARS = 20000;
+
+// Elements that never hold article text
+const REMOVED_ELEMENTS = [
+    'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object',
+    'form', 'button', 'select', 'textarea', 'nav', 'header', 'footer', 'aside', 'figure'
+];
+
+// Paragraphs inside containers with these class/id hints are boilerplate
+const BOILERPLATE_HINTS = /comment|sidebar|footer|masthead|menu|share|social|related|promo|advert|newsletter|subscribe|cookie|popup|modal|breadcrumb/i;
+
+const ARTICLE_TYPES = /^(Article|NewsArticle|BlogPosting|TechArticle|Report|ScholarlyArticle)$/;
+
+/**
+ * Extracts the readable content of an article page
+ * @param {string} html - Page HTML
+ * @returns {Object} { title, byline, publishedAt, siteName, excerpt, text, wordCount, truncated }
+ */
+export function extractArticle(html) {
+    const meta = readMeta(html);
+    const ld = readJsonLd(html);
+
+    const { text, truncated } = extractMainText(html);
+    const wordCount = text ? text.split(/\s+/).length : 0;
+
+    return {
+        title: meta['og:title'] || ld?.headline || cleanText(getFirst(html, 'title')) || null,
+        byline: findByline(html, meta, ld),
+        publishedAt: findPublishDate(html, meta, ld),
+        siteName: meta['og:site_name'] || null,
+        excerpt: meta['og:description'] || meta.description || text.slice(0, 200).replace(/\s+/g, ' ') || null,
+        text,
+        wordCount,
+        truncated
+    };
+}
+
+/**
+ * Collects <meta> tags by name/property (lower-cased); the first occurrence wins
+ * @param {string} html - Page HTML
+ * @returns {Object} Meta name to decoded content
+ */
+function readMeta(html) {
+    const meta = {};
+
+    for (const match of html.matchAll(/<meta\b([^>]*)>/gi)) {
+        const attrs = parseAttributes(match[1]);
+        const name = (attrs.property || attrs.name || attrs.itemprop || '').toLowerCase();
+        if (name && attrs.content && !(name in meta)) {
+            meta[name] = cleanText(attrs.content);
+        }
+    }
+
+    return meta;
+}
+
+/**
+ * Finds the article object among the page's JSON-LD blocks
+ * @param {string} html - Page HTML
+ * @returns {Object|null} Article JSON-LD object
+ */
+function readJsonLd(html) {
+    for (const match of html.matchAll(/<script\b[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+        let data;
+        try {
+            data = JSON.parse(match[1].trim());
+        } catch {
+            continue;
+        }
+
+        const candidates = [data, ...(Array.isArray(data) ? data : []), ...(data?.['@graph'] || [])].flat();
+        const article = candidates.find(item => {
+            const types = [].concat(item?.['@type'] || []);
+            return types.some(type => ARTICLE_TYPES.test(type));
+        });
+        if (article) return article;
+    }
+
+    return null;
+}
+
+/**
+ * Works out who wrote the article
+ * @param {string} html - Page HTML
+ * @param {Object} meta - Meta tags
+ * @param {Object|null} ld - Article JSON-LD
+ * @returns {string|null} Byline
+ */
+function findByline(html, meta, ld) {
+    const ldAuthors = [].concat(ld?.author || [])
+        .map(author => typeof author === 'string' ? author : author?.name)
+        .filter(Boolean);
+    if (ldAuthors.length > 0) return cleanText(ldAuthors.join(', '));
+
+    // article:author is often a profile URL rather than a name
+    const metaAuthor = meta.author || meta['article:author'] || meta['parsely-author'];
+    if (metaAuthor && !/^https?:\/\//.test(metaAuthor)) return metaAuthor;
+
+    const relAuthor = html.match(/<a\b[^>]*rel=["']author["'][^>]*>([\s\S]*?)<\/a>/i);
+    if (relAuthor) return cleanText(stripTags(relAuthor[1])) || null;
+
+    const bylineBlock = html.match(/<(\w+)\b[^>]*class=["'][^"']*\bbyline\b[^"']*["'][^>]*>([\s\S]*?)<\/\1>/i);
+    if (bylineBlock) {
+        const text = cleanText(stripTags(bylineBlock[2])).replace(/^by\s+/i, '');
+        if (text && text.length <= 100) return text;
+    }
+
+    return null;
+}
+
+/**
+ * Works out when the article was published
+ * @param {string} html - Page HTML
+ * @param {Object} meta - Meta tags
+ * @param {Object|null} ld - Article JSON-LD
+ * @returns {string|null} ISO date
+ */
+function findPublishDate(html, meta, ld) {
+    const candidates = [
+        meta['article:published_time'],
+        ld?.datePublished,
+        meta['og:published_time'],
+        meta.date,
+        meta.pubdate,
+        meta['dc.date'],
+        meta['dc.date.issued'],
+        html.match(/<time\b[^>]*datetime=["']([^"']+)["']/i)?.[1]
+    ];
+
+    for (const value of candidates) {
+        const date = value ? new Date(value) : null;
+        if (date && !Number.isNaN(date.getTime())) return date.toISOString();
+    }
+
+    return null;
+}
+
+/**
+ * Extracts the main text: the <article> (or <main>) region with the most
+ * paragraph text, or the whole body, keeping paragraphs that read like prose
+ * and dropping link lists and boilerplate
+ * @param {string} html - Page HTML
+ * @returns {Object} { text, truncated }
+ */
+function extractMainText(html) {
+    let body = getFirst(html, 'body') || html;
+    body = body.replace(/<!--[\s\S]*?-->/g, '');
+    REMOVED_ELEMENTS.forEach(tag => {
+        body = body.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+    });
+
+    const regions = [...getAll(body, 'article'), ...getAll(body, 'main')];
+    const region = regions
+        .map(html => ({ html, paragraphs: getParagraphs(html) }))
+        .sort((a, b) => textLength(b.paragraphs) - textLength(a.paragraphs))[0];
+
+    let paragraphs = region && textLength(region.paragraphs) > 200
+        ? region.paragraphs
+        : getParagraphs(body);
+
+    // Pages built from <div>s and <br>s have no paragraphs to score
+    if (paragraphs.length === 0) {
+        const text = cleanText(stripTags(body));
+        paragraphs = text ? [text] : [];
+    }
+
+    const kept = [];
+    let length = 0;
+    let truncated = false;
+
+    for (const paragraph of paragraphs) {
+        if (kept[kept.length - 1] === paragraph) continue;
+
+        if (length + paragraph.length > MAX_TEXT_CHARS) {
+            truncated = true;
+            const room = MAX_TEXT_CHARS - length;
+            if (room > 200) kept.push(`${paragraph.slice(0, room).replace(/\s+\S*$/, '')}…`);
+            break;
+        }
+
+        kept.push(paragraph);
+        length += paragraph.length + 2;
+    }
+
+    return { text: kept.join('\n\n'), truncated };
+}
+
+/**
+ * Collects prose-like blocks from an HTML fragment
+ * @param {string} html - HTML fragment
+ * @returns {string[]} Paragraph texts
+ */
+function getParagraphs(html) {
+    const paragraphs = [];
+
+    for (const match of html.matchAll(/<(p|li|blockquote|pre|h[2-4])\b([^>]*)>([\s\S]*?)<\/\1>/gi)) {
+        const tag = match[1].toLowerCase();
+        const attrs = parseAttributes(match[2]);
+        if (BOILERPLATE_HINTS.test(`${attrs.class || ''} ${attrs.id || ''}`)) continue;
+
+        const text = cleanText(stripTags(match[3]));
+        if (!text) continue;
+
+        const linkText = [...match[3].matchAll(/<a\b[^>]*>([\s\S]*?)<\/a>/gi)]
+            .map(link => cleanText(stripTags(link[1])))
+            .join('');
+        const linkDensity = linkText.length / text.length;
+
+        if (tag.startsWith('h')) {
+            if (text.length <= 150 && linkDensity < 0.5) paragraphs.push(text);
+        } else if (tag === 'li') {
+            if (text.length >= 60 && linkDensity < 0.3) paragraphs.push(text);
+        } else if (text.length >= 25 && linkDensity < 0.5) {
+            paragraphs.push(text);
+        }
+    }
+
+    // Drop headings that ended up with no text after them
+    while (paragraphs.length > 0 && paragraphs[paragraphs.length - 1].length <= 150 && !/[.!?"”]$/.test(paragraphs[paragraphs.length - 1])) {
+        paragraphs.pop();
+    }
+
+    return paragraphs;
+}
+
+/**
+ * Total characters in a list of paragraphs
+ * @param {string[]} paragraphs - Paragraph texts
+ * @returns {number} Length
+ */
+function textLength(paragraphs) {
+    return paragraphs.reduce((sum, paragraph) => sum + paragraph.length, 0);
+}
+
+/**
+ * Gets the inner HTML of the first element with a tag
+ * @param {string} html - HTML text
+ * @param {string} tag - Tag name
+ * @returns {string} Inner HTML, or empty string
+ */
+function getFirst(html, tag) {
+    return html.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`, 'i'))?.[1] || '';
+}
+
+/**
+ * Gets the inner HTML of every element with a tag
+ * @param {string} html - HTML text
+ * @param {string} tag - Tag name
+ * @returns {string[]} Inner HTML of each element
+ */
+function getAll(html, tag) {
+    return [...html.matchAll(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`, 'gi'))].map(match => match[1]);
+}
+
+/**
+ * Parses the attribute list of an opening tag
+ * @param {string} source - Text between the tag name and ">"
+ * @returns {Object} Attribute name (lower-cased) to raw value
+ */
+function parseAttributes(source) {
+    const attrs = {};
+    for (const match of source.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attrs[match[1].toLowerCase()] = match[2] ?? match[3];
+    }
+    return attrs;
+}
+
+/**
+ * Removes markup, keeping a space where tags were
+ * @param {string} html - HTML fragment
+ * @returns {string} Text with entities still encoded
+ */
+function stripTags(html) {
+    return html.replace(/<[^>]*>/g, ' ');
+}
+
+/**
+ * Decodes entities and collapses whitespace
+ * @param {string} text - Raw text
+ * @returns {string} Clean text
+ */
+function cleanText(text) {
+    return decodeEntities(text || '').replace(/\s+/g, ' ').trim();
+}
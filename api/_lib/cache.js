@@ -0,0 +1,73 @@
+/**
+ * In-memory TTL cache with stale-while-revalidate support.
+ * Entries live as long as the serverless instance stays warm.
+ */
+
+/**
+ * Creates a cache instance
+ * @param {Object} options - Cache options
+ * @param {number} options.ttl - Milliseconds an entry is considered fresh
+ * @param {number} options.staleTtl - Extra milliseconds a stale entry may still be served
+ * @param {number} options.maxEntries - Maximum entries kept before evicting the oldest
+ * @returns {Object} Cache with get, set and load methods
+ */
+export function createCache({ ttl, staleTtl = 0, maxEntries = 100 }) {
+    const entries = new Map();
+    const pending = new Map();
+
+    /**
+     * Reads an entry
+     * @param {string} key - Cache key
+     * @returns {Object|null} { value, stale, age } or null when missing/expired
+     */
+    function get(key) {
+        const entry = entries.get(key);
+        if (!entry) return null;
+
+        // A ttl of 0 turns the cache off: nothing is served, not even at age 0
+        const age = Date.now() - entry.storedAt;
+        if (age >= ttl + staleTtl) {
+            entries.delete(key);
+            return null;
+        }
+
+        return { value: entry.value, stale: age >= ttl, age };
+    }
+
+    /**
+     * Stores an entry, evicting the oldest one when full
+     * @param {string} key - Cache key
+     * @param {*} value - Value to store
+     */
+    function set(key, value) {
+        entries.delete(key);
+        entries.set(key, { value, storedAt: Date.now() });
+
+        if (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Runs a loader and caches its result. Concurrent loads of the
+     * same key share one upstream request.
+     * @param {string} key - Cache key
+     * @param {Function} loader - Async function producing the value
+     * @returns {Promise<*>} Loaded value
+     */
+    function load(key, loader) {
+        if (pending.has(key)) return pending.get(key);
+
+        const promise = loader()
+            .then(value => {
+                set(key, value);
+                return value;
+            })
+            .finally(() => pending.delete(key));
+
+        pending.set(key, promise);
+        return promise;
+    }
+
+    return { get, set, load };
+}
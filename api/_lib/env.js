@@ -0,0 +1,19 @@
+/**
+ * Numeric settings from the environment. A setting falls back to its default
+ * only when it is unset or not a valid number, so an explicit 0 (a TTL of 0
+ * turns that cache off) is kept.
+ */
+
+/**
+ * Reads a numeric setting
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Value used when unset or invalid
+ * @param {number} min - Smallest valid value
+ * @returns {number} Parsed number
+ */
+export function readNumber(value, fallback, min = 0) {
+    if (value === undefined || String(value).trim() === '') return fallback;
+
+    const number = Number(value);
+    return Number.isFinite(number) && number >= min ? number : fallback;
+}
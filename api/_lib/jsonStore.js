@@ -0,0 +1,61 @@
+/**
+ * Small key/value stores for server-side state (summary cache, usage ledger).
+ * A store is any object with async get(key) and set(key, entry), so Redis or
+ * Vercel KV can be dropped in for the defaults below.
+ */
+
+import { mkdir, readFile, writeFile, rename } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/**
+ * Creates a store that keeps one JSON file per entry
+ * @param {Object} options - Store options
+ * @param {string} options.dir - Directory for the entries (created on first write)
+ * @returns {Object} Store with get and set
+ */
+export function createFileStore({ dir }) {
+    let ready = null;
+    const pathFor = key => join(dir, `${key}.json`);
+
+    return {
+        async get(key) {
+            try {
+                return JSON.parse(await readFile(pathFor(key), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async set(key, entry) {
+            ready = ready || mkdir(dir, { recursive: true }).catch(error => {
+                ready = null;
+                throw error;
+            });
+            await ready;
+
+            // Write then rename so concurrent readers never see half a file
+            const tempPath = `${pathFor(key)}.${process.pid}.tmp`;
+            await writeFile(tempPath, JSON.stringify(entry));
+            await rename(tempPath, pathFor(key));
+        }
+    };
+}
+
+/**
+ * Creates an in-memory store (lives as long as the serverless instance)
+ * @returns {Object} Store with get and set
+ */
+export function createMemoryStore() {
+    const entries = new Map();
+
+    return {
+        async get(key) {
+            return entries.get(key) || null;
+        },
+
+        async set(key, entry) {
+            entries.set(key, entry);
+        }
+    };
+}
@@ -0,0 +1,109 @@
+/**
+ * Anthropic Messages API provider
+ */
+
+import { readEventStream } from '../../../src/utils/sse.js';
+import { providerError, buildUsage, capTokens } from './common.js';
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Creates an Anthropic provider
+ * @param {Object} options - Provider settings
+ * @param {string} options.apiKey - Anthropic API key
+ * @param {string} options.model - Model name
+ * @param {number} options.maxTokens - Maximum output tokens per request
+ * @param {Object} options.pricing - USD per million tokens { input, output }
+ * @returns {Object} Provider
+ */
+export function createAnthropicProvider({ apiKey, model, maxTokens, pricing }) {
+    /**
+     * Sends a messages request; the system prompt travels outside the message list
+     * @param {Object} request - Completion request
+     * @param {boolean} stream - Whether to stream the reply
+     * @returns {Promise<Response>} Successful response
+     */
+    async function post(request, stream) {
+        const system = request.messages
+            .filter(message => message.role === 'system')
+            .map(message => message.content)
+            .join('\n\n');
+
+        const response = await fetch(ANTHROPIC_API_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': apiKey,
+                'anthropic-version': ANTHROPIC_VERSION
+            },
+            body: JSON.stringify({
+                model,
+                system: system || undefined,
+                messages: request.messages.filter(message => message.role !== 'system'),
+                max_tokens: capTokens(request, maxTokens),
+                temperature: request.temperature ?? 0.7,
+                stream
+            })
+        });
+
+        if (!response.ok) throw await providerError('anthropic', response);
+        return response;
+    }
+
+    return {
+        name: 'anthropic',
+        model,
+        maxTokens,
+        pricing,
+        isConfigured: () => Boolean(apiKey),
+
+        async complete(request) {
+            const response = await post(request, false);
+            const data = await response.json();
+            const text = (data.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('')
+                .trim();
+
+            return {
+                text,
+                usage: buildUsage(request, text, {
+                    inputTokens: data.usage?.input_tokens,
+                    outputTokens: data.usage?.output_tokens
+                })
+            };
+        },
+
+        async stream(request, onText) {
+            const response = await post(request, true);
+            let text = '';
+            const reported = {};
+
+            await readEventStream(response.body, ({ event, data }) => {
+                let payload;
+                try {
+                    payload = JSON.parse(data);
+                } catch {
+                    return;
+                }
+
+                if (event === 'message_start') {
+                    reported.inputTokens = payload.message?.usage?.input_tokens;
+                } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+                    text += payload.delta.text;
+                    onText(payload.delta.text);
+                } else if (event === 'message_delta') {
+                    reported.outputTokens = payload.usage?.output_tokens;
+                } else if (event === 'error') {
+                    const error = new Error(payload.error?.message || 'anthropic stream error');
+                    error.status = 502;
+                    throw error;
+                }
+            });
+
+            return { text, usage: buildUsage(request, text, reported) };
+        }
+    };
+}
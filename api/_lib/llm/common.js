@@ -0,0 +1,63 @@
+/**
+ * Helpers shared by the LLM providers
+ */
+
+/**
+ * Builds an error from a failed provider response, keeping the upstream status
+ * @param {string} provider - Provider name
+ * @param {Response} response - Failed response
+ * @returns {Promise<Error>} Error with a status property
+ */
+export async function providerError(provider, response) {
+    let message = `${provider} API error`;
+
+    try {
+        const data = await response.json();
+        message = data.error?.message || data.error || message;
+    } catch {
+        // Non-JSON error body; keep the generic message
+    }
+
+    const error = new Error(String(message));
+    error.status = response.status;
+    return error;
+}
+
+/**
+ * Rough token count for providers that don't report usage (~4 characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Normalizes reported token usage, estimating whatever the provider left out
+ * @param {Object} request - Completion request { messages }
+ * @param {string} text - Generated text
+ * @param {Object} reported - { inputTokens, outputTokens } as reported, either may be missing
+ * @returns {Object} { inputTokens, outputTokens, estimated }
+ */
+export function buildUsage(request, text, reported = {}) {
+    const hasInput = Number.isFinite(reported.inputTokens);
+    const hasOutput = Number.isFinite(reported.outputTokens);
+
+    return {
+        inputTokens: hasInput
+            ? reported.inputTokens
+            : request.messages.reduce((sum, message) => sum + estimateTokens(message.content), 0),
+        outputTokens: hasOutput ? reported.outputTokens : estimateTokens(text),
+        estimated: !hasInput || !hasOutput
+    };
+}
+
+/**
+ * Caps the requested output tokens at the provider's limit
+ * @param {Object} request - Completion request { maxTokens }
+ * @param {number} limit - Provider's maximum output tokens
+ * @returns {number} Tokens to request
+ */
+export function capTokens(request, limit) {
+    return Math.min(request.maxTokens || limit, limit);
+}
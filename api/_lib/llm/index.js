@@ -0,0 +1,91 @@
+/**
+ * LLM provider selection. LLM_PROVIDER picks the backend (openai, anthropic,
+ * local or mock); each provider reads its own model, token limit and pricing
+ * from the environment.
+ *
+ * Provider shape:
+ * {
+ *   name, model,
+ *   maxTokens,                    // cap on output tokens per request
+ *   pricing: { input, output },   // USD per million tokens
+ *   isConfigured: () => boolean,
+ *   complete: async (request) => ({ text, usage }),
+ *   stream: async (request, onText) => ({ text, usage })
+ * }
+ *
+ * A request is { task, input, messages, maxTokens, temperature }; usage is
+ * { inputTokens, outputTokens, estimated }.
+ */
+
+import { createOpenAIProvider } from './openai.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createMockProvider } from './mock.js';
+import { readNumber } from '../env.js';
+
+const PROVIDERS = {
+    openai: env => createOpenAIProvider({
+        name: 'openai',
+        baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL || 'gpt-3.5-turbo',
+        maxTokens: readNumber(env.OPENAI_MAX_TOKENS, 1000, 1),
+        pricing: {
+            input: readNumber(env.OPENAI_PRICE_INPUT, 0.5),
+            output: readNumber(env.OPENAI_PRICE_OUTPUT, 1.5)
+        },
+        streamUsage: !env.OPENAI_BASE_URL
+    }),
+    anthropic: env => createAnthropicProvider({
+        apiKey: env.ANTHROPIC_API_KEY,
+        model: env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+        maxTokens: readNumber(env.ANTHROPIC_MAX_TOKENS, 1000, 1),
+        pricing: {
+            input: readNumber(env.ANTHROPIC_PRICE_INPUT, 0.8),
+            output: readNumber(env.ANTHROPIC_PRICE_OUTPUT, 4)
+        }
+    }),
+    local: env => createOpenAIProvider({
+        name: 'local',
+        baseUrl: env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+        apiKey: env.LOCAL_LLM_API_KEY,
+        model: env.LOCAL_LLM_MODEL || 'llama3.1',
+        maxTokens: readNumber(env.LOCAL_LLM_MAX_TOKENS, 1000, 1),
+        pricing: {
+            input: readNumber(env.LOCAL_LLM_PRICE_INPUT, 0),
+            output: readNumber(env.LOCAL_LLM_PRICE_OUTPUT, 0)
+        },
+        requiresKey: false
+    }),
+    mock: env => createMockProvider({ delay: readNumber(env.MOCK_LLM_DELAY, 0) })
+};
+
+/**
+ * Returns the provider selected by LLM_PROVIDER (defaults to openai)
+ * @param {Object} env - Environment variables
+ * @returns {Object} Provider
+ */
+export function getProvider(env = process.env) {
+    const name = (env.LLM_PROVIDER || 'openai').toLowerCase();
+    const create = PROVIDERS[name];
+
+    if (!create) {
+        const error = new Error(`Unknown LLM provider "${name}"`);
+        error.status = 500;
+        throw error;
+    }
+
+    return create(env);
+}
+
+/**
+ * Prices a request's token usage with the provider's rates
+ * @param {Object} provider - Provider
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {number} Cost in USD
+ */
+export function estimateCost(provider, usage) {
+    const cost = (usage.inputTokens * provider.pricing.input +
+        usage.outputTokens * provider.pricing.output) / 1e6;
+
+    return Math.round(cost * 1e6) / 1e6;
+}
@@ -0,0 +1,89 @@
+/**
+ * Deterministic mock provider. Replies are built from the request input
+ * alone, so the summary flows can be exercised offline and give the same
+ * output on every run.
+ */
+
+import { buildUsage } from './common.js';
+
+const CHUNK_SIZE = 12;
+
+/**
+ * Creates the mock provider
+ * @param {Object} options - Provider settings
+ * @param {number} options.delay - Milliseconds between streamed chunks, to mimic a real model
+ * @returns {Object} Provider
+ */
+export function createMockProvider({ delay = 0 } = {}) {
+    return {
+        name: 'mock',
+        model: 'mock',
+        maxTokens: 1000,
+        pricing: { input: 0, output: 0 },
+        isConfigured: () => true,
+
+        async complete(request) {
+            const text = mockReply(request);
+            return { text, usage: buildUsage(request, text) };
+        },
+
+        async stream(request, onText) {
+            const text = mockReply(request);
+
+            for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+                if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+                onText(text.slice(i, i + CHUNK_SIZE));
+            }
+
+            return { text, usage: buildUsage(request, text) };
+        }
+    };
+}
+
+/**
+ * Builds the reply for a task in the format the real prompts ask for
+ * @param {Object} request - Completion request { task, input }
+ * @returns {string} Reply text
+ */
+function mockReply({ task, input = {} }) {
+    if (task === 'batch') {
+        return input.stories
+            .map((story, index) => JSON.stringify({
+                index: index + 1,
+                summary: `Mock summary of "${story.title}".`
+            }))
+            .join('\n');
+    }
+
+    if (task === 'single') {
+        const { story, detailed, article } = input;
+        const basis = article ? ` Based on ${article.wordCount} words of article text.` : ' Based on the title only.';
+        return detailed
+            ? `Mock analysis of "${story.title}". It has ${story.points ?? 0} points and ${story.commentCount ?? 0} comments.${basis}`
+            : `Mock summary of "${story.title}".${basis}`;
+    }
+
+    if (task === 'discussion') {
+        const authors = [...new Set(input.comments.map(comment => comment.author))].slice(0, 3);
+        return [
+            `Overview: Mock digest of ${input.comments.length} comments on "${input.story.title}".`,
+            'Agreement:',
+            ...authors.map(author => `- ${author} makes a point others agree with`),
+            'Disagreement:',
+            '- Commenters are split on the mock topic'
+        ].join('\n');
+    }
+
+    if (task === 'digest') {
+        const { sections } = input.outline;
+        return JSON.stringify({
+            intro: `Mock briefing on ${sections.reduce((sum, section) => sum + section.stories.length, 0)} stories.`,
+            sections: sections.map((section, index) => ({
+                section: index + 1,
+                summary: `Mock summary of the ${section.label} stories.`
+            }))
+        });
+    }
+
+    return `Mock reply for ${task}.`;
+}
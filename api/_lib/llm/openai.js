@@ -0,0 +1,117 @@
+/**
+ * OpenAI Chat Completions provider. Also serves any server that speaks the
+ * same API (Azure OpenAI's v1 endpoint, Ollama, llama.cpp, vLLM, LM Studio).
+ */
+
+import { readEventStream } from '../../../src/utils/sse.js';
+import { providerError, buildUsage, capTokens } from './common.js';
+
+/**
+ * Creates a Chat Completions provider
+ * @param {Object} options - Provider settings
+ * @param {string} options.name - Provider name reported to clients
+ * @param {string} options.baseUrl - API root, e.g. https://api.openai.com/v1
+ * @param {string} options.apiKey - Bearer token; optional for local servers
+ * @param {string} options.model - Model name
+ * @param {number} options.maxTokens - Maximum output tokens per request
+ * @param {Object} options.pricing - USD per million tokens { input, output }
+ * @param {boolean} options.requiresKey - Whether the provider is unusable without an API key
+ * @param {boolean} options.streamUsage - Ask for token usage in streamed responses (not every compatible server supports it)
+ * @returns {Object} Provider
+ */
+export function createOpenAIProvider({
+    name,
+    baseUrl,
+    apiKey,
+    model,
+    maxTokens,
+    pricing,
+    requiresKey = true,
+    streamUsage = false
+}) {
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    /**
+     * Sends a completion request
+     * @param {Object} request - Completion request
+     * @param {boolean} stream - Whether to stream the reply
+     * @returns {Promise<Response>} Successful response
+     */
+    async function post(request, stream) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+        const body = {
+            model,
+            messages: request.messages,
+            max_tokens: capTokens(request, maxTokens),
+            temperature: request.temperature ?? 0.7
+        };
+        if (stream) {
+            body.stream = true;
+            if (streamUsage) body.stream_options = { include_usage: true };
+        }
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) throw await providerError(name, response);
+        return response;
+    }
+
+    return {
+        name,
+        model,
+        maxTokens,
+        pricing,
+        isConfigured: () => !requiresKey || Boolean(apiKey),
+
+        async complete(request) {
+            const response = await post(request, false);
+            const data = await response.json();
+            const text = data.choices?.[0]?.message?.content?.trim() || '';
+
+            return {
+                text,
+                usage: buildUsage(request, text, {
+                    inputTokens: data.usage?.prompt_tokens,
+                    outputTokens: data.usage?.completion_tokens
+                })
+            };
+        },
+
+        async stream(request, onText) {
+            const response = await post(request, true);
+            let text = '';
+            let reported = {};
+
+            await readEventStream(response.body, ({ data }) => {
+                if (data === '[DONE]') return;
+
+                let chunk;
+                try {
+                    chunk = JSON.parse(data);
+                } catch {
+                    return;
+                }
+
+                const delta = chunk.choices?.[0]?.delta?.content;
+                if (delta) {
+                    text += delta;
+                    onText(delta);
+                }
+                if (chunk.usage) {
+                    reported = {
+                        inputTokens: chunk.usage.prompt_tokens,
+                        outputTokens: chunk.usage.completion_tokens
+                    };
+                }
+            });
+
+            return { text, usage: buildUsage(request, text, reported) };
+        }
+    };
+}
@@ -0,0 +1,278 @@
+/**
+ * Fetching user-supplied URLs safely: public http(s) targets only (also after
+ * redirects), a timeout, a content-type check and a hard size cap.
+ */
+
+import { BlockList, isIP } from 'node:net';
+import { lookup } from 'node:dns/promises';
+
+const DEFAULT_TIMEOUT = 10 * 1000;
+const MAX_REDIRECTS = 5;
+
+// Addresses our routes must never connect to: unspecified, loopback,
+// private, carrier-grade NAT, link-local (cloud metadata), benchmarking,
+// multicast and reserved ranges
+const BLOCKED_ADDRESSES = new BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128],
+    ['::1', 128],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Validates a user-supplied URL
+ * @param {string} url - URL to check
+ * @returns {URL|null} Parsed URL, or null if missing, not http(s) or pointing at a private host
+ */
+export function parsePublicUrl(url) {
+    if (!url) return null;
+
+    try {
+        const parsed = new URL(url);
+        if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+        if (isPrivateHost(parsed.hostname)) return null;
+        return parsed;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Rejects loopback/private targets so our routes can't be used to probe our
+ * network. Only looks at the hostname itself; names are resolved and checked
+ * again before every request (see fetchPublicText).
+ * @param {string} hostname - URL hostname
+ * @returns {boolean} True for private hosts
+ */
+export function isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (isIP(host)) return isPrivateAddress(host);
+
+    return host === 'localhost'
+        || host.endsWith('.localhost')
+        || host.endsWith('.internal');
+}
+
+/**
+ * Checks whether an IP address is outside the public internet. IPv6
+ * addresses that embed an IPv4 one (IPv4-mapped, IPv4-compatible, NAT64)
+ * are judged by the IPv4 address.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for private, loopback, link-local and other non-public addresses, and for anything that isn't an address
+ */
+export function isPrivateAddress(address) {
+    const version = isIP(address);
+
+    if (version === 4) return BLOCKED_ADDRESSES.check(address, 'ipv4');
+    if (version !== 6) return true;
+
+    const embedded = getEmbeddedIpv4(address);
+    if (embedded) return BLOCKED_ADDRESSES.check(embedded, 'ipv4');
+
+    return BLOCKED_ADDRESSES.check(address, 'ipv6');
+}
+
+/**
+ * Fetches a public URL as text. Redirects are followed by hand so every hop
+ * goes through the same public-host check, and every hop's host is resolved
+ * first so a name pointing at a private address is refused.
+ * @param {URL} url - Validated URL (see parsePublicUrl)
+ * @param {Object} options - Fetch options
+ * @param {string} options.accept - Accept header
+ * @param {string} options.userAgent - User-Agent header
+ * @param {RegExp} options.contentTypes - Accepted content types (checked when the server sends one)
+ * @param {number} options.maxBytes - Largest body accepted
+ * @param {number} options.timeout - Milliseconds for the whole fetch, redirects included
+ * @param {string} options.label - What is being fetched, for error messages ("Feed", "Article")
+ * @returns {Promise<Object>} { text, contentType, url: final URL after redirects }
+ */
+export async function fetchPublicText(url, { accept, userAgent, contentTypes, maxBytes, timeout = DEFAULT_TIMEOUT, label }) {
+    const signal = AbortSignal.timeout(timeout);
+    let target = url;
+
+    try {
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+            await assertPublicAddress(target, label);
+
+            const response = await fetch(target, {
+                headers: {
+                    'Accept': accept,
+                    'User-Agent': userAgent
+                },
+                redirect: 'manual',
+                signal
+            });
+
+            const location = response.headers.get('location');
+            if (response.status >= 300 && response.status < 400 && location) {
+                target = parsePublicUrl(new URL(location, target).href);
+                if (!target) {
+                    throw httpError(400, `${label} redirected to a non-public URL`);
+                }
+                continue;
+            }
+
+            if (!response.ok) {
+                throw httpError(502, `${label} responded with ${response.status}`);
+            }
+
+            const contentType = response.headers.get('content-type') || '';
+            if (contentType && !contentTypes.test(contentType)) {
+                throw httpError(415, `Unsupported ${label.toLowerCase()} content type: ${contentType}`);
+            }
+
+            const declaredLength = Number(response.headers.get('content-length'));
+            if (declaredLength > maxBytes) {
+                throw httpError(413, `${label} is too large`);
+            }
+
+            const text = await readLimited(response, maxBytes, contentType, label);
+            return { text, contentType, url: target };
+        }
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw httpError(504, `${label} took too long to respond`);
+        }
+        throw error;
+    }
+
+    throw httpError(502, `${label} redirected too many times`);
+}
+
+/**
+ * Resolves a URL's host and refuses it if any of its addresses is not public
+ * @param {URL} url - URL about to be fetched
+ * @param {string} label - What is being fetched
+ * @throws {Error} 400 for a non-public address, 502 when the host doesn't resolve
+ */
+async function assertPublicAddress(url, label) {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+
+    try {
+        addresses = await lookup(host, { all: true, verbatim: true });
+    } catch {
+        throw httpError(502, `${label} host could not be resolved`);
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw httpError(400, `${label} URL points to a non-public address`);
+    }
+}
+
+/**
+ * Gets the IPv4 address embedded in an IPv6 one
+ * @param {string} address - IPv6 address
+ * @returns {string|null} Dotted IPv4 address for ::ffff:a.b.c.d, ::a.b.c.d and 64:ff9b::a.b.c.d forms, otherwise null
+ */
+function getEmbeddedIpv4(address) {
+    const groups = expandIpv6(address);
+    const zeros = (from, to) => groups.slice(from, to).every(group => group === 0);
+
+    const embeds = (zeros(0, 5) && (groups[5] === 0xffff || groups[5] === 0))
+        || (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6));
+    if (!embeds) return null;
+
+    return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+}
+
+/**
+ * Expands an IPv6 address into its eight 16-bit groups
+ * @param {string} address - Valid IPv6 address, possibly ending in a dotted IPv4 address
+ * @returns {number[]} Eight groups
+ */
+function expandIpv6(address) {
+    let text = address.toLowerCase().split('%')[0];
+
+    const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, -dotted[0].length)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+    const [head, tail] = text.split('::');
+    const start = parse(head);
+    const end = tail === undefined ? [] : parse(tail);
+
+    return [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+}
+
+/**
+ * Reads a response body, giving up as soon as it passes the size cap
+ * (content-length is optional and can lie)
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Largest body accepted
+ * @param {string} contentType - Content-Type header, for the charset
+ * @param {string} label - What is being fetched
+ * @returns {Promise<string>} Decoded body
+ */
+async function readLimited(response, maxBytes, contentType, label) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        size += value.byteLength;
+        if (size > maxBytes) {
+            await reader.cancel();
+            throw httpError(413, `${label} is too large`);
+        }
+        chunks.push(value);
+    }
+
+    const body = new Uint8Array(size);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        body.set(chunk, offset);
+        offset += chunk.byteLength;
+    });
+
+    return createDecoder(contentType).decode(body);
+}
+
+/**
+ * Creates a decoder for the charset named in a Content-Type header
+ * @param {string} contentType - Content-Type header
+ * @returns {TextDecoder} Decoder, UTF-8 when the charset is missing or unknown
+ */
+function createDecoder(contentType) {
+    const charset = contentType.match(/charset=["']?([\w-]+)/i)?.[1];
+
+    try {
+        return new TextDecoder(charset || 'utf-8');
+    } catch {
+        return new TextDecoder('utf-8');
+    }
+}
+
+/**
+ * Creates an error carrying an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+export function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
@@ -0,0 +1,75 @@
+/**
+ * In-memory sliding-window rate limiter. Counts live as long as the
+ * serverless instance stays warm, which is enough to stop one client from
+ * hammering the route; the daily budget is the backstop across instances.
+ */
+
+/**
+ * Creates a rate limiter
+ * @param {Object} options - Limiter options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.maxKeys - Clients tracked before the least recently seen are dropped
+ * @returns {Object} Limiter with a hit(key) method
+ */
+export function createRateLimiter({ limit, windowMs, maxKeys = 5000 }) {
+    const hits = new Map();
+
+    /**
+     * Records a request and reports whether it is allowed
+     * @param {string} key - Client key (IP or session ID)
+     * @returns {Object} { allowed, limit, remaining, retryAfter } with retryAfter in seconds
+     */
+    function hit(key) {
+        const now = Date.now();
+        const recent = (hits.get(key) || []).filter(time => now - time < windowMs);
+
+        // Re-insert so the Map stays ordered by last activity
+        hits.delete(key);
+
+        if (recent.length >= limit) {
+            hits.set(key, recent);
+            return {
+                allowed: false,
+                limit,
+                remaining: 0,
+                retryAfter: Math.ceil((recent[0] + windowMs - now) / 1000)
+            };
+        }
+
+        recent.push(now);
+        hits.set(key, recent);
+
+        if (hits.size > maxKeys) {
+            hits.delete(hits.keys().next().value);
+        }
+
+        return { allowed: true, limit, remaining: limit - recent.length, retryAfter: 0 };
+    }
+
+    return { hit };
+}
+
+/**
+ * Works out the client IP behind Vercel's (or any) proxy. Only hops a proxy
+ * wrote are trusted: the first X-Forwarded-For entry is whatever the client
+ * sent, so rotating it would dodge the limits. Vercel overwrites
+ * x-vercel-forwarded-for and x-real-ip; other proxies append the address
+ * they saw to the end of X-Forwarded-For.
+ * @param {Object} req - Request object
+ * @returns {string} Client IP, or "unknown"
+ */
+export function getClientIp(req) {
+    const headers = req.headers || {};
+
+    const platform = headers['x-vercel-forwarded-for'] || headers['x-real-ip'];
+    if (platform) return String(platform).split(',')[0].trim();
+
+    const lastHop = String(headers['x-forwarded-for'] || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .pop();
+
+    return lastHop || req.socket?.remoteAddress || 'unknown';
+}
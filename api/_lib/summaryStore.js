@@ -0,0 +1,93 @@
+/**
+ * AI summary cache. Summaries are keyed by story, summary mode and prompt
+ * version so a reload doesn't pay for the same summary twice, while a prompt
+ * or model change invalidates every old entry. The default store writes one
+ * JSON file per entry; call setSummaryStore to swap in another backend
+ * (anything with async get/set, e.g. Redis or Vercel KV).
+ */
+
+import { createHash } from 'node:crypto';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createFileStore } from './jsonStore.js';
+import { readNumber } from './env.js';
+
+// Seconds; summaries of a story don't change, so the default is long
+const CACHE_TTL = readNumber(process.env.SUMMARY_CACHE_TTL, 7 * 24 * 60 * 60);
+
+// Seconds a provisional summary is kept: one written from the title because
+// the article couldn't be fetched this time, so a later request tries again
+const RETRY_TTL = readNumber(process.env.SUMMARY_RETRY_TTL, 15 * 60);
+
+let store = createFileStore({
+    dir: process.env.SUMMARY_CACHE_DIR || join(tmpdir(), 'hotstrends-summaries')
+});
+
+/**
+ * Replaces the backing store
+ * @param {Object} nextStore - Store with async get(key) and set(key, entry)
+ */
+export function setSummaryStore(nextStore) {
+    store = nextStore;
+}
+
+/**
+ * Short, stable hash of a string
+ * @param {string} text - Text to hash
+ * @returns {string} Hex digest prefix
+ */
+export function hashText(text) {
+    return createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Builds the cache key for a story summary. The title and domain that go
+ * into the prompt are part of the key, since the client sends them: a story
+ * posted with a real ID and URL but a made-up title gets its own entry
+ * instead of replacing everyone's summary.
+ * @param {Object} story - Story with id, url, title and domain
+ * @param {string} mode - Summary mode ('short', 'detailed' or 'batch')
+ * @param {string} version - Prompt version hash
+ * @returns {string} Cache key
+ */
+export function summaryKey(story, mode, version) {
+    return hashText([story.id, story.url || '', story.title, story.domain || '', mode, version].join('|'));
+}
+
+/**
+ * Reads a cached summary. Store errors are logged and treated as a miss, so
+ * a broken cache only costs money, never a summary.
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} { summary, basis }, or null when missing or expired
+ */
+export async function getSummary(key) {
+    try {
+        const entry = await store.get(key);
+        if (!entry || Date.now() - entry.storedAt >= (entry.ttl ?? CACHE_TTL) * 1000) return null;
+        return { summary: entry.summary, basis: entry.basis || 'title' };
+    } catch (error) {
+        console.error('Error reading summary cache:', error);
+        return null;
+    }
+}
+
+/**
+ * Caches a summary
+ * @param {string} key - Cache key
+ * @param {string} summary - Summary text
+ * @param {string} basis - What the summary was written from ('full-text' or 'title')
+ * @param {Object} options - { provisional: keep it for SUMMARY_RETRY_TTL instead of SUMMARY_CACHE_TTL }
+ * @returns {Promise<void>}
+ */
+export async function saveSummary(key, summary, basis, { provisional = false } = {}) {
+    try {
+        await store.set(key, {
+            summary,
+            basis,
+            storedAt: Date.now(),
+            ...(provisional && { ttl: RETRY_TTL })
+        });
+    } catch (error) {
+        console.error('Error writing summary cache:', error);
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * AI usage ledger and daily budget. Token counts come from the `usage` field
+ * of provider responses and are totalled per UTC day, together with cache hits
+ * and rejected requests. Once a day's tokens or dollars pass the budget, new
+ * model calls are refused until midnight UTC (cached summaries are still served).
+ */
+
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createFileStore } from './jsonStore.js';
+import { readNumber } from './env.js';
+
+// 0 disables a budget
+const DAILY_TOKEN_BUDGET = readNumber(process.env.AI_DAILY_TOKEN_BUDGET, 200000);
+const DAILY_COST_BUDGET = readNumber(process.env.AI_DAILY_COST_BUDGET, 1);
+
+let store = createFileStore({
+    dir: process.env.AI_USAGE_DIR || join(tmpdir(), 'hotstrends-usage')
+});
+
+// Serializes read-modify-write updates within this instance
+let queue = Promise.resolve();
+
+/**
+ * Replaces the backing store
+ * @param {Object} nextStore - Store with async get(key) and set(key, entry)
+ */
+export function setUsageStore(nextStore) {
+    store = nextStore;
+}
+
+/**
+ * Records a completed model call
+ * @param {Object} entry - { type, provider, model, usage: { inputTokens, outputTokens, estimated }, cost }
+ * @returns {Promise<void>}
+ */
+export function recordUsage({ type, provider, model, usage, cost }) {
+    return updateDay(day => {
+        const modelKey = `${provider}/${model}`;
+        const byModel = day.byModel[modelKey] || { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+        const byType = day.byType[type] || { requests: 0, tokens: 0, cost: 0 };
+        const tokens = usage.inputTokens + usage.outputTokens;
+
+        day.requests += 1;
+        day.inputTokens += usage.inputTokens;
+        day.outputTokens += usage.outputTokens;
+        day.cost = roundCost(day.cost + cost);
+        if (usage.estimated) day.estimatedRequests += 1;
+
+        byModel.requests += 1;
+        byModel.inputTokens += usage.inputTokens;
+        byModel.outputTokens += usage.outputTokens;
+        byModel.cost = roundCost(byModel.cost + cost);
+        day.byModel[modelKey] = byModel;
+
+        byType.requests += 1;
+        byType.tokens += tokens;
+        byType.cost = roundCost(byType.cost + cost);
+        day.byType[type] = byType;
+    });
+}
+
+/**
+ * Records summaries answered from the cache
+ * @param {number} count - Cached summaries served
+ * @returns {Promise<void>}
+ */
+export function recordCacheHits(count) {
+    if (count <= 0) return Promise.resolve();
+    return updateDay(day => {
+        day.cacheHits += count;
+    });
+}
+
+/**
+ * Records a refused request
+ * @param {string} reason - 'invalid', 'rateLimited' or 'overBudget'
+ * @returns {Promise<void>}
+ */
+export function recordRejection(reason) {
+    return updateDay(day => {
+        day.rejected[reason] = (day.rejected[reason] || 0) + 1;
+    });
+}
+
+/**
+ * Checks today's totals against the budget. A store that can't be read
+ * fails open; the rate limits still apply.
+ * @returns {Promise<Object>} { allowed, retryAfter } with retryAfter in seconds until the budget resets
+ */
+export async function checkBudget() {
+    const day = await readDay(todayKey()).catch(error => {
+        console.error('Error reading AI usage:', error);
+        return null;
+    });
+
+    return {
+        allowed: !day || !isExhausted(day),
+        retryAfter: secondsUntilReset()
+    };
+}
+
+/**
+ * Builds the admin usage report
+ * @param {number} days - Days of history to include, newest first
+ * @returns {Promise<Object>} { budget, days }
+ */
+export async function getUsageReport(days = 7) {
+    const dates = Array.from({ length: days }, (_, index) =>
+        new Date(Date.now() - index * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+    );
+    const history = await Promise.all(dates.map(date => readDay(date)));
+    const today = history[0];
+
+    return {
+        budget: {
+            tokens: DAILY_TOKEN_BUDGET || null,
+            cost: DAILY_COST_BUDGET || null,
+            tokensUsed: today.inputTokens + today.outputTokens,
+            costUsed: today.cost,
+            exhausted: isExhausted(today),
+            resetsIn: secondsUntilReset()
+        },
+        days: history
+    };
+}
+
+/**
+ * Applies a change to today's totals
+ * @param {Function} mutate - Receives the day object to modify
+ * @returns {Promise<void>}
+ */
+function updateDay(mutate) {
+    queue = queue
+        .then(async () => {
+            const date = todayKey();
+            const day = await readDay(date);
+            mutate(day);
+            await store.set(`usage-${date}`, day);
+        })
+        .catch(error => console.error('Error recording AI usage:', error));
+
+    return queue;
+}
+
+/**
+ * Reads a day's totals
+ * @param {string} date - UTC date (YYYY-MM-DD)
+ * @returns {Promise<Object>} Day totals (zeroed if nothing was recorded)
+ */
+async function readDay(date) {
+    return (await store.get(`usage-${date}`)) || {
+        date,
+        requests: 0,
+        estimatedRequests: 0,
+        cacheHits: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cost: 0,
+        byModel: {},
+        byType: {},
+        rejected: { invalid: 0, rateLimited: 0, overBudget: 0 }
+    };
+}
+
+/**
+ * Whether a day's totals have used up either budget
+ * @param {Object} day - Day totals
+ * @returns {boolean} True when over budget
+ */
+function isExhausted(day) {
+    return (DAILY_TOKEN_BUDGET > 0 && day.inputTokens + day.outputTokens >= DAILY_TOKEN_BUDGET)
+        || (DAILY_COST_BUDGET > 0 && day.cost >= DAILY_COST_BUDGET);
+}
+
+/**
+ * Today's UTC date
+ * @returns {string} YYYY-MM-DD
+ */
+function todayKey() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Seconds until the budget resets at midnight UTC
+ * @returns {number} Seconds
+ */
+function secondsUntilReset() {
+    const now = new Date();
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+/**
+ * Rounds a dollar amount to micro-dollars to keep float noise out of the totals
+ * @param {number} cost - Cost in USD
+ * @returns {number} Rounded cost
+ */
+function roundCost(cost) {
+    return Math.round(cost * 1e6) / 1e6;
+}
@@ -0,0 +1,40 @@
+import { loadArticle } from './_lib/article.js';
+import { applyRateLimits } from './_lib/aiLimits.js';
+import { recordRejection } from './_lib/usage.js';
+import { readNumber } from './_lib/env.js';
+
+const ARTICLE_CACHE_TTL = readNumber(process.env.ARTICLE_CACHE_TTL, 3600);
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Every miss is a server-side fetch of someone else's page, so the
+    // route shares the AI routes' per-IP and per-session limits
+    const retryAfter = applyRateLimits(req, res);
+
+    if (retryAfter > 0) {
+        await recordRejection('rateLimited');
+        res.setHeader('Retry-After', retryAfter.toString());
+        return res.status(429).json({ error: 'Too many article requests, try again shortly' });
+    }
+
+    try {
+        const { article, cached } = await loadArticle(req.query.url);
+
+        res.setHeader('X-Cache', cached ? 'HIT' : 'MISS');
+        res.setHeader('Cache-Control', `public, s-maxage=${ARTICLE_CACHE_TTL}`);
+        return res.status(200).json({ status: 'ok', article });
+    } catch (error) {
+        if (error.status === 400) {
+            await recordRejection('invalid');
+        }
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        console.error('Error extracting article:', error);
+        return res.status(502).json({ error: 'Failed to fetch article' });
+    }
+}
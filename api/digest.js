@@ -0,0 +1,277 @@
+import { getProvider } from './_lib/llm/index.js';
+import { createCache } from './_lib/cache.js';
+import { hashText } from './_lib/summaryStore.js';
+import { applyRateLimits, ensureBudget, complete } from './_lib/aiLimits.js';
+import { recordCacheHits, recordRejection } from './_lib/usage.js';
+import { fetchStoryItems, formatStories } from '../src/services/hackerNewsService.js';
+import {
+    DIGEST_PERIODS,
+    buildDigest,
+    renderDigestMarkdown,
+    renderDigestHtml,
+    renderDigestText
+} from '../src/utils/digest.js';
+import { readNumber } from './_lib/env.js';
+
+// Seconds a generated digest is reused for the same set of stories
+const CACHE_TTL = readNumber(process.env.DIGEST_CACHE_TTL, 1800);
+const DIGEST_STORIES = readNumber(process.env.DIGEST_STORIES, 15, 1);
+
+// Request size limits
+const MAX_CANDIDATES = 100;
+const MAX_TITLE_CHARS = 300;
+
+// HN stories fetched when the route picks the stories itself
+const HN_CANDIDATES = 60;
+
+const FORMATS = {
+    markdown: { contentType: 'text/markdown; charset=utf-8', render: renderDigestMarkdown },
+    html: { contentType: 'text/html; charset=utf-8', render: renderDigestHtml },
+    text: { contentType: 'text/plain; charset=utf-8', render: renderDigestText }
+};
+
+const PROMPT = 'You are the editor of a tech news briefing. You get the hottest stories of the period, already grouped into sections. Write a 2-3 sentence intro on the overall themes, then a 1-2 sentence summary per section saying what its stories have in common and why they matter. Only use what the titles and numbers support. Reply with a single JSON object and nothing else: {"intro": "...", "sections": [{"section": <section number>, "summary": "..."}]}';
+
+const cache = createCache({
+    ttl: CACHE_TTL * 1000,
+    maxEntries: 20
+});
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const source = req.method === 'POST' ? req.body : req.query;
+    const period = source?.period || 'daily';
+    const format = req.query?.format || source?.format || 'json';
+
+    if (!DIGEST_PERIODS[period]) {
+        await recordRejection('invalid');
+        return res.status(400).json({ error: 'period must be "daily" or "weekly"' });
+    }
+    if (format !== 'json' && !FORMATS[format]) {
+        await recordRejection('invalid');
+        return res.status(400).json({ error: 'format must be json, markdown, html or text' });
+    }
+
+    let candidates = null;
+    if (req.method === 'POST') {
+        const { value, error: invalid } = validateStories(req.body?.stories);
+        if (invalid) {
+            await recordRejection('invalid');
+            return res.status(400).json({ error: invalid });
+        }
+        candidates = value;
+    }
+
+    const retryAfter = applyRateLimits(req, res);
+
+    if (retryAfter > 0) {
+        await recordRejection('rateLimited');
+        res.setHeader('Retry-After', retryAfter.toString());
+        return res.status(429).json({ error: 'Too many AI requests, try again shortly' });
+    }
+
+    try {
+        const provider = getProvider();
+
+        if (!provider.isConfigured()) {
+            return res.status(500).json({ error: `LLM provider "${provider.name}" is not configured on server` });
+        }
+
+        // Weekly digests draw from HN's best list, which spans several days
+        if (!candidates) {
+            candidates = await loadHackerNewsStories(period === 'weekly' ? 'best' : 'top');
+        }
+
+        const outline = buildDigest(candidates, period, { limit: DIGEST_STORIES });
+        if (outline.sections.length === 0) {
+            return res.status(422).json({ error: `No stories from the ${period === 'weekly' ? 'past week' : 'past day'} to digest` });
+        }
+
+        // Keyed by the exact prompt, and only the model's briefing is kept: it is
+        // applied to this request's own outline, so stories posted with a real
+        // ID but a made-up title or link can't end up in anyone else's digest
+        const request = buildDigestRequest(outline);
+        const key = hashText([...request.messages.map(message => message.content), provider.name, provider.model].join('|'));
+        const cached = cache.get(key);
+
+        let generated;
+        if (cached) {
+            await recordCacheHits(1);
+            res.setHeader('X-Cache', 'HIT');
+            generated = { ...cached.value, cached: true };
+        } else {
+            await ensureBudget();
+
+            const { text, usage, cost } = await complete(provider, request);
+            generated = {
+                briefing: parseBriefing(text),
+                provider: provider.name,
+                model: provider.model,
+                usage,
+                cost
+            };
+            cache.set(key, generated);
+
+            res.setHeader('X-Cache', 'MISS');
+            generated = { ...generated, cached: false };
+        }
+
+        const { briefing, ...details } = generated;
+        const digest = applyBriefing(outline, briefing);
+        const result = { digest, briefing: Boolean(digest.intro), ...details };
+
+        if (format !== 'json') {
+            res.setHeader('Content-Type', FORMATS[format].contentType);
+            return res.status(200).send(FORMATS[format].render(result.digest));
+        }
+
+        return res.status(200).json({
+            status: 'ok',
+            ...result,
+            subject: `${result.digest.title} - ${result.digest.dateLabel}`,
+            markdown: renderDigestMarkdown(result.digest),
+            html: renderDigestHtml(result.digest),
+            text: renderDigestText(result.digest)
+        });
+
+    } catch (error) {
+        if (error.status) {
+            if (error.retryAfter) res.setHeader('Retry-After', error.retryAfter.toString());
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        console.error('Error generating digest:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+}
+
+/**
+ * Validates stories posted by the client, keeping only the fields a digest uses
+ * @param {Object[]} stories - Stories from the request body
+ * @returns {Object} { value: stories } or { error }
+ */
+function validateStories(stories) {
+    if (!Array.isArray(stories) || stories.length === 0) {
+        return { error: 'Stories are required' };
+    }
+    if (stories.length > MAX_CANDIDATES) {
+        return { error: `At most ${MAX_CANDIDATES} stories per digest` };
+    }
+
+    const value = stories
+        .filter(story => story && typeof story === 'object' && typeof story.title === 'string' && story.title.trim())
+        .map(story => ({
+            id: String(story.id ?? '').slice(0, 100),
+            title: story.title.trim().slice(0, MAX_TITLE_CHARS),
+            url: toWebUrl(story.url),
+            commentsUrl: toWebUrl(story.commentsUrl),
+            domain: typeof story.domain === 'string' ? story.domain.slice(0, 200) : '',
+            points: Number.isFinite(story.points) ? story.points : null,
+            commentCount: Number.isFinite(story.commentCount) ? story.commentCount : null,
+            timestamp: typeof story.timestamp === 'string' ? story.timestamp : null,
+            hotness: Number.isFinite(story.hotness?.score) ? { score: story.hotness.score } : undefined
+        }))
+        .filter(story => story.id && story.url);
+
+    if (value.length === 0) {
+        return { error: 'Every story needs an id, a title and a URL' };
+    }
+
+    return { value };
+}
+
+/**
+ * Keeps http(s) URLs of a sane length
+ * @param {*} url - Candidate URL
+ * @returns {string|null} URL, or null
+ */
+function toWebUrl(url) {
+    return typeof url === 'string' && /^https?:\/\//.test(url) && url.length <= 2048 ? url : null;
+}
+
+/**
+ * Loads and scores the current Hacker News list
+ * @param {string} type - HN list ('top' or 'best')
+ * @returns {Promise<Object[]>} Formatted stories with hotness
+ */
+async function loadHackerNewsStories(type) {
+    const { items } = await fetchStoryItems(type, HN_CANDIDATES);
+    return formatStories(items);
+}
+
+/**
+ * Builds the completion request for a digest briefing
+ * @param {Object} outline - Digest from buildDigest
+ * @returns {Object} Completion request
+ */
+function buildDigestRequest(outline) {
+    const sectionList = outline.sections
+        .map((section, index) => {
+            const stories = section.stories
+                .map(story => `- "${story.title}" (${story.domain || 'self post'}, ${story.points ?? '?'} pts, ${story.commentCount ?? '?'} comments)`)
+                .join('\n');
+            return `Section ${index + 1}: ${section.label}\n${stories}`;
+        })
+        .join('\n\n');
+
+    return {
+        task: 'digest',
+        input: { outline },
+        messages: [
+            { role: 'system', content: PROMPT },
+            { role: 'user', content: `${outline.title}, ${outline.dateLabel}\n\n${sectionList}` }
+        ],
+        maxTokens: 600,
+        temperature: 0.7
+    };
+}
+
+/**
+ * Parses the model's briefing, tolerating a code fence or chatter around the JSON
+ * @param {string} text - Model output
+ * @returns {Object|null} { intro, sections: [{ section, summary }] }, or null if unusable
+ */
+function parseBriefing(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+
+    try {
+        const briefing = JSON.parse(text.slice(start, end + 1));
+        return typeof briefing.intro === 'string' ? briefing : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Fills the outline's intro and section summaries from the briefing. Without
+ * a usable briefing the digest is still sent, as a plain list of headlines.
+ * @param {Object} outline - Digest from buildDigest
+ * @param {Object|null} briefing - Parsed model output
+ * @returns {Object} Digest
+ */
+function applyBriefing(outline, briefing) {
+    if (!briefing) {
+        console.warn('Digest briefing was not valid JSON, sending headlines only');
+        return outline;
+    }
+
+    const summaries = new Map(
+        (Array.isArray(briefing.sections) ? briefing.sections : [])
+            .filter(item => Number.isInteger(Number(item?.section)) && typeof item.summary === 'string')
+            .map(item => [Number(item.section), item.summary.trim()])
+    );
+
+    return {
+        ...outline,
+        intro: briefing.intro.trim() || null,
+        sections: outline.sections.map((section, index) => ({
+            ...section,
+            summary: summaries.get(index + 1) || null
+        }))
+    };
+}
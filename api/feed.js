@@ -0,0 +1,78 @@
+import { createCache } from './_lib/cache.js';
+import { parsePublicUrl, fetchPublicText, httpError } from './_lib/publicFetch.js';
+import { parseFeed, formatFeedItems, resolveItemUrl } from '../src/sources/feedParser.js';
+import { readNumber } from './_lib/env.js';
+
+const FEED_CACHE_TTL = readNumber(process.env.FEED_CACHE_TTL, 600);
+const MAX_FEED_BYTES = 2 * 1024 * 1024;
+const MAX_ITEMS = 100;
+
+const cache = createCache({
+    ttl: FEED_CACHE_TTL * 1000,
+    maxEntries: 100
+});
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { url, limit } = req.query;
+    const feedUrl = parsePublicUrl(url);
+
+    if (!feedUrl) {
+        return res.status(400).json({ error: 'A public http(s) feed URL is required' });
+    }
+
+    const itemLimit = Math.min(Number(limit) || 30, MAX_ITEMS);
+    const cacheKey = feedUrl.href;
+    const cached = cache.get(cacheKey);
+
+    try {
+        const feed = cached ? cached.value : await cache.load(cacheKey, () => fetchFeed(feedUrl));
+
+        res.setHeader('X-Cache', cached ? 'HIT' : 'MISS');
+        res.setHeader('Cache-Control', `public, s-maxage=${FEED_CACHE_TTL}`);
+        return res.status(200).json({
+            status: 'ok',
+            feed: feed.feed,
+            items: feed.items.slice(0, itemLimit)
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        console.error('Error fetching feed:', error);
+        return res.status(502).json({ error: 'Failed to fetch feed' });
+    }
+}
+
+/**
+ * Fetches, size-checks and parses a feed
+ * @param {URL} feedUrl - Feed URL
+ * @returns {Promise<Object>} { feed: { title, link }, items }
+ */
+async function fetchFeed(feedUrl) {
+    const { text, url: finalUrl } = await fetchPublicText(feedUrl, {
+        accept: 'application/rss+xml, application/atom+xml, application/feed+json, application/xml, text/xml;q=0.9, */*;q=0.1',
+        userAgent: 'HotsTrends feed reader',
+        contentTypes: /xml|json|text\//i,
+        maxBytes: MAX_FEED_BYTES,
+        label: 'Feed'
+    });
+
+    let parsed;
+    try {
+        parsed = parseFeed(text);
+    } catch {
+        throw httpError(422, 'Not a valid RSS, Atom or JSON feed');
+    }
+
+    const feed = { title: parsed.title, link: resolveItemUrl(parsed.link, finalUrl) || feedUrl.origin };
+
+    return {
+        feed,
+        items: formatFeedItems(parsed.items, feed, finalUrl).slice(0, MAX_ITEMS)
+    };
+}
@@ -1,3 +1,22 @@
+import { createCache } from './_lib/cache.js';
+import { readNumber } from './_lib/env.js';
+
+const NEWS_API_URL = 'https://newsapi.org/v2/top-headlines';
+
+// All durations are configured in seconds
+const CACHE_TTL = readNumber(process.env.NEWS_CACHE_TTL, 300);
+const CACHE_STALE_TTL = readNumber(process.env.NEWS_CACHE_STALE_TTL, 3600);
+const RATE_LIMIT_BACKOFF = readNumber(process.env.NEWS_RATE_LIMIT_BACKOFF, 900);
+
+const cache = createCache({
+    ttl: CACHE_TTL * 1000,
+    staleTtl: CACHE_STALE_TTL * 1000,
+    maxEntries: 50
+});
+
+// While set, upstream calls are skipped so we don't dig the quota hole deeper
+let rateLimitedUntil = 0;
+
 export default async function handler(req, res) {
     const apiKey = process.env.NEWS_API_KEY;
 
@@ -7,27 +26,91 @@ export default async function handler(req, res) {
 
     const { category, country, sources, pageSize } = req.query;
 
-    try {
-        const params = new URLSearchParams();
-        params.append('apiKey', apiKey);
-        if (pageSize) params.append('pageSize', pageSize);
-        if (sources) {
-            params.append('sources', sources);
-        } else {
-            if (country) params.append('country', country);
-            if (category) params.append('category', category);
-        }
+    const params = new URLSearchParams();
+    if (pageSize) params.append('pageSize', pageSize);
+    if (sources) {
+        params.append('sources', sources);
+    } else {
+        if (country) params.append('country', country);
+        if (category) params.append('category', category);
+    }
 
-        const response = await fetch(`https://newsapi.org/v2/top-headlines?${params}`);
-        const data = await response.json();
+    const cacheKey = params.toString();
+    const cached = cache.get(cacheKey);
 
-        if (data.status !== 'ok') {
-            return res.status(response.status).json({ message: data.message || 'Failed to fetch headlines' });
-        }
+    if (cached && !cached.stale) {
+        return sendCached(res, cached, 'HIT');
+    }
 
-        return res.status(200).json(data);
+    const retryAfter = Math.ceil((rateLimitedUntil - Date.now()) / 1000);
+    if (retryAfter > 0) {
+        if (cached) return sendCached(res, cached, 'STALE');
+
+        res.setHeader('Retry-After', retryAfter.toString());
+        res.setHeader('X-Cache', 'MISS');
+        return res.status(429).json({ message: 'NewsAPI rate limit reached, try again later' });
+    }
+
+    const loadHeadlines = () => cache.load(cacheKey, () => fetchHeadlines(params, apiKey));
+
+    if (cached) {
+        // Serve stale data right away and refresh it for the next caller
+        loadHeadlines().catch(error => console.error('Error revalidating headlines:', error));
+        return sendCached(res, cached, 'STALE');
+    }
+
+    try {
+        const data = await loadHeadlines();
+        return sendCached(res, { value: data, age: 0 }, 'MISS');
     } catch (error) {
+        if (error.status) {
+            if (error.status === 429) {
+                res.setHeader('Retry-After', RATE_LIMIT_BACKOFF.toString());
+            }
+            res.setHeader('X-Cache', 'MISS');
+            return res.status(error.status).json({ message: error.message });
+        }
+
         console.error('Error fetching headlines:', error);
         return res.status(500).json({ error: 'Internal Server Error' });
     }
 }
+
+/**
+ * Fetches headlines from NewsAPI
+ * @param {URLSearchParams} params - Query params without the API key
+ * @param {string} apiKey - NewsAPI key
+ * @returns {Promise<Object>} NewsAPI response body
+ */
+async function fetchHeadlines(params, apiKey) {
+    const query = new URLSearchParams(params);
+    query.append('apiKey', apiKey);
+
+    const response = await fetch(`${NEWS_API_URL}?${query}`);
+    const data = await response.json();
+
+    if (response.status === 429 || data.code === 'rateLimited') {
+        rateLimitedUntil = Date.now() + RATE_LIMIT_BACKOFF * 1000;
+    }
+
+    if (data.status !== 'ok') {
+        const error = new Error(data.message || 'Failed to fetch headlines');
+        error.status = response.ok ? 502 : response.status;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Sends a cached payload with cache diagnostics headers
+ * @param {Object} res - Response object
+ * @param {Object} entry - Cache entry { value, age }
+ * @param {string} status - HIT, STALE or MISS
+ */
+function sendCached(res, entry, status) {
+    res.setHeader('X-Cache', status);
+    res.setHeader('X-Cache-Age', Math.floor(entry.age / 1000).toString());
+    res.setHeader('Cache-Control', `public, s-maxage=${CACHE_TTL}, stale-while-revalidate=${CACHE_STALE_TTL}`);
+    return res.status(200).json(entry.value);
+}
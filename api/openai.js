@@ -1,83 +1,464 @@
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+import { formatEvent } from '../src/utils/sse.js';
+import { getProvider, estimateCost } from './_lib/llm/index.js';
+import { buildUsage } from './_lib/llm/common.js';
+import { hashText, summaryKey, getSummary, saveSummary } from './_lib/summaryStore.js';
+import { loadArticle } from './_lib/article.js';
+import { applyRateLimits, ensureBudget, complete } from './_lib/aiLimits.js';
+import { recordUsage, recordCacheHits, recordRejection, checkBudget } from './_lib/usage.js';
+
+// Article text sent with single-story prompts (~2,000 tokens)
+const ARTICLE_PROMPT_CHARS = 8000;
+
+// Article failures that won't change on a retry: not a public URL, too large,
+// not HTML, no readable text. Anything else (timeouts, upstream errors) may pass.
+const PERMANENT_ARTICLE_ERRORS = [400, 413, 415, 422];
+
+// Request size limits
+const MAX_BATCH = 10;
+const MAX_COMMENTS = 30;
+const MAX_TITLE_CHARS = 300;
+
+const PROMPTS = {
+    short: 'You are a tech news summarizer. Generate a concise 1-2 sentence summary explaining why this story matters to tech professionals. Be specific and insightful, not generic. When the article text is provided, base the summary on it; when only the title is given, do not invent details the title does not support.',
+    detailed: 'You are a tech news analyst. Provide a detailed 3-4 sentence analysis of this story, explaining the context, technical details if relevant, and why it matters to the industry. When the article text is provided, base the analysis on it; when only the title is given, say so rather than inventing details.',
+    // One object per line lets the summaries be forwarded while the model is still writing
+    batch: 'You are a tech news analyst. For each story, provide a brief 1-sentence summary explaining its significance. Format: Output one JSON object per line, with "index" (1-based) and "summary" fields, and nothing else. Be insightful and specific.',
+    discussion: 'You are summarizing a Hacker News discussion for someone who has not read it. Only report opinions that appear in the comments. Reply in exactly this format:\nOverview: <1-2 sentences on what the discussion is about>\nAgreement:\n- <point most commenters agree on>\nDisagreement:\n- <point commenters argue about, with both sides>\nUse 2-4 bullets per section.'
+};
+
+// Bump-free invalidation: editing any prompt changes the hash and with it every cache key
+const PROMPT_VERSION = hashText(JSON.stringify(PROMPTS));
 
 export default async function handler(req, res) {
     if (req.method !== 'POST') {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    const apiKey = process.env.OPENAI_API_KEY;
+    const { value, error: invalid } = validateRequest(req.body);
 
-    if (!apiKey) {
-        return res.status(500).json({ error: 'OpenAI API key not configured on server' });
+    if (invalid) {
+        await recordRejection('invalid');
+        return res.status(400).json({ error: invalid });
     }
 
-    const { type, story, stories, detailed, limit } = req.body;
+    const retryAfter = applyRateLimits(req, res);
+
+    if (retryAfter > 0) {
+        await recordRejection('rateLimited');
+        res.setHeader('Retry-After', retryAfter.toString());
+        return res.status(429).json({ error: 'Too many AI requests, try again shortly' });
+    }
+
+    const { type, story, stories, comments, detailed } = value;
 
     try {
-        let messages = [];
-        let maxTokens = 100;
+        const provider = getProvider();
+
+        if (!provider.isConfigured()) {
+            return res.status(500).json({ error: `LLM provider "${provider.name}" is not configured on server` });
+        }
+
+        // Summaries from another model are not reused either
+        const version = `${PROMPT_VERSION}:${provider.name}:${provider.model}`;
 
         if (type === 'single') {
-            const systemPrompt = detailed
-                ? 'You are a tech news analyst. Provide a detailed 3-4 sentence analysis of this story, explaining the context, technical details if relevant, and why it matters to the industry.'
-                : 'You are a tech news summarizer. Generate a concise 1-2 sentence summary explaining why this story matters to tech professionals. Be specific and insightful, not generic.';
+            const key = summaryKey(story, detailed ? 'detailed' : 'short', version);
+            const cached = await getSummary(key);
 
-            const userPrompt = detailed
-                ? `Analyze this tech news story in detail:\n\nTitle: ${story.title}\nSource: ${story.domain || 'Hacker News'}\nEngagement: ${story.points} points, ${story.commentCount} comments`
-                : `Summarize this tech news story:\n\nTitle: ${story.title}\nSource: ${story.domain || 'Hacker News'}\nEngagement: ${story.points} points, ${story.commentCount} comments`;
+            if (cached) {
+                await recordCacheHits(1);
+                res.setHeader('X-Cache', 'HIT');
+                return res.status(200).json({
+                    content: cached.summary,
+                    basis: cached.basis,
+                    cached: true,
+                    provider: provider.name,
+                    model: provider.model
+                });
+            }
 
-            maxTokens = detailed ? 200 : 100;
-            messages = [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ];
+            await ensureBudget();
+
+            const { article, retryable } = await loadArticleText(story.url);
+            const basis = article ? 'full-text' : 'title';
+            const { text, usage, cost } = await complete(provider, buildSingleRequest(story, detailed, article));
+            if (text) await saveSummary(key, text, basis, { provisional: retryable });
+
+            res.setHeader('X-Cache', 'MISS');
+            return res.status(200).json({
+                content: text,
+                basis,
+                cached: false,
+                provider: provider.name,
+                model: provider.model,
+                usage,
+                cost
+            });
 
         } else if (type === 'batch') {
-            const topStories = stories.slice(0, limit || 10);
-            const storyList = topStories
-                .map((s, i) => `${i + 1}. "${s.title}" (${s.points} pts)`)
-                .join('\n');
-
-            messages = [
-                {
-                    role: 'system',
-                    content: `You are a tech news analyst. For each story, provide a brief 1-sentence summary explaining its significance. Format: Return a JSON array of objects with "index" (1-based) and "summary" fields. Be insightful and specific.`
-                },
-                {
-                    role: 'user',
-                    content: `Summarize these top tech stories:\n\n${storyList}`
-                }
-            ];
-            maxTokens = 800;
+            return await streamSummaries(res, provider, stories, version);
 
         } else {
-            return res.status(400).json({ error: 'Invalid request type' });
+            await ensureBudget();
+
+            const { text, usage, cost } = await complete(provider, buildDiscussionRequest(story, comments));
+            return res.status(200).json({
+                content: text,
+                provider: provider.name,
+                model: provider.model,
+                usage,
+                cost
+            });
         }
 
-        const response = await fetch(OPENAI_API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-3.5-turbo',
-                messages,
-                max_tokens: maxTokens,
-                temperature: 0.7
-            })
-        });
+    } catch (error) {
+        if (error.status) {
+            if (error.retryAfter) res.setHeader('Retry-After', error.retryAfter.toString());
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        console.error('Error in AI function:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+}
+
+/**
+ * Validates the request body and copies out only the fields the prompts use,
+ * so clients can't inflate prompts (and the bill) with oversized payloads
+ * @param {Object} body - Request body
+ * @returns {Object} { value: { type, story, stories, comments, detailed } } or { error }
+ */
+function validateRequest(body) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'Request body must be a JSON object' };
+    }
+
+    const { type } = body;
+
+    if (type === 'single') {
+        const story = sanitizeStory(body.story);
+        if (!story || story.id === null) return { error: 'A story with an id and a title is required' };
+
+        return { value: { type, story, detailed: body.detailed === true } };
+    }
+
+    if (type === 'batch') {
+        if (!Array.isArray(body.stories) || body.stories.length === 0) {
+            return { error: 'Stories are required' };
+        }
+        if (body.stories.length > MAX_BATCH) {
+            return { error: `At most ${MAX_BATCH} stories per batch` };
+        }
+
+        const limit = body.limit === undefined ? MAX_BATCH : Number(body.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_BATCH) {
+            return { error: `limit must be an integer from 1 to ${MAX_BATCH}` };
+        }
+
+        const stories = body.stories.map(sanitizeStory);
+        if (stories.some(story => !story || story.id === null)) {
+            return { error: 'Every story needs an id and a title' };
+        }
+
+        return { value: { type, stories: stories.slice(0, limit) } };
+    }
 
-        if (!response.ok) {
-            const error = await response.json();
-            return res.status(response.status).json({ error: error.error?.message || 'OpenAI API error' });
+    if (type === 'discussion') {
+        const story = sanitizeStory(body.story);
+        const comments = Array.isArray(body.comments)
+            ? body.comments
+                .slice(0, MAX_COMMENTS)
+                .map(comment => ({
+                    author: String(comment?.author || 'anonymous').slice(0, 50),
+                    text: String(comment?.text || '').slice(0, 600)
+                }))
+                .filter(comment => comment.text.trim())
+            : [];
+
+        if (!story || comments.length === 0) {
+            return { error: 'A story and its comments are required' };
         }
 
-        const data = await response.json();
-        return res.status(200).json(data);
+        return { value: { type, story, comments } };
+    }
 
+    return { error: 'Invalid request type' };
+}
+
+/**
+ * Copies the prompt fields of a story, bounding their size
+ * @param {Object} story - Story from the request
+ * @returns {Object|null} { id, title, url, domain, points, commentCount }, or null without a title
+ */
+function sanitizeStory(story) {
+    if (!story || typeof story !== 'object' || typeof story.title !== 'string' || !story.title.trim()) {
+        return null;
+    }
+
+    const hasId = typeof story.id === 'string' || typeof story.id === 'number';
+    const url = typeof story.url === 'string' && /^https?:\/\//.test(story.url) && story.url.length <= 2048
+        ? story.url
+        : null;
+
+    return {
+        id: hasId ? String(story.id).slice(0, 100) : null,
+        title: story.title.trim().slice(0, MAX_TITLE_CHARS),
+        url,
+        domain: typeof story.domain === 'string' ? story.domain.slice(0, 200) : null,
+        points: Number.isFinite(story.points) ? story.points : null,
+        commentCount: Number.isFinite(story.commentCount) ? story.commentCount : null
+    };
+}
+
+/**
+ * Loads a story's article for the prompt. Summaries fall back to the title
+ * when the page can't be fetched or has no readable text, so failures are
+ * logged rather than thrown.
+ * @param {string} url - Story URL
+ * @returns {Promise<Object>} { article, retryable }: article is null without one; retryable
+ *   says the failure may pass (timeout, network or upstream error), unlike a page with no readable text
+ */
+async function loadArticleText(url) {
+    if (!url) return { article: null, retryable: false };
+
+    try {
+        const { article } = await loadArticle(url);
+        return { article, retryable: false };
     } catch (error) {
-        console.error('Error in OpenAI function:', error);
-        return res.status(500).json({ error: 'Internal Server Error' });
+        console.warn(`Summarizing from title only, article unavailable (${url}): ${error.message}`);
+        return { article: null, retryable: !PERMANENT_ARTICLE_ERRORS.includes(error.status) };
+    }
+}
+
+/**
+ * Builds the completion request for one story
+ * @param {Object} story - Story to summarize
+ * @param {boolean} detailed - Detailed analysis instead of a short summary
+ * @param {Object|null} article - Extracted article, or null to summarize from the title
+ * @returns {Object} Completion request
+ */
+function buildSingleRequest(story, detailed, article) {
+    let details = `Title: ${story.title}\nSource: ${story.domain || 'Hacker News'}\nEngagement: ${story.points} points, ${story.commentCount} comments`;
+
+    if (article) {
+        if (article.byline) details += `\nBy: ${article.byline}`;
+        if (article.publishedAt) details += `\nPublished: ${article.publishedAt.slice(0, 10)}`;
+        details += `\n\nArticle text:\n${article.text.slice(0, ARTICLE_PROMPT_CHARS)}`;
+    } else {
+        details += '\n\n(Article text unavailable; only the title is known.)';
+    }
+
+    return {
+        task: 'single',
+        input: { story, detailed, article },
+        messages: [
+            { role: 'system', content: detailed ? PROMPTS.detailed : PROMPTS.short },
+            {
+                role: 'user',
+                content: detailed
+                    ? `Analyze this tech news story in detail:\n\n${details}`
+                    : `Summarize this tech news story:\n\n${details}`
+            }
+        ],
+        maxTokens: detailed ? 200 : 100,
+        temperature: 0.7
+    };
+}
+
+/**
+ * Builds the completion request for a batch of short summaries
+ * @param {Object[]} stories - Stories in prompt order
+ * @returns {Object} Completion request
+ */
+function buildBatchRequest(stories) {
+    const storyList = stories
+        .map((s, i) => `${i + 1}. "${s.title}" (${s.points} pts)`)
+        .join('\n');
+
+    return {
+        task: 'batch',
+        input: { stories },
+        messages: [
+            { role: 'system', content: PROMPTS.batch },
+            { role: 'user', content: `Summarize these top tech stories:\n\n${storyList}` }
+        ],
+        maxTokens: 800,
+        temperature: 0.7
+    };
+}
+
+/**
+ * Builds the completion request for a discussion digest
+ * @param {Object} story - Story the thread belongs to
+ * @param {Object[]} comments - Top comments as { author, text }
+ * @returns {Object} Completion request
+ */
+function buildDiscussionRequest(story, comments) {
+    const topComments = comments.slice(0, 30);
+    const commentList = topComments
+        .map((c, i) => `[${i + 1}] ${c.author}: ${String(c.text).slice(0, 600)}`)
+        .join('\n\n');
+
+    return {
+        task: 'discussion',
+        input: { story, comments: topComments },
+        messages: [
+            { role: 'system', content: PROMPTS.discussion },
+            { role: 'user', content: `Story: ${story.title}\n\nTop comments:\n\n${commentList}` }
+        ],
+        maxTokens: 400,
+        temperature: 0.7
+    };
+}
+
+/**
+ * Answers a batch as SSE. Cached summaries are sent first, a story's single
+ * summary (which may be written from the article) ahead of its batch one;
+ * the remaining
+ * stories are streamed from the model, with a "summary" event for each story
+ * as soon as its line is complete and a final "done" event that lists the
+ * stories left without a summary so the client can retry them (pointless
+ * once budgetReached is set). Headers go out with the first event, so a
+ * provider that fails up front still gets a normal JSON error response.
+ * @param {Object} res - Response object
+ * @param {Object} provider - LLM provider
+ * @param {Object[]} stories - Stories to summarize
+ * @param {string} version - Prompt version for cache keys
+ */
+async function streamSummaries(res, provider, stories, version) {
+    const send = (event, data) => {
+        if (!res.headersSent) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive'
+            });
+        }
+        res.write(formatEvent(event, data));
+    };
+
+    // Batch summaries are title-only, so they get their own entries rather
+    // than taking the place of an article-based single summary
+    const delivered = new Set();
+    const keys = new Map(stories.map(story => [story.id, summaryKey(story, 'batch', version)]));
+    const cachedSummaries = await Promise.all(stories.map(async story =>
+        await getSummary(summaryKey(story, 'short', version)) || getSummary(keys.get(story.id))
+    ));
+    const uncached = stories.filter((story, index) => !cachedSummaries[index]);
+
+    await recordCacheHits(stories.length - uncached.length);
+
+    stories.forEach((story, index) => {
+        if (!cachedSummaries[index]) return;
+        delivered.add(story.id);
+        send('summary', {
+            id: String(story.id),
+            summary: cachedSummaries[index].summary,
+            basis: cachedSummaries[index].basis,
+            cached: true
+        });
+    });
+
+    let pending = '';
+    let usage = null;
+    let budgetReached = false;
+    const saves = [];
+
+    const sendLine = line => {
+        const item = parseSummaryLine(line);
+        const story = item && uncached[item.index - 1];
+        if (!story || delivered.has(story.id)) return;
+
+        delivered.add(story.id);
+        saves.push(saveSummary(keys.get(story.id), item.summary, 'title'));
+        send('summary', { id: String(story.id), summary: item.summary, basis: 'title', cached: false });
+    };
+
+    if (uncached.length > 0) {
+        const budget = await checkBudget();
+        budgetReached = !budget.allowed;
+
+        if (budgetReached) {
+            await recordRejection('overBudget');
+            if (!res.headersSent) {
+                res.setHeader('Retry-After', budget.retryAfter.toString());
+                return res.status(429).json({ error: 'Daily AI budget reached; summaries resume tomorrow' });
+            }
+        }
+    }
+
+    if (uncached.length > 0 && !budgetReached) {
+        const request = buildBatchRequest(uncached);
+        let streamed = '';
+
+        try {
+            const result = await provider.stream(request, delta => {
+                streamed += delta;
+                pending += delta;
+                const lines = pending.split('\n');
+                pending = lines.pop();
+                lines.forEach(sendLine);
+            });
+            sendLine(pending);
+            usage = result.usage;
+        } catch (error) {
+            // The provider bills what it sent before the stream broke, so
+            // that output is estimated and counted against the budget too
+            if (streamed) usage = buildUsage(request, streamed);
+            if (!res.headersSent) throw error;
+
+            console.error('Error streaming summaries:', error);
+            send('error', { error: 'Summary stream interrupted' });
+        } finally {
+            if (usage) {
+                await recordUsage({
+                    type: 'batch',
+                    provider: provider.name,
+                    model: provider.model,
+                    usage,
+                    cost: estimateCost(provider, usage)
+                });
+            }
+        }
+    }
+
+    await Promise.all(saves);
+
+    const missing = stories
+        .filter(story => !delivered.has(story.id))
+        .map(story => String(story.id));
+
+    send('done', {
+        missing,
+        cached: stories.length - uncached.length,
+        budgetReached,
+        provider: provider.name,
+        model: provider.model,
+        usage,
+        cost: usage ? estimateCost(provider, usage) : null
+    });
+    res.end();
+}
+
+/**
+ * Parses one line of the batch output into { index, summary }. Tolerates the
+ * model wrapping the objects in an array or code fence; anything else on the
+ * line only costs that one story its summary.
+ * @param {string} line - Line of model output
+ * @returns {Object|null} Parsed item, or null if the line is not a summary
+ */
+function parseSummaryLine(line) {
+    const text = line.trim().replace(/^[[,\s]+|[\],\s]+$/g, '');
+    if (!text.startsWith('{')) return null;
+
+    try {
+        const item = JSON.parse(text);
+        const index = Number(item.index);
+        if (!Number.isInteger(index) || typeof item.summary !== 'string' || !item.summary.trim()) {
+            return null;
+        }
+        return { index, summary: item.summary.trim() };
+    } catch {
+        return null;
     }
 }
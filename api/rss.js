@@ -0,0 +1,105 @@
+import { createCache } from './_lib/cache.js';
+import { hackerNewsSources } from '../src/sources/hackerNewsSource.js';
+import { parseViewState } from '../src/utils/router.js';
+import { parseSearchQuery } from '../src/utils/searchQuery.js';
+import { filterStories, sortStories } from '../src/utils/storyFilters.js';
+import { formatViewTitle, renderStoriesRss } from '../src/utils/storyExport.js';
+import { readNumber } from './_lib/env.js';
+
+const RSS_CACHE_TTL = readNumber(process.env.RSS_CACHE_TTL, 300);
+
+// Stories fetched per list; each feed filters them the way the page does
+const FEED_CANDIDATES = 100;
+const DEFAULT_ITEMS = 30;
+
+// Feeds take the page's query parameters (source, q, time, sort, show),
+// so a view's feed URL is its page URL with /api/rss as the path
+const FEED_DEFAULTS = {
+    storyType: 'top',
+    category: '',
+    country: '',
+    searchQuery: '',
+    timeFilter: 'all',
+    sortBy: 'rank',
+    displayCount: DEFAULT_ITEMS,
+    archiveSearch: {}
+};
+
+// One entry per HN list; the filters are applied per request
+const cache = createCache({
+    ttl: RSS_CACHE_TTL * 1000,
+    maxEntries: hackerNewsSources.length
+});
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const origin = getOrigin(req);
+    const feedUrl = new URL(req.url, origin);
+    const view = parseViewState(feedUrl.search, FEED_DEFAULTS);
+    const source = hackerNewsSources.find(item => item.id === view.storyType);
+
+    if (!source) {
+        return res.status(400).json({
+            error: `Feeds are available for the Hacker News lists: ${hackerNewsSources.map(item => item.id).join(', ')}`
+        });
+    }
+
+    const search = parseSearchQuery(view.searchQuery);
+    if (search.error) {
+        return res.status(400).json({ error: `Invalid search query: ${search.error}` });
+    }
+
+    const cached = cache.get(source.id);
+
+    try {
+        const stories = cached ? cached.value : await cache.load(source.id, () => loadStories(source));
+        const items = sortStories(filterStories(stories, search, view.timeFilter), view.sortBy)
+            .slice(0, Math.min(view.displayCount, FEED_CANDIDATES));
+
+        const pageUrl = new URL('/', origin);
+        pageUrl.search = feedUrl.search;
+
+        const sourceLabel = `${source.group} - ${source.label}`;
+        const title = formatViewTitle({
+            sourceLabel,
+            searchQuery: view.searchQuery,
+            timeFilter: view.timeFilter,
+            sortBy: view.sortBy
+        });
+
+        res.setHeader('X-Cache', cached ? 'HIT' : 'MISS');
+        res.setHeader('Cache-Control', `public, s-maxage=${RSS_CACHE_TTL}`);
+        res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
+        return res.status(200).send(renderStoriesRss(items, {
+            title,
+            link: pageUrl.href,
+            selfUrl: feedUrl.href,
+            description: `${sourceLabel} stories${search.query ? ` matching ${view.searchQuery.trim()}` : ''}, with their hotness, velocity and discussion level`
+        }));
+    } catch (error) {
+        console.error('Error building RSS feed:', error);
+        return res.status(502).json({ error: 'Failed to load stories' });
+    }
+}
+
+/**
+ * Loads and formats the stories of an HN list
+ * @param {Object} source - HN source adapter
+ * @returns {Promise<Object[]>} Formatted stories in rank order
+ */
+async function loadStories(source) {
+    return source.normalize(await source.fetch({ limit: FEED_CANDIDATES }));
+}
+
+/**
+ * Gets the origin the request was made to, for the feed's own links
+ * @param {Object} req - Request
+ * @returns {string} e.g. "https://hotstrends.example.com"
+ */
+function getOrigin(req) {
+    const protocol = req.headers?.['x-forwarded-proto']?.split(',')[0].trim() || 'https';
+    return `${protocol}://${req.headers?.host || 'localhost'}`;
+}
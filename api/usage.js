@@ -0,0 +1,43 @@
+import { timingSafeEqual } from 'node:crypto';
+import { getUsageReport } from './_lib/usage.js';
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const adminToken = process.env.ADMIN_TOKEN;
+
+    // Without a token the endpoint doesn't exist as far as visitors can tell
+    if (!adminToken) {
+        return res.status(404).json({ error: 'Not found' });
+    }
+
+    if (!isAuthorized(req.headers?.authorization, adminToken)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const days = Math.min(Math.max(Number(req.query?.days) || 7, 1), 31);
+
+    try {
+        const report = await getUsageReport(days);
+
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).json({ status: 'ok', ...report });
+    } catch (error) {
+        console.error('Error reading AI usage:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+}
+
+/**
+ * Compares the Authorization header with the admin token in constant time
+ * @param {string} header - Authorization header
+ * @param {string} token - Configured admin token
+ * @returns {boolean} True when the header carries the token
+ */
+function isAuthorized(header, token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const actual = Buffer.from(String(header || ''));
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
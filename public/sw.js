@@ -0,0 +1,144 @@
+/**
+ * Service Worker
+ * Caches the app shell (the page, its bundles, icons and fonts) so
+ * HotsTrends opens without a connection. The last story lists and their AI
+ * summaries are written to the data cache by the page itself
+ * (src/services/offlineService.js), since summaries come from POST requests.
+ */
+
+const SHELL_CACHE = 'hotstrends-shell-v1';
+const DATA_CACHE = 'hotstrends-data-v1';
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/icon.svg', '/icon-192.png'];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_URLS);
+        await cache.addAll(await getPageAssets(cache));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name !== SHELL_CACHE && name !== DATA_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (url.origin === self.location.origin && (url.pathname.startsWith('/assets/') || SHELL_URLS.includes(url.pathname))) {
+        event.respondWith(cacheFirst(request));
+    } else if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+    // API requests go straight to the network; the page keeps its own offline copy
+});
+
+// Watchlist notifications shown through the registration open their story
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const url = event.notification.data?.url;
+
+    event.waitUntil((async () => {
+        if (url) return self.clients.openWindow(url);
+
+        const windows = await self.clients.matchAll({ type: 'window' });
+        return windows.length > 0 ? windows[0].focus() : self.clients.openWindow('/');
+    })());
+});
+
+/**
+ * Serves pages from the network, keeping the latest copy of the app page for
+ * offline use. Only the app page itself is stored as '/': other navigations
+ * (the RSS feed, a JSON API URL opened in a tab) would replace the shell.
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Page
+ */
+async function handleNavigation(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok && isAppPage(request, response)) {
+            await cache.put('/', response.clone());
+            await pruneAssets(cache);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match('/');
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Tells whether a navigation response is the app page
+ * @param {Request} request - Navigation request
+ * @param {Response} response - Its response
+ * @returns {boolean} True for an HTML response to / or /index.html
+ */
+function isAppPage(request, response) {
+    const { pathname } = new URL(request.url);
+
+    return ['/', '/index.html'].includes(pathname) &&
+        (response.headers.get('content-type') || '').includes('text/html');
+}
+
+/**
+ * Serves from the cache, fetching and caching on a miss. Bundles have
+ * hashed names, so a cached copy never goes stale.
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Lists the bundles the cached page links to
+ * @param {Cache} cache - Shell cache holding the page
+ * @returns {Promise<string[]>} Asset paths
+ */
+async function getPageAssets(cache) {
+    const page = await cache.match('/');
+    if (!page) return [];
+
+    const html = await page.text();
+    return [...new Set([...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]))];
+}
+
+/**
+ * Drops bundles of earlier deploys that the cached page no longer links to
+ * @param {Cache} cache - Shell cache
+ */
+async function pruneAssets(cache) {
+    const current = new Set(await getPageAssets(cache));
+    const requests = await cache.keys();
+
+    await Promise.all(requests
+        .filter(request => {
+            const { pathname } = new URL(request.url);
+            return pathname.startsWith('/assets/') && !current.has(pathname);
+        })
+        .map(request => cache.delete(request)));
+}
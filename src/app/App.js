@@ -4,28 +4,87 @@
  */
 
 import { Header } from '../components/Header.js';
-import { FilterBar, updateFilterState } from '../components/FilterBar.js';
-import { NewsList, StatsBar } from '../components/NewsList.js';
+import { FilterBar, updateFilterState, updateLiveState, updateAlertCount, updateSearchState } from '../components/FilterBar.js';
+import { NewsList, StatsBar, updateNewsList } from '../components/NewsList.js';
 import { Loader, SkeletonLoader, ErrorState, EmptyState } from '../components/Loader.js';
 import { TrendingTopics, updateTrendingTopics } from '../components/TrendingTopics.js';
+import { FeedManager } from '../components/FeedManager.js';
+import { CommentThread } from '../components/CommentThread.js';
+import { DigestPanel } from '../components/DigestPanel.js';
+import { TopicTimeline } from '../components/TopicTimeline.js';
+import { WatchlistPanel } from '../components/WatchlistPanel.js';
+import { SavedToolbar } from '../components/SavedToolbar.js';
+import { fetchThread, fetchComments } from '../services/hackerNewsService.js';
+import { isConfigured as isNewsApiConfigured } from '../services/newsApiService.js';
+import { getSource, getSources, loadSource, loadMore, registerSource, unregisterSource, createRssSource } from '../sources/index.js';
+import { getSavedFeeds, addFeed, removeFeed } from '../services/feedService.js';
 import {
-    fetchStories
-} from '../services/hackerNewsService.js';
+    recordTopics,
+    getTopicHistory,
+    clearTopicHistory,
+    buildTopicTimeline,
+    exportTopicHistory
+} from '../services/topicHistoryService.js';
 import {
-    fetchTopHeadlines,
-    isConfigured as isNewsApiConfigured
-} from '../services/newsApiService.js';
+    getWatchRules,
+    saveWatchRule,
+    removeWatchRule,
+    getAlerts,
+    recordAlerts,
+    getUnreadAlertCount,
+    markAlertsRead,
+    clearAlerts,
+    getNotificationPermission,
+    requestNotificationPermission,
+    notifyAlerts
+} from '../services/watchlistService.js';
+import {
+    getSavedIds,
+    saveStory,
+    removeSavedStory,
+    getReadIds,
+    markRead,
+    clearReadHistory,
+    exportBookmarks,
+    importBookmarks
+} from '../services/bookmarkService.js';
+import { registerServiceWorker, isOffline, saveOfflineStories, loadOfflineStories } from '../services/offlineService.js';
 import {
     summarizeStories,
     summarizeStory,
+    summarizeDiscussion,
+    generateDigest,
     isConfigured as isOpenAIConfigured
 } from '../services/openaiService.js';
-import { createElement } from '../utils/helpers.js';
+import { createElement, escapeHtml, htmlToText, downloadFile } from '../utils/helpers.js';
+import { extractTrendingTopics } from '../utils/topics.js';
+import { findWatchMatches } from '../utils/watchRules.js';
+import { parseSearchQuery, quoteSearchTerm } from '../utils/searchQuery.js';
+import { filterStories, sortStories } from '../utils/storyFilters.js';
+import { EXPORT_FORMATS, formatViewTitle } from '../utils/storyExport.js';
+import { createPoller } from '../utils/poller.js';
+import { createRouter } from '../utils/router.js';
+import { createStore, createSelector } from '../utils/store.js';
+import { patchSlot } from '../utils/reconcile.js';
+import { isAbortError } from '../utils/requestScheduler.js';
+import { diffStories } from '../utils/storyDiff.js';
+
+/**
+ * Live mode polling interval (1 minute), backing off to 8 minutes on errors
+ */
+const LIVE_INTERVAL = 60 * 1000;
 
 /**
- * Application state
+ * Stories fetched per source page, and how many more are shown per scroll step
  */
-const state = {
+const PAGE_SIZE = 30;
+const DISPLAY_STEP = 10;
+
+/**
+ * Application store. Handlers change it with store.setState; the content
+ * subscribes to it and patches only the parts whose inputs changed.
+ */
+const store = createStore({
     stories: [],
     isLoading: false,
     error: null,
@@ -37,25 +96,118 @@ const state = {
         searchQuery: '',
         timeFilter: 'all'
     },
+    archiveSearch: { query: '', tags: 'story', from: '', to: '', minPoints: '', sort: 'relevance' }, // HN search parameters
+    search: parseSearchQuery(''), // Parsed searchQuery: { query, terms, error }
     lastUpdated: null,
+    failedCount: 0, // Items the source could not load on the last fetch
     // AI state
     aiEnabled: true,
     aiLoading: false,
-    aiSummaries: new Map(),
+    aiSummaries: new Map(), // Story ID to { text, basis, cached }; kept across reloads so stories are only summarized once
+    aiCachedCount: 0, // Summaries of the last run the server answered from its cache
     // Sort state
     sortBy: 'rank', // 'rank' or 'velocity'
     // Pagination
-    displayCount: 10
-};
+    displayCount: DISPLAY_STEP,
+    cursor: null, // Next page of the current source, null when exhausted or unpaged
+    isLoadingMore: false,
+    loadMoreError: null,
+    // Live mode
+    liveEnabled: false,
+    liveStatus: null, // 'live', 'paused', 'backoff' or null
+    storyChanges: new Map(),
+    // Watchlist
+    watchMatches: new Map(), // Story ID to the watch rules it matches
+    // Bookmarks
+    savedIds: getSavedIds(),
+    readIds: getReadIds(), // Stories the user opened
+    hideRead: false,
+    // Offline
+    offline: isOffline(),
+    fromCache: false // Stories are the copy kept from an earlier load
+});
+
+// Shared by stories without watch matches, so their cards compare equal between renders
+const NO_MATCHES = [];
+
+/**
+ * Stories matching the search and time filters. The AI summaries only
+ * matter while there is a query, since the search also looks at them.
+ */
+const selectMatchingStories = createSelector(
+    [
+        state => state.stories,
+        state => state.search,
+        state => state.filters.timeFilter,
+        state => (state.search.query ? state.aiSummaries : null)
+    ],
+    filterStories
+);
+
+/**
+ * Matching stories, without the ones already read when those are hidden
+ */
+const selectFilteredStories = createSelector(
+    [selectMatchingStories, state => (state.hideRead ? state.readIds : null)],
+    (stories, readIds) => (readIds ? stories.filter(story => !readIds.has(story.id.toString())) : stories)
+);
+
+/**
+ * Filtered stories in display order, with their AI summary, live-mode
+ * change, watch matches and saved/read state merged in for the cards.
+ * Saved stories bring the summary they were saved with.
+ */
+const selectListStories = createSelector(
+    [
+        selectFilteredStories,
+        state => state.aiSummaries,
+        state => state.storyChanges,
+        state => state.watchMatches,
+        state => state.savedIds,
+        state => state.readIds,
+        state => state.sortBy
+    ],
+    (stories, aiSummaries, storyChanges, watchMatches, savedIds, readIds, sortBy) => {
+        const listStories = stories.map(story => {
+            const id = story.id.toString();
+            const summary = aiSummaries.get(id);
+            return {
+                ...story,
+                aiSummary: summary?.text || story.aiSummary || null,
+                aiSummaryBasis: summary?.basis || story.aiSummaryBasis || null,
+                change: storyChanges.get(id) || null,
+                watchMatches: watchMatches.get(id) || NO_MATCHES,
+                isSaved: savedIds.has(id),
+                isRead: readIds.has(id)
+            };
+        });
+
+        return sortStories(listStories, sortBy);
+    }
+);
 
 /**
  * DOM element references
  */
 let appContainer = null;
-let contentContainer = null;
+let contentSlots = null;
 let trendingSidebar = null;
 let filterBarElement = null;
 let headerElement = null;
+let livePoller = null;
+let router = null;
+let feedManagerElement = null;
+let threadElement = null;
+let threadController = null;
+let digestElement = null;
+let digestController = null;
+let timelineElement = null;
+let timelineController = null;
+let watchlistElement = null;
+let watchlistController = null;
+let loadController = null;
+let moreController = null;
+let scrollObserver = null;
 
 /**
  * Initializes the application
@@ -63,10 +215,91 @@ let headerElement = null;
  */
 export function initApp(container) {
     appContainer = container;
+
+    // Restore the view from the URL; the initial state is the default view
+    router = createRouter({ defaults: getViewState(), onNavigate: handleNavigate });
+    applyViewState(router.read());
+    router.start();
+
+    registerServiceWorker();
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    livePoller = createPoller(refreshLive, {
+        interval: LIVE_INTERVAL,
+        onStatusChange: handleLiveStatusChange
+    });
     renderApp();
     loadStories();
 }
 
+/**
+ * Gets the parts of the state that make up a shareable view
+ * @returns {Object} View (see serializeViewState)
+ */
+function getViewState() {
+    return {
+        storyType: store.state.filters.storyType,
+        category: store.state.filters.category,
+        country: store.state.filters.country,
+        searchQuery: store.state.filters.searchQuery,
+        timeFilter: store.state.filters.timeFilter,
+        sortBy: store.state.sortBy,
+        displayCount: store.state.displayCount,
+        archiveSearch: { ...store.state.archiveSearch }
+    };
+}
+
+/**
+ * Copies a view into the store. A source that no longer exists (e.g. an
+ * unfollowed feed in an old link) keeps the current source.
+ * @param {Object} view - View from the router
+ */
+function applyViewState(view) {
+    const { filters, search } = store.state;
+
+    store.setState({
+        filters: {
+            ...filters,
+            storyType: getSource(view.storyType) ? view.storyType : filters.storyType,
+            category: view.category,
+            country: view.country,
+            searchQuery: view.searchQuery,
+            timeFilter: view.timeFilter
+        },
+        search: view.searchQuery === filters.searchQuery ? search : parseSearchQuery(view.searchQuery),
+        sortBy: view.sortBy,
+        displayCount: view.displayCount,
+        archiveSearch: { ...view.archiveSearch }
+    });
+}
+
+/**
+ * Writes the current view to the URL
+ * @param {boolean} replace - Update the current history entry instead of adding one
+ */
+function syncUrl(replace = false) {
+    router?.update(getViewState(), { replace });
+}
+
+/**
+ * Shows the view of a history entry when the user goes back or forward
+ * @param {Object} view - View from the URL
+ */
+function handleNavigate(view) {
+    const previous = getViewState();
+    applyViewState(view);
+    rerenderFilterBar();
+
+    // Source parameters need a fetch; search, time and sort are applied to the loaded stories
+    const needsFetch = ['storyType', 'category', 'country'].some(key => previous[key] !== store.state.filters[key]) ||
+        (isSearchSource() && JSON.stringify(previous.archiveSearch) !== JSON.stringify(store.state.archiveSearch));
+
+    if (needsFetch) {
+        loadStories();
+    }
+}
+
 /**
  * Renders the full application structure
  */
@@ -75,30 +308,33 @@ function renderApp() {
 
     // Header with AI toggle
     headerElement = Header({
-        aiEnabled: state.aiEnabled,
+        aiEnabled: store.state.aiEnabled,
         onAIToggle: handleAIToggle
     });
     appContainer.appendChild(headerElement);
 
     // Filter bar
-    filterBarElement = FilterBar({
-        currentFilters: state.filters,
-        onFilterChange: handleFilterChange,
-        onRefresh: handleRefresh,
-        onSearch: handleSearch
-    });
+    filterBarElement = createFilterBar();
     appContainer.appendChild(filterBarElement);
 
     // Main layout with sidebar
     const mainLayout = createElement('<div class="main-layout"></div>');
 
-    // Main content area
+    // Main content area: one slot per part, each patched on its own
     const main = createElement('<main class="main-content"></main>');
-    contentContainer = main;
+    contentSlots = {
+        toolbar: createElement('<div class="content-slot"></div>'),
+        status: createElement('<div class="content-slot"></div>'),
+        stats: createElement('<div class="content-slot"></div>'),
+        searchError: createElement('<div class="content-slot"></div>'),
+        list: NewsList([]),
+        footer: createElement('<div class="content-slot"></div>')
+    };
+    Object.values(contentSlots).forEach(slot => main.appendChild(slot));
     mainLayout.appendChild(main);
 
-    // Trending sidebar
-    trendingSidebar = TrendingTopics([], handleSearch);
+    // Trending sidebar, following the visible stories
+    trendingSidebar = TrendingTopics(selectFilteredStories(store.state), handleTopicSearch, handleShowTimeline);
     mainLayout.appendChild(trendingSidebar);
 
     appContainer.appendChild(mainLayout);
@@ -107,135 +343,239 @@ function renderApp() {
     const footer = createFooter();
     appContainer.appendChild(footer);
 
-    // Initial render of content
+    // Initial render of content, then keep it in step with the store
     renderContent();
+    store.subscribe(renderContent);
+    store.select(selectFilteredStories, stories => updateTrendingTopics(trendingSidebar, stories, handleTopicSearch));
 }
 
 /**
- * Renders content based on current state
+ * Creates the filter bar from current state
+ * @returns {HTMLElement} Filter bar element
  */
-function renderContent() {
-    if (!contentContainer) return;
-
-    contentContainer.innerHTML = '';
+function createFilterBar() {
+    return FilterBar({
+        currentFilters: store.state.filters,
+        onFilterChange: handleFilterChange,
+        onRefresh: handleRefresh,
+        onSearch: handleSearch,
+        liveEnabled: store.state.liveEnabled,
+        onLiveToggle: handleLiveToggle,
+        onManageFeeds: handleManageFeeds,
+        onDigest: isOpenAIConfigured() ? handleOpenDigest : null,
+        onWatchlist: handleOpenWatchlist,
+        alertCount: getUnreadAlertCount(),
+        searchError: store.state.search.error,
+        archiveSearch: store.state.archiveSearch,
+        onArchiveSearch: handleArchiveSearch
+    });
+}
 
-    if (state.isLoading) {
-        contentContainer.appendChild(Loader('Fetching stories...'));
-        contentContainer.appendChild(SkeletonLoader(5));
-        return;
-    }
+/**
+ * Rebuilds the filter bar, e.g. after the source list changed
+ */
+function rerenderFilterBar() {
+    const newFilterBar = createFilterBar();
+    filterBarElement.replaceWith(newFilterBar);
+    filterBarElement = newFilterBar;
+}
 
-    if (state.error) {
-        contentContainer.appendChild(ErrorState(
-            'Failed to load stories',
-            state.error,
-            handleRefresh
-        ));
-        return;
-    }
+/**
+ * Brings the content in line with the store. Every part is patched only when
+ * its own inputs changed, so e.g. an arriving AI summary re-renders one card
+ * and the stats bar, and the reader keeps their scroll position and focus.
+ */
+function renderContent() {
+    if (!contentSlots) return;
 
-    if (state.stories.length === 0) {
-        contentContainer.appendChild(EmptyState(
-            'No stories found',
-            'Try selecting a different source or adjusting your filters'
-        ));
-        return;
-    }
+    const { state } = store;
+    const status = getContentStatus(state);
+    const isSavedView = state.filters.storyType === 'saved';
 
-    // Filter stories by search query
-    let filteredStories = state.stories;
+    // The Saved view's import stays reachable while it is empty
+    patchSlot(contentSlots.toolbar, isSavedView ? {
+        onExport: handleExportSaved,
+        onImport: handleImportSaved,
+        onClearRead: handleClearReadHistory
+    } : null, SavedToolbar);
+    patchSlot(contentSlots.status, status, renderContentStatus);
 
-    if (state.filters.searchQuery) {
-        const query = state.filters.searchQuery.toLowerCase();
-        filteredStories = filteredStories.filter(story =>
-            story.title.toLowerCase().includes(query) ||
-            (story.domain && story.domain.toLowerCase().includes(query)) ||
-            (story.author && story.author.toLowerCase().includes(query))
-        );
+    if (status) {
+        patchSlot(contentSlots.stats, null);
+        patchSlot(contentSlots.searchError, null);
+        updateNewsList(contentSlots.list, []);
+        patchSlot(contentSlots.footer, null);
+        return;
     }
 
-    // Filter by time
-    if (state.filters.timeFilter !== 'all') {
-        const now = new Date();
-        const cutoffs = {
-            '1h': 60 * 60 * 1000,
-            '24h': 24 * 60 * 60 * 1000,
-            '7d': 7 * 24 * 60 * 60 * 1000
-        };
-        const cutoff = cutoffs[state.filters.timeFilter];
-        if (cutoff) {
-            filteredStories = filteredStories.filter(story =>
-                story.timestamp && (now - story.timestamp) <= cutoff
-            );
-        }
-    }
+    const filteredStories = selectFilteredStories(state);
+    const listStories = selectListStories(state);
+    const displayedStories = listStories.slice(0, state.displayCount);
+    const hasMoreLoaded = listStories.length > state.displayCount;
 
-    // Stats bar
+    const source = getSource(state.filters.storyType);
     const sourceLabel = getSourceLabel(state.filters.storyType);
-    const statsBar = StatsBar({
+
+    patchSlot(contentSlots.stats, {
         count: filteredStories.length,
         source: sourceLabel,
         lastUpdated: state.lastUpdated,
         aiEnabled: state.aiEnabled,
         aiLoading: state.aiLoading,
+        aiCachedCount: state.aiCachedCount,
         sortBy: state.sortBy,
-        onSortChange: state.filters.storyType === 'newsapi' ? null : handleSortChange
+        onSortChange: source?.capabilities.hasPoints ? handleSortChange : null,
+        rankLabel: source?.rankLabel || 'Rank',
+        failedCount: state.failedCount,
+        liveStatus: state.liveStatus,
+        hideRead: state.hideRead,
+        hiddenCount: selectMatchingStories(state).length - filteredStories.length,
+        onHideReadChange: handleHideReadChange,
+        offline: state.offline,
+        fromCache: state.fromCache,
+        onExport: handleExport,
+        feedUrl: source?.capabilities.hasFeed ? getFeedUrl(state) : null
+    }, StatsBar);
+
+    // An invalid query filters nothing; say why
+    patchSlot(contentSlots.searchError, state.search.error ? { error: state.search.error } : null, ({ error }) => createElement(`
+        <p class="status-message error search-error">Search not applied: ${escapeHtml(error)}</p>
+    `));
+
+    updateNewsList(contentSlots.list, displayedStories, {
+        showSummaries: state.aiEnabled,
+        onExtendSummary: handleExtendSummary,
+        onOpenThread: handleOpenThread,
+        highlightTerms: state.search.terms,
+        onToggleSave: handleToggleSave,
+        onVisit: handleVisit
     });
-    contentContainer.appendChild(statsBar);
 
-    // Add AI summaries to stories if available
-    let storiesWithSummaries = filteredStories.map(story => ({
-        ...story,
-        aiSummary: state.aiSummaries.get(story.id.toString()) || null
-    }));
+    // Infinite scroll sentinel, or the end-of-list marker once everything is shown.
+    // The sentinel is rebuilt whenever the list grows, so its observer fires
+    // again if it is still in view.
+    let footer = null;
+    if (hasMoreLoaded || state.cursor) {
+        footer = {
+            hasMoreLoaded,
+            isLoadingMore: state.isLoadingMore,
+            loadMoreError: state.loadMoreError,
+            isFiltered: Boolean(state.filters.searchQuery) || state.filters.timeFilter !== 'all',
+            shown: displayedStories.length,
+            total: listStories.length
+        };
+    } else if (displayedStories.length > 0) {
+        footer = { sourceLabel };
+    }
+    patchSlot(contentSlots.footer, footer, props => (props.sourceLabel
+        ? createElement(`<div class="end-of-list">You've reached the end of ${escapeHtml(props.sourceLabel)}</div>`)
+        : createScrollSentinel(props)));
+}
 
-    // Sort by velocity if selected
-    if (state.sortBy === 'velocity') {
-        storiesWithSummaries = [...storiesWithSummaries].sort((a, b) => {
-            const velA = a.hotness?.velocity || 0;
-            const velB = b.hotness?.velocity || 0;
-            return velB - velA;
-        });
-        // Re-assign ranks after sorting
-        storiesWithSummaries = storiesWithSummaries.map((story, index) => ({
-            ...story,
-            rank: index + 1
-        }));
+/**
+ * Gets the loading, error or empty state to show instead of the list
+ * @param {Object} state - Store state
+ * @returns {Object|null} { type, message }, or null when there are stories to show
+ */
+function getContentStatus(state) {
+    if (state.isLoading) return { type: 'loading' };
+    if (state.error) return { type: 'error', message: state.error };
+    if (state.stories.length === 0) return { type: 'empty', saved: state.filters.storyType === 'saved' };
+    return null;
+}
+
+/**
+ * Renders the loading, error or empty state
+ * @param {Object} status - Status from getContentStatus
+ * @returns {Node} Status content
+ */
+function renderContentStatus({ type, message, saved }) {
+    if (type === 'loading') {
+        const fragment = document.createDocumentFragment();
+        fragment.append(Loader('Fetching stories...'), SkeletonLoader(5));
+        return fragment;
     }
 
-    // Limit to displayCount
-    const displayedStories = storiesWithSummaries.slice(0, state.displayCount);
-    const hasMore = storiesWithSummaries.length > state.displayCount;
+    if (type === 'error') {
+        return ErrorState('Failed to load stories', message, handleRefresh);
+    }
 
-    // News list with AI summaries option
-    const newsList = NewsList(displayedStories, {
-        showSummaries: state.aiEnabled && state.aiSummaries.size > 0,
-        onExtendSummary: handleExtendSummary
-    });
-    contentContainer.appendChild(newsList);
-
-    // Load More button
-    if (hasMore) {
-        const loadMoreBtn = createElement(`
-            <div class="load-more-container">
-                <button class="btn btn-secondary load-more-btn">
-                    Load More (${storiesWithSummaries.length - state.displayCount} remaining)
-                </button>
+    if (saved) {
+        return EmptyState(
+            'No saved stories yet',
+            'Click ☆ Save on any story to keep it here, or import a bookmarks export'
+        );
+    }
+
+    return EmptyState(
+        'No stories found',
+        'Try selecting a different source or adjusting your filters'
+    );
+}
+
+/**
+ * Creates the element at the bottom of the list that loads more stories when
+ * it scrolls into view. The button is the fallback for browsers without
+ * IntersectionObserver and the retry after a failed page.
+ * @param {Object} options - Sentinel options
+ * @param {boolean} options.hasMoreLoaded - Whether loaded stories are still hidden
+ * @param {boolean} options.isLoadingMore - Whether the next page is being fetched
+ * @param {string|null} options.loadMoreError - Why the last page failed
+ * @param {boolean} options.isFiltered - Whether a search or time filter is active
+ * @returns {HTMLElement} Sentinel element
+ */
+function createScrollSentinel({ hasMoreLoaded, isLoadingMore, loadMoreError, isFiltered }) {
+    scrollObserver?.disconnect();
+    scrollObserver = null;
+
+    if (isLoadingMore) {
+        return createElement(`
+            <div class="load-more-container scroll-sentinel">
+                <div class="load-more-status">
+                    <span class="load-more-spinner"></span>
+                    Loading more stories...
+                </div>
             </div>
         `);
-        loadMoreBtn.querySelector('button').addEventListener('click', handleLoadMore);
-        contentContainer.appendChild(loadMoreBtn);
     }
 
-    // Update trending sidebar with current stories
-    if (trendingSidebar) {
-        // Pass original stories to trending topics so tags reflect all content,
-        // or filteredStories if we want tags to reflect only current view?
-        // Usually trending topics should reflect the broader dataset (state.stories).
-        // But if user filters by time, maybe they want trending topics for that time.
-        // Let's use filteredStories to keep it contextual.
-        updateTrendingTopics(trendingSidebar, filteredStories, handleSearch);
+    const label = loadMoreError ? 'Retry loading more' : 'Load More';
+    const sentinel = createElement(`
+        <div class="load-more-container scroll-sentinel">
+            ${loadMoreError ? `<p class="load-more-error">${escapeHtml(loadMoreError)}</p>` : ''}
+            <button class="btn btn-secondary load-more-btn">${label}</button>
+        </div>
+    `);
+    sentinel.querySelector('button').addEventListener('click', handleLoadMore);
+
+    // With a search or time filter, most fetched pages may add nothing visible,
+    // so fetching further pages waits for an explicit click
+    const autoLoad = !loadMoreError && (hasMoreLoaded || !isFiltered);
+
+    if (autoLoad && 'IntersectionObserver' in window) {
+        scrollObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) handleLoadMore();
+        }, { rootMargin: '400px 0px' });
+        scrollObserver.observe(sentinel);
     }
+
+    return sentinel;
+}
+
+/**
+ * Appends a page of stories, skipping ones already listed (the source list
+ * may have shifted since the first page) and continuing the rank numbering
+ * @param {Array} stories - Stories already loaded
+ * @param {Array} page - Newly fetched stories
+ * @returns {Array} Combined stories
+ */
+function appendPage(stories, page) {
+    const seen = new Set(stories.map(story => story.id));
+    const additions = page
+        .filter(story => !seen.has(story.id))
+        .map((story, index) => ({ ...story, rank: stories.length + index + 1 }));
+
+    return [...stories, ...additions];
 }
 
 /**
@@ -244,115 +584,333 @@ function renderContent() {
  * @returns {string} Source label
  */
 function getSourceLabel(storyType) {
-    const labels = {
-        'top': 'Hacker News - Top Stories',
-        'best': 'Hacker News - Best Stories',
-        'new': 'Hacker News - New Stories',
-        'ask': 'Hacker News - Ask HN',
-        'show': 'Hacker News - Show HN',
-        'job': 'Hacker News - Jobs',
-        'newsapi': 'NewsAPI - Top Headlines'
-    };
-    return labels[storyType] || 'Unknown Source';
+    const source = getSource(storyType);
+    if (!source) return 'Unknown Source';
+    return source.group ? `${source.group} - ${source.label}` : source.label;
+}
+
+/**
+ * Fetches stories from the source selected in the filters. Starting a new
+ * fetch cancels the previous one, so results from a source the user has
+ * already left never land in the store.
+ * @returns {Promise<Object|null>} { stories, failed }, or null if superseded
+ */
+async function fetchCurrentStories() {
+    loadController?.abort();
+    const controller = new AbortController();
+    loadController = controller;
+
+    try {
+        const result = await loadSource(store.state.filters.storyType, {
+            category: store.state.filters.category,
+            country: store.state.filters.country,
+            search: store.state.archiveSearch,
+            limit: PAGE_SIZE,
+            signal: controller.signal
+        });
+        return controller.signal.aborted ? null : result;
+    } catch (error) {
+        if (controller.signal.aborted || isAbortError(error)) return null;
+        throw error;
+    }
 }
 
 /**
  * Loads stories based on current filters
  */
 async function loadStories() {
-    state.isLoading = true;
-    state.error = null;
-    state.aiSummaries = new Map(); // Clear summaries on new load
-    renderContent();
+    moreController?.abort();
+    store.setState({
+        isLoading: true,
+        error: null,
+        storyChanges: new Map(),
+        cursor: null,
+        isLoadingMore: false,
+        loadMoreError: null
+    });
+
+    // Without a connection, go straight to the copy from the last good load
+    if (isOffline() && await showOfflineStories()) return;
 
     try {
-        let stories = [];
-
-        if (state.filters.storyType === 'newsapi') {
-            // Use NewsAPI
-            if (!isNewsApiConfigured()) {
-                throw new Error('NewsAPI key not configured. Add VITE_NEWS_API_KEY to your .env file.');
-            }
-            stories = await fetchTopHeadlines({
-                category: state.filters.category,
-                country: state.filters.country,
-                pageSize: 30
-            });
-        } else {
-            // Use Hacker News API
-            stories = await fetchStories(state.filters.storyType, 30);
-        }
+        const result = await fetchCurrentStories();
+        if (!result) return;
 
-        state.stories = stories;
-        state.lastUpdated = new Date();
-        state.isLoading = false;
-        state.error = null;
+        // NewsAPI failures resolve to an empty list; an earlier copy beats an empty page
+        if (result.stories.length === 0 && await showOfflineStories()) return;
 
-        renderContent();
+        store.setState({
+            stories: result.stories,
+            failedCount: result.failed,
+            cursor: result.cursor,
+            lastUpdated: new Date(),
+            isLoading: false,
+            error: null,
+            fromCache: false
+        });
+
+        checkWatchlist();
+        saveTopicSnapshot();
+        cacheStories();
 
         // If AI is enabled, generate summaries
-        if (state.aiEnabled && isOpenAIConfigured()) {
+        if (store.state.aiEnabled && isOpenAIConfigured()) {
             generateSummaries();
         }
     } catch (error) {
         console.error('Error loading stories:', error);
-        state.stories = [];
-        state.isLoading = false;
-        state.error = error.message || 'Failed to load stories';
-        renderContent();
+        if (await showOfflineStories()) return;
+
+        store.setState({
+            stories: [],
+            isLoading: false,
+            error: isOffline()
+                ? 'You are offline, and this source hasn\'t been loaded on this device before'
+                : error.message || 'Failed to load stories'
+        });
+    }
+}
+
+/**
+ * Shows the copy of the current source's stories kept from its last good
+ * load, with the AI summaries they had
+ * @returns {Promise<boolean>} Whether the load is handled: the copy is shown, or another load took over
+ */
+async function showOfflineStories() {
+    const { storyType } = store.state.filters;
+
+    // Saved stories are local already, and a search is only worth its live results
+    if (isArchiveSource()) return false;
+
+    const copy = await loadOfflineStories(storyType);
+    if (store.state.filters.storyType !== storyType) return true;
+    if (!copy) return false;
+
+    store.setState(state => ({
+        stories: copy.stories,
+        aiSummaries: new Map([...copy.summaries, ...state.aiSummaries]),
+        failedCount: 0,
+        cursor: null,
+        lastUpdated: copy.savedAt,
+        isLoading: false,
+        error: null,
+        fromCache: true
+    }));
+
+    checkWatchlist();
+    return true;
+}
+
+/**
+ * Keeps the loaded stories and their AI summaries for when the app is
+ * opened offline. A copy that is itself from the cache isn't saved again.
+ */
+function cacheStories() {
+    const { state } = store;
+    if (isArchiveSource() || state.fromCache || state.stories.length === 0) return;
+
+    saveOfflineStories(state.filters.storyType, state.stories, state.aiSummaries, state.lastUpdated);
+}
+
+/**
+ * Refreshes in the background when the connection comes back, replacing
+ * an offline copy without showing the loading state
+ */
+function handleOnline() {
+    store.setState({ offline: false });
+
+    const { state } = store;
+    if (state.isLoading) return;
+
+    if (state.error) {
+        loadStories();
+    } else {
+        refreshLive().catch(error => console.error('Background refresh failed:', error));
+    }
+}
+
+/**
+ * Notes that the connection is gone, so the stats bar says the stories may be stale
+ */
+function handleOffline() {
+    store.setState({ offline: true });
+}
+
+/**
+ * Live mode tick: refetches the current source and merges it into state
+ * without showing the loading state
+ */
+async function refreshLive() {
+    if (store.state.isLoading) return;
+
+    const result = await fetchCurrentStories();
+
+    // A full load (e.g. a filter change) superseded this poll
+    if (!result || store.state.isLoading) return;
+
+    const { stories, failed, cursor } = result;
+
+    // NewsAPI failures resolve to an empty list; don't wipe the page for them
+    if (stories.length === 0 && store.state.stories.length > 0) {
+        throw new Error('Source returned no stories');
     }
+
+    // The poll only refreshes the first page; keep the pages loaded by scrolling
+    const merged = appendPage(stories, store.state.stories.slice(PAGE_SIZE));
+
+    store.setState({
+        storyChanges: diffStories(store.state.stories, merged),
+        stories: merged,
+        failedCount: failed,
+        // An offline copy has no paging of its own; continue from this fetch
+        cursor: store.state.fromCache ? cursor : store.state.cursor,
+        lastUpdated: new Date(),
+        error: null,
+        fromCache: false
+    });
+
+    checkWatchlist();
+    saveTopicSnapshot();
+    cacheStories();
+
+    if (store.state.aiEnabled && isOpenAIConfigured()) {
+        generateSummaries();
+    }
+}
+
+/**
+ * Saves the trending topics of the loaded stories to the topic history.
+ * Search results and saved stories aren't what's trending, so they are skipped.
+ */
+function saveTopicSnapshot() {
+    if (isArchiveSource()) return;
+    recordTopics(store.state.filters.storyType, extractTrendingTopics(store.state.stories, 25));
 }
 
 /**
- * Generates AI summaries for loaded stories
+ * Matches the loaded stories against the watch rules, raising an alert (and
+ * a notification, where the rule asks for one) for stories that match for
+ * the first time
+ */
+function checkWatchlist() {
+    store.setState({ watchMatches: findWatchMatches(store.state.stories, getWatchRules()) });
+
+    // Search results and saved stories are highlighted, but old stories don't alert
+    if (isArchiveSource()) return;
+
+    const fresh = recordAlerts(store.state.stories, store.state.watchMatches);
+    if (fresh.length > 0) {
+        updateAlertCount(filterBarElement, getUnreadAlertCount());
+        notifyAlerts(fresh);
+    }
+}
+
+/**
+ * Generates AI summaries for top stories that don't have one yet, showing
+ * each one as soon as it streams in
  */
 async function generateSummaries() {
-    if (!isOpenAIConfigured() || state.stories.length === 0) return;
+    if (!isOpenAIConfigured() || store.state.stories.length === 0) return;
 
-    state.aiLoading = true;
-    renderContent();
+    const pending = store.state.stories
+        .slice(0, 10)
+        .filter(story => !story.aiSummary && !store.state.aiSummaries.has(story.id.toString()));
+    if (pending.length === 0) return;
+
+    store.setState({ aiLoading: true, aiCachedCount: 0 });
 
     try {
-        const summaries = await summarizeStories(state.stories, 10);
-        state.aiSummaries = summaries;
-        state.aiLoading = false;
+        await summarizeStories(pending, pending.length, (id, summary) => {
+            store.setState(state => ({
+                aiSummaries: new Map(state.aiSummaries).set(id, summary),
+                aiCachedCount: state.aiCachedCount + (summary.cached ? 1 : 0)
+            }));
+        });
     } catch (error) {
         console.error('Error generating summaries:', error);
-        state.aiLoading = false;
     }
 
-    renderContent();
+    store.setState({ aiLoading: false });
+    cacheStories();
 }
 
 /**
  * Handles AI toggle button click
  */
 function handleAIToggle() {
-    state.aiEnabled = !state.aiEnabled;
+    store.setState({ aiEnabled: !store.state.aiEnabled });
 
     // Re-render header to update button state
     const newHeader = Header({
-        aiEnabled: state.aiEnabled,
+        aiEnabled: store.state.aiEnabled,
         onAIToggle: handleAIToggle
     });
     headerElement.replaceWith(newHeader);
     headerElement = newHeader;
 
-    // If AI just enabled and we have stories, generate summaries
-    if (state.aiEnabled && state.stories.length > 0 && state.aiSummaries.size === 0) {
+    // If AI just enabled, summarize any top stories we haven't seen yet
+    if (store.state.aiEnabled && store.state.stories.length > 0) {
         generateSummaries();
+    }
+}
+
+/**
+ * Handles live mode toggle button click
+ */
+function handleLiveToggle() {
+    store.setState({ liveEnabled: !store.state.liveEnabled });
+    updateLiveState(filterBarElement, store.state.liveEnabled);
+
+    if (store.state.liveEnabled) {
+        livePoller.start();
     } else {
-        renderContent();
+        livePoller.stop();
+        store.setState({ storyChanges: new Map() });
     }
 }
 
+/**
+ * Handles live poller status changes
+ * @param {string|null} status - 'live', 'paused', 'backoff' or null
+ */
+function handleLiveStatusChange(status) {
+    store.setState({ liveStatus: status });
+}
+
 /**
  * Handles sort change
  * @param {string} sortBy - Sort method ('rank' or 'velocity')
  */
 function handleSortChange(sortBy) {
-    state.sortBy = sortBy;
-    renderContent();
+    store.setState({ sortBy });
+    syncUrl();
+}
+
+/**
+ * Checks whether the selected source runs a search rather than listing stories
+ * @returns {boolean} Whether the source supports search
+ */
+function isSearchSource() {
+    return Boolean(getSource(store.state.filters.storyType)?.capabilities.supportsSearch);
+}
+
+/**
+ * Checks whether the selected source lists stored or searched stories rather
+ * than what is current
+ * @returns {boolean} Whether the source is an archive
+ */
+function isArchiveSource() {
+    return Boolean(getSource(store.state.filters.storyType)?.capabilities.isArchive);
+}
+
+/**
+ * Runs a Hacker News search with new parameters
+ * @param {Object} params - { query, tags, from, to, minPoints, sort }
+ */
+function handleArchiveSearch(params) {
+    store.setState({ archiveSearch: params, displayCount: DISPLAY_STEP });
+    syncUrl();
+    loadStories();
 }
 
 /**
@@ -360,17 +918,71 @@ function handleSortChange(sortBy) {
  * @param {string} query - Search query
  */
 function handleSearch(query) {
-    state.filters.searchQuery = query;
-    state.displayCount = 10; // Reset pagination
-    renderContent();
+    store.setState({
+        filters: { ...store.state.filters, searchQuery: query },
+        search: parseSearchQuery(query),
+        displayCount: DISPLAY_STEP // Reset pagination
+    });
+    updateSearchState(filterBarElement, query, store.state.search.error);
+    syncUrl();
 }
 
 /**
- * Handles Load More button click
+ * Searches for a trending topic, quoting multi-word topics as a phrase
+ * @param {string} topic - Topic word or phrase
+ */
+function handleTopicSearch(topic) {
+    handleSearch(quoteSearchTerm(topic));
+}
+
+/**
+ * Shows the next batch of loaded stories, fetching the next source page
+ * once every loaded story is on screen
  */
 function handleLoadMore() {
-    state.displayCount += 10;
-    renderContent();
+    const { state } = store;
+    if (state.isLoadingMore) return;
+
+    if (state.displayCount < selectFilteredStories(state).length) {
+        store.setState({ displayCount: state.displayCount + DISPLAY_STEP });
+        syncUrl(true);
+    } else if (state.cursor) {
+        loadMoreStories();
+    }
+}
+
+/**
+ * Fetches the next page of the current source and appends it
+ */
+async function loadMoreStories() {
+    const controller = new AbortController();
+    moreController = controller;
+
+    store.setState({ isLoadingMore: true, loadMoreError: null });
+
+    try {
+        const result = await loadMore(store.state.filters.storyType, store.state.cursor, {
+            limit: PAGE_SIZE,
+            signal: controller.signal
+        });
+        if (controller.signal.aborted) return;
+
+        store.setState(state => ({
+            stories: appendPage(state.stories, result.stories),
+            cursor: result.cursor,
+            failedCount: state.failedCount + result.failed,
+            displayCount: state.displayCount + DISPLAY_STEP
+        }));
+        checkWatchlist();
+        cacheStories();
+        syncUrl(true);
+    } catch (error) {
+        if (controller.signal.aborted || isAbortError(error)) return;
+        console.error('Error loading more stories:', error);
+        store.setState({ loadMoreError: error.message || 'Failed to load more stories' });
+    }
+
+    store.setState({ isLoadingMore: false });
 }
 
 /**
@@ -379,8 +991,11 @@ function handleLoadMore() {
  * @param {string} filterValue - New filter value
  */
 function handleFilterChange(filterName, filterValue) {
-    state.filters[filterName] = filterValue;
-    state.displayCount = 10; // Reset pagination on filter change
+    store.setState({
+        filters: { ...store.state.filters, [filterName]: filterValue },
+        displayCount: DISPLAY_STEP // Reset pagination on filter change
+    });
+    syncUrl();
 
     // Update filter bar state for enabling/disabling dropdowns
     if (filterName === 'storyType') {
@@ -390,28 +1005,358 @@ function handleFilterChange(filterName, filterValue) {
     } else if (filterName === 'category' || filterName === 'country') {
         // Reload stories from API for NewsAPI filter changes
         loadStories();
-    } else {
-        // For search and time filters, just re-render (client-side filtering)
-        renderContent();
     }
+    // Search and time filters are applied client-side when the store re-renders
 }
 
 /**
  * Handles extending a summary for a specific story
  * @param {Object} story - Story to analyze in detail
+ * @returns {Promise<void>} Settles once the request is done, so the card can reset its button
  */
 async function handleExtendSummary(story) {
     try {
         const detail = await summarizeStory(story, true);
         if (detail) {
-            state.aiSummaries.set(story.id.toString(), detail);
-            // Re-render to show new detailed summary and remove "Tell me more" button
-            renderContent();
+            // Only this story's card re-renders, showing the detailed summary
+            store.setState(state => ({
+                aiSummaries: new Map(state.aiSummaries).set(story.id.toString(), detail)
+            }));
         }
     } catch (error) {
         console.error('Failed to extend summary:', error);
-        // On error, re-rendering will reset the button state from "Analyzing..."
-        renderContent();
+    }
+}
+
+/**
+ * Opens the in-app comment thread for a Hacker News story
+ * @param {Object} story - Story whose thread to show
+ */
+function handleOpenThread(story) {
+    closeThread();
+    handleVisit(story);
+
+    threadController = new AbortController();
+    threadElement = CommentThread({
+        story,
+        loadThread: () => fetchThread(story.id),
+        loadReplies: ids => fetchComments(ids),
+        onDigest: store.state.aiEnabled && isOpenAIConfigured()
+            ? comments => summarizeDiscussion(story, comments.map(comment => ({
+                author: comment.author,
+                text: htmlToText(comment.text)
+            })))
+            : null,
+        onClose: closeThread,
+        signal: threadController.signal
+    });
+    appContainer.appendChild(threadElement);
+}
+
+/**
+ * Closes the comment thread panel and drops its keyboard listener
+ */
+function closeThread() {
+    threadController?.abort();
+    threadController = null;
+    threadElement?.remove();
+    threadElement = null;
+}
+
+/**
+ * Saves a story for later, or unsaves it if it is saved
+ * @param {Object} story - Story as shown on its card, with its AI summary
+ */
+function handleToggleSave(story) {
+    const id = story.id.toString();
+    const { state } = store;
+
+    if (state.savedIds.has(id)) {
+        removeSavedStory(id);
+    } else {
+        saveStory(story);
+    }
+
+    store.setState({
+        savedIds: getSavedIds(),
+        // In the Saved view, an unsaved story leaves the list
+        stories: state.filters.storyType === 'saved' && state.savedIds.has(id)
+            ? state.stories.filter(item => item.id.toString() !== id)
+            : state.stories
+    });
+}
+
+/**
+ * Marks a story as read when it or its comments are opened
+ * @param {Object} story - Opened story
+ */
+function handleVisit(story) {
+    const id = story.id.toString();
+    if (store.state.readIds.has(id)) return;
+
+    markRead(id);
+    store.setState({ readIds: getReadIds() });
+}
+
+/**
+ * Shows or hides the stories already read
+ * @param {boolean} hideRead - Whether to hide them
+ */
+function handleHideReadChange(hideRead) {
+    store.setState({ hideRead });
+}
+
+/**
+ * Downloads the saved stories and read history
+ */
+function handleExportSaved() {
+    downloadFile(
+        `hotstrends-saved-${new Date().toISOString().slice(0, 10)}.json`,
+        exportBookmarks(),
+        'application/json'
+    );
+}
+
+/**
+ * Downloads the listed stories, filtered and sorted as shown
+ * @param {string} format - Key of EXPORT_FORMATS
+ */
+function handleExport(format) {
+    const { state } = store;
+    const { extension, type, render } = EXPORT_FORMATS[format];
+    const generatedAt = new Date();
+
+    downloadFile(
+        `hotstrends-${state.filters.storyType.replace(/[^a-z0-9]+/gi, '-')}-${generatedAt.toISOString().slice(0, 10)}.${extension}`,
+        render(selectListStories(state), {
+            title: formatViewTitle({
+                sourceLabel: getSourceLabel(state.filters.storyType),
+                searchQuery: state.filters.searchQuery,
+                timeFilter: state.filters.timeFilter,
+                sortBy: state.sortBy
+            }),
+            link: window.location.href,
+            generatedAt
+        }),
+        type
+    );
+}
+
+/**
+ * Builds the RSS feed URL of the current view. It takes the page's query
+ * parameters; the route applies the search, time filter and sort itself. A
+ * search the page couldn't parse is left out, as it is on the page.
+ * @param {Object} state - Store state
+ * @returns {string} Absolute feed URL
+ */
+function getFeedUrl(state) {
+    const params = new URLSearchParams({ source: state.filters.storyType });
+    if (state.search.query) params.set('q', state.filters.searchQuery.trim());
+    if (state.filters.timeFilter !== 'all') params.set('time', state.filters.timeFilter);
+    if (state.sortBy !== 'rank') params.set('sort', state.sortBy);
+
+    return new URL(`/api/rss?${params}`, window.location.origin).href;
+}
+
+/**
+ * Imports saved stories and read history, reloading the Saved view
+ * @param {string} text - Contents of an export file
+ * @returns {Object} { saved, read }: how many were added
+ * @throws {Error} When the file is not an export
+ */
+function handleImportSaved(text) {
+    const added = importBookmarks(text);
+
+    store.setState({ savedIds: getSavedIds(), readIds: getReadIds() });
+    if (store.state.filters.storyType === 'saved') {
+        loadStories();
+    }
+
+    return added;
+}
+
+/**
+ * Forgets which stories were read
+ */
+function handleClearReadHistory() {
+    clearReadHistory();
+    store.setState({ readIds: new Set() });
+}
+
+/**
+ * Opens the digest panel for the stories currently loaded
+ */
+function handleOpenDigest() {
+    closeDigest();
+
+    digestController = new AbortController();
+    digestElement = DigestPanel({
+        onGenerate: period => generateDigest(store.state.stories, period),
+        onClose: closeDigest,
+        signal: digestController.signal
+    });
+    appContainer.appendChild(digestElement);
+}
+
+/**
+ * Closes the digest panel and drops its keyboard listener
+ */
+function closeDigest() {
+    digestController?.abort();
+    digestController = null;
+    digestElement?.remove();
+    digestElement = null;
+}
+
+/**
+ * Opens the topic timeline panel
+ */
+function handleShowTimeline() {
+    closeTimeline();
+
+    timelineController = new AbortController();
+    timelineElement = TopicTimeline({
+        getTimeline: options => buildTopicTimeline(getTopicHistory(), options),
+        sources: getSources().map(source => ({ id: source.id, label: source.label })),
+        onExport: format => downloadFile(
+            `hotstrends-topics-${new Date().toISOString().slice(0, 10)}.${format}`,
+            exportTopicHistory(getTopicHistory(), format),
+            format === 'json' ? 'application/json' : 'text/csv'
+        ),
+        onClear: clearTopicHistory,
+        onTopicClick: handleTopicSearch,
+        onClose: closeTimeline,
+        signal: timelineController.signal
+    });
+    appContainer.appendChild(timelineElement);
+}
+
+/**
+ * Closes the topic timeline panel and drops its keyboard listener
+ */
+function closeTimeline() {
+    timelineController?.abort();
+    timelineController = null;
+    timelineElement?.remove();
+    timelineElement = null;
+}
+
+/**
+ * Opens the watchlist panel and marks the alerts as read
+ */
+function handleOpenWatchlist() {
+    closeWatchlist();
+
+    watchlistController = new AbortController();
+    watchlistElement = WatchlistPanel({
+        getAlerts,
+        getRules: getWatchRules,
+        getPermission: getNotificationPermission,
+        onSaveRule: rule => {
+            saveWatchRule(rule);
+            handleWatchRulesChange();
+        },
+        onRemoveRule: id => {
+            removeWatchRule(id);
+            handleWatchRulesChange();
+        },
+        onToggleRule: (id, enabled) => {
+            const rule = getWatchRules().find(item => item.id === id);
+            if (rule) saveWatchRule({ ...rule, enabled });
+            handleWatchRulesChange();
+        },
+        onClearAlerts: () => {
+            clearAlerts();
+            updateAlertCount(filterBarElement, 0);
+        },
+        onRequestPermission: requestNotificationPermission,
+        onClose: closeWatchlist,
+        signal: watchlistController.signal,
+        // With no rules yet there is nothing to see but the rule form
+        tab: getWatchRules().length === 0 ? 'rules' : 'alerts'
+    });
+    appContainer.appendChild(watchlistElement);
+
+    markAlertsRead();
+    updateAlertCount(filterBarElement, 0);
+}
+
+/**
+ * Closes the watchlist panel and drops its keyboard listener
+ */
+function closeWatchlist() {
+    watchlistController?.abort();
+    watchlistController = null;
+    watchlistElement?.remove();
+    watchlistElement = null;
+}
+
+/**
+ * Re-checks the loaded stories after the watch rules changed
+ */
+function handleWatchRulesChange() {
+    checkWatchlist();
+}
+
+/**
+ * Opens (or refreshes) the feed manager panel
+ */
+function handleManageFeeds() {
+    const panel = FeedManager({
+        feeds: getSavedFeeds(),
+        onAdd: handleAddFeed,
+        onRemove: handleRemoveFeed,
+        onClose: closeFeedManager
+    });
+
+    if (feedManagerElement) {
+        feedManagerElement.replaceWith(panel);
+    } else {
+        appContainer.appendChild(panel);
+    }
+    feedManagerElement = panel;
+}
+
+/**
+ * Closes the feed manager panel
+ */
+function closeFeedManager() {
+    feedManagerElement?.remove();
+    feedManagerElement = null;
+}
+
+/**
+ * Follows a new feed and switches to it
+ * @param {string} url - Feed URL
+ */
+async function handleAddFeed(url) {
+    const feed = await addFeed(url);
+    registerSource(createRssSource(feed));
+
+    closeFeedManager();
+    store.setState({ filters: { ...store.state.filters, storyType: feed.id } });
+    rerenderFilterBar();
+    handleFilterChange('storyType', feed.id);
+}
+
+/**
+ * Unfollows a feed, falling back to HN top stories if it was selected
+ * @param {string} id - Feed ID
+ */
+function handleRemoveFeed(id) {
+    removeFeed(id);
+    unregisterSource(id);
+
+    const wasSelected = store.state.filters.storyType === id;
+    if (wasSelected) {
+        store.setState({ filters: { ...store.state.filters, storyType: 'top' } });
+    }
+
+    rerenderFilterBar();
+    handleManageFeeds();
+
+    if (wasSelected) {
+        handleFilterChange('storyType', 'top');
     }
 }
 
@@ -0,0 +1,194 @@
+/**
+ * CommentThread Component
+ * In-app Hacker News thread panel with collapsible, lazily loaded replies
+ * and an optional AI digest of the discussion
+ */
+
+import { createElement, escapeHtml, formatRelativeTime, sanitizeHtml } from '../utils/helpers.js';
+import { Loader } from './Loader.js';
+
+/**
+ * Creates the comment thread panel
+ * @param {Object} options - Panel options
+ * @param {Object} options.story - Story whose thread is shown
+ * @param {Function} options.loadThread - Returns a promise of the top-level comments
+ * @param {Function} options.loadReplies - Called with comment IDs, returns a promise of comments
+ * @param {Function} options.onDigest - Called with the loaded comments, returns a promise of the digest (optional)
+ * @param {Function} options.onClose - Called when the panel is dismissed
+ * @param {AbortSignal} options.signal - Aborted when the panel is removed, to drop its document listeners
+ * @returns {HTMLElement} CommentThread element
+ */
+export function CommentThread({ story, loadThread, loadReplies, onDigest = null, onClose, signal }) {
+  const html = `
+    <div class="panel-overlay">
+      <div class="panel comment-thread" role="dialog" aria-label="Comments">
+        <div class="panel-header">
+          <h3 class="panel-title">${escapeHtml(story.title)}</h3>
+          <button class="btn-icon panel-close" title="Close">✕</button>
+        </div>
+        <div class="thread-meta">
+          ${story.commentCount ?? 0} comments •
+          <a href="${escapeHtml(story.commentsUrl)}" target="_blank" rel="noopener noreferrer">Open on Hacker News</a>
+        </div>
+        ${onDigest ? `
+          <div class="thread-digest">
+            <button class="btn btn-secondary digest-btn" disabled>What is the discussion saying?</button>
+            <div class="digest-content"></div>
+          </div>
+        ` : ''}
+        <div class="thread-comments"></div>
+      </div>
+    </div>
+  `;
+
+  const element = createElement(html);
+  const commentsContainer = element.querySelector('.thread-comments');
+  let topComments = [];
+
+  commentsContainer.appendChild(Loader('Loading comments...'));
+
+  loadThread()
+    .then(comments => {
+      topComments = comments;
+      commentsContainer.innerHTML = '';
+
+      if (comments.length === 0) {
+        commentsContainer.innerHTML = '<p class="trending-empty">No comments yet</p>';
+        return;
+      }
+
+      comments.forEach(comment => commentsContainer.appendChild(renderComment(comment, loadReplies)));
+
+      const digestBtn = element.querySelector('.digest-btn');
+      if (digestBtn) digestBtn.disabled = false;
+    })
+    .catch(error => {
+      commentsContainer.innerHTML = `<p class="status-message error">${escapeHtml(error.message || 'Failed to load comments')}</p>`;
+    });
+
+  if (onDigest) {
+    const digestBtn = element.querySelector('.digest-btn');
+    const digestContent = element.querySelector('.digest-content');
+
+    digestBtn.addEventListener('click', async () => {
+      digestBtn.disabled = true;
+      digestBtn.textContent = 'Reading the thread...';
+
+      try {
+        const digest = await onDigest(topComments);
+        digestContent.innerHTML = renderDigest(digest);
+        digestBtn.remove();
+      } catch (error) {
+        digestContent.innerHTML = `<p class="status-message error">${escapeHtml(error.message || 'Failed to summarize discussion')}</p>`;
+        digestBtn.disabled = false;
+        digestBtn.textContent = 'Try again';
+      }
+    });
+  }
+
+  const close = () => onClose();
+
+  // Removed when the owner aborts the signal, however the panel was closed
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') close();
+  }, { signal });
+
+  element.querySelector('.panel-close').addEventListener('click', close);
+  element.addEventListener('click', (e) => {
+    if (e.target === element) close();
+  });
+
+  return element;
+}
+
+/**
+ * Renders a comment with a collapse toggle and lazy replies
+ * @param {Object} comment - Formatted comment
+ * @param {Function} loadReplies - Loads child comments by ID
+ * @returns {HTMLElement} Comment element
+ */
+function renderComment(comment, loadReplies) {
+  const replyCount = comment.kids.length;
+
+  const element = createElement(`
+    <div class="comment">
+      <div class="comment-header">
+        <button class="comment-toggle" title="Collapse">[–]</button>
+        <span class="comment-author">${escapeHtml(comment.author)}</span>
+        <span class="comment-time">${formatRelativeTime(comment.timestamp)}</span>
+      </div>
+      <div class="comment-body">
+        <div class="comment-text">${sanitizeHtml(comment.text)}</div>
+        ${replyCount > 0 ? `
+          <button class="comment-replies-btn">▸ ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}</button>
+        ` : ''}
+        <div class="comment-children"></div>
+      </div>
+    </div>
+  `);
+
+  const body = element.querySelector('.comment-body');
+  const toggle = element.querySelector('.comment-toggle');
+  toggle.addEventListener('click', () => {
+    body.hidden = !body.hidden;
+    toggle.textContent = body.hidden ? '[+]' : '[–]';
+    toggle.title = body.hidden ? 'Expand' : 'Collapse';
+  });
+
+  const repliesBtn = element.querySelector('.comment-replies-btn');
+  const children = element.querySelector('.comment-children');
+  let loaded = false;
+
+  if (repliesBtn) {
+    repliesBtn.addEventListener('click', async () => {
+      if (loaded) {
+        children.hidden = !children.hidden;
+        repliesBtn.textContent = children.hidden
+          ? `▸ ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}`
+          : '▾ Hide replies';
+        return;
+      }
+
+      repliesBtn.disabled = true;
+      repliesBtn.textContent = 'Loading replies...';
+
+      try {
+        const replies = await loadReplies(comment.kids);
+        replies.forEach(reply => children.appendChild(renderComment(reply, loadReplies)));
+        loaded = true;
+        repliesBtn.textContent = '▾ Hide replies';
+      } catch (error) {
+        repliesBtn.textContent = 'Failed to load replies, retry';
+      }
+
+      repliesBtn.disabled = false;
+    });
+  }
+
+  return element;
+}
+
+/**
+ * Renders a discussion digest
+ * @param {Object} digest - { overview, agreement, disagreement, raw }
+ * @returns {string} Digest HTML
+ */
+function renderDigest(digest) {
+  const renderList = (title, points) => points.length > 0 ? `
+    <h4 class="digest-heading">${title}</h4>
+    <ul class="digest-list">
+      ${points.map(point => `<li>${escapeHtml(point)}</li>`).join('')}
+    </ul>
+  ` : '';
+
+  // Fall back to the raw reply if the model ignored the format
+  if (!digest.overview && digest.agreement.length === 0 && digest.disagreement.length === 0) {
+    return `<p class="summary-text">${escapeHtml(digest.raw)}</p>`;
+  }
+
+  return `
+    ${digest.overview ? `<p class="summary-text">${escapeHtml(digest.overview)}</p>` : ''}
+    ${renderList('Where people agree', digest.agreement)}
+    ${renderList('Where people disagree', digest.disagreement)}
+  `;
+}
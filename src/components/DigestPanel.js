@@ -0,0 +1,162 @@
+/**
+ * DigestPanel Component
+ * Panel for generating the AI digest of the hottest stories and copying or
+ * downloading it as Markdown, HTML or a plain-text email
+ */
+
+import { createElement, escapeHtml, downloadFile } from '../utils/helpers.js';
+import { Loader } from './Loader.js';
+
+/**
+ * Output formats, keyed by the fields of the digest response
+ */
+const FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown' },
+  html: { label: 'HTML', extension: 'html', type: 'text/html' },
+  text: { label: 'Email', extension: 'txt', type: 'text/plain' }
+};
+
+/**
+ * Creates the digest panel
+ * @param {Object} options - Panel options
+ * @param {Function} options.onGenerate - Called with the period ('daily' or 'weekly'), returns a promise of the digest response
+ * @param {Function} options.onClose - Called when the panel is dismissed
+ * @param {AbortSignal} options.signal - Aborted when the panel is removed, to drop its document listeners
+ * @returns {HTMLElement} DigestPanel element
+ */
+export function DigestPanel({ onGenerate, onClose, signal }) {
+  const html = `
+    <div class="panel-overlay">
+      <div class="panel digest-panel" role="dialog" aria-label="Digest">
+        <div class="panel-header">
+          <h3 class="panel-title">Digest</h3>
+          <button class="btn-icon panel-close" title="Close">✕</button>
+        </div>
+        <form class="digest-form">
+          <select class="filter-select digest-period" aria-label="Period">
+            <option value="daily">Today's hottest</option>
+            <option value="weekly">This week's hottest</option>
+          </select>
+          <button type="submit" class="btn btn-primary">Generate</button>
+        </form>
+        <div class="digest-output"></div>
+      </div>
+    </div>
+  `;
+
+  const element = createElement(html);
+  const form = element.querySelector('.digest-form');
+  const submitBtn = form.querySelector('button[type="submit"]');
+  const output = element.querySelector('.digest-output');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    submitBtn.disabled = true;
+    output.innerHTML = '';
+    output.appendChild(Loader('Writing the briefing...'));
+
+    try {
+      const result = await onGenerate(element.querySelector('.digest-period').value);
+      output.innerHTML = '';
+      output.appendChild(renderResult(result));
+    } catch (error) {
+      output.innerHTML = `<p class="status-message error">${escapeHtml(error.message || 'Failed to generate digest')}</p>`;
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+
+  const close = () => onClose();
+
+  // Removed when the owner aborts the signal, however the panel was closed
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') close();
+  }, { signal });
+
+  element.querySelector('.panel-close').addEventListener('click', close);
+  element.addEventListener('click', (e) => {
+    if (e.target === element) close();
+  });
+
+  return element;
+}
+
+/**
+ * Renders a generated digest with a tab per format and copy/download actions
+ * @param {Object} result - Digest response { digest, subject, markdown, html, text, briefing, cached }
+ * @returns {HTMLElement} Result element
+ */
+function renderResult(result) {
+  const element = createElement(`
+    <div class="digest-result">
+      <div class="digest-tabs" role="tablist">
+        ${Object.entries(FORMATS).map(([key, format], index) => `
+          <button class="digest-tab ${index === 0 ? 'active' : ''}" role="tab" data-format="${key}">${format.label}</button>
+        `).join('')}
+      </div>
+      <div class="digest-view"></div>
+      <div class="digest-actions">
+        <span class="digest-note">
+          ${result.briefing ? '' : 'The model did not write a briefing, so this is a headline list. '}
+          ${result.cached ? 'Reused from a digest generated earlier.' : ''}
+        </span>
+        <button class="btn btn-secondary digest-copy">Copy</button>
+        <button class="btn btn-secondary digest-download">Download</button>
+      </div>
+    </div>
+  `);
+
+  const view = element.querySelector('.digest-view');
+  const copyBtn = element.querySelector('.digest-copy');
+  let current = 'markdown';
+
+  const show = (key) => {
+    current = key;
+    element.querySelectorAll('.digest-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.format === key);
+    });
+
+    view.innerHTML = '';
+    if (key === 'html') {
+      // The preview runs no scripts and can't reach the page
+      const frame = document.createElement('iframe');
+      frame.className = 'digest-preview';
+      frame.setAttribute('sandbox', '');
+      frame.title = 'Digest preview';
+      frame.srcdoc = result.html;
+      view.appendChild(frame);
+    } else {
+      const source = document.createElement('textarea');
+      source.className = 'digest-source';
+      source.readOnly = true;
+      source.value = key === 'text' ? `Subject: ${result.subject}\n\n${result.text}` : result[key];
+      view.appendChild(source);
+    }
+  };
+
+  element.querySelectorAll('.digest-tab').forEach(tab => {
+    tab.addEventListener('click', () => show(tab.dataset.format));
+  });
+
+  copyBtn.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(result[current]);
+      copyBtn.textContent = 'Copied';
+    } catch {
+      copyBtn.textContent = 'Copy failed';
+    }
+    setTimeout(() => { copyBtn.textContent = 'Copy'; }, 2000);
+  });
+
+  element.querySelector('.digest-download').addEventListener('click', () => {
+    const format = FORMATS[current];
+    downloadFile(
+      `hotstrends-${result.digest.period}-digest-${result.digest.generatedAt.slice(0, 10)}.${format.extension}`,
+      result[current],
+      format.type
+    );
+  });
+
+  show(current);
+  return element;
+}
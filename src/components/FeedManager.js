@@ -0,0 +1,79 @@
+/**
+ * FeedManager Component
+ * Panel for following and unfollowing RSS/Atom/JSON feeds
+ */
+
+import { createElement, escapeHtml } from '../utils/helpers.js';
+
+/**
+ * Creates the feed manager panel
+ * @param {Object} options - Panel options
+ * @param {Object[]} options.feeds - Saved feeds { id, label, url }
+ * @param {Function} options.onAdd - Called with a feed URL; returns a promise that rejects on failure
+ * @param {Function} options.onRemove - Called with a feed ID
+ * @param {Function} options.onClose - Called when the panel is dismissed
+ * @returns {HTMLElement} FeedManager element
+ */
+export function FeedManager({ feeds, onAdd, onRemove, onClose }) {
+  const html = `
+    <div class="panel-overlay">
+      <div class="panel feed-manager" role="dialog" aria-label="Manage feeds">
+        <div class="panel-header">
+          <h3 class="panel-title">Your Feeds</h3>
+          <button class="btn-icon panel-close" title="Close">✕</button>
+        </div>
+        <form class="feed-add-form">
+          <input type="url" class="filter-input feed-url-input" placeholder="https://example.com/feed.xml" required />
+          <button type="submit" class="btn btn-primary">Add</button>
+        </form>
+        <p class="feed-error status-message error" hidden></p>
+        <ul class="feed-list">
+          ${feeds.length > 0 ? feeds.map(feed => `
+            <li class="feed-item">
+              <div class="feed-item-info">
+                <span class="feed-item-label">${escapeHtml(feed.label)}</span>
+                <span class="feed-item-url">${escapeHtml(feed.url)}</span>
+              </div>
+              <button class="btn-text feed-remove-btn" data-feed-id="${escapeHtml(feed.id)}">Remove</button>
+            </li>
+          `).join('') : '<li class="trending-empty">No feeds yet. Paste an RSS, Atom or JSON Feed URL above.</li>'}
+        </ul>
+      </div>
+    </div>
+  `;
+
+  const element = createElement(html);
+  const form = element.querySelector('.feed-add-form');
+  const input = element.querySelector('.feed-url-input');
+  const submitBtn = form.querySelector('button[type="submit"]');
+  const errorEl = element.querySelector('.feed-error');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    errorEl.hidden = true;
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Adding...';
+
+    try {
+      await onAdd(input.value);
+    } catch (error) {
+      errorEl.textContent = error.message || 'Could not add feed';
+      errorEl.hidden = false;
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Add';
+    }
+  });
+
+  element.querySelectorAll('.feed-remove-btn').forEach(btn => {
+    btn.addEventListener('click', () => onRemove(btn.dataset.feedId));
+  });
+
+  element.querySelector('.panel-close').addEventListener('click', onClose);
+
+  // Clicking the backdrop closes the panel
+  element.addEventListener('click', (e) => {
+    if (e.target === element) onClose();
+  });
+
+  return element;
+}
@@ -4,9 +4,14 @@
  * Plus search input and time filter
  */
 
-import { createElement } from '../utils/helpers.js';
+import { createElement, escapeHtml } from '../utils/helpers.js';
+import { getSource, getSources } from '../sources/index.js';
+import { SEARCH_TAGS } from '../services/hnSearchService.js';
 
-import { isConfigured as isNewsApiConfigured } from '../services/newsApiService.js';
+/**
+ * Tooltip listing the search syntax
+ */
+const SEARCH_HELP = '"exact phrase", -exclude, rust OR go, (groups), domain:github.com, author:name, points:>100, comments:>50, hot:warm';
 
 /**
  * Creates the filter bar component
@@ -15,11 +20,21 @@ import { isConfigured as isNewsApiConfigured } from '../services/newsApiService.
  * @param {Function} options.onFilterChange - Callback when filter changes
  * @param {Function} options.onRefresh - Callback when refresh button clicked
  * @param {Function} options.onSearch - Callback when search is submitted
+ * @param {boolean} options.liveEnabled - Whether live auto-refresh is on
+ * @param {Function} options.onLiveToggle - Callback when live button clicked
+ * @param {Function} options.onManageFeeds - Callback when the feeds button is clicked
+ * @param {Function} options.onDigest - Callback when the digest button is clicked
+ * @param {Function} options.onWatchlist - Callback when the alerts button is clicked
+ * @param {number} options.alertCount - Unread watchlist alerts shown on the alerts button
+ * @param {string|null} options.searchError - Why the search query could not be parsed
+ * @param {Object} options.archiveSearch - Current HN search parameters { query, tags, from, to, minPoints, sort }
+ * @param {Function} options.onArchiveSearch - Called with new HN search parameters
  * @returns {HTMLElement} FilterBar element
  */
-export function FilterBar({ currentFilters, onFilterChange, onRefresh, onSearch }) {
+export function FilterBar({ currentFilters, onFilterChange, onRefresh, onSearch, liveEnabled = false, onLiveToggle = null, onManageFeeds = null, onDigest = null, onWatchlist = null, alertCount = 0, searchError = null, archiveSearch = {}, onArchiveSearch = null }) {
   const { storyType, category, language, country, searchQuery = '', timeFilter = 'all' } = currentFilters;
-  const newsApiAvailable = isNewsApiConfigured();
+  const supportsCategory = Boolean(getSource(storyType)?.capabilities.supportsCategory);
+  const supportsSearch = Boolean(getSource(storyType)?.capabilities.supportsSearch);
 
   const html = `
     <div class="filter-bar">
@@ -35,8 +50,7 @@ export function FilterBar({ currentFilters, onFilterChange, onRefresh, onSearch
               type="text" 
               class="filter-input" 
               id="filter-search" 
-              placeholder="Search topics..." 
-              value="${searchQuery}"
+              placeholder="Search, e.g. rust OR go -crypto" 
               data-filter="searchQuery"
             />
           </div>
@@ -45,18 +59,7 @@ export function FilterBar({ currentFilters, onFilterChange, onRefresh, onSearch
         <div class="filter-group">
           <label class="filter-label" for="filter-source">Source</label>
           <select class="filter-select" id="filter-source" data-filter="storyType">
-            <optgroup label="Hacker News">
-              <option value="top" ${storyType === 'top' ? 'selected' : ''}>Top Stories</option>
-              <option value="best" ${storyType === 'best' ? 'selected' : ''}>Best Stories</option>
-              <option value="new" ${storyType === 'new' ? 'selected' : ''}>New Stories</option>
-              <option value="ask" ${storyType === 'ask' ? 'selected' : ''}>Ask HN</option>
-              <option value="show" ${storyType === 'show' ? 'selected' : ''}>Show HN</option>
-            </optgroup>
-            ${newsApiAvailable ? `
-            <optgroup label="NewsAPI">
-              <option value="newsapi" ${storyType === 'newsapi' ? 'selected' : ''}>Top Headlines</option>
-            </optgroup>
-            ` : ''}
+            ${renderSourceOptions(storyType)}
           </select>
         </div>
 
@@ -70,15 +73,53 @@ export function FilterBar({ currentFilters, onFilterChange, onRefresh, onSearch
           </select>
         </div>
 
-        <div class="filter-group" ${storyType !== 'newsapi' ? 'style="opacity: 0.5; pointer-events: none;"' : ''}>
+        <div class="filter-group" ${!supportsCategory ? 'style="opacity: 0.5; pointer-events: none;"' : ''}>
           <label class="filter-label" for="filter-category">Category</label>
-          <select class="filter-select" id="filter-category" data-filter="category" ${storyType !== 'newsapi' ? 'disabled' : ''}>
+          <select class="filter-select" id="filter-category" data-filter="category" ${!supportsCategory ? 'disabled' : ''}>
             <option value="technology" ${category === 'technology' ? 'selected' : ''}>Technology</option>
           </select>
         </div>
 
         <div class="filter-spacer"></div>
 
+        ${onLiveToggle ? `
+        <button class="btn-live ${liveEnabled ? 'active' : ''}" id="btn-live" title="Auto-refresh this source every minute">
+          <span class="live-dot"></span>
+          Live
+        </button>
+        ` : ''}
+
+        ${onDigest ? `
+        <button class="btn-icon" id="btn-digest" title="Digest of the hottest stories">
+          <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M4 22h16a2 2 0 0 0 2-2V4a2 2 0 0 0-2-2H8a2 2 0 0 0-2 2v16a2 2 0 0 1-2 2Zm0 0a2 2 0 0 1-2-2v-9c0-1.1.9-2 2-2h2"/>
+            <path d="M18 14h-8"/>
+            <path d="M15 18h-5"/>
+            <path d="M10 6h8v4h-8V6Z"/>
+          </svg>
+        </button>
+        ` : ''}
+
+        ${onWatchlist ? `
+        <button class="btn-icon btn-alerts" id="btn-alerts" title="Watchlist alerts">
+          <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M6 8a6 6 0 0 1 12 0c0 7 3 9 3 9H3s3-2 3-9"/>
+            <path d="M10.3 21a1.94 1.94 0 0 0 3.4 0"/>
+          </svg>
+          <span class="alert-count" ${alertCount > 0 ? '' : 'hidden'}>${alertCount > 99 ? '99+' : alertCount}</span>
+        </button>
+        ` : ''}
+
+        ${onManageFeeds ? `
+        <button class="btn-icon" id="btn-feeds" title="Manage feeds">
+          <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M4 11a9 9 0 0 1 9 9"/>
+            <path d="M4 4a16 16 0 0 1 16 16"/>
+            <circle cx="5" cy="19" r="1"/>
+          </svg>
+        </button>
+        ` : ''}
+
         <button class="btn-icon" id="btn-refresh" title="Refresh">
           <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <path d="M21 12a9 9 0 0 0-9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/>
@@ -88,13 +129,32 @@ export function FilterBar({ currentFilters, onFilterChange, onRefresh, onSearch
           </svg>
         </button>
       </div>
+
+      ${onArchiveSearch ? `
+      <form class="archive-search" ${supportsSearch ? '' : 'hidden'}>
+        <input type="search" class="filter-input archive-query" name="query" placeholder="Search all of Hacker News..." />
+        <select class="filter-select" name="tags" aria-label="Stories">
+          ${Object.entries(SEARCH_TAGS).map(([value, label]) => `
+            <option value="${value}" ${archiveSearch.tags === value ? 'selected' : ''}>${label}</option>
+          `).join('')}
+        </select>
+        <label class="archive-field">From <input type="date" class="filter-input" name="from" value="${escapeHtml(archiveSearch.from || '')}" /></label>
+        <label class="archive-field">To <input type="date" class="filter-input" name="to" value="${escapeHtml(archiveSearch.to || '')}" /></label>
+        <label class="archive-field">Min points <input type="number" class="filter-input archive-points" name="minPoints" min="0" step="1" value="${escapeHtml(String(archiveSearch.minPoints ?? ''))}" /></label>
+        <select class="filter-select" name="sort" aria-label="Order">
+          <option value="relevance" ${archiveSearch.sort !== 'date' ? 'selected' : ''}>Most relevant</option>
+          <option value="date" ${archiveSearch.sort === 'date' ? 'selected' : ''}>Newest first</option>
+        </select>
+        <button type="submit" class="btn btn-primary">Search</button>
+      </form>
+      ` : ''}
     </div>
   `;
 
   const element = createElement(html);
 
   // Add event listeners for filter changes
-  element.querySelectorAll('.filter-select').forEach(select => {
+  element.querySelectorAll('.filter-select[data-filter]').forEach(select => {
     select.addEventListener('change', (e) => {
       const filterName = e.target.dataset.filter;
       const filterValue = e.target.value;
@@ -104,6 +164,7 @@ export function FilterBar({ currentFilters, onFilterChange, onRefresh, onSearch
 
   // Add search input listener
   const searchInput = element.querySelector('#filter-search');
+  updateSearchState(element, searchQuery, searchError);
   if (searchInput && onSearch) {
     searchInput.addEventListener('keydown', (e) => {
       if (e.key === 'Enter') {
@@ -115,22 +176,135 @@ export function FilterBar({ currentFilters, onFilterChange, onRefresh, onSearch
   // Add refresh button listener
   element.querySelector('#btn-refresh').addEventListener('click', onRefresh);
 
+  // Add feeds button listener
+  if (onManageFeeds) {
+    element.querySelector('#btn-feeds').addEventListener('click', onManageFeeds);
+  }
+
+  // Add digest button listener
+  if (onDigest) {
+    element.querySelector('#btn-digest').addEventListener('click', onDigest);
+  }
+
+  // Add HN search listener
+  const archiveForm = element.querySelector('.archive-search');
+  if (archiveForm) {
+    // Set as a property, since queries may contain quotes
+    archiveForm.elements.query.value = archiveSearch.query || '';
+    archiveForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      onArchiveSearch({
+        query: archiveForm.elements.query.value,
+        tags: archiveForm.elements.tags.value,
+        from: archiveForm.elements.from.value,
+        to: archiveForm.elements.to.value,
+        minPoints: archiveForm.elements.minPoints.value,
+        sort: archiveForm.elements.sort.value
+      });
+    });
+  }
+
+  // Add alerts button listener
+  if (onWatchlist) {
+    element.querySelector('#btn-alerts').addEventListener('click', onWatchlist);
+  }
+
+  // Add live toggle listener
+  if (onLiveToggle) {
+    element.querySelector('#btn-live').addEventListener('click', onLiveToggle);
+  }
+
   return element;
 }
 
+/**
+ * Builds the source dropdown options from the source registry
+ * @param {string} storyType - Currently selected source ID
+ * @returns {string} Option and optgroup HTML
+ */
+function renderSourceOptions(storyType) {
+  const renderOption = source => `
+    <option value="${escapeHtml(source.id)}" ${storyType === source.id ? 'selected' : ''}>${escapeHtml(source.label)}</option>
+  `;
+
+  // Group sources in registration order; ungrouped sources go at the top level
+  const groups = new Map();
+  getSources().forEach(source => {
+    const key = source.group || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(source);
+  });
+
+  return Array.from(groups.entries()).map(([group, sources]) => group
+    ? `<optgroup label="${escapeHtml(group)}">${sources.map(renderOption).join('')}</optgroup>`
+    : sources.map(renderOption).join('')
+  ).join('');
+}
+
 /**
  * Updates filter bar state based on current source
  * @param {HTMLElement} filterBar - Filter bar element
  * @param {string} storyType - Current story type
  */
 export function updateFilterState(filterBar, storyType) {
-  const isNewsApi = storyType === 'newsapi';
+  const supportsCategory = Boolean(getSource(storyType)?.capabilities.supportsCategory);
 
   const categoryGroup = filterBar.querySelector('#filter-category')?.closest('.filter-group');
 
   if (categoryGroup) {
-    categoryGroup.style.opacity = isNewsApi ? '1' : '0.5';
-    categoryGroup.style.pointerEvents = isNewsApi ? 'auto' : 'none';
-    categoryGroup.querySelector('select').disabled = !isNewsApi;
+    categoryGroup.style.opacity = supportsCategory ? '1' : '0.5';
+    categoryGroup.style.pointerEvents = supportsCategory ? 'auto' : 'none';
+    categoryGroup.querySelector('select').disabled = !supportsCategory;
+  }
+
+  const archiveForm = filterBar.querySelector('.archive-search');
+
+  if (archiveForm) {
+    archiveForm.hidden = !getSource(storyType)?.capabilities.supportsSearch;
+  }
+}
+
+/**
+ * Updates the live toggle button state
+ * @param {HTMLElement} filterBar - Filter bar element
+ * @param {boolean} enabled - Whether live mode is on
+ */
+export function updateLiveState(filterBar, enabled) {
+  const liveButton = filterBar.querySelector('#btn-live');
+
+  if (liveButton) {
+    liveButton.classList.toggle('active', enabled);
+  }
+}
+
+/**
+ * Updates the unread count on the alerts button
+ * @param {HTMLElement} filterBar - Filter bar element
+ * @param {number} count - Unread alerts
+ */
+export function updateAlertCount(filterBar, count) {
+  const badge = filterBar.querySelector('#btn-alerts .alert-count');
+
+  if (badge) {
+    badge.textContent = count > 99 ? '99+' : String(count);
+    badge.hidden = count === 0;
+  }
+}
+
+/**
+ * Shows a search query in the search box, flagging it when it is invalid
+ * @param {HTMLElement} filterBar - Filter bar element
+ * @param {string} query - Search query
+ * @param {string|null} error - Why the query could not be parsed, or null
+ */
+export function updateSearchState(filterBar, query, error = null) {
+  const searchInput = filterBar.querySelector('#filter-search');
+
+  if (searchInput) {
+    // Set as a property, since queries may contain quotes
+    searchInput.value = query;
+    searchInput.classList.toggle('invalid', Boolean(error));
+    searchInput.setAttribute('aria-invalid', error ? 'true' : 'false');
+    searchInput.title = error || SEARCH_HELP;
   }
 }
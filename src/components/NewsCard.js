@@ -3,7 +3,7 @@
  * Individual news item card with title, metadata, engagement stats, image, and optional AI summary
  */
 
-import { createElement, escapeHtml, formatRelativeTime, formatNumber } from '../utils/helpers.js';
+import { createElement, escapeHtml, highlightText, formatRelativeTime, formatNumber } from '../utils/helpers.js';
 import { getWhyItsHot } from '../utils/hotness.js';
 
 /**
@@ -11,6 +11,11 @@ import { getWhyItsHot } from '../utils/hotness.js';
  * @param {Object} story - Story data
  * @param {Object} options - Display options
  * @param {boolean} options.showSummary - Whether to show AI summary
+ * @param {Function} options.onExtendSummary - Callback for "Tell me more"
+ * @param {Function} options.onOpenThread - Callback to open the in-app comment thread (HN only)
+ * @param {string[]} options.highlightTerms - Search words and phrases to highlight
+ * @param {Function} options.onToggleSave - Callback to save or unsave the story
+ * @param {Function} options.onVisit - Callback when the story or its comments are opened
  * @returns {HTMLElement} NewsCard element
  */
 export function NewsCard(story, options = {}) {
@@ -29,19 +34,38 @@ export function NewsCard(story, options = {}) {
     hotness,
     discussion,
     aiSummary,
+    aiSummaryBasis,
     imageUrl,
-    description
+    description,
+    change,
+    watchMatches = [],
+    isSaved = false,
+    isRead = false,
+    sourceCount = 1,
+    alsoOn = []
   } = story;
 
   /* Extract options */
-  const { showSummary = false, onExtendSummary = null } = options;
+  const {
+    showSummary = false,
+    onExtendSummary = null,
+    onOpenThread = null,
+    highlightTerms = [],
+    onToggleSave = null,
+    onVisit = null
+  } = options;
+
+  const canOpenThread = Boolean(onOpenThread && isHackerNews && commentCount > 0);
 
   const relativeTime = formatRelativeTime(timestamp);
 
   /* ... (rest of variable prep) ... */
 
-  const pointsDisplay = points !== null ? formatNumber(points) : null;
-  const commentsDisplay = commentCount !== null ? formatNumber(commentCount) : null;
+  const pointsDisplay = points !== null && points !== undefined ? formatNumber(points) : null;
+  const commentsDisplay = commentCount !== null && commentCount !== undefined ? formatNumber(commentCount) : null;
+
+  // Sources with engagement data (HN, Reddit, Lobsters...) show stats; the rest show their source
+  const hasEngagement = pointsDisplay !== null;
 
   // Get the "Why It's Hot" explanation
   const whyHot = getWhyItsHot(story);
@@ -52,11 +76,22 @@ export function NewsCard(story, options = {}) {
     ? `news-card hotness-${hotnessLevel}`
     : 'news-card';
 
-  // Show image for NewsAPI stories
-  const hasImage = !isHackerNews && imageUrl;
+  // Live mode marks stories that are new or moved since the last poll
+  const changeClass = change ? (change.isNew ? 'news-card-new' : 'news-card-rising') : '';
+  const changeLabel = change ? getChangeLabel(change, hotnessLevel) : '';
+
+  // Stories matching a watch rule are highlighted with the rules they matched
+  const watchClass = watchMatches.length > 0 ? 'news-card-watched' : '';
+  const watchTitle = watchMatches.map(match => `${match.ruleName}: ${match.reasons.join(', ')}`).join('\n');
+
+  // Stories the user already opened are dimmed
+  const readClass = isRead ? 'news-card-read' : '';
+
+  // Show image when the source provides one
+  const hasImage = Boolean(imageUrl);
 
   const html = `
-    <article class="${cardClass} ${hasImage ? 'has-image' : ''}">
+    <article class="${cardClass} ${changeClass} ${watchClass} ${readClass} ${hasImage ? 'has-image' : ''}">
       ${hasImage ? `
         <div class="news-card-image">
           <img src="${escapeHtml(imageUrl)}" alt="" loading="lazy" onerror="this.parentElement.style.display='none'" />
@@ -69,10 +104,12 @@ export function NewsCard(story, options = {}) {
             <div class="news-card-title-row">
               <h2 class="news-card-title">
                 <a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">
-                  ${escapeHtml(title)}
+                  ${highlightText(title, highlightTerms)}
                 </a>
               </h2>
               ${whyHot ? `<span class="hotness-badge hotness-${hotnessLevel}">${whyHot}</span>` : ''}
+              ${changeLabel ? `<span class="change-badge ${changeClass}">${changeLabel}</span>` : ''}
+              ${watchClass ? `<span class="watch-badge" title="${escapeHtml(watchTitle)}">🔔 ${escapeHtml(watchMatches.map(match => match.ruleName).join(', '))}</span>` : ''}
             </div>
             <div class="news-card-meta">
               ${domain ? `<span class="news-card-source">${escapeHtml(domain)}</span>` : ''}
@@ -80,6 +117,15 @@ export function NewsCard(story, options = {}) {
               ${author ? `<span class="news-card-author">by ${escapeHtml(author)}</span>` : ''}
               ${(domain || author) && relativeTime ? '<span class="news-card-divider">•</span>' : ''}
               ${relativeTime ? `<span class="news-card-time">${relativeTime}</span>` : ''}
+              ${alsoOn.length > 0 ? `
+                <span class="news-card-divider">•</span>
+                <span class="news-card-also" title="${sourceCount} sources carry this story">also on ${escapeHtml(alsoOn.join(', '))}</span>
+              ` : ''}
+              ${onToggleSave ? `
+                <button class="save-btn ${isSaved ? 'saved' : ''}" aria-pressed="${isSaved}" title="${isSaved ? 'Remove from Saved' : 'Save for later'}">
+                  ${isSaved ? '★ Saved' : '☆ Save'}
+                </button>
+              ` : ''}
             </div>
             ${showSummary && aiSummary ? `
               <div class="news-card-summary">
@@ -93,17 +139,22 @@ export function NewsCard(story, options = {}) {
                   <path d="M18 12h4"/>
                 </svg>
                 <div class="summary-content">
-                  <p class="summary-text">${escapeHtml(aiSummary)}</p>
+                  <p class="summary-text">${highlightText(aiSummary, highlightTerms)}</p>
+                  ${aiSummaryBasis ? `
+                    <span class="summary-basis summary-basis-${aiSummaryBasis}" title="${aiSummaryBasis === 'full-text' ? 'Written from the article text' : 'The article could not be read, so this is based on the headline alone'}">
+                      ${aiSummaryBasis === 'full-text' ? 'From full article' : 'From title only'}
+                    </span>
+                  ` : ''}
                   ${onExtendSummary ? `<button class="btn-text extend-summary-btn" title="Get detailed analysis">Tell me more</button>` : ''}
                 </div>
               </div>
-            ` : description && !isHackerNews ? `
-              <p class="news-card-description">${escapeHtml(description.substring(0, 150))}${description.length > 150 ? '...' : ''}</p>
+            ` : description ? `
+              <p class="news-card-description">${highlightText(description.substring(0, 150), highlightTerms)}${description.length > 150 ? '...' : ''}</p>
             ` : ''}
           </div>
         </div>
         
-        ${isHackerNews ? `
+        ${hasEngagement ? `
           <div class="news-card-stats">
             ${pointsDisplay !== null ? `
               <div class="news-card-stat points">
@@ -122,16 +173,17 @@ export function NewsCard(story, options = {}) {
                 <a href="${escapeHtml(commentsUrl)}" target="_blank" rel="noopener noreferrer">
                   ${commentsDisplay} comments
                 </a>
+                ${canOpenThread ? `<button class="thread-btn" title="Read the discussion here">View thread</button>` : ''}
               </div>
             ` : ''}
             
             ${hotness?.velocity ? `
-              <div class="news-card-stat velocity">
+              <div class="news-card-stat velocity" title="${hotness.measured ? 'Measured from recent snapshots' : 'Estimated from lifetime average'}">
                 <svg class="news-card-stat-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                   <polyline points="23 6 13.5 15.5 8.5 10.5 1 18"/>
                   <polyline points="17 6 23 6 23 12"/>
                 </svg>
-                <span>${hotness.velocity} pts/hr</span>
+                <span>${hotness.velocity} pts/hr${getAccelerationArrow(hotness.acceleration)}</span>
               </div>
             ` : ''}
           </div>
@@ -162,10 +214,66 @@ export function NewsCard(story, options = {}) {
         extendBtn.textContent = 'Analyzing...';
         extendBtn.style.opacity = '0.7';
         extendBtn.style.cursor = 'wait';
-        onExtendSummary(story);
+        // A longer summary replaces the whole card; if none came back, allow a retry
+        Promise.resolve(onExtendSummary(story)).finally(() => {
+          extendBtn.textContent = 'Tell me more';
+          extendBtn.style.opacity = '';
+          extendBtn.style.cursor = '';
+        });
       });
     }
   }
 
+  // Attach event listener for thread button
+  if (canOpenThread) {
+    element.querySelector('.thread-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      onOpenThread(story);
+    });
+  }
+
+  if (onToggleSave) {
+    element.querySelector('.save-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      onToggleSave(story);
+    });
+  }
+
+  // Opening the story or its comments, also with a middle click, marks it as read
+  if (onVisit) {
+    element.querySelectorAll('.news-card-title a, .news-card-stat.comments a').forEach(link => {
+      link.addEventListener('click', () => onVisit(story));
+      link.addEventListener('auxclick', (e) => {
+        if (e.button === 1) onVisit(story);
+      });
+    });
+  }
+
   return element;
 }
+
+/**
+ * Gets an arrow showing whether a story is speeding up or slowing down
+ * @param {number} acceleration - Acceleration in pts/hr²
+ * @returns {string} Arrow suffix or empty string
+ */
+function getAccelerationArrow(acceleration) {
+  if (acceleration > 0) return ' ↑';
+  if (acceleration < 0) return ' ↓';
+  return '';
+}
+
+/**
+ * Gets the live-mode change label for a story
+ * @param {Object} change - Change info { isNew, rankDelta, previousLevel }
+ * @param {string} hotnessLevel - Current hotness level
+ * @returns {string} Label such as "New", "▲ 3" or "▲ 3 · now hot"
+ */
+function getChangeLabel(change, hotnessLevel) {
+  if (change.isNew) return 'New';
+
+  const parts = [];
+  if (change.rankDelta > 0) parts.push(`▲ ${change.rankDelta}`);
+  if (change.previousLevel) parts.push(`now ${hotnessLevel}`);
+  return parts.join(' · ');
+}
@@ -3,29 +3,68 @@
  * Container for rendering list of news cards
  */
 
-import { createElement } from '../utils/helpers.js';
+import { createElement, escapeHtml, formatClockTime } from '../utils/helpers.js';
+import { EXPORT_FORMATS } from '../utils/storyExport.js';
+import { reconcileList } from '../utils/reconcile.js';
+import { shallowEqual } from '../utils/store.js';
 import { NewsCard } from './NewsCard.js';
 
+// The display options each list was last rendered with
+const listOptions = new WeakMap();
+
 /**
  * Creates the news list container
  * @param {Object[]} stories - Array of story objects
  * @param {Object} options - Display options
  * @param {boolean} options.showSummaries - Whether to show AI summaries
+ * @param {Function} options.onExtendSummary - Callback for "Tell me more"
+ * @param {Function} options.onOpenThread - Callback to open a story's comment thread
+ * @param {string[]} options.highlightTerms - Search words and phrases to highlight
+ * @param {Function} options.onToggleSave - Callback to save or unsave a story
+ * @param {Function} options.onVisit - Callback when a story or its comments are opened
  * @returns {HTMLElement} NewsList element
  */
 export function NewsList(stories, options = {}) {
-  const { showSummaries = false, onExtendSummary = null } = options;
   const container = createElement('<div class="news-list"></div>');
+  updateNewsList(container, stories, options);
+  return container;
+}
 
-  stories.forEach(story => {
-    const card = NewsCard(story, {
-      showSummary: showSummaries,
-      onExtendSummary: onExtendSummary
-    });
-    container.appendChild(card);
-  });
+/**
+ * Updates the news list in place. Cards are keyed by story ID; a card is
+ * only re-rendered when its story changed, and all of them when the
+ * display options did.
+ * @param {HTMLElement} container - NewsList element
+ * @param {Object[]} stories - Array of story objects
+ * @param {Object} options - Display options (see NewsList)
+ */
+export function updateNewsList(container, stories, options = {}) {
+  const {
+    showSummaries = false,
+    onExtendSummary = null,
+    onOpenThread = null,
+    highlightTerms = [],
+    onToggleSave = null,
+    onVisit = null
+  } = options;
+  const cardOptions = {
+    showSummary: showSummaries,
+    onExtendSummary: onExtendSummary,
+    onOpenThread: onOpenThread,
+    highlightTerms: highlightTerms,
+    onToggleSave: onToggleSave,
+    onVisit: onVisit
+  };
 
-  return container;
+  if (!shallowEqual(listOptions.get(container), cardOptions)) {
+    container.replaceChildren();
+    listOptions.set(container, cardOptions);
+  }
+
+  reconcileList(container, stories, {
+    key: story => story.id,
+    render: story => NewsCard(story, cardOptions)
+  });
 }
 
 /**
@@ -36,23 +75,63 @@ export function NewsList(stories, options = {}) {
  * @param {Date} options.lastUpdated - Last update time
  * @param {boolean} options.aiEnabled - Whether AI is enabled
  * @param {boolean} options.aiLoading - Whether AI summaries are loading
+ * @param {number} options.aiCachedCount - Summaries the server answered from its cache
  * @param {string} options.sortBy - Current sort method ('rank' or 'velocity')
  * @param {Function} options.onSortChange - Callback when sort changes
+ * @param {string} options.rankLabel - Label for the default sort button
+ * @param {number} options.failedCount - Items the source failed to load (partial results)
+ * @param {string|null} options.liveStatus - Live mode status ('live', 'paused', 'backoff') or null when off
+ * @param {boolean} options.hideRead - Whether stories the user opened are hidden
+ * @param {number} options.hiddenCount - Stories hidden because they were read
+ * @param {Function} options.onHideReadChange - Callback when "Hide read" is toggled
+ * @param {boolean} options.offline - Whether the browser has no connection
+ * @param {boolean} options.fromCache - Whether the stories are the copy kept from an earlier load
+ * @param {Function} options.onExport - Called with a key of EXPORT_FORMATS to download the listed stories
+ * @param {string|null} options.feedUrl - RSS feed of the current view, when its source has one
  * @returns {HTMLElement} Stats bar element
  */
-export function StatsBar({ count, source, lastUpdated, aiEnabled = false, aiLoading = false, sortBy = 'rank', onSortChange = null }) {
+export function StatsBar({ count, source, lastUpdated, aiEnabled = false, aiLoading = false, aiCachedCount = 0, sortBy = 'rank', onSortChange = null, rankLabel = 'HN Rank', failedCount = 0, liveStatus = null, hideRead = false, hiddenCount = 0, onHideReadChange = null, offline = false, fromCache = false, onExport = null, feedUrl = null }) {
+  const liveLabels = {
+    live: 'Live',
+    paused: 'Live (paused)',
+    backoff: 'Live (retrying)'
+  };
+
+  // Stale stories say how old they are; offline says why
+  const staleLabel = offline || fromCache
+    ? `${offline ? 'Offline' : 'Couldn\'t refresh'}, as of ${formatClockTime(lastUpdated)}`
+    : '';
+
   const html = `
     <div class="stats-bar">
+      ${staleLabel ? `
+        <div class="stats-offline" role="status">
+          ${staleLabel}
+          ${offline ? '<span class="stats-offline-note">Stories refresh when you\'re back online</span>' : ''}
+        </div>
+      ` : ''}
       <div class="stats-info">
         <span class="stats-count">
           Showing <strong>${count}</strong> ${count === 1 ? 'story' : 'stories'}
+          ${hiddenCount > 0 ? `<span class="stats-hidden">(${hiddenCount} read hidden)</span>` : ''}
         </span>
+        ${failedCount > 0 ? `
+          <span class="stats-partial" title="These items failed after several retries; refresh to try again">
+            ${failedCount} failed to load
+          </span>
+        ` : ''}
         <span class="stats-source">
           <span class="stats-source-dot"></span>
-          ${source}
+          ${escapeHtml(source)}
         </span>
+        ${liveStatus ? `
+          <span class="stats-live stats-live-${liveStatus}">
+            <span class="live-dot"></span>
+            ${liveLabels[liveStatus]}
+          </span>
+        ` : ''}
         ${aiEnabled ? `
-          <span class="stats-ai ${aiLoading ? 'loading' : ''}">
+          <span class="stats-ai ${aiLoading ? 'loading' : ''}"${aiCachedCount > 0 ? ` title="${aiCachedCount} ${aiCachedCount === 1 ? 'summary was' : 'summaries were'} served from the summary cache"` : ''}>
             <svg class="ai-indicator-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
               <circle cx="12" cy="12" r="3"/>
               <path d="M12 2v4"/>
@@ -63,28 +142,69 @@ export function StatsBar({ count, source, lastUpdated, aiEnabled = false, aiLoad
               <path d="M18 12h4"/>
             </svg>
             ${aiLoading ? 'Generating summaries...' : 'AI Summaries'}
+            ${aiCachedCount > 0 ? `<span class="stats-ai-cached">${aiCachedCount} cached</span>` : ''}
           </span>
         ` : ''}
+        ${onHideReadChange ? `
+          <label class="stats-hide-read">
+            <input type="checkbox" ${hideRead ? 'checked' : ''} />
+            Hide read
+          </label>
+        ` : ''}
       </div>
-      ${onSortChange ? `
-      <div class="stats-sort">
-        <span class="sort-label">Sort by:</span>
-        <button class="sort-btn ${sortBy === 'rank' ? 'active' : ''}" data-sort="rank">
-          HN Rank
-        </button>
-        <button class="sort-btn ${sortBy === 'velocity' ? 'active' : ''}" data-sort="velocity">
-          Velocity
-        </button>
+      <div class="stats-actions">
+        ${onExport && count > 0 ? `
+          <details class="stats-export">
+            <summary class="stats-export-toggle">Export</summary>
+            <div class="stats-export-menu">
+              ${Object.entries(EXPORT_FORMATS).map(([format, { label }]) => `
+                <button class="stats-export-item" data-format="${format}">${label}</button>
+              `).join('')}
+              ${feedUrl ? `
+                <a class="stats-export-item" href="${escapeHtml(feedUrl)}" target="_blank" rel="noopener noreferrer"
+                  title="Subscribe to this view in a feed reader">RSS feed</a>
+              ` : ''}
+            </div>
+          </details>
+        ` : ''}
+        ${onSortChange ? `
+        <div class="stats-sort">
+          <span class="sort-label">Sort by:</span>
+          <button class="sort-btn ${sortBy === 'rank' ? 'active' : ''}" data-sort="rank">
+            ${rankLabel}
+          </button>
+          <button class="sort-btn ${sortBy === 'velocity' ? 'active' : ''}" data-sort="velocity">
+            Velocity
+          </button>
+        </div>
+        ` : ''}
       </div>
-      ` : ''}
     </div>
   `;
 
   const element = createElement(html);
 
+  if (onExport && count > 0) {
+    const menu = element.querySelector('.stats-export');
+    menu.querySelectorAll('button[data-format]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        menu.open = false;
+        onExport(btn.dataset.format);
+      });
+    });
+    menu.addEventListener('keydown', event => {
+      if (event.key === 'Escape') menu.open = false;
+    });
+  }
+
+  if (onHideReadChange) {
+    const checkbox = element.querySelector('.stats-hide-read input');
+    checkbox.addEventListener('change', () => onHideReadChange(checkbox.checked));
+  }
+
   // Add sort button listeners
   if (onSortChange) {
-    element.querySelectorAll('.sort-btn').forEach(btn => {
+    element.querySelectorAll('.sort-btn[data-sort]').forEach(btn => {
       btn.addEventListener('click', () => {
         onSortChange(btn.dataset.sort);
       });
@@ -0,0 +1,65 @@
+/**
+ * SavedToolbar Component
+ * Actions above the Saved view: export and import the saved stories and
+ * read history, and forget which stories were read
+ */
+
+import { createElement } from '../utils/helpers.js';
+
+/**
+ * Creates the saved stories toolbar
+ * @param {Object} options - Toolbar options
+ * @param {Function} options.onExport - Called to download the export
+ * @param {Function} options.onImport - Called with the file's text; returns { saved, read }, throws when the file is invalid
+ * @param {Function} options.onClearRead - Called to forget the read history
+ * @returns {HTMLElement} SavedToolbar element
+ */
+export function SavedToolbar({ onExport, onImport, onClearRead }) {
+  const html = `
+    <div class="saved-toolbar">
+      <div class="saved-toolbar-row">
+        <span class="saved-toolbar-note">Saved stories and read history are kept in this browser.</span>
+        <span class="filter-spacer"></span>
+        <button class="btn btn-secondary saved-export">Export</button>
+        <label class="btn btn-secondary saved-import">
+          Import
+          <input type="file" accept="application/json,.json" hidden />
+        </label>
+        <button class="btn btn-secondary saved-clear-read">Clear read history</button>
+      </div>
+      <p class="status-message saved-message" hidden></p>
+    </div>
+  `;
+
+  const element = createElement(html);
+  const message = element.querySelector('.saved-message');
+  const fileInput = element.querySelector('input[type="file"]');
+
+  const showMessage = (text, type) => {
+    message.textContent = text;
+    message.className = `status-message saved-message ${type}`;
+    message.hidden = false;
+  };
+
+  element.querySelector('.saved-export').addEventListener('click', onExport);
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    try {
+      const added = onImport(await file.text());
+      showMessage(`Imported ${added.saved} ${added.saved === 1 ? 'story' : 'stories'} and ${added.read} read ${added.read === 1 ? 'entry' : 'entries'}.`, 'success');
+    } catch (error) {
+      showMessage(`Import failed: ${error.message}`, 'error');
+    }
+  });
+
+  element.querySelector('.saved-clear-read').addEventListener('click', () => {
+    onClearRead();
+    showMessage('Read history cleared.', 'success');
+  });
+
+  return element;
+}
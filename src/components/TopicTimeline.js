@@ -0,0 +1,179 @@
+/**
+ * TopicTimeline Component
+ * Panel showing how each saved topic rose and fell over the last days,
+ * with a sparkline and trend indicator per topic
+ */
+
+import { createElement, escapeHtml } from '../utils/helpers.js';
+
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 28;
+
+/**
+ * Trend indicators
+ */
+const TRENDS = {
+  new: { symbol: '✦', label: 'New' },
+  rising: { symbol: '▲', label: 'Rising' },
+  steady: { symbol: '•', label: 'Steady' },
+  falling: { symbol: '▼', label: 'Falling' }
+};
+
+/**
+ * Creates the topic timeline panel
+ * @param {Object} options - Panel options
+ * @param {Function} options.getTimeline - Called with { days, source }, returns { days, topics } (see buildTopicTimeline)
+ * @param {Object[]} options.sources - Sources to filter by, as { id, label }
+ * @param {Function} options.onExport - Called with 'json' or 'csv'
+ * @param {Function} options.onClear - Called when the history is cleared
+ * @param {Function} options.onTopicClick - Called with a topic word to search for it
+ * @param {Function} options.onClose - Called when the panel is dismissed
+ * @param {AbortSignal} options.signal - Aborted when the panel is removed, to drop its document listeners
+ * @returns {HTMLElement} TopicTimeline element
+ */
+export function TopicTimeline({ getTimeline, sources, onExport, onClear, onTopicClick, onClose, signal }) {
+  const html = `
+    <div class="panel-overlay">
+      <div class="panel topic-timeline" role="dialog" aria-label="Topic timeline">
+        <div class="panel-header">
+          <h3 class="panel-title">Topic Timeline</h3>
+          <button class="btn-icon panel-close" title="Close">✕</button>
+        </div>
+        <div class="timeline-controls">
+          <select class="filter-select timeline-source" aria-label="Source">
+            <option value="">All sources</option>
+            ${sources.map(source => `<option value="${escapeHtml(source.id)}">${escapeHtml(source.label)}</option>`).join('')}
+          </select>
+          <select class="filter-select timeline-days" aria-label="Range">
+            <option value="7">7 days</option>
+            <option value="14" selected>14 days</option>
+            <option value="30">30 days</option>
+          </select>
+        </div>
+        <div class="timeline-body"></div>
+        <div class="timeline-actions">
+          <button class="timeline-clear">Clear history</button>
+          <span class="filter-spacer"></span>
+          <button class="btn btn-secondary" data-export="csv">Export CSV</button>
+          <button class="btn btn-secondary" data-export="json">Export JSON</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const element = createElement(html);
+  const body = element.querySelector('.timeline-body');
+  const sourceSelect = element.querySelector('.timeline-source');
+  const daysSelect = element.querySelector('.timeline-days');
+
+  const render = () => {
+    const timeline = getTimeline({
+      days: Number(daysSelect.value),
+      source: sourceSelect.value || null
+    });
+    body.innerHTML = renderTimeline(timeline);
+
+    body.querySelectorAll('.timeline-topic').forEach(button => {
+      button.addEventListener('click', () => {
+        onTopicClick(button.dataset.topic);
+        close();
+      });
+    });
+  };
+
+  sourceSelect.addEventListener('change', render);
+  daysSelect.addEventListener('change', render);
+
+  element.querySelectorAll('[data-export]').forEach(button => {
+    button.addEventListener('click', () => onExport(button.dataset.export));
+  });
+
+  element.querySelector('.timeline-clear').addEventListener('click', () => {
+    if (confirm('Delete all saved topic history?')) {
+      onClear();
+      render();
+    }
+  });
+
+  const close = () => onClose();
+
+  // Removed when the owner aborts the signal, however the panel was closed
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') close();
+  }, { signal });
+
+  element.querySelector('.panel-close').addEventListener('click', close);
+  element.addEventListener('click', (e) => {
+    if (e.target === element) close();
+  });
+
+  render();
+  return element;
+}
+
+/**
+ * Renders the topic rows
+ * @param {Object} timeline - { days, topics }
+ * @returns {string} HTML
+ */
+function renderTimeline({ days, topics }) {
+  if (topics.length === 0) {
+    return '<p class="trending-empty">No history yet. Topics are saved every time stories load, so check back after a few visits.</p>';
+  }
+
+  const max = Math.max(1, ...topics.flatMap(topic => topic.series.filter(value => value !== null)));
+
+  return `
+    <div class="timeline-range">${escapeHtml(days[0])} – ${escapeHtml(days[days.length - 1])}</div>
+    <ul class="timeline-list">
+      ${topics.slice(0, 40).map(topic => {
+        const trend = TRENDS[topic.trend];
+        const change = topic.trend === 'new' ? 'new' : `${topic.change > 0 ? '+' : ''}${topic.change}%`;
+
+        return `
+          <li class="timeline-row trend-${topic.trend}">
+            <button class="timeline-topic" data-topic="${escapeHtml(topic.word)}" title="Search for ${escapeHtml(topic.word)}">${escapeHtml(topic.word)}</button>
+            ${renderSparkline(topic.series, max)}
+            <span class="timeline-trend" title="${trend.label}: last 3 days vs the days before">
+              ${trend.symbol} ${change}
+            </span>
+          </li>
+        `;
+      }).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Renders a series as an SVG sparkline, with gaps on days without data
+ * @param {Array<number|null>} series - Daily values
+ * @param {number} max - Largest value across all topics, so lines are comparable
+ * @returns {string} SVG markup
+ */
+function renderSparkline(series, max) {
+  const step = SPARKLINE_WIDTH / Math.max(series.length - 1, 1);
+  const segments = [[]];
+
+  series.forEach((value, index) => {
+    if (value === null) {
+      if (segments[segments.length - 1].length > 0) segments.push([]);
+      return;
+    }
+    const x = (index * step).toFixed(1);
+    const y = (SPARKLINE_HEIGHT - 2 - (value / max) * (SPARKLINE_HEIGHT - 4)).toFixed(1);
+    segments[segments.length - 1].push(`${x},${y}`);
+  });
+
+  const shapes = segments
+    .filter(points => points.length > 0)
+    .map(points => points.length === 1
+      ? `<circle cx="${points[0].split(',')[0]}" cy="${points[0].split(',')[1]}" r="1.5" />`
+      : `<polyline points="${points.join(' ')}" />`)
+    .join('');
+
+  return `
+    <svg class="sparkline" width="${SPARKLINE_WIDTH}" height="${SPARKLINE_HEIGHT}" viewBox="0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}" aria-hidden="true">
+      ${shapes}
+    </svg>
+  `;
+}
@@ -1,18 +1,25 @@
 /**
  * TrendingTopics Component
- * Displays a word cloud of trending topics extracted from stories
+ * Displays a word cloud of trending topics extracted from stories, and the
+ * clusters of stories that cover the same topic
  */
 
-import { createElement } from '../utils/helpers.js';
-import { extractTrendingTopics, getTopicSizeClass } from '../utils/hotness.js';
+import { createElement, escapeHtml } from '../utils/helpers.js';
+import { extractTrendingTopics, clusterStories, getTopicSizeClass } from '../utils/topics.js';
+
+/**
+ * Member stories listed per cluster before the rest is summarized as "+N more"
+ */
+const CLUSTER_PREVIEW = 4;
 
 /**
  * Creates the trending topics sidebar component
  * @param {Object[]} stories - Array of story objects
  * @param {Function} onTopicClick - Callback when a topic is clicked
+ * @param {Function} onShowTimeline - Callback when the timeline button is clicked (optional)
  * @returns {HTMLElement} TrendingTopics element
  */
-export function TrendingTopics(stories, onTopicClick) {
+export function TrendingTopics(stories, onTopicClick, onShowTimeline = null) {
     const html = `
         <aside class="trending-sidebar">
             <div class="trending-header">
@@ -24,15 +31,23 @@ export function TrendingTopics(stories, onTopicClick) {
                     Trending Now
                 </h3>
                 <span class="trending-subtitle">What tech is talking about</span>
+                ${onShowTimeline ? `
+                    <button class="btn-link trending-timeline-btn">How topics changed over time →</button>
+                ` : ''}
             </div>
             <div class="trending-cloud">
                 <span class="trending-empty">Loading topics...</span>
             </div>
+            <div class="trending-clusters"></div>
         </aside>
     `;
 
     const element = createElement(html);
 
+    if (onShowTimeline) {
+        element.querySelector('.trending-timeline-btn').addEventListener('click', onShowTimeline);
+    }
+
     // Initial content update
     updateTrendingTopics(element, stories, onTopicClick);
 
@@ -58,8 +73,8 @@ export function updateTrendingTopics(container, stories, onTopicClick) {
         return `
             <button class="topic-tag topic-${sizeClass}" 
                   title="Appears in ${topic.count} stories"
-                  data-topic="${topic.word}">
-                ${topic.word}
+                  data-topic="${escapeHtml(topic.word)}">
+                ${escapeHtml(topic.word)}
             </button>
         `;
     }).join('');
@@ -74,4 +89,53 @@ export function updateTrendingTopics(container, stories, onTopicClick) {
             });
         });
     }
+
+    updateClusters(container, stories);
+}
+
+/**
+ * Renders the story clusters below the word cloud
+ * @param {HTMLElement} container - Trending sidebar container
+ * @param {Object[]} stories - Stories to cluster
+ */
+function updateClusters(container, stories) {
+    const clustersContainer = container.querySelector('.trending-clusters');
+    if (!clustersContainer) return;
+
+    // Clustering is the slow part of a re-render, so skip it while the list is unchanged
+    const key = stories.map(story => story.id).join(',');
+    if (clustersContainer.dataset.key === key) return;
+    clustersContainer.dataset.key = key;
+
+    const clusters = clusterStories(stories, { limit: 6 });
+
+    if (clusters.length === 0) {
+        clustersContainer.innerHTML = '';
+        return;
+    }
+
+    clustersContainer.innerHTML = `
+        <h4 class="trending-clusters-title">Story clusters</h4>
+        ${clusters.map(cluster => `
+            <details class="topic-cluster">
+                <summary class="topic-cluster-summary">
+                    <span class="topic-cluster-label">${escapeHtml(cluster.label)}</span>
+                    <span class="topic-cluster-count">${cluster.stories.length} stories</span>
+                    ${cluster.terms.length > 1 ? `
+                        <span class="topic-cluster-terms">${cluster.terms.slice(1).map(escapeHtml).join(' · ')}</span>
+                    ` : ''}
+                </summary>
+                <ul class="topic-cluster-stories">
+                    ${cluster.stories.slice(0, CLUSTER_PREVIEW).map(story => `
+                        <li>
+                            <a href="${escapeHtml(story.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(story.title)}</a>
+                        </li>
+                    `).join('')}
+                    ${cluster.stories.length > CLUSTER_PREVIEW ? `
+                        <li class="topic-cluster-more">+${cluster.stories.length - CLUSTER_PREVIEW} more</li>
+                    ` : ''}
+                </ul>
+            </details>
+        `).join('')}
+    `;
 }
@@ -0,0 +1,286 @@
+/**
+ * WatchlistPanel Component
+ * Panel listing the alerts raised by the user's watch rules, and the form
+ * for adding, editing and removing those rules
+ */
+
+import { createElement, escapeHtml, formatRelativeTime } from '../utils/helpers.js';
+import { HOTNESS_LEVELS } from '../utils/hotness.js';
+
+/**
+ * Labels for the minimum hotness select
+ */
+const LEVEL_LABELS = {
+  cold: 'Any hotness',
+  mild: 'Mild or hotter',
+  warm: 'Warm or hotter',
+  hot: 'Hot or hotter',
+  fire: 'On fire only'
+};
+
+/**
+ * Creates the watchlist panel
+ * @param {Object} options - Panel options
+ * @param {Function} options.getAlerts - Returns the alerts, newest first (see getAlerts)
+ * @param {Function} options.getRules - Returns the saved rules
+ * @param {Function} options.getPermission - Returns the notification permission
+ * @param {Function} options.onSaveRule - Called with the rule form fields; throws when the rule is invalid
+ * @param {Function} options.onRemoveRule - Called with a rule ID
+ * @param {Function} options.onToggleRule - Called with a rule ID and whether it is enabled
+ * @param {Function} options.onClearAlerts - Called when the alerts are cleared
+ * @param {Function} options.onRequestPermission - Asks for notification permission, returns a promise
+ * @param {Function} options.onClose - Called when the panel is dismissed
+ * @param {AbortSignal} options.signal - Aborted when the panel is removed, to drop its document listeners
+ * @param {string} options.tab - Tab shown first ('alerts' or 'rules')
+ * @returns {HTMLElement} WatchlistPanel element
+ */
+export function WatchlistPanel({
+  getAlerts,
+  getRules,
+  getPermission,
+  onSaveRule,
+  onRemoveRule,
+  onToggleRule,
+  onClearAlerts,
+  onRequestPermission,
+  onClose,
+  signal,
+  tab = 'alerts'
+}) {
+  const html = `
+    <div class="panel-overlay">
+      <div class="panel watchlist-panel" role="dialog" aria-label="Watchlist">
+        <div class="panel-header">
+          <h3 class="panel-title">Watchlist</h3>
+          <button class="btn-icon panel-close" title="Close">✕</button>
+        </div>
+        <div class="digest-tabs" role="tablist">
+          <button class="digest-tab" role="tab" data-tab="alerts">Alerts</button>
+          <button class="digest-tab" role="tab" data-tab="rules">Rules</button>
+        </div>
+        <div class="watchlist-body"></div>
+      </div>
+    </div>
+  `;
+
+  const element = createElement(html);
+  const body = element.querySelector('.watchlist-body');
+  let current = tab;
+  let editing = null;
+
+  const render = () => {
+    element.querySelectorAll('.digest-tab').forEach(button => {
+      button.classList.toggle('active', button.dataset.tab === current);
+    });
+
+    body.innerHTML = '';
+    body.appendChild(current === 'alerts' ? renderAlerts() : renderRules());
+  };
+
+  const renderAlerts = () => {
+    const alerts = getAlerts().filter(alert => !alert.cleared);
+    const view = createElement(`
+      <div>
+        ${alerts.length > 0 ? `
+          <ul class="alert-list">
+            ${alerts.map(alert => `
+              <li class="alert-item ${alert.read ? '' : 'unread'}">
+                ${alert.url
+                  ? `<a class="alert-title" href="${escapeHtml(alert.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(alert.title)}</a>`
+                  : `<span class="alert-title">${escapeHtml(alert.title)}</span>`}
+                <div class="alert-meta">
+                  <span class="alert-rules">${escapeHtml(alert.rules.join(', '))}</span>
+                  <span>${escapeHtml(alert.reasons.join(' · '))}</span>
+                  ${alert.domain ? `<span>${escapeHtml(alert.domain)}</span>` : ''}
+                  <span>${formatRelativeTime(new Date(alert.alertedAt))}</span>
+                </div>
+              </li>
+            `).join('')}
+          </ul>
+          <div class="timeline-actions">
+            <button class="timeline-clear alert-clear">Clear alerts</button>
+          </div>
+        ` : `
+          <p class="trending-empty">
+            ${getRules().length > 0
+              ? 'No alerts yet. Stories matching your rules show up here as they are loaded.'
+              : 'No alerts yet. Add a rule to be told when a story you care about shows up.'}
+          </p>
+        `}
+      </div>
+    `);
+
+    view.querySelector('.alert-clear')?.addEventListener('click', () => {
+      onClearAlerts();
+      render();
+    });
+
+    return view;
+  };
+
+  const renderRules = () => {
+    const rules = getRules();
+    const permission = getPermission();
+    const view = createElement(`
+      <div>
+        <form class="watch-form">
+          <input class="filter-input" name="name" placeholder="Name (optional)" maxlength="100" />
+          <input class="filter-input" name="keywords" placeholder="Keywords, comma separated (rust, open source)" />
+          <input class="filter-input" name="domains" placeholder="Domains, comma separated (github.com)" />
+          <input class="filter-input" name="authors" placeholder="Authors, comma separated" />
+          <textarea class="filter-input" name="patterns" rows="2" placeholder="Regular expressions, one per line (^Show HN)"></textarea>
+          <div class="watch-form-row">
+            <select class="filter-select" name="minLevel" aria-label="Minimum hotness">
+              ${HOTNESS_LEVELS.map(level => `<option value="${level}">${LEVEL_LABELS[level]}</option>`).join('')}
+            </select>
+            <label class="watch-notify">
+              <input type="checkbox" name="notify" />
+              Notify me
+            </label>
+            <span class="filter-spacer"></span>
+            <button type="button" class="btn btn-secondary watch-cancel" hidden>Cancel</button>
+            <button type="submit" class="btn btn-primary">Add rule</button>
+          </div>
+          <p class="watch-error status-message error" hidden></p>
+        </form>
+        ${permission === 'default' ? `
+          <p class="watch-permission">
+            Rules with "Notify me" need permission to show notifications.
+            <button class="btn-text watch-permission-btn">Allow notifications</button>
+          </p>
+        ` : permission === 'denied' ? `
+          <p class="watch-permission">Notifications are blocked for this site, so matches only show up here.</p>
+        ` : ''}
+        <ul class="feed-list">
+          ${rules.length > 0 ? rules.map(rule => `
+            <li class="feed-item ${rule.enabled ? '' : 'watch-rule-off'}">
+              <label class="watch-rule-toggle" title="${rule.enabled ? 'Pause' : 'Resume'} this rule">
+                <input type="checkbox" data-toggle="${escapeHtml(rule.id)}" ${rule.enabled ? 'checked' : ''} />
+              </label>
+              <div class="feed-item-info">
+                <span class="feed-item-label">${escapeHtml(rule.name)}${rule.notify ? ' 🔔' : ''}</span>
+                <span class="feed-item-url">${escapeHtml(describeRule(rule))}</span>
+              </div>
+              <button class="btn-text watch-edit-btn" data-edit="${escapeHtml(rule.id)}">Edit</button>
+              <button class="btn-text feed-remove-btn" data-remove="${escapeHtml(rule.id)}">Remove</button>
+            </li>
+          `).join('') : '<li class="trending-empty">No rules yet.</li>'}
+        </ul>
+      </div>
+    `);
+
+    const form = view.querySelector('.watch-form');
+    const errorEl = view.querySelector('.watch-error');
+    const cancelBtn = view.querySelector('.watch-cancel');
+
+    if (editing) {
+      form.elements.name.value = editing.name;
+      form.elements.keywords.value = editing.keywords.join(', ');
+      form.elements.domains.value = editing.domains.join(', ');
+      form.elements.authors.value = editing.authors.join(', ');
+      form.elements.patterns.value = editing.patterns.join('\n');
+      form.elements.minLevel.value = editing.minLevel;
+      form.elements.notify.checked = editing.notify;
+      form.querySelector('button[type="submit"]').textContent = 'Save rule';
+      cancelBtn.hidden = false;
+    }
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+
+      try {
+        onSaveRule({
+          id: editing?.id,
+          enabled: editing ? editing.enabled : true,
+          name: form.elements.name.value,
+          keywords: form.elements.keywords.value,
+          domains: form.elements.domains.value,
+          authors: form.elements.authors.value,
+          patterns: form.elements.patterns.value.split('\n'),
+          minLevel: form.elements.minLevel.value,
+          notify: form.elements.notify.checked
+        });
+      } catch (error) {
+        errorEl.textContent = error.message;
+        errorEl.hidden = false;
+        return;
+      }
+
+      editing = null;
+      render();
+    });
+
+    cancelBtn.addEventListener('click', () => {
+      editing = null;
+      render();
+    });
+
+    view.querySelector('.watch-permission-btn')?.addEventListener('click', async () => {
+      await onRequestPermission();
+      render();
+    });
+
+    view.querySelectorAll('[data-toggle]').forEach(input => {
+      input.addEventListener('change', () => {
+        onToggleRule(input.dataset.toggle, input.checked);
+        render();
+      });
+    });
+
+    view.querySelectorAll('[data-edit]').forEach(button => {
+      button.addEventListener('click', () => {
+        editing = rules.find(rule => rule.id === button.dataset.edit) || null;
+        render();
+      });
+    });
+
+    view.querySelectorAll('[data-remove]').forEach(button => {
+      button.addEventListener('click', () => {
+        onRemoveRule(button.dataset.remove);
+        if (editing?.id === button.dataset.remove) editing = null;
+        render();
+      });
+    });
+
+    return view;
+  };
+
+  element.querySelectorAll('.digest-tab').forEach(button => {
+    button.addEventListener('click', () => {
+      current = button.dataset.tab;
+      render();
+    });
+  });
+
+  const close = () => onClose();
+
+  // Removed when the owner aborts the signal, however the panel was closed
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') close();
+  }, { signal });
+
+  element.querySelector('.panel-close').addEventListener('click', close);
+  element.addEventListener('click', (e) => {
+    if (e.target === element) close();
+  });
+
+  render();
+  return element;
+}
+
+/**
+ * Summarizes what a rule watches for
+ * @param {Object} rule - Saved rule
+ * @returns {string} Summary
+ */
+function describeRule(rule) {
+  const parts = [
+    ...rule.keywords.map(keyword => `"${keyword}"`),
+    ...rule.patterns.map(pattern => `/${pattern}/`),
+    ...rule.domains,
+    ...rule.authors.map(author => `by ${author}`)
+  ];
+  const terms = parts.length > 0 ? parts.join(', ') : 'Any story';
+
+  return rule.minLevel === 'cold' ? terms : `${terms} · ${LEVEL_LABELS[rule.minLevel].toLowerCase()}`;
+}
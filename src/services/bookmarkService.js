@@ -0,0 +1,171 @@
+/**
+ * Bookmark Service
+ * Keeps saved stories (full snapshots, so they outlive the lists they came
+ * from) and the IDs of stories the user has opened in localStorage, with a
+ * JSON export and import for moving them between browsers
+ */
+
+const SAVED_KEY = 'hotstrends-saved';
+const READ_KEY = 'hotstrends-read';
+
+// Opened stories remembered; the oldest are forgotten first
+const MAX_READ = 5000;
+
+// Per-view fields that don't belong in a snapshot
+const VIEW_FIELDS = ['rank', 'change', 'watchMatches', 'isSaved', 'isRead'];
+
+/**
+ * Gets the saved stories, most recently saved first
+ * @returns {Object[]} Story snapshots, each with savedAt (ms) and timestamp as an ISO string
+ */
+export function getSavedStories() {
+    try {
+        return JSON.parse(localStorage.getItem(SAVED_KEY)) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Gets the IDs of the saved stories
+ * @returns {Set<string>} Story IDs
+ */
+export function getSavedIds() {
+    return new Set(getSavedStories().map(story => story.id.toString()));
+}
+
+/**
+ * Saves a snapshot of a story, including its AI summary if it has one.
+ * Saving a story again refreshes its snapshot and keeps its place.
+ * @param {Object} story - Story as shown on its card
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} The snapshot
+ */
+export function saveStory(story, now = Date.now()) {
+    const saved = getSavedStories();
+    const id = story.id.toString();
+    const existing = saved.find(item => item.id.toString() === id);
+
+    const snapshot = { ...story, savedAt: existing?.savedAt ?? now };
+    VIEW_FIELDS.forEach(field => delete snapshot[field]);
+    if (!snapshot.aiSummary) {
+        delete snapshot.aiSummary;
+        delete snapshot.aiSummaryBasis;
+    }
+
+    saveItems(SAVED_KEY, existing
+        ? saved.map(item => (item.id.toString() === id ? snapshot : item))
+        : [snapshot, ...saved]);
+    return snapshot;
+}
+
+/**
+ * Removes a saved story
+ * @param {string} id - Story ID
+ */
+export function removeSavedStory(id) {
+    saveItems(SAVED_KEY, getSavedStories().filter(story => story.id.toString() !== id.toString()));
+}
+
+/**
+ * Gets the IDs of the stories the user has opened
+ * @returns {Set<string>} Story IDs
+ */
+export function getReadIds() {
+    return new Set(getReadLog().map(entry => entry.id));
+}
+
+/**
+ * Remembers that a story was opened
+ * @param {string} id - Story ID
+ * @param {number} now - Current time in milliseconds
+ */
+export function markRead(id, now = Date.now()) {
+    const key = id.toString();
+    const log = getReadLog().filter(entry => entry.id !== key);
+    saveItems(READ_KEY, [{ id: key, readAt: now }, ...log].slice(0, MAX_READ));
+}
+
+/**
+ * Forgets which stories were opened
+ */
+export function clearReadHistory() {
+    saveItems(READ_KEY, []);
+}
+
+/**
+ * Exports the saved stories and the read history as JSON
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} JSON document
+ */
+export function exportBookmarks(now = Date.now()) {
+    return JSON.stringify({
+        app: 'hotstrends',
+        version: 1,
+        exportedAt: new Date(now).toISOString(),
+        saved: getSavedStories(),
+        read: getReadLog()
+    }, null, 2);
+}
+
+/**
+ * Merges an export into the saved stories and read history. Stories that
+ * are already saved keep their local snapshot.
+ * @param {string} text - JSON document from exportBookmarks
+ * @returns {Object} { saved, read }: how many stories and read entries were added
+ * @throws {Error} When the text is not a HotsTrends export
+ */
+export function importBookmarks(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON');
+    }
+
+    if (data?.app !== 'hotstrends' || !Array.isArray(data.saved)) {
+        throw new Error('The file is not a HotsTrends bookmarks export');
+    }
+
+    const saved = getSavedStories();
+    const savedIds = new Set(saved.map(story => story.id.toString()));
+    const newStories = data.saved.filter(story =>
+        story && story.id !== undefined && story.title && !savedIds.has(story.id.toString())
+    );
+
+    const log = getReadLog();
+    const readIds = new Set(log.map(entry => entry.id));
+    const newReads = (Array.isArray(data.read) ? data.read : [])
+        .filter(entry => entry && entry.id !== undefined && !readIds.has(entry.id.toString()))
+        .map(entry => ({ id: entry.id.toString(), readAt: Number(entry.readAt) || 0 }));
+
+    saveItems(SAVED_KEY, [...saved, ...newStories].sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0)));
+    saveItems(READ_KEY, [...log, ...newReads].sort((a, b) => b.readAt - a.readAt).slice(0, MAX_READ));
+
+    return { saved: newStories.length, read: newReads.length };
+}
+
+/**
+ * Gets the read history, most recently opened first
+ * @returns {Object[]} Array of { id, readAt }
+ */
+function getReadLog() {
+    try {
+        return JSON.parse(localStorage.getItem(READ_KEY)) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Persists a list under a storage key
+ * @param {string} key - localStorage key
+ * @param {Object[]} items - Items to save
+ */
+function saveItems(key, items) {
+    try {
+        localStorage.setItem(key, JSON.stringify(items));
+    } catch (error) {
+        console.error('Error saving bookmarks:', error);
+    }
+}
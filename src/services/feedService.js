@@ -0,0 +1,105 @@
+/**
+ * Feed Service
+ * Fetches RSS/Atom/JSON feeds through our serverless /api/feed route and
+ * keeps the user's list of followed feeds in localStorage
+ */
+
+import { hashString } from '../utils/helpers.js';
+
+const STORAGE_KEY = 'hotstrends-feeds';
+
+// Feed titles are remote text; labels are kept short and tag-free
+const MAX_LABEL_LENGTH = 80;
+
+/**
+ * Fetches a feed's items, already in the shared story shape
+ * @param {string} url - Feed URL
+ * @param {number} limit - Maximum items
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Object>} { feed: { title, link }, items }
+ */
+export async function fetchFeed(url, limit = 30, signal = undefined) {
+    const params = new URLSearchParams({ url, limit: limit.toString() });
+    const response = await fetch(`/api/feed?${params}`, { signal });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || data.status !== 'ok') {
+        throw new Error(data.error || `Failed to fetch feed: ${response.status}`);
+    }
+
+    // Dates arrive as ISO strings
+    return {
+        feed: data.feed,
+        items: data.items.map(item => ({ ...item, timestamp: new Date(item.timestamp) }))
+    };
+}
+
+/**
+ * Gets the feeds the user follows
+ * @returns {Object[]} Array of { id, label, url }
+ */
+export function getSavedFeeds() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Validates a feed URL by fetching it, then saves it
+ * @param {string} url - Feed URL
+ * @returns {Promise<Object>} Saved feed { id, label, url }
+ */
+export async function addFeed(url) {
+    const trimmed = url.trim();
+    const id = `feed-${hashString(trimmed)}`;
+    const feeds = getSavedFeeds();
+
+    if (feeds.some(feed => feed.id === id)) {
+        throw new Error('You already follow this feed');
+    }
+
+    const { feed } = await fetchFeed(trimmed, 1);
+    const saved = { id, label: cleanLabel(feed.title) || new URL(trimmed).hostname, url: trimmed };
+
+    saveFeeds([...feeds, saved]);
+    return saved;
+}
+
+/**
+ * Stops following a feed
+ * @param {string} id - Feed ID
+ */
+export function removeFeed(id) {
+    saveFeeds(getSavedFeeds().filter(feed => feed.id !== id));
+}
+
+/**
+ * Persists the feed list
+ * @param {Object[]} feeds - Feeds to save
+ */
+function saveFeeds(feeds) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(feeds));
+    } catch (error) {
+        console.error('Error saving feeds:', error);
+    }
+}
+
+/**
+ * Turns a feed title into a source label: tags stripped, whitespace
+ * collapsed, length capped
+ * @param {string} title - Feed title from the remote document
+ * @returns {string} Label, or '' when nothing is left
+ */
+function cleanLabel(title) {
+    if (typeof title !== 'string') return '';
+
+    return title
+        .replace(/<[^>]*>?/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_LABEL_LENGTH)
+        .trim();
+}
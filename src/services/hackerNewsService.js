@@ -6,9 +6,18 @@
  */
 
 import { calculateHotness, calculateDiscussionIntensity } from '../utils/hotness.js';
+import { getSnapshotHistory, recordSnapshots } from './snapshotService.js';
+import { createRequestScheduler, isAbortError } from '../utils/requestScheduler.js';
 
 const HN_API_BASE = 'https://hacker-news.firebaseio.com/v0';
 
+// Every item is its own request, so all HN traffic shares one capped queue
+const scheduler = createRequestScheduler({
+    concurrency: 8,
+    retries: 2,
+    timeout: 8000
+});
+
 /**
  * Story types available from Hacker News
  */
@@ -24,20 +33,16 @@ export const StoryTypes = {
 /**
  * Fetches story IDs for a given type
  * @param {string} type - Story type (top, new, best, ask, show, job)
+ * @param {AbortSignal} signal - Cancels the request
  * @returns {Promise<number[]>} Array of story IDs
  */
-export async function fetchStoryIds(type = StoryTypes.TOP) {
+export async function fetchStoryIds(type = StoryTypes.TOP, signal = undefined) {
     try {
-        const endpoint = `${HN_API_BASE}/${type}stories.json`;
-        const response = await fetch(endpoint);
-
-        if (!response.ok) {
-            throw new Error(`Failed to fetch ${type} stories: ${response.status}`);
-        }
-
-        return await response.json();
+        return await scheduler.fetchJson(`${HN_API_BASE}/${type}stories.json`, { signal });
     } catch (error) {
-        console.error(`Error fetching ${type} story IDs:`, error);
+        if (!isAbortError(error)) {
+            console.error(`Error fetching ${type} story IDs:`, error);
+        }
         throw error;
     }
 }
@@ -45,23 +50,29 @@ export async function fetchStoryIds(type = StoryTypes.TOP) {
 /**
  * Fetches details for a single story
  * @param {number} id - Story ID
- * @returns {Promise<Object>} Story details
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Object>} Story details, or null if it failed after retries
  */
-export async function fetchStoryDetails(id) {
+export async function fetchStoryDetails(id, signal = undefined) {
     try {
-        const response = await fetch(`${HN_API_BASE}/item/${id}.json`);
-
-        if (!response.ok) {
-            throw new Error(`Failed to fetch story ${id}: ${response.status}`);
-        }
-
-        return await response.json();
+        return await fetchItem(id, signal);
     } catch (error) {
+        if (isAbortError(error)) throw error;
         console.error(`Error fetching story ${id}:`, error);
         return null;
     }
 }
 
+/**
+ * Fetches a raw item through the shared scheduler
+ * @param {number} id - Item ID
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Object|null>} Raw item (null if HN has no such item)
+ */
+function fetchItem(id, signal) {
+    return scheduler.fetchJson(`${HN_API_BASE}/item/${id}.json`, { signal });
+}
+
 /**
  * Fetches multiple stories with details
  * @param {string} type - Story type
@@ -70,39 +81,142 @@ export async function fetchStoryDetails(id) {
  */
 export async function fetchStories(type = StoryTypes.TOP, limit = 30) {
     try {
-        // Get story IDs
-        const storyIds = await fetchStoryIds(type);
-
-        // Limit the number of stories
-        const limitedIds = storyIds.slice(0, limit);
-
-        // Fetch details for each story in parallel
-        const storyPromises = limitedIds.map(id => fetchStoryDetails(id));
-        const stories = await Promise.all(storyPromises);
-
-        // Filter out null results and format
-        return stories
-            .filter(story => story !== null && story.type === 'story')
-            .map((story, index) => formatStory(story, index + 1));
+        const { items } = await fetchStoryItems(type, limit);
+        return await formatStories(items);
     } catch (error) {
         console.error('Error fetching stories:', error);
         throw error;
     }
 }
 
+/**
+ * Fetches raw item details for the first stories of a list
+ * @param {string} type - Story type
+ * @param {number} limit - Maximum number of stories to fetch
+ * @param {AbortSignal} signal - Cancels every pending request, e.g. when the filter changes
+ * @returns {Promise<Object>} Page of items (see fetchStoryPage)
+ */
+export async function fetchStoryItems(type = StoryTypes.TOP, limit = 30, signal = undefined) {
+    // Get the full ID list once; later pages reuse it through the cursor
+    const storyIds = await fetchStoryIds(type, signal);
+
+    return fetchStoryPage({ ids: storyIds, offset: 0 }, limit, signal);
+}
+
+/**
+ * Fetches the next page of items from a list's ID array
+ * @param {Object} cursor - { ids: full ID list, offset: index of the next ID to load }
+ * @param {number} limit - Maximum number of stories to fetch
+ * @param {AbortSignal} signal - Cancels every pending request
+ * @returns {Promise<Object>} { items: raw HN items of type "story", failed: items that could not be loaded,
+ *   cursor: cursor for the next page, or null at the end of the list }
+ */
+export async function fetchStoryPage({ ids, offset }, limit = 30, signal = undefined) {
+    const limitedIds = ids.slice(offset, offset + limit);
+    const nextOffset = offset + limitedIds.length;
+
+    // Queue every item; the scheduler caps how many run at once
+    const results = await Promise.allSettled(limitedIds.map(id => fetchItem(id, signal)));
+
+    if (signal?.aborted) {
+        throw new DOMException('Request aborted', 'AbortError');
+    }
+
+    const failed = results.filter(result => result.status === 'rejected').length;
+    if (failed > 0) {
+        console.warn(`${failed} of ${limitedIds.length} stories failed to load`);
+    }
+
+    const items = results
+        .filter(result => result.status === 'fulfilled')
+        .map(result => result.value)
+        .filter(story => story !== null && story.type === 'story');
+
+    return {
+        items,
+        failed,
+        cursor: nextOffset < ids.length ? { ids, offset: nextOffset } : null
+    };
+}
+
+/**
+ * Formats raw HN items, measuring velocity against their snapshot history
+ * @param {Object[]} items - Raw HN items in rank order
+ * @returns {Promise<Object[]>} Formatted story objects
+ */
+export async function formatStories(items) {
+    const history = await getSnapshotHistory(items.map(item => item.id));
+
+    const formatted = items.map((story, index) =>
+        formatStory(story, index + 1, history.get(story.id.toString()))
+    );
+
+    // Fire and forget: the next load measures velocity against this one
+    recordSnapshots(formatted, history);
+
+    return formatted;
+}
+
+/**
+ * Fetches the top-level comments of a story. Replies are loaded on demand
+ * with fetchComments(comment.kids).
+ * @param {number} storyId - Story ID
+ * @param {number} limit - Maximum top-level comments
+ * @returns {Promise<Object[]>} Formatted comments in HN rank order
+ */
+export async function fetchThread(storyId, limit = 30) {
+    // Re-fetch the story so we get its current kids list
+    const story = await fetchStoryDetails(storyId);
+    if (!story) {
+        throw new Error(`Failed to load thread ${storyId}`);
+    }
+
+    return fetchComments(story.kids || [], limit);
+}
+
+/**
+ * Fetches comment items through the shared scheduler
+ * @param {number[]} ids - Comment IDs
+ * @param {number} limit - Maximum comments to fetch
+ * @returns {Promise<Object[]>} Formatted comments, skipping deleted, dead and failed ones
+ */
+export async function fetchComments(ids, limit = 30) {
+    const items = await Promise.all(ids.slice(0, limit).map(id => fetchStoryDetails(id)));
+
+    return items
+        .filter(item => item && item.type === 'comment' && !item.deleted && !item.dead)
+        .map(formatComment);
+}
+
+/**
+ * Formats a comment item
+ * @param {Object} item - Raw comment from HN API
+ * @returns {Object} Formatted comment (text is raw HN HTML; sanitize before rendering)
+ */
+function formatComment(item) {
+    return {
+        id: item.id,
+        author: item.by || 'anonymous',
+        text: item.text || '',
+        timestamp: item.time ? new Date(item.time * 1000) : null,
+        kids: item.kids || []
+    };
+}
+
 /**
  * Formats a story object for display
  * @param {Object} story - Raw story from HN API
  * @param {number} rank - Story rank in the list
+ * @param {Object[]} history - Earlier snapshots of this story, oldest first
  * @returns {Object} Formatted story object
  */
-function formatStory(story, rank) {
+export function formatStory(story, rank, history = []) {
     const timestamp = story.time ? new Date(story.time * 1000) : new Date();
     const points = story.score || 0;
     const commentCount = story.descendants || 0;
 
     // Calculate velocity-based hotness
-    const hotness = calculateHotness(points, timestamp);
+    const hotness = calculateHotness(points, timestamp, history);
     const discussion = calculateDiscussionIntensity(commentCount, points);
 
     return {
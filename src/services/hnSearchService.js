@@ -0,0 +1,185 @@
+/**
+ * Hacker News Search Service
+ * Searches every story ever posted to Hacker News through the Algolia
+ * HN Search API and formats the hits like the HN lists
+ *
+ * API Docs: https://hn.algolia.com/api
+ */
+
+import { formatStory } from './hackerNewsService.js';
+
+const HN_SEARCH_BASE = 'https://hn.algolia.com/api/v1';
+
+/**
+ * Story tags that can be searched
+ */
+export const SEARCH_TAGS = {
+    story: 'All stories',
+    front_page: 'Made the front page',
+    show_hn: 'Show HN',
+    ask_hn: 'Ask HN'
+};
+
+/**
+ * Result orders: by relevance (Algolia weighs points too) or newest first
+ */
+export const SEARCH_SORTS = {
+    relevance: 'search',
+    date: 'search_by_date'
+};
+
+// Algolia returns at most 1000 hits per query, whatever the page size
+const MAX_HITS_PER_PAGE = 100;
+
+/**
+ * Builds the Algolia request URL
+ * @param {Object} params - Search parameters
+ * @param {string} params.query - Full-text query (empty lists everything matching the filters)
+ * @param {string} params.tags - One of SEARCH_TAGS
+ * @param {string} params.from - First day, 'YYYY-MM-DD' (local time), or empty
+ * @param {string} params.to - Last day, 'YYYY-MM-DD' (local time), or empty
+ * @param {number|string} params.minPoints - Minimum points, or empty
+ * @param {string} params.sort - One of SEARCH_SORTS
+ * @param {number} params.page - Zero-based page
+ * @param {number} limit - Hits per page
+ * @returns {string} URL
+ * @throws {Error} On invalid parameters
+ */
+export function buildSearchUrl({ query = '', tags = 'story', from = '', to = '', minPoints = '', sort = 'relevance', page = 0 } = {}, limit = 30) {
+    if (!SEARCH_TAGS[tags]) {
+        throw new Error(`Unknown search tag: ${tags}`);
+    }
+    if (!SEARCH_SORTS[sort]) {
+        throw new Error(`Unknown search order: ${sort}`);
+    }
+
+    const numericFilters = [];
+    const start = from ? toEpochSeconds(from, 'start') : null;
+    const end = to ? toEpochSeconds(to, 'end') : null;
+
+    if (start !== null && end !== null && start > end) {
+        throw new Error('The start date is after the end date');
+    }
+    if (start !== null) numericFilters.push(`created_at_i>=${start}`);
+    if (end !== null) numericFilters.push(`created_at_i<=${end}`);
+
+    if (minPoints !== '' && minPoints !== null && minPoints !== undefined) {
+        const points = Number(minPoints);
+        if (!Number.isInteger(points) || points < 0) {
+            throw new Error('Minimum points must be a whole number');
+        }
+        if (points > 0) numericFilters.push(`points>=${points}`);
+    }
+
+    const params = new URLSearchParams({
+        query: query.trim(),
+        tags,
+        page: String(page),
+        hitsPerPage: String(Math.min(limit, MAX_HITS_PER_PAGE))
+    });
+    if (numericFilters.length > 0) {
+        params.set('numericFilters', numericFilters.join(','));
+    }
+
+    return `${HN_SEARCH_BASE}/${SEARCH_SORTS[sort]}?${params}`;
+}
+
+/**
+ * Fetches one page of search hits
+ * @param {Object} params - Search parameters (see buildSearchUrl)
+ * @param {number} limit - Hits per page
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Object>} { hits: raw Algolia hits, offset: hits on earlier pages,
+ *   total: hits matching the query, cursor: parameters for the next page, or null on the last one }
+ */
+export async function fetchSearchPage(params = {}, limit = 30, signal = undefined) {
+    const url = buildSearchUrl(params, limit);
+    const response = await fetch(url, { signal });
+
+    if (!response.ok) {
+        throw new Error(`Hacker News search failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const page = data.page ?? params.page ?? 0;
+
+    return {
+        hits: data.hits || [],
+        offset: page * (data.hitsPerPage || limit),
+        total: data.nbHits || 0,
+        cursor: page + 1 < (data.nbPages || 0) ? { ...params, page: page + 1 } : null
+    };
+}
+
+/**
+ * Formats search hits as stories. Each hit is mapped onto the fields of an
+ * HN API item and passed through formatStory, so search results carry the
+ * same shape (hotness, thread link) as the HN lists.
+ * @param {Object[]} hits - Raw Algolia hits
+ * @param {number} offset - Hits on earlier pages, to continue the ranks
+ * @returns {Object[]} Formatted story objects
+ */
+export function formatSearchHits(hits, offset = 0) {
+    return hits
+        .filter(hit => hit && hit.objectID && hit.title)
+        .map((hit, index) => {
+            const story = formatStory(toItem(hit), offset + index + 1);
+            const text = stripHtml(hit.story_text);
+            return text ? { ...story, description: text } : story;
+        });
+}
+
+/**
+ * Maps an Algolia hit onto the fields of an HN API item
+ * @param {Object} hit - Raw Algolia hit
+ * @returns {Object} HN item { id, type, title, url, by, score, descendants, time }
+ */
+function toItem(hit) {
+    return {
+        id: Number(hit.objectID),
+        type: 'story',
+        title: hit.title,
+        url: hit.url || undefined,
+        by: hit.author,
+        score: hit.points ?? 0,
+        descendants: hit.num_comments ?? 0,
+        time: hit.created_at_i ?? (hit.created_at ? Math.floor(Date.parse(hit.created_at) / 1000) : undefined)
+    };
+}
+
+/**
+ * Converts a 'YYYY-MM-DD' day to the first or last second of that local day
+ * @param {string} day - Day
+ * @param {string} edge - 'start' or 'end'
+ * @returns {number} Unix time in seconds
+ * @throws {Error} When the day is not a valid date
+ */
+function toEpochSeconds(day, edge) {
+    const time = new Date(`${day}T${edge === 'start' ? '00:00:00' : '23:59:59'}`).getTime();
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || Number.isNaN(time)) {
+        throw new Error(`Invalid date: ${day}`);
+    }
+
+    return Math.floor(time / 1000);
+}
+
+/**
+ * Turns the HTML text of an Ask HN style post into plain text
+ * @param {string} html - HN post HTML
+ * @returns {string} Plain text
+ */
+function stripHtml(html) {
+    if (!html) return '';
+
+    return html
+        .replace(/<p>/gi, '\n\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&#x27;|&#39;/g, "'")
+        .replace(/&quot;/g, '"')
+        .replace(/&#x2F;/g, '/')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .trim();
+}
@@ -3,20 +3,34 @@
  * Fetches news sources and headlines via our serverless API
  */
 
+import { hashString } from '../utils/helpers.js';
+
 /**
  * Fetches top headlines
+ * @param {Object} options - Query options (see fetchHeadlineArticles)
+ * @returns {Promise<Object[]>} Array of article objects
+ */
+export async function fetchTopHeadlines(options = {}) {
+    const articles = await fetchHeadlineArticles(options);
+    return articles.map((article, index) => formatArticle(article, index + 1));
+}
+
+/**
+ * Fetches raw top headline articles
  * @param {Object} options - Query options
  * @param {string} options.category - News category
  * @param {string} options.country - Country code
  * @param {string} options.sources - Comma-separated source IDs
  * @param {number} options.pageSize - Number of results (max 100)
- * @returns {Promise<Object[]>} Array of article objects
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object[]>} Raw NewsAPI articles
  */
-export async function fetchTopHeadlines({
+export async function fetchHeadlineArticles({
     category = 'technology',
     country = 'us',
     sources = '',
-    pageSize = 30
+    pageSize = 30,
+    signal
 } = {}) {
     try {
         const params = new URLSearchParams();
@@ -30,7 +44,7 @@ export async function fetchTopHeadlines({
             if (category) params.append('category', category);
         }
 
-        const response = await fetch(`/api/news?${params}`);
+        const response = await fetch(`/api/news?${params}`, { signal });
 
         if (!response.ok) {
             // If 500 or 401, likely key missing or invalid
@@ -45,7 +59,7 @@ export async function fetchTopHeadlines({
             throw new Error(data.message || 'Failed to fetch headlines');
         }
 
-        return data.articles.map((article, index) => formatArticle(article, index + 1));
+        return data.articles;
     } catch (error) {
         console.error('Error fetching headlines:', error);
         return [];
@@ -58,9 +72,10 @@ export async function fetchTopHeadlines({
  * @param {number} rank - Article rank in the list
  * @returns {Object} Formatted article object
  */
-function formatArticle(article, rank) {
+export function formatArticle(article, rank) {
     return {
-        id: `newsapi-${rank}-${Date.now()}`,
+        // Stable across fetches so refreshes can be diffed and summaries kept
+        id: `newsapi-${hashString(article.url || article.title || String(rank))}`,
         rank: rank,
         title: article.title || 'Untitled',
         url: article.url,
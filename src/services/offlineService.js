@@ -0,0 +1,99 @@
+/**
+ * Offline Service
+ * Registers the service worker and keeps the last good story list of each
+ * source, with its AI summaries, in Cache Storage, so the app can show it
+ * when there is no connection
+ */
+
+// Shared with public/sw.js, which keeps it when clearing old caches
+const DATA_CACHE = 'hotstrends-data-v1';
+
+/**
+ * Registers the service worker. Skipped in development, where Vite serves
+ * unbundled modules that shouldn't be cached.
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null when unsupported
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return null;
+
+    try {
+        return await navigator.serviceWorker.register('/sw.js');
+    } catch (error) {
+        console.error('Service worker registration failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Checks whether the browser knows it has no connection
+ * @returns {boolean} Whether the browser is offline
+ */
+export function isOffline() {
+    return navigator.onLine === false;
+}
+
+/**
+ * Keeps a copy of a source's story list and the summaries of its stories,
+ * replacing the previous copy
+ * @param {string} sourceId - Source ID
+ * @param {Object[]} stories - Stories as loaded
+ * @param {Map<string, Object>} summaries - AI summaries by story ID
+ * @param {Date} savedAt - When the stories were fetched
+ */
+export async function saveOfflineStories(sourceId, stories, summaries, savedAt = new Date()) {
+    if (!('caches' in window)) return;
+
+    const body = JSON.stringify({
+        savedAt: savedAt.toISOString(),
+        stories,
+        summaries: stories
+            .map(story => [story.id.toString(), summaries.get(story.id.toString())])
+            .filter(([, summary]) => summary)
+    });
+
+    try {
+        const cache = await caches.open(DATA_CACHE);
+        await cache.put(getCacheUrl(sourceId), new Response(body, {
+            headers: { 'Content-Type': 'application/json' }
+        }));
+    } catch (error) {
+        console.error('Error caching stories for offline use:', error);
+    }
+}
+
+/**
+ * Gets the copy of a source's story list
+ * @param {string} sourceId - Source ID
+ * @returns {Promise<Object|null>} { stories, summaries: Map, savedAt: Date }, or null if there is none
+ */
+export async function loadOfflineStories(sourceId) {
+    if (!('caches' in window)) return null;
+
+    try {
+        const cache = await caches.open(DATA_CACHE);
+        const response = await cache.match(getCacheUrl(sourceId));
+        if (!response) return null;
+
+        const data = await response.json();
+        return {
+            savedAt: new Date(data.savedAt),
+            stories: data.stories.map(story => ({
+                ...story,
+                timestamp: story.timestamp ? new Date(story.timestamp) : null
+            })),
+            summaries: new Map(data.summaries)
+        };
+    } catch (error) {
+        console.error('Error reading offline stories:', error);
+        return null;
+    }
+}
+
+/**
+ * Gets the cache key for a source's stories
+ * @param {string} sourceId - Source ID
+ * @returns {string} URL used as the key
+ */
+function getCacheUrl(sourceId) {
+    return `/offline/stories/${encodeURIComponent(sourceId)}.json`;
+}
@@ -3,6 +3,12 @@
  * Provides AI-powered summarization for news stories via serverless API
  */
 
+import { readEventStream } from '../utils/sse.js';
+
+const SESSION_KEY = 'hotstrends-session';
+
+let sessionId = null;
+
 /**
  * Checks if OpenAI is configured (assumed true for server)
  * @returns {boolean} True
@@ -12,18 +18,17 @@ export function isConfigured() {
 }
 
 /**
- * Generates a smart summary for a single story
+ * Generates a smart summary for a single story. The server reads the linked
+ * article when it can and falls back to the title otherwise.
  * @param {Object} story - Story object with title and url
  * @param {boolean} detailed - Whether to generate a detailed summary
- * @returns {Promise<string>} AI-generated summary
+ * @returns {Promise<Object|null>} { text, basis: 'full-text' or 'title', cached }, or null if the model returned nothing
  */
 export async function summarizeStory(story, detailed = false) {
     try {
         const response = await fetch('/api/openai', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
+            headers: getRequestHeaders(),
             body: JSON.stringify({
                 type: 'single',
                 story,
@@ -37,7 +42,8 @@ export async function summarizeStory(story, detailed = false) {
         }
 
         const data = await response.json();
-        return data.choices[0]?.message?.content?.trim() || null;
+        const text = data.content?.trim();
+        return text ? { text, basis: data.basis || 'title', cached: Boolean(data.cached) } : null;
     } catch (error) {
         console.error('Error generating summary:', error);
         throw error;
@@ -45,57 +51,211 @@ export async function summarizeStory(story, detailed = false) {
 }
 
 /**
- * Generates summaries for multiple stories (batch)
+ * Generates summaries for multiple stories. The batch is streamed, so each
+ * summary is reported through onSummary as soon as it arrives; stories the
+ * stream left without a summary are then retried one at a time.
  * @param {Object[]} stories - Array of story objects
  * @param {number} limit - Max stories to summarize (to manage API costs)
- * @returns {Promise<Map<string, string>>} Map of story ID to summary
+ * @param {Function} onSummary - Called with (storyId, summary) for each summary
+ * @returns {Promise<Map<string, Object>>} Map of story ID to summary { text, basis, cached }, where
+ *   basis is 'full-text' or 'title' and cached tells whether the server answered from its summary cache
  */
-export async function summarizeStories(stories, limit = 10) {
+export async function summarizeStories(stories, limit = 10, onSummary = () => {}) {
+    const batch = stories.slice(0, limit);
+    const summaries = new Map();
+    // Set when the server is rate limiting us or out of budget; retrying would only be refused too
+    let limited = false;
+
+    const addSummary = (id, summary) => {
+        summaries.set(id, summary);
+        onSummary(id, summary);
+    };
+
     try {
         const response = await fetch('/api/openai', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
+            headers: getRequestHeaders(),
             body: JSON.stringify({
                 type: 'batch',
-                stories,
+                stories: batch,
                 limit
             })
         });
 
         if (!response.ok) {
             const error = await response.json();
+            limited = response.status === 429;
             throw new Error(error.error || 'Failed to generate summaries');
         }
 
-        const data = await response.json();
-        const content = data.choices[0]?.message?.content?.trim();
-
-        // Parse the JSON response
-        const summaries = new Map();
-        try {
-            // Extract JSON from response (handle markdown code blocks)
-            const jsonMatch = content.match(/\[[\s\S]*\]/);
-            if (jsonMatch) {
-                const parsed = JSON.parse(jsonMatch[0]);
-                parsed.forEach(item => {
-                    // Match back to original story by index
-                    const story = stories[item.index - 1];
-                    if (story) {
-                        summaries.set(story.id.toString(), item.summary);
-                    }
-                });
+        await readEventStream(response.body, ({ event, data }) => {
+            if (event === 'summary') {
+                const { id, summary, basis, cached } = JSON.parse(data);
+                addSummary(id, { text: summary, basis: basis || 'title', cached: Boolean(cached) });
+            } else if (event === 'done') {
+                limited = Boolean(JSON.parse(data).budgetReached);
+            } else if (event === 'error') {
+                console.error('Summary stream error:', JSON.parse(data).error);
             }
-        } catch (parseError) {
-            console.error('Error parsing summaries:', parseError);
-        }
+        });
+    } catch (error) {
+        // Whatever arrived before the failure is kept; the rest is retried below
+        console.error('Error generating summaries:', error);
+    }
+
+    const failed = batch.filter(story => !summaries.has(story.id.toString()));
+    if (failed.length === 0) return summaries;
 
+    if (limited) {
+        if (summaries.size === 0) throw new Error('AI summaries are paused for now, try again later');
         return summaries;
+    }
+
+    const retries = await Promise.allSettled(failed.map(async story => {
+        const summary = await summarizeStory(story);
+        if (summary) addSummary(story.id.toString(), summary);
+    }));
+
+    // Nothing came through at all, e.g. the API is down
+    if (summaries.size === 0 && retries.every(result => result.status === 'rejected')) {
+        throw retries[0].reason;
+    }
+
+    return summaries;
+}
+
+/**
+ * Generates a digest of what a comment thread is saying
+ * @param {Object} story - Story the thread belongs to
+ * @param {Object[]} comments - Top comments as { author, text } with plain-text bodies
+ * @returns {Promise<Object>} { overview, agreement: string[], disagreement: string[], raw }
+ */
+export async function summarizeDiscussion(story, comments) {
+    try {
+        const response = await fetch('/api/openai', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({
+                type: 'discussion',
+                story: { title: story.title },
+                comments
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to summarize discussion');
+        }
+
+        const data = await response.json();
+        const content = data.content?.trim() || '';
+
+        return parseDigest(content);
     } catch (error) {
-        console.error('Error generating summaries:', error);
+        console.error('Error summarizing discussion:', error);
         throw error;
     }
 }
 
+/**
+ * Generates a themed digest of the hottest stories. The server picks the
+ * period's hottest stories, groups them by trending topic and has the model
+ * write the briefing.
+ * @param {Object[]} stories - Candidate stories (the current list)
+ * @param {string} period - 'daily' or 'weekly'
+ * @returns {Promise<Object>} { digest, subject, markdown, html, text, briefing, cached }
+ */
+export async function generateDigest(stories, period = 'daily') {
+    try {
+        const response = await fetch('/api/digest', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({
+                period,
+                // Only what the digest shows, so the request stays small
+                stories: stories.slice(0, 100).map(story => ({
+                    id: story.id,
+                    title: story.title,
+                    url: story.url,
+                    commentsUrl: story.commentsUrl,
+                    domain: story.domain,
+                    points: story.points,
+                    commentCount: story.commentCount,
+                    timestamp: story.timestamp,
+                    hotness: story.hotness ? { score: story.hotness.score } : undefined
+                }))
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to generate digest');
+        }
 
+        return await response.json();
+    } catch (error) {
+        console.error('Error generating digest:', error);
+        throw error;
+    }
+}
+
+/**
+ * Headers for calls to the AI routes. The session id lets the server rate
+ * limit per browser tab as well as per IP.
+ * @returns {Object} Request headers
+ */
+function getRequestHeaders() {
+    return {
+        'Content-Type': 'application/json',
+        'X-Session-Id': getSessionId()
+    };
+}
+
+/**
+ * Gets this tab's session id, creating it on first use
+ * @returns {string} Session id
+ */
+function getSessionId() {
+    try {
+        let id = sessionStorage.getItem(SESSION_KEY);
+        if (!id) {
+            id = crypto.randomUUID();
+            sessionStorage.setItem(SESSION_KEY, id);
+        }
+        return id;
+    } catch {
+        // Storage can be blocked; an id per page load still works
+        sessionId ??= crypto.randomUUID();
+        return sessionId;
+    }
+}
+
+/**
+ * Parses the "Overview / Agreement / Disagreement" digest format
+ * @param {string} content - Model output
+ * @returns {Object} { overview, agreement, disagreement, raw }
+ */
+function parseDigest(content) {
+    const digest = { overview: '', agreement: [], disagreement: [], raw: content };
+    let section = null;
+
+    content.split('\n').forEach(line => {
+        const text = line.trim();
+        const heading = text.match(/^\**(overview|agreement|disagreement)\**:?\**\s*(.*)$/i);
+
+        if (heading) {
+            section = heading[1].toLowerCase();
+            if (section === 'overview') digest.overview = heading[2];
+            return;
+        }
+
+        const bullet = text.match(/^[-*•]\s+(.*)$/);
+        if (bullet && (section === 'agreement' || section === 'disagreement')) {
+            digest[section].push(bullet[1]);
+        } else if (text && section === 'overview') {
+            digest.overview = `${digest.overview} ${text}`.trim();
+        }
+    });
+
+    return digest;
+}
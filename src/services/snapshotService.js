@@ -0,0 +1,186 @@
+/**
+ * Snapshot Service
+ * Records periodic point/comment snapshots of HN stories so hotness can be
+ * computed from real score deltas instead of lifetime averages.
+ *
+ * Snapshots live in IndexedDB by default. Any object implementing
+ * { getByStory(ids), add(snapshots), prune(before) } can be swapped in via
+ * setSnapshotStore (e.g. one backed by a server route).
+ */
+
+const DB_NAME = 'hotstrends-snapshots';
+const STORE_NAME = 'snapshots';
+
+// Minimum spacing between two snapshots of the same story
+const SNAPSHOT_INTERVAL = 5 * 60 * 1000;
+
+// How far back history is kept
+const SNAPSHOT_RETENTION = 48 * 60 * 60 * 1000;
+
+let store = null;
+
+/**
+ * Replaces the snapshot store
+ * @param {Object} customStore - Store implementing getByStory, add and prune
+ */
+export function setSnapshotStore(customStore) {
+    store = customStore;
+}
+
+/**
+ * Gets the active store, creating the default one on first use
+ * @returns {Object} Snapshot store
+ */
+function getStore() {
+    if (!store) {
+        store = typeof indexedDB !== 'undefined'
+            ? createIndexedDbStore()
+            : createMemoryStore();
+    }
+    return store;
+}
+
+/**
+ * Loads snapshot history for a set of stories
+ * @param {Array<number|string>} ids - Story IDs
+ * @returns {Promise<Map<string, Object[]>>} Map of story ID to snapshots, oldest first
+ */
+export async function getSnapshotHistory(ids) {
+    try {
+        return await getStore().getByStory(ids);
+    } catch (error) {
+        console.error('Error reading snapshot history:', error);
+        return new Map();
+    }
+}
+
+/**
+ * Records a snapshot for each story whose latest snapshot is old enough
+ * @param {Object[]} stories - Formatted stories with id, points and commentCount
+ * @param {Map<string, Object[]>} history - History previously loaded for these stories
+ * @returns {Promise<void>}
+ */
+export async function recordSnapshots(stories, history = new Map()) {
+    const now = Date.now();
+
+    const snapshots = stories
+        .filter(story => {
+            const previous = history.get(story.id.toString()) || [];
+            const latest = previous[previous.length - 1];
+            return !latest || now - latest.takenAt >= SNAPSHOT_INTERVAL;
+        })
+        .map(story => ({
+            storyId: story.id.toString(),
+            points: story.points || 0,
+            comments: story.commentCount || 0,
+            takenAt: now
+        }));
+
+    try {
+        if (snapshots.length > 0) {
+            await getStore().add(snapshots);
+        }
+        await getStore().prune(now - SNAPSHOT_RETENTION);
+    } catch (error) {
+        console.error('Error recording snapshots:', error);
+    }
+}
+
+/**
+ * Creates an IndexedDB-backed snapshot store
+ * @returns {Object} Snapshot store
+ */
+export function createIndexedDbStore() {
+    let dbPromise = null;
+
+    function open() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    const objectStore = request.result.createObjectStore(STORE_NAME, { autoIncrement: true });
+                    objectStore.createIndex('storyId', 'storyId');
+                    objectStore.createIndex('takenAt', 'takenAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    async function transaction(mode, work) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const result = work(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    return {
+        async getByStory(ids) {
+            const history = new Map();
+            await transaction('readonly', objectStore => {
+                const index = objectStore.index('storyId');
+                ids.forEach(id => {
+                    const key = id.toString();
+                    const request = index.getAll(IDBKeyRange.only(key));
+                    request.onsuccess = () => {
+                        history.set(key, request.result.sort((a, b) => a.takenAt - b.takenAt));
+                    };
+                });
+            });
+            return history;
+        },
+
+        add(snapshots) {
+            return transaction('readwrite', objectStore => {
+                snapshots.forEach(snapshot => objectStore.add(snapshot));
+            });
+        },
+
+        prune(before) {
+            return transaction('readwrite', objectStore => {
+                const request = objectStore.index('takenAt').openCursor(IDBKeyRange.upperBound(before));
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor) {
+                        cursor.delete();
+                        cursor.continue();
+                    }
+                };
+            });
+        }
+    };
+}
+
+/**
+ * Creates an in-memory snapshot store (used when IndexedDB is unavailable)
+ * @returns {Object} Snapshot store
+ */
+export function createMemoryStore() {
+    let snapshots = [];
+
+    return {
+        async getByStory(ids) {
+            const history = new Map();
+            ids.forEach(id => {
+                const key = id.toString();
+                history.set(key, snapshots
+                    .filter(snapshot => snapshot.storyId === key)
+                    .sort((a, b) => a.takenAt - b.takenAt));
+            });
+            return history;
+        },
+
+        async add(newSnapshots) {
+            snapshots.push(...newSnapshots);
+        },
+
+        async prune(before) {
+            snapshots = snapshots.filter(snapshot => snapshot.takenAt > before);
+        }
+    };
+}
@@ -0,0 +1,217 @@
+/**
+ * Topic History Service
+ * Saves the trending topics of every load in localStorage and turns them
+ * into a per-day timeline, so topics can be followed as they rise and fall
+ */
+
+const STORAGE_KEY = 'hotstrends-topic-history';
+
+// Topics kept per snapshot
+const TOPICS_PER_SNAPSHOT = 25;
+
+// Live mode reloads every minute; one snapshot per source per hour is plenty
+const SNAPSHOT_INTERVAL = 60 * 60 * 1000;
+
+// How far back history is kept
+const RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Records the topics of a load. A snapshot of the same source from the last
+ * hour is replaced rather than added to.
+ * @param {string} source - Source ID the stories came from
+ * @param {Object[]} topics - Topics from extractTrendingTopics
+ * @param {number} takenAt - Time of the load in milliseconds
+ */
+export function recordTopics(source, topics, takenAt = Date.now()) {
+    if (topics.length === 0) return;
+
+    const snapshot = {
+        source,
+        takenAt,
+        topics: topics.slice(0, TOPICS_PER_SNAPSHOT).map(topic => ({
+            key: topic.key,
+            word: topic.word,
+            count: topic.count,
+            weight: topic.weight
+        }))
+    };
+
+    const history = getTopicHistory().filter(entry =>
+        takenAt - entry.takenAt < RETENTION &&
+        !(entry.source === source && takenAt - entry.takenAt < SNAPSHOT_INTERVAL)
+    );
+
+    saveHistory([...history, snapshot]);
+}
+
+/**
+ * Gets every saved snapshot, oldest first
+ * @returns {Object[]} Array of { source, takenAt, topics: [{ key, word, count, weight }] }
+ */
+export function getTopicHistory() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Deletes the saved history
+ */
+export function clearTopicHistory() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        console.error('Error clearing topic history:', error);
+    }
+}
+
+/**
+ * Builds a per-day timeline of every topic in the history. A day's value is
+ * the topic's average mention count over that day's snapshots (0 where it
+ * didn't make the list), and the trend compares the last three days with the
+ * days before them.
+ * @param {Object[]} history - Snapshots from getTopicHistory
+ * @param {Object} options - Timeline options
+ * @param {number} options.days - Days shown, ending today
+ * @param {string} options.source - Only use snapshots of this source (all sources when null)
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {Object} { days: ['YYYY-MM-DD', ...], topics: [{ key, word, series, latest, change, trend }] } with
+ *   trend one of 'new', 'rising', 'falling' or 'steady'; topics are ordered by how much they rose
+ */
+export function buildTopicTimeline(history, { days = 14, source = null, now = Date.now() } = {}) {
+    const dayKeys = Array.from({ length: days }, (_, i) => toDayKey(now - (days - 1 - i) * DAY));
+    const dayIndex = new Map(dayKeys.map((key, index) => [key, index]));
+
+    const snapshotsPerDay = new Array(days).fill(0);
+    const totals = new Map();
+
+    history
+        .filter(snapshot => !source || snapshot.source === source)
+        .forEach(snapshot => {
+            const index = dayIndex.get(toDayKey(snapshot.takenAt));
+            if (index === undefined) return;
+
+            snapshotsPerDay[index] += 1;
+            snapshot.topics.forEach(topic => {
+                const entry = totals.get(topic.key) || { key: topic.key, word: topic.word, sums: new Array(days).fill(0) };
+                // Later snapshots win, so the label follows the current spelling
+                entry.word = topic.word;
+                entry.sums[index] += topic.count;
+                totals.set(topic.key, entry);
+            });
+        });
+
+    const topics = [...totals.values()].map(({ key, word, sums }) => {
+        const series = sums.map((sum, index) =>
+            snapshotsPerDay[index] > 0 ? Math.round((sum / snapshotsPerDay[index]) * 10) / 10 : null
+        );
+        return { key, word, series, ...describeTrend(series) };
+    });
+
+    const order = { new: 0, rising: 1, steady: 2, falling: 3 };
+    topics.sort((a, b) => order[a.trend] - order[b.trend] || b.change - a.change || b.latest - a.latest);
+
+    return { days: dayKeys, topics };
+}
+
+/**
+ * Serializes the history for download
+ * @param {Object[]} history - Snapshots from getTopicHistory
+ * @param {string} format - 'json' or 'csv'
+ * @returns {string} File contents
+ */
+export function exportTopicHistory(history, format = 'json') {
+    if (format === 'json') {
+        return JSON.stringify(history, null, 2);
+    }
+
+    const rows = [['taken_at', 'source', 'topic', 'count', 'weight']];
+    history.forEach(snapshot => {
+        snapshot.topics.forEach(topic => {
+            rows.push([new Date(snapshot.takenAt).toISOString(), snapshot.source, topic.word, topic.count, topic.weight]);
+        });
+    });
+
+    return rows.map(row => row.map(csvField).join(',')).join('\n');
+}
+
+/**
+ * Compares the last three days that have data with the days before them
+ * @param {Array<number|null>} series - Daily values, null on days without snapshots
+ * @returns {Object} { latest, change (percent), trend }
+ */
+function describeTrend(series) {
+    const known = series.filter(value => value !== null);
+    const recent = known.slice(-3);
+    const earlier = known.slice(0, -3);
+
+    const latest = recent.length > 0 ? recent[recent.length - 1] : 0;
+    const recentAvg = average(recent);
+    const earlierAvg = average(earlier);
+
+    if (earlier.length > 0 && earlierAvg === 0 && recentAvg > 0) {
+        return { latest, change: 100, trend: 'new' };
+    }
+    if (earlierAvg === 0) {
+        return { latest, change: 0, trend: 'steady' };
+    }
+
+    const change = Math.round(((recentAvg - earlierAvg) / earlierAvg) * 100);
+    // Small lists move by one mention at a time, so only bigger swings count
+    const trend = Math.abs(recentAvg - earlierAvg) < 1
+        ? 'steady'
+        : change >= 50 ? 'rising' : change <= -50 ? 'falling' : 'steady';
+
+    return { latest, change, trend };
+}
+
+/**
+ * Averages a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number} Average, 0 for an empty list
+ */
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Formats a time as a local calendar day
+ * @param {number} time - Milliseconds
+ * @returns {string} YYYY-MM-DD
+ */
+function toDayKey(time) {
+    const date = new Date(time);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Quotes a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Persists the history, dropping the oldest half if storage is full
+ * @param {Object[]} history - Snapshots to save
+ */
+function saveHistory(history) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+    } catch (error) {
+        if (error.name === 'QuotaExceededError' && history.length > 1) {
+            saveHistory(history.slice(Math.floor(history.length / 2)));
+            return;
+        }
+        console.error('Error saving topic history:', error);
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * Unified Feed Service
+ * Fetches Hacker News and NewsAPI together, removes duplicates and
+ * ranks the combined list on a common hotness scale
+ */
+
+import { fetchStoryItems, formatStories, StoryTypes } from './hackerNewsService.js';
+import { fetchTopHeadlines } from './newsApiService.js';
+import { calculateUnifiedHotness } from '../utils/hotness.js';
+import { canonicalUrl } from '../utils/helpers.js';
+
+/**
+ * Token overlap above which two titles count as the same story
+ */
+const TITLE_SIMILARITY_THRESHOLD = 0.75;
+
+/**
+ * Fetches and merges all sources into one ranked list
+ * @param {Object} options - Query options
+ * @param {string} options.category - NewsAPI category
+ * @param {string} options.country - NewsAPI country code
+ * @param {number} options.limit - Stories to fetch from each source
+ * @param {AbortSignal} options.signal - Cancels the underlying requests
+ * @returns {Promise<Object>} { stories: ranked, de-duplicated stories, failed: HN items that failed to load }
+ */
+export async function fetchAllSources({ category = 'technology', country = 'us', limit = 30, signal } = {}) {
+    const [hnResult, newsResult] = await Promise.allSettled([
+        fetchStoryItems(StoryTypes.TOP, limit, signal),
+        fetchTopHeadlines({ category, country, pageSize: limit, signal })
+    ]);
+
+    if (hnResult.status === 'rejected' && newsResult.status === 'rejected') {
+        throw hnResult.reason;
+    }
+
+    const hnStories = hnResult.status === 'fulfilled' ? await formatStories(hnResult.value.items) : [];
+    const newsStories = newsResult.status === 'fulfilled' ? newsResult.value : [];
+
+    return {
+        stories: rankStories(mergeDuplicates([...hnStories, ...newsStories])),
+        failed: hnResult.status === 'fulfilled' ? hnResult.value.failed : 0
+    };
+}
+
+/**
+ * Collapses stories that share a canonical URL or a near-identical title.
+ * Hacker News copies win since they carry engagement data.
+ * @param {Object[]} stories - Stories from every source
+ * @returns {Object[]} Merged stories with sourceCount and alsoOn set
+ */
+export function mergeDuplicates(stories) {
+    const ordered = [...stories].sort((a, b) => Number(b.isHackerNews) - Number(a.isHackerNews));
+    const merged = [];
+
+    ordered.forEach(story => {
+        const url = canonicalUrl(story.url);
+        const tokens = titleTokens(story.title, !story.isHackerNews);
+
+        const match = merged.find(existing =>
+            (url && existing.canonicalUrl === url) ||
+            titleSimilarity(existing.titleTokens, tokens) >= TITLE_SIMILARITY_THRESHOLD
+        );
+
+        if (match) {
+            match.sourceCount += 1;
+            if (story.source && story.source !== match.source && !match.alsoOn.includes(story.source)) {
+                match.alsoOn.push(story.source);
+            }
+            return;
+        }
+
+        merged.push({
+            ...story,
+            canonicalUrl: url,
+            titleTokens: tokens,
+            sourceCount: 1,
+            alsoOn: []
+        });
+    });
+
+    return merged.map(({ canonicalUrl: _url, titleTokens: _tokens, ...story }) => story);
+}
+
+/**
+ * Sorts stories by unified hotness and re-assigns ranks
+ * @param {Object[]} stories - Merged stories
+ * @returns {Object[]} Ranked stories
+ */
+function rankStories(stories) {
+    return stories
+        .map(story => {
+            const unified = calculateUnifiedHotness(story);
+
+            // NewsAPI articles get a hotness object so badges render like HN ones
+            const hotness = story.isHackerNews
+                ? { ...story.hotness, reason: story.hotness?.reason || unified.reason }
+                : { score: unified.score, velocity: 0, acceleration: 0, level: unified.level, reason: unified.reason, measured: false };
+
+            return { ...story, hotness, unifiedScore: unified.score };
+        })
+        .sort((a, b) => b.unifiedScore - a.unifiedScore)
+        .map((story, index) => ({ ...story, rank: index + 1 }));
+}
+
+/**
+ * Splits a title into comparable tokens
+ * @param {string} title - Story title
+ * @param {boolean} stripSource - Whether to drop a trailing " - Source Name" (NewsAPI style)
+ * @returns {Set<string>} Lowercase tokens of 3+ characters
+ */
+function titleTokens(title = '', stripSource = false) {
+    const text = stripSource ? title.replace(/\s+[-|–—]\s+[^-|–—]+$/, '') : title;
+
+    return new Set(
+        text
+            .toLowerCase()
+            .split(/[^a-z0-9+#.]+/)
+            .filter(token => token.length >= 3)
+    );
+}
+
+/**
+ * Jaccard similarity between two token sets
+ * @param {Set<string>} a - First token set
+ * @param {Set<string>} b - Second token set
+ * @returns {number} Similarity from 0 to 1
+ */
+function titleSimilarity(a, b) {
+    // Very short titles collide too easily to trust
+    if (a.size < 3 || b.size < 3) return 0;
+
+    let shared = 0;
+    a.forEach(token => {
+        if (b.has(token)) shared += 1;
+    });
+
+    return shared / (a.size + b.size - shared);
+}
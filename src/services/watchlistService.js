@@ -0,0 +1,215 @@
+/**
+ * Watchlist Service
+ * Keeps the user's watch rules and the alerts they raised in localStorage,
+ * and shows browser notifications for new alerts
+ */
+
+import { hashString } from '../utils/helpers.js';
+import { normalizeRule } from '../utils/watchRules.js';
+
+const RULES_KEY = 'hotstrends-watch-rules';
+const ALERTS_KEY = 'hotstrends-alerts';
+
+// Alerts kept, newest first; they also remember which stories already alerted
+const MAX_ALERTS = 300;
+const RETENTION = 14 * 24 * 60 * 60 * 1000;
+
+// More new alerts than this at once are grouped into a single notification
+const MAX_NOTIFICATIONS = 3;
+
+/**
+ * Gets the saved watch rules
+ * @returns {Object[]} Array of { id, name, keywords, patterns, domains, authors, minLevel, notify, enabled }
+ */
+export function getWatchRules() {
+    try {
+        return JSON.parse(localStorage.getItem(RULES_KEY)) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Validates and saves a rule, replacing the rule with the same ID if there is one
+ * @param {Object} input - Rule fields (see normalizeRule), plus id, notify and enabled
+ * @returns {Object} Saved rule
+ * @throws {Error} When the rule is invalid
+ */
+export function saveWatchRule(input) {
+    const rule = {
+        id: input.id || `rule-${hashString(`${Date.now()}-${Math.random()}`)}`,
+        ...normalizeRule(input),
+        notify: Boolean(input.notify),
+        enabled: input.enabled !== false
+    };
+
+    const rules = getWatchRules();
+    const index = rules.findIndex(existing => existing.id === rule.id);
+    if (index === -1) {
+        rules.push(rule);
+    } else {
+        rules[index] = rule;
+    }
+
+    saveItems(RULES_KEY, rules);
+    return rule;
+}
+
+/**
+ * Deletes a rule. Alerts it already raised are kept.
+ * @param {string} id - Rule ID
+ */
+export function removeWatchRule(id) {
+    saveItems(RULES_KEY, getWatchRules().filter(rule => rule.id !== id));
+}
+
+/**
+ * Gets the alerts, newest first, including cleared ones
+ * @returns {Object[]} Array of { storyId, source, title, url, domain, rules, reasons, notify, alertedAt, read, cleared }
+ */
+export function getAlerts() {
+    try {
+        return JSON.parse(localStorage.getItem(ALERTS_KEY)) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Raises an alert for every matched story that has not alerted before. A
+ * story alerts once, whichever rules it matches later.
+ * @param {Object[]} stories - Stories that were checked
+ * @param {Map<string, Object[]>} matches - Matches from findWatchMatches
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object[]} The new alerts
+ */
+export function recordAlerts(stories, matches, now = Date.now()) {
+    if (matches.size === 0) return [];
+
+    const alerts = getAlerts().filter(alert => now - alert.alertedAt < RETENTION);
+    const seen = new Set(alerts.map(alert => alert.storyId));
+
+    const fresh = stories
+        .filter(story => matches.has(story.id.toString()) && !seen.has(story.id.toString()))
+        .map(story => {
+            const found = matches.get(story.id.toString());
+            return {
+                storyId: story.id.toString(),
+                source: story.source || null,
+                title: story.title,
+                url: story.url || story.commentsUrl || null,
+                domain: story.domain || null,
+                rules: found.map(match => match.ruleName),
+                reasons: [...new Set(found.flatMap(match => match.reasons))],
+                notify: found.some(match => match.notify),
+                alertedAt: now,
+                read: false,
+                cleared: false
+            };
+        });
+
+    if (fresh.length > 0) {
+        saveItems(ALERTS_KEY, [...fresh, ...alerts].slice(0, MAX_ALERTS));
+    }
+    return fresh;
+}
+
+/**
+ * Counts the alerts that have not been read yet
+ * @returns {number} Unread alerts
+ */
+export function getUnreadAlertCount() {
+    return getAlerts().filter(alert => !alert.read && !alert.cleared).length;
+}
+
+/**
+ * Marks every alert as read
+ */
+export function markAlertsRead() {
+    saveItems(ALERTS_KEY, getAlerts().map(alert => ({ ...alert, read: true })));
+}
+
+/**
+ * Hides every alert. Cleared alerts are kept (out of sight) until they
+ * expire, so their stories don't alert again.
+ */
+export function clearAlerts() {
+    saveItems(ALERTS_KEY, getAlerts().map(alert => ({ ...alert, read: true, cleared: true })));
+}
+
+/**
+ * Gets the notification permission
+ * @returns {string} 'granted', 'denied', 'default', or 'unsupported'
+ */
+export function getNotificationPermission() {
+    return 'Notification' in window ? Notification.permission : 'unsupported';
+}
+
+/**
+ * Asks the user for permission to show notifications
+ * @returns {Promise<string>} The resulting permission
+ */
+export async function requestNotificationPermission() {
+    if (!('Notification' in window)) return 'unsupported';
+    return Notification.requestPermission();
+}
+
+/**
+ * Shows notifications for new alerts of rules that asked for them. They go
+ * through the service worker when one is registered, since mobile browsers
+ * only allow notifications from there.
+ * @param {Object[]} alerts - New alerts from recordAlerts
+ */
+export async function notifyAlerts(alerts) {
+    const notifiable = alerts.filter(alert => alert.notify);
+    if (notifiable.length === 0 || getNotificationPermission() !== 'granted') return;
+
+    const notifications = notifiable.length > MAX_NOTIFICATIONS
+        ? [{
+            title: `${notifiable.length} new watchlist matches`,
+            body: notifiable.slice(0, MAX_NOTIFICATIONS).map(alert => alert.title).join('\n'),
+            tag: 'hotstrends-alerts',
+            url: null
+        }]
+        : notifiable.map(alert => ({
+            title: alert.title,
+            body: `Watchlist: ${alert.rules.join(', ')}${alert.domain ? ` · ${alert.domain}` : ''}`,
+            tag: `hotstrends-alert-${alert.storyId}`,
+            url: alert.url
+        }));
+
+    try {
+        const registration = await navigator.serviceWorker?.getRegistration();
+
+        notifications.forEach(({ title, body, tag, url }) => {
+            const options = { body, tag, data: { url } };
+
+            if (registration) {
+                registration.showNotification(title, options);
+                return;
+            }
+
+            const notification = new Notification(title, options);
+            notification.onclick = () => {
+                window.focus();
+                if (url) window.open(url, '_blank', 'noopener');
+                notification.close();
+            };
+        });
+    } catch (error) {
+        console.error('Error showing notifications:', error);
+    }
+}
+
+/**
+ * Persists a list under a storage key
+ * @param {string} key - localStorage key
+ * @param {Object[]} items - Items to save
+ */
+function saveItems(key, items) {
+    try {
+        localStorage.setItem(key, JSON.stringify(items));
+    } catch (error) {
+        console.error('Error saving watchlist:', error);
+    }
+}
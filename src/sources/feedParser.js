@@ -0,0 +1,259 @@
+/**
+ * Feed Parser
+ * Parses RSS 2.0, RSS 1.0 (RDF), Atom and JSON Feed documents into a common
+ * { title, link, items } shape. String based so it runs in the browser and
+ * in serverless functions alike.
+ */
+
+import { extractDomain, hashString, decodeEntities } from '../utils/helpers.js';
+
+/**
+ * Parses a feed document of any supported format
+ * @param {string} text - Raw feed body
+ * @returns {Object} { title, link, items: [{ id, title, url, author, summary, publishedAt, imageUrl }] }
+ */
+export function parseFeed(text) {
+    const trimmed = (text || '').trim();
+
+    if (trimmed.startsWith('{')) {
+        return parseJsonFeed(JSON.parse(trimmed));
+    }
+    if (/<feed[\s>]/i.test(trimmed)) {
+        return parseAtom(trimmed);
+    }
+    if (/<(rss|rdf:RDF)[\s>]/i.test(trimmed)) {
+        return parseRss(trimmed);
+    }
+
+    throw new Error('Unrecognized feed format');
+}
+
+/**
+ * Formats a feed's items as stories, ranked in feed order. Item links are
+ * resolved against the feed URL, and items without an http(s) link are
+ * dropped, so a feed can't slip a javascript: or data: link into a card.
+ * @param {Object[]} items - Parsed feed items
+ * @param {Object} feed - Parsed feed { title, link }
+ * @param {URL|string} base - Feed URL after redirects, for relative links
+ * @returns {Object[]} Formatted story objects
+ */
+export function formatFeedItems(items, feed, base) {
+    return items
+        .map(item => ({ ...item, url: resolveItemUrl(item.url, base) }))
+        .filter(item => item.url)
+        .map((item, index) => formatFeedItem(item, index + 1, feed));
+}
+
+/**
+ * Formats a parsed feed item into the same story shape as NewsAPI articles
+ * @param {Object} item - Parsed feed item, with an absolute http(s) url
+ * @param {number} rank - Item rank in the feed
+ * @param {Object} feed - Parsed feed { title, link }
+ * @returns {Object} Formatted story object (url is null if the item's isn't http(s))
+ */
+export function formatFeedItem(item, rank, feed) {
+    const published = item.publishedAt ? new Date(item.publishedAt) : null;
+    const feedName = feed.title || extractDomain(feed.link) || 'RSS';
+    const url = resolveItemUrl(item.url);
+
+    return {
+        id: `rss-${hashString(item.id || item.url || item.title || String(rank))}`,
+        rank,
+        title: item.title || 'Untitled',
+        url,
+        domain: extractDomain(url),
+        author: item.author || feedName,
+        description: item.summary || null,
+        imageUrl: item.imageUrl || null,
+        timestamp: published && !isNaN(published) ? published : new Date(),
+        source: feedName,
+        isHackerNews: false,
+        // Feeds don't provide engagement metrics
+        points: null,
+        commentCount: null,
+        commentsUrl: null
+    };
+}
+
+/**
+ * Resolves an item link, which some feeds publish as a relative path
+ * @param {string} url - Item URL
+ * @param {URL|string} base - URL to resolve relative links against
+ * @returns {string|null} Absolute http(s) URL, or null for any other scheme or an invalid URL
+ */
+export function resolveItemUrl(url, base = undefined) {
+    if (!url) return null;
+
+    try {
+        const resolved = new URL(url, base);
+        return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Parses an RSS 2.0 or RSS 1.0 (RDF) document
+ * @param {string} xml - Feed XML
+ * @returns {Object} Parsed feed
+ */
+function parseRss(xml) {
+    const firstItem = xml.search(/<item[\s>]/i);
+    const channel = firstItem === -1 ? xml : xml.slice(0, firstItem);
+
+    const items = getBlocks(xml, 'item').map(item => ({
+        id: getText(item, 'guid') || getText(item, 'link'),
+        title: getText(item, 'title'),
+        url: getText(item, 'link') || getAttr(item, 'link', 'href'),
+        author: getText(item, 'dc:creator') || getText(item, 'author'),
+        summary: stripHtml(getText(item, 'description') || getText(item, 'content:encoded')),
+        publishedAt: getText(item, 'pubDate') || getText(item, 'dc:date'),
+        imageUrl: getImage(item)
+    }));
+
+    return {
+        title: getText(channel, 'title'),
+        link: getText(channel, 'link'),
+        items
+    };
+}
+
+/**
+ * Parses an Atom document
+ * @param {string} xml - Feed XML
+ * @returns {Object} Parsed feed
+ */
+function parseAtom(xml) {
+    const firstEntry = xml.search(/<entry[\s>]/i);
+    const header = firstEntry === -1 ? xml : xml.slice(0, firstEntry);
+
+    const items = getBlocks(xml, 'entry').map(entry => ({
+        id: getText(entry, 'id'),
+        title: stripHtml(getText(entry, 'title')),
+        url: getAtomLink(entry),
+        author: getText(getBlocks(entry, 'author')[0] || '', 'name'),
+        summary: stripHtml(getText(entry, 'summary') || getText(entry, 'content')),
+        publishedAt: getText(entry, 'published') || getText(entry, 'updated'),
+        imageUrl: getImage(entry)
+    }));
+
+    return {
+        title: stripHtml(getText(header, 'title')),
+        link: getAtomLink(header),
+        items
+    };
+}
+
+/**
+ * Parses a JSON Feed (https://jsonfeed.org) document
+ * @param {Object} feed - Parsed JSON
+ * @returns {Object} Parsed feed
+ */
+function parseJsonFeed(feed) {
+    const items = (feed.items || []).map(item => ({
+        id: item.id ? String(item.id) : item.url,
+        title: item.title || '',
+        url: item.url || item.external_url,
+        author: item.authors?.[0]?.name || item.author?.name || '',
+        summary: item.summary || item.content_text || stripHtml(item.content_html || ''),
+        publishedAt: item.date_published || item.date_modified || '',
+        imageUrl: item.image || item.banner_image || null
+    }));
+
+    return {
+        title: feed.title || '',
+        link: feed.home_page_url || '',
+        items
+    };
+}
+
+/**
+ * Gets the inner contents of every element with a tag name
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Tag name, may include a namespace prefix
+ * @returns {string[]} Inner XML of each match
+ */
+function getBlocks(xml, tag) {
+    const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'gi');
+    return Array.from(xml.matchAll(pattern), match => match[1]);
+}
+
+/**
+ * Gets the decoded text of the first element with a tag name
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Tag name
+ * @returns {string} Decoded text or empty string
+ */
+function getText(xml, tag) {
+    const block = getBlocks(xml, tag)[0];
+    if (block === undefined) return '';
+
+    const cdata = block.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+    return (cdata ? cdata[1] : decodeEntities(block)).trim();
+}
+
+/**
+ * Gets an attribute from the first matching element
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Tag name
+ * @param {string} attr - Attribute name
+ * @param {Function} filter - Optional predicate over the element's attributes
+ * @returns {string} Attribute value or empty string
+ */
+function getAttr(xml, tag, attr, filter = null) {
+    const pattern = new RegExp(`<${tag}\\b([^>]*)>`, 'gi');
+
+    for (const match of xml.matchAll(pattern)) {
+        const attrs = parseAttributes(match[1]);
+        if (attrs[attr] && (!filter || filter(attrs))) {
+            return decodeEntities(attrs[attr]);
+        }
+    }
+
+    return '';
+}
+
+/**
+ * Parses the attribute list of an opening tag
+ * @param {string} source - Text between the tag name and ">"
+ * @returns {Object} Attribute name to raw value
+ */
+function parseAttributes(source) {
+    const attrs = {};
+    for (const match of source.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attrs[match[1]] = match[2] ?? match[3];
+    }
+    return attrs;
+}
+
+/**
+ * Gets the alternate link of an Atom feed or entry
+ * @param {string} xml - Atom fragment
+ * @returns {string} Link URL
+ */
+function getAtomLink(xml) {
+    return getAttr(xml, 'link', 'href', attrs => !attrs.rel || attrs.rel === 'alternate');
+}
+
+/**
+ * Finds an image for an item from the common media extensions
+ * @param {string} xml - Item fragment
+ * @returns {string|null} Image URL
+ */
+function getImage(xml) {
+    return getAttr(xml, 'media:thumbnail', 'url')
+        || getAttr(xml, 'media:content', 'url', attrs => !attrs.medium || attrs.medium === 'image')
+        || getAttr(xml, 'enclosure', 'url', attrs => (attrs.type || '').startsWith('image/'))
+        || null;
+}
+
+/**
+ * Strips markup from an HTML snippet
+ * @param {string} html - HTML text
+ * @returns {string} Plain text
+ */
+function stripHtml(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
@@ -0,0 +1,39 @@
+/**
+ * Hacker News Source Adapters
+ * One adapter per HN list (top, best, new, ask, show)
+ */
+
+import { fetchStoryItems, fetchStoryPage, formatStories, StoryTypes } from '../services/hackerNewsService.js';
+
+const HN_LISTS = [
+    { type: StoryTypes.TOP, label: 'Top Stories' },
+    { type: StoryTypes.BEST, label: 'Best Stories' },
+    { type: StoryTypes.NEW, label: 'New Stories' },
+    { type: StoryTypes.ASK, label: 'Ask HN' },
+    { type: StoryTypes.SHOW, label: 'Show HN' }
+];
+
+/**
+ * Creates the adapter for one HN list
+ * @param {string} type - Story type
+ * @param {string} label - Dropdown label
+ * @returns {Object} Source adapter
+ */
+function createHackerNewsSource(type, label) {
+    return {
+        id: type,
+        label,
+        group: 'Hacker News',
+        rankLabel: 'HN Rank',
+        capabilities: {
+            hasPoints: true,
+            hasComments: true,
+            hasFeed: true
+        },
+        fetch: ({ limit = 30, signal } = {}) => fetchStoryItems(type, limit, signal),
+        fetchMore: (cursor, { limit = 30, signal } = {}) => fetchStoryPage(cursor, limit, signal),
+        normalize: ({ items }) => formatStories(items)
+    };
+}
+
+export const hackerNewsSources = HN_LISTS.map(({ type, label }) => createHackerNewsSource(type, label));
@@ -0,0 +1,23 @@
+/**
+ * Hacker News Search Source Adapter
+ * Searches all of HN history (Algolia) with the parameters from the
+ * FilterBar's search row
+ */
+
+import { fetchSearchPage, formatSearchHits } from '../services/hnSearchService.js';
+
+export const hnSearchSource = {
+    id: 'hn-search',
+    label: 'Search All of HN',
+    group: 'Hacker News',
+    rankLabel: 'Search Rank',
+    capabilities: {
+        hasPoints: true,
+        hasComments: true,
+        supportsSearch: true,
+        isArchive: true
+    },
+    fetch: ({ search = {}, limit = 30, signal } = {}) => fetchSearchPage({ ...search, page: 0 }, limit, signal),
+    fetchMore: (cursor, { limit = 30, signal } = {}) => fetchSearchPage(cursor, limit, signal),
+    normalize: ({ hits, offset }) => formatSearchHits(hits, offset)
+};
@@ -0,0 +1,33 @@
+/**
+ * Built-in Sources
+ * Registers the bundled adapters; import this module before reading the registry
+ */
+
+import { registerSource } from './registry.js';
+import { unifiedSource } from './unifiedSource.js';
+import { hackerNewsSources } from './hackerNewsSource.js';
+import { hnSearchSource } from './hnSearchSource.js';
+import { newsApiSource } from './newsApiSource.js';
+import { savedSource } from './savedSource.js';
+import { createRedditSource } from './redditSource.js';
+import { lobstersSource } from './lobstersSource.js';
+import { createRssSource } from './rssSource.js';
+import { getSavedFeeds } from '../services/feedService.js';
+
+// Registration order is dropdown order
+registerSource(unifiedSource);
+registerSource(savedSource);
+hackerNewsSources.forEach(registerSource);
+registerSource(hnSearchSource);
+registerSource(newsApiSource);
+registerSource(createRedditSource('programming'));
+registerSource(createRedditSource('technology'));
+registerSource(lobstersSource);
+registerSource(createRssSource({ id: 'rss-github-blog', label: 'GitHub Blog', url: 'https://github.blog/feed/' }));
+registerSource(createRssSource({ id: 'rss-cloudflare-blog', label: 'Cloudflare Blog', url: 'https://blog.cloudflare.com/rss/' }));
+
+// Feeds the user added in the UI
+getSavedFeeds().forEach(feed => registerSource(createRssSource(feed)));
+
+export { createRssSource };
+export { registerSource, unregisterSource, getSource, getSources, loadSource, loadMore } from './registry.js';
@@ -0,0 +1,76 @@
+/**
+ * Lobsters Source Adapter
+ * Hottest stories from lobste.rs
+ */
+
+import { calculateHotness, calculateDiscussionIntensity } from '../utils/hotness.js';
+import { extractDomain } from '../utils/helpers.js';
+
+const LOBSTERS_BASE = 'https://lobste.rs';
+
+export const lobstersSource = {
+    id: 'lobsters',
+    label: 'Hottest',
+    group: 'Lobsters',
+    rankLabel: 'Lobsters Rank',
+    capabilities: {
+        hasPoints: true,
+        hasComments: true
+    },
+    fetch: ({ signal } = {}) => fetchHottest(signal),
+    normalize: (stories, { limit = 30 } = {}) =>
+        stories.slice(0, limit).map((story, index) => formatLobstersStory(story, index + 1))
+};
+
+/**
+ * Fetches the hottest stories
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Object[]>} Raw Lobsters stories
+ */
+async function fetchHottest(signal) {
+    const response = await fetch(`${LOBSTERS_BASE}/hottest.json`, { signal });
+
+    if (!response.ok) {
+        throw new Error(`Failed to fetch Lobsters stories: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Formats a Lobsters story for display
+ * @param {Object} story - Raw story from lobste.rs
+ * @param {number} rank - Story rank in the list
+ * @returns {Object} Formatted story object
+ */
+export function formatLobstersStory(story, rank) {
+    const timestamp = story.created_at ? new Date(story.created_at) : new Date();
+    const points = story.score || 0;
+    const commentCount = story.comment_count || 0;
+    const commentsUrl = story.comments_url || `${LOBSTERS_BASE}/s/${story.short_id}`;
+    const url = story.url || commentsUrl;
+
+    // Older API versions nest the submitter in an object
+    const author = typeof story.submitter_user === 'string'
+        ? story.submitter_user
+        : story.submitter_user?.username;
+
+    return {
+        id: `lobsters-${story.short_id}`,
+        rank,
+        title: story.title || 'Untitled',
+        url,
+        domain: extractDomain(url),
+        author: author || 'anonymous',
+        description: story.description_plain || null,
+        points,
+        commentCount,
+        commentsUrl,
+        timestamp,
+        source: 'Lobsters',
+        isHackerNews: false,
+        tags: story.tags || [],
+        hotness: calculateHotness(points, timestamp),
+        discussion: calculateDiscussionIntensity(commentCount, points)
+    };
+}
@@ -0,0 +1,24 @@
+/**
+ * NewsAPI Source Adapter
+ * Top headlines through our serverless /api/news route
+ */
+
+import {
+    fetchHeadlineArticles,
+    formatArticle,
+    isConfigured as isNewsApiConfigured
+} from '../services/newsApiService.js';
+
+export const newsApiSource = {
+    id: 'newsapi',
+    label: 'Top Headlines',
+    group: 'NewsAPI',
+    capabilities: {
+        hasImages: true,
+        supportsCategory: true
+    },
+    isAvailable: isNewsApiConfigured,
+    fetch: ({ category, country, limit = 30, signal } = {}) =>
+        fetchHeadlineArticles({ category, country, pageSize: limit, signal }),
+    normalize: articles => articles.map((article, index) => formatArticle(article, index + 1))
+};
@@ -0,0 +1,94 @@
+/**
+ * Reddit Source Adapter
+ * Hot posts from a subreddit via Reddit's public JSON listing
+ */
+
+import { calculateHotness, calculateDiscussionIntensity } from '../utils/hotness.js';
+import { extractDomain } from '../utils/helpers.js';
+
+const REDDIT_BASE = 'https://www.reddit.com';
+
+/**
+ * Creates an adapter for a subreddit's hot listing
+ * @param {string} subreddit - Subreddit name without the r/ prefix
+ * @returns {Object} Source adapter
+ */
+export function createRedditSource(subreddit) {
+    return {
+        id: `reddit-${subreddit.toLowerCase()}`,
+        label: `r/${subreddit}`,
+        group: 'Reddit',
+        rankLabel: 'Reddit Rank',
+        capabilities: {
+            hasPoints: true,
+            hasComments: true,
+            hasImages: true
+        },
+        fetch: ({ limit = 30, signal } = {}) => fetchSubreddit(subreddit, limit, signal),
+        normalize: listing => normalizeListing(listing)
+    };
+}
+
+/**
+ * Fetches a subreddit's hot listing
+ * @param {string} subreddit - Subreddit name
+ * @param {number} limit - Maximum posts
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Object>} Raw Reddit listing
+ */
+async function fetchSubreddit(subreddit, limit, signal) {
+    const response = await fetch(`${REDDIT_BASE}/r/${subreddit}/hot.json?limit=${limit}&raw_json=1`, { signal });
+
+    if (!response.ok) {
+        throw new Error(`Failed to fetch r/${subreddit}: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Normalizes a Reddit listing into stories, skipping pinned posts
+ * @param {Object} listing - Raw Reddit listing
+ * @returns {Object[]} Formatted stories
+ */
+export function normalizeListing(listing) {
+    const posts = listing?.data?.children || [];
+
+    return posts
+        .map(child => child.data)
+        .filter(post => post && !post.stickied)
+        .map((post, index) => formatPost(post, index + 1));
+}
+
+/**
+ * Formats a Reddit post for display
+ * @param {Object} post - Raw post data
+ * @param {number} rank - Post rank in the list
+ * @returns {Object} Formatted story object
+ */
+function formatPost(post, rank) {
+    const timestamp = post.created_utc ? new Date(post.created_utc * 1000) : new Date();
+    const points = post.score || 0;
+    const commentCount = post.num_comments || 0;
+    const commentsUrl = `${REDDIT_BASE}${post.permalink}`;
+    const url = post.is_self ? commentsUrl : post.url;
+
+    return {
+        id: `reddit-${post.id}`,
+        rank,
+        title: post.title || 'Untitled',
+        url,
+        domain: extractDomain(url),
+        author: post.author || 'anonymous',
+        description: post.is_self && post.selftext ? post.selftext : null,
+        imageUrl: /^https?:\/\//.test(post.thumbnail || '') ? post.thumbnail : null,
+        points,
+        commentCount,
+        commentsUrl,
+        timestamp,
+        source: `r/${post.subreddit}`,
+        isHackerNews: false,
+        hotness: calculateHotness(points, timestamp),
+        discussion: calculateDiscussionIntensity(commentCount, points)
+    };
+}
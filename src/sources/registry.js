@@ -0,0 +1,143 @@
+/**
+ * Source Registry
+ * Every story source (Hacker News lists, NewsAPI, Reddit, Lobsters, feeds...)
+ * is described by an adapter and registered here. The FilterBar builds its
+ * dropdown from the registry and App loads stories through it.
+ *
+ * Adapter shape:
+ * {
+ *   id: 'lobsters',                 // value stored in filters.storyType
+ *   label: 'Hottest',               // dropdown option text
+ *   group: 'Lobsters',              // dropdown optgroup, null for a top-level option
+ *   rankLabel: 'Lobsters Rank',     // optional label for the default sort button
+ *   capabilities: {
+ *     hasPoints: true,              // stories carry points (enables velocity sort)
+ *     hasComments: true,            // stories carry comment counts
+ *     hasImages: false,             // stories may carry an imageUrl
+ *     supportsCategory: false,      // the category filter applies
+ *     supportsSearch: false,        // fetch runs a query from the FilterBar's search row
+ *     isArchive: false,             // stories aren't a current list (kept out of topic history and alerts)
+ *     hasFeed: false                // the list can be subscribed to as RSS (api/rss.js)
+ *   },
+ *   isAvailable: () => true,        // optional, hides the source when false
+ *   fetch: async (options) => raw,  // options: { category, country, search, limit, signal }
+ *   fetchMore: async (cursor, options) => raw,  // optional, next page for infinite scroll
+ *   normalize: (raw, options) => stories  // may be async
+ * }
+ *
+ * When some items could not be loaded, fetch may return an object with a
+ * numeric `failed` count so the UI can report partial results. Paged sources
+ * return a `cursor` alongside their items (null once the list is exhausted);
+ * it is handed back to fetchMore for the next page.
+ */
+
+const DEFAULT_CAPABILITIES = {
+    hasPoints: false,
+    hasComments: false,
+    hasImages: false,
+    supportsCategory: false,
+    supportsSearch: false,
+    isArchive: false,
+    hasFeed: false
+};
+
+const sources = new Map();
+
+/**
+ * Registers a source adapter, replacing any adapter with the same ID
+ * @param {Object} adapter - Source adapter
+ */
+export function registerSource(adapter) {
+    const missing = ['id', 'label', 'fetch', 'normalize'].filter(key => !adapter[key]);
+    if (missing.length > 0) {
+        throw new Error(`Source adapter is missing: ${missing.join(', ')}`);
+    }
+
+    sources.set(adapter.id, {
+        group: null,
+        ...adapter,
+        capabilities: { ...DEFAULT_CAPABILITIES, ...adapter.capabilities }
+    });
+}
+
+/**
+ * Removes a source adapter
+ * @param {string} id - Source ID
+ */
+export function unregisterSource(id) {
+    sources.delete(id);
+}
+
+/**
+ * Gets a source adapter by ID
+ * @param {string} id - Source ID
+ * @returns {Object|null} Source adapter
+ */
+export function getSource(id) {
+    return sources.get(id) || null;
+}
+
+/**
+ * Lists available source adapters in registration order
+ * @returns {Object[]} Source adapters
+ */
+export function getSources() {
+    return Array.from(sources.values()).filter(source => !source.isAvailable || source.isAvailable());
+}
+
+/**
+ * Fetches and normalizes stories from a source
+ * @param {string} id - Source ID
+ * @param {Object} options - Fetch options { category, country, search, limit, signal }
+ * @returns {Promise<Object>} { stories, failed, cursor } with normalized stories, the count of
+ *   items that failed and the cursor for the next page (null if there is none)
+ */
+export async function loadSource(id, options = {}) {
+    const source = getSource(id);
+
+    if (!source) {
+        throw new Error(`Unknown source: ${id}`);
+    }
+
+    if (source.isAvailable && !source.isAvailable()) {
+        throw new Error(`${source.label} is not configured`);
+    }
+
+    const raw = await source.fetch(options);
+    return normalizeResult(source, raw, options);
+}
+
+/**
+ * Fetches and normalizes the next page of a paged source
+ * @param {string} id - Source ID
+ * @param {Object} cursor - Cursor returned by the previous load
+ * @param {Object} options - Fetch options { limit, signal }
+ * @returns {Promise<Object>} { stories, failed, cursor }
+ */
+export async function loadMore(id, cursor, options = {}) {
+    const source = getSource(id);
+
+    if (!source?.fetchMore || !cursor) {
+        return { stories: [], failed: 0, cursor: null };
+    }
+
+    const raw = await source.fetchMore(cursor, options);
+    return normalizeResult(source, raw, options);
+}
+
+/**
+ * Normalizes a raw payload and collects paging/failure metadata
+ * @param {Object} source - Source adapter
+ * @param {*} raw - Raw payload from fetch or fetchMore
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Object>} { stories, failed, cursor }
+ */
+async function normalizeResult(source, raw, options) {
+    const stories = await source.normalize(raw, options);
+
+    return {
+        stories,
+        failed: typeof raw?.failed === 'number' ? raw.failed : 0,
+        cursor: raw?.cursor || null
+    };
+}
@@ -0,0 +1,28 @@
+/**
+ * RSS/Atom Source Adapter
+ * Any RSS 2.0, Atom or JSON Feed URL, parsed server-side by /api/feed
+ */
+
+import { fetchFeed } from '../services/feedService.js';
+
+/**
+ * Creates an adapter for a feed URL
+ * @param {Object} options - Feed options
+ * @param {string} options.id - Source ID
+ * @param {string} options.label - Dropdown label
+ * @param {string} options.url - Feed URL
+ * @returns {Object} Source adapter
+ */
+export function createRssSource({ id, label, url }) {
+    return {
+        id,
+        label,
+        group: 'Feeds',
+        feedUrl: url,
+        capabilities: {
+            hasImages: true
+        },
+        fetch: ({ limit = 30, signal } = {}) => fetchFeed(url, limit, signal),
+        normalize: ({ items }) => items
+    };
+}
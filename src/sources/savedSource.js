@@ -0,0 +1,25 @@
+/**
+ * Saved Stories Source Adapter
+ * The stories the user saved, read from their local snapshots, so they stay
+ * available after dropping off the lists they came from
+ */
+
+import { getSavedStories } from '../services/bookmarkService.js';
+
+export const savedSource = {
+    id: 'saved',
+    label: 'Saved',
+    rankLabel: 'Recently Saved',
+    capabilities: {
+        hasPoints: true,
+        hasComments: true,
+        hasImages: true,
+        isArchive: true
+    },
+    fetch: async () => getSavedStories(),
+    normalize: snapshots => snapshots.map((snapshot, index) => ({
+        ...snapshot,
+        rank: index + 1,
+        timestamp: snapshot.timestamp ? new Date(snapshot.timestamp) : null
+    }))
+};
@@ -0,0 +1,23 @@
+/**
+ * All Sources Adapter
+ * Composite of Hacker News and NewsAPI; its members normalize their own stories
+ */
+
+import { fetchAllSources } from '../services/unifiedFeedService.js';
+import { isConfigured as isNewsApiConfigured } from '../services/newsApiService.js';
+
+export const unifiedSource = {
+    id: 'all',
+    label: 'All Sources',
+    group: null,
+    rankLabel: 'Hotness',
+    capabilities: {
+        hasPoints: true,
+        hasComments: true,
+        hasImages: true,
+        supportsCategory: true
+    },
+    isAvailable: isNewsApiConfigured,
+    fetch: ({ category, country, limit = 30, signal } = {}) => fetchAllSources({ category, country, limit, signal }),
+    normalize: ({ stories }) => stories
+};
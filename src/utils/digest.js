@@ -0,0 +1,287 @@
+/**
+ * Digest Utility
+ * Picks the hottest stories of a day or week, groups them under the trending
+ * topics they share and renders the result as Markdown, standalone HTML or a
+ * plain-text email body. DOM-free so the digest route can use it too.
+ */
+
+import { calculateHotness } from './hotness.js';
+import { extractTrendingTopics } from './topics.js';
+
+/**
+ * Digest periods and the window of stories each one covers
+ */
+export const DIGEST_PERIODS = {
+    daily: { label: 'Daily', hours: 24 },
+    weekly: { label: 'Weekly', hours: 7 * 24 }
+};
+
+// Topic sections in a digest; the rest goes under "Also notable"
+const MAX_SECTIONS = 5;
+
+/**
+ * Picks the hottest stories posted within a period
+ * @param {Object[]} stories - Stories with points and timestamp (hotness is computed when missing)
+ * @param {string} period - 'daily' or 'weekly'
+ * @param {number} limit - Max stories to keep
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object[]} Stories ordered by hotness score, hottest first
+ */
+export function selectDigestStories(stories, period = 'daily', limit = 15, now = Date.now()) {
+    const windowMs = (DIGEST_PERIODS[period] || DIGEST_PERIODS.daily).hours * 60 * 60 * 1000;
+
+    return stories
+        .map(story => ({ story, timestamp: toDate(story.timestamp) }))
+        // Stories without a date are kept; the source already considers them current
+        .filter(({ timestamp }) => !timestamp || now - timestamp.getTime() <= windowMs)
+        .map(({ story, timestamp }) => ({
+            story,
+            score: story.hotness?.score ?? calculateHotness(story.points || 0, timestamp).score
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ story }) => story);
+}
+
+/**
+ * Builds a digest outline: the period's hottest stories grouped by the
+ * trending topics in their titles. The intro and section summaries are left
+ * empty for the model to write.
+ * @param {Object[]} stories - Candidate stories
+ * @param {string} period - 'daily' or 'weekly'
+ * @param {Object} options - Digest options
+ * @param {number} options.limit - Max stories in the digest
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {Object} { period, title, dateLabel, generatedAt, intro, topics, sections: [{ topic, label, summary, stories }] }
+ */
+export function buildDigest(stories, period = 'daily', { limit = 15, now = Date.now() } = {}) {
+    const { label } = DIGEST_PERIODS[period] || DIGEST_PERIODS.daily;
+    const selected = selectDigestStories(stories, period, limit, now);
+    const topics = extractTrendingTopics(selected, 10);
+
+    const remaining = [...selected];
+    const sections = [];
+
+    for (const topic of topics) {
+        if (sections.length === MAX_SECTIONS) break;
+
+        const storyIds = new Set(topic.storyIds);
+        const members = remaining.filter(story => storyIds.has(String(story.id)));
+        // A topic whose stories were all claimed by hotter topics is not a theme anymore
+        if (members.length < 2) continue;
+
+        members.forEach(story => remaining.splice(remaining.indexOf(story), 1));
+        sections.push({
+            topic: topic.word,
+            label: formatTopicLabel(topic.word),
+            summary: null,
+            stories: members.map(digestStory)
+        });
+    }
+
+    if (remaining.length > 0) {
+        sections.push({
+            topic: null,
+            label: sections.length > 0 ? 'Also notable' : 'Top stories',
+            summary: null,
+            stories: remaining.map(digestStory)
+        });
+    }
+
+    return {
+        period: DIGEST_PERIODS[period] ? period : 'daily',
+        title: `HotsTrends ${label} Digest`,
+        dateLabel: formatDateLabel(period, now),
+        generatedAt: new Date(now).toISOString(),
+        intro: null,
+        topics: topics.map(topic => topic.word),
+        sections
+    };
+}
+
+/**
+ * Renders a digest as Markdown (Slack, GitHub, most chat tools)
+ * @param {Object} digest - Digest from buildDigest
+ * @returns {string} Markdown
+ */
+export function renderDigestMarkdown(digest) {
+    const lines = [`# ${digest.title}`, `_${digest.dateLabel}_`, ''];
+
+    if (digest.intro) lines.push(digest.intro, '');
+
+    digest.sections.forEach(section => {
+        lines.push(`## ${section.label}`, '');
+        if (section.summary) lines.push(section.summary, '');
+
+        section.stories.forEach(story => {
+            lines.push(`- **[${escapeMarkdown(story.title)}](${markdownUrl(story.url)})**${story.domain ? ` (${story.domain})` : ''}`);
+            lines.push(`  ${formatEngagement(story)}${story.commentsUrl ? ` · [discuss](${markdownUrl(story.commentsUrl)})` : ''}`);
+        });
+        lines.push('');
+    });
+
+    return `${lines.join('\n').trim()}\n`;
+}
+
+/**
+ * Renders a digest as a standalone HTML document with inline styles, so it
+ * survives being pasted into an email client
+ * @param {Object} digest - Digest from buildDigest
+ * @returns {string} HTML document
+ */
+export function renderDigestHtml(digest) {
+    const sections = digest.sections.map(section => `
+    <h2 style="font-size:18px;margin:28px 0 8px;border-bottom:1px solid #e5e5e5;padding-bottom:4px;">${escapeText(section.label)}</h2>
+    ${section.summary ? `<p style="margin:0 0 12px;">${escapeText(section.summary)}</p>` : ''}
+    <ul style="padding-left:20px;margin:0;">
+      ${section.stories.map(story => `
+      <li style="margin-bottom:10px;">
+        <a href="${escapeText(story.url)}" style="color:#ff6600;font-weight:bold;text-decoration:none;">${escapeText(story.title)}</a>
+        ${story.domain ? `<span style="color:#828282;"> (${escapeText(story.domain)})</span>` : ''}
+        <br><span style="color:#828282;font-size:13px;">${escapeText(formatEngagement(story))}${story.commentsUrl ? ` · <a href="${escapeText(story.commentsUrl)}" style="color:#828282;">discuss</a>` : ''}</span>
+      </li>`).join('')}
+    </ul>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeText(digest.title)}</title>
+</head>
+<body style="margin:0;padding:24px;background:#f6f6ef;font-family:Verdana,Geneva,sans-serif;color:#222;line-height:1.5;">
+  <div style="max-width:640px;margin:0 auto;background:#fff;padding:24px;border-radius:6px;">
+    <h1 style="font-size:22px;margin:0;">${escapeText(digest.title)}</h1>
+    <p style="color:#828282;margin:4px 0 16px;">${escapeText(digest.dateLabel)}</p>
+    ${digest.intro ? `<p style="margin:0 0 8px;">${escapeText(digest.intro)}</p>` : ''}
+    ${sections}
+  </div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders a digest as a plain-text email body
+ * @param {Object} digest - Digest from buildDigest
+ * @returns {string} Plain text
+ */
+export function renderDigestText(digest) {
+    const heading = `${digest.title} - ${digest.dateLabel}`;
+    const lines = [heading, '='.repeat(heading.length), ''];
+
+    if (digest.intro) lines.push(digest.intro, '');
+
+    digest.sections.forEach(section => {
+        lines.push(section.label.toUpperCase(), '');
+        if (section.summary) lines.push(section.summary, '');
+
+        section.stories.forEach((story, index) => {
+            lines.push(`${index + 1}. ${story.title}${story.domain ? ` (${story.domain})` : ''}`);
+            lines.push(`   ${formatEngagement(story)}`);
+            lines.push(`   ${story.url}`);
+        });
+        lines.push('');
+    });
+
+    return `${lines.join('\n').trim()}\n`;
+}
+
+/**
+ * Copies the fields a digest shows
+ * @param {Object} story - Story object
+ * @returns {Object} { id, title, url, domain, points, commentCount, commentsUrl }
+ */
+function digestStory(story) {
+    return {
+        id: String(story.id),
+        title: story.title,
+        // Only web links make it into the rendered HTML and Markdown
+        url: /^https?:\/\//.test(story.url || '') ? story.url : story.commentsUrl || '',
+        domain: story.domain || '',
+        points: story.points ?? null,
+        commentCount: story.commentCount ?? null,
+        commentsUrl: /^https?:\/\//.test(story.commentsUrl || '') ? story.commentsUrl : null
+    };
+}
+
+/**
+ * Turns a topic into a section heading. Names keep their spelling ("GPT-4",
+ * "macOS"); common words and phrases get a capital ("open source" -> "Open source")
+ * @param {string} word - Topic as displayed
+ * @returns {string} Heading
+ */
+function formatTopicLabel(word) {
+    return /[A-Z]/.test(word) ? word : word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Describes the day or week a digest covers, in UTC so the server and the
+ * browser agree
+ * @param {string} period - 'daily' or 'weekly'
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} Date label
+ */
+function formatDateLabel(period, now) {
+    const format = date => date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+
+    if (period === 'weekly') {
+        return `Week ending ${format(new Date(now))}`;
+    }
+    return format(new Date(now));
+}
+
+/**
+ * Formats points and comments, skipping whichever the source doesn't have
+ * @param {Object} story - Digest story
+ * @returns {string} e.g. "312 points · 87 comments"
+ */
+function formatEngagement(story) {
+    const parts = [];
+    if (story.points !== null) parts.push(`${story.points} points`);
+    if (story.commentCount !== null) parts.push(`${story.commentCount} comments`);
+    return parts.join(' · ');
+}
+
+/**
+ * Parses a Date, ISO string or epoch value
+ * @param {Date|string|number} value - Timestamp
+ * @returns {Date|null} Date, or null when missing or invalid
+ */
+function toDate(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Escapes the characters that would break a Markdown link label
+ * @param {string} text - Link text
+ * @returns {string} Escaped text
+ */
+export function escapeMarkdown(text) {
+    return text.replace(/([[\]*_`\\])/g, '\\$1');
+}
+
+/**
+ * Percent-encodes parentheses, which would end a Markdown link early
+ * @param {string} url - Link target
+ * @returns {string} Safe link target
+ */
+export function markdownUrl(url) {
+    return url.replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+/**
+ * Escapes text for HTML and XML (escapeHtml in helpers needs a DOM)
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeText(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
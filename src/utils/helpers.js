@@ -48,6 +48,24 @@ export function formatRelativeTime(date) {
     return `${diffInYears}y ago`;
 }
 
+/**
+ * Formats a date as a clock time, with the day when it isn't today
+ * @param {Date} date - Date object
+ * @returns {string} Time string (e.g., "14:05" or "Mar 3, 14:05")
+ */
+export function formatClockTime(date) {
+    if (!date || !(date instanceof Date) || isNaN(date)) {
+        return '';
+    }
+
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) {
+        return time;
+    }
+
+    return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })}, ${time}`;
+}
+
 /**
  * Formats a number with commas
  * @param {number} num - Number to format
@@ -59,8 +77,99 @@ export function formatNumber(num) {
 }
 
 
+/**
+ * Hashes a string into a short, stable identifier
+ * @param {string} str - String to hash
+ * @returns {string} Base-36 hash
+ */
+export function hashString(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        hash = ((hash << 5) - hash + str.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash).toString(36);
+}
 
+/**
+ * Extracts domain from a URL
+ * @param {string} url - Full URL
+ * @returns {string} Domain name or empty string
+ */
+export function extractDomain(url) {
+    if (!url) return '';
 
+    try {
+        const urlObj = new URL(url);
+        return urlObj.hostname.replace('www.', '');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Named entities decoded by decodeEntities; anything else is left as is
+ */
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+    ndash: '–',
+    mdash: '—',
+    hellip: '…',
+    lsquo: '‘',
+    rsquo: '’',
+    ldquo: '“',
+    rdquo: '”'
+};
+
+/**
+ * Decodes XML/HTML entities without a DOM, so it also works server-side
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x'
+                ? parseInt(code.slice(2), 16)
+                : parseInt(code.slice(1), 10);
+            return Number.isNaN(point) || point > 0x10ffff ? entity : String.fromCodePoint(point);
+        }
+        return ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Query params that only track where a click came from
+ */
+const TRACKING_PARAMS = /^(utm_\w+|ref|ref_src|fbclid|gclid|mc_cid|mc_eid)$/i;
+
+/**
+ * Reduces a URL to a canonical form for duplicate detection
+ * (no protocol, www, tracking params, fragment or trailing slash)
+ * @param {string} url - Full URL
+ * @returns {string} Canonical URL or empty string if invalid
+ */
+export function canonicalUrl(url) {
+    if (!url) return '';
+
+    try {
+        const urlObj = new URL(url);
+        const params = [...urlObj.searchParams.entries()]
+            .filter(([key]) => !TRACKING_PARAMS.test(key))
+            .sort(([a], [b]) => a.localeCompare(b));
+        const query = new URLSearchParams(params).toString();
+        const host = urlObj.hostname.replace(/^www\./, '');
+        const path = urlObj.pathname.replace(/\/+$/, '');
+
+        return `${host}${path}${query ? `?${query}` : ''}`.toLowerCase();
+    } catch {
+        return '';
+    }
+}
 
 /**
  * Creates an HTML element from a template string
@@ -73,6 +182,21 @@ export function createElement(html) {
     return template.content.firstChild;
 }
 
+/**
+ * Saves text as a file through a temporary download link
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, content, type = 'text/plain') {
+    const blob = new Blob([content], { type: `${type};charset=utf-8` });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
 /**
  * Safely escapes HTML to prevent XSS
  * @param {string} str - String to escape
@@ -84,3 +208,93 @@ export function escapeHtml(str) {
     div.textContent = str;
     return div.innerHTML;
 }
+
+/**
+ * Escapes text and wraps every occurrence of the given terms in <mark>
+ * @param {string} text - Plain text
+ * @param {string[]} terms - Words or phrases to highlight, matched case-insensitively
+ * @returns {string} Escaped HTML
+ */
+export function highlightText(text, terms = []) {
+    if (!text || terms.length === 0) return escapeHtml(text);
+
+    const pattern = [...terms]
+        .sort((a, b) => b.length - a.length)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'))
+        .join('|');
+
+    return text
+        .split(new RegExp(`(${pattern})`, 'gi'))
+        .map((part, index) => index % 2 === 1 ? `<mark class="search-match">${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+}
+
+/**
+ * Tags kept when sanitizing user-generated HTML (HN comments use these)
+ */
+const ALLOWED_TAGS = new Set(['P', 'A', 'I', 'EM', 'B', 'STRONG', 'PRE', 'CODE', 'BR']);
+
+/**
+ * Tags removed together with their content
+ */
+const DROPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE']);
+
+/**
+ * Sanitizes user-generated HTML down to basic formatting and safe links
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html || '';
+    sanitizeNode(template.content);
+    return template.innerHTML;
+}
+
+/**
+ * Recursively strips disallowed elements and attributes
+ * @param {Node} node - Node whose children are cleaned in place
+ */
+function sanitizeNode(node) {
+    Array.from(node.childNodes).forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) return;
+
+        if (child.nodeType !== Node.ELEMENT_NODE || DROPPED_TAGS.has(child.tagName)) {
+            child.remove();
+            return;
+        }
+
+        sanitizeNode(child);
+
+        if (!ALLOWED_TAGS.has(child.tagName)) {
+            // Keep the text of unknown elements, drop the element itself
+            child.replaceWith(...child.childNodes);
+            return;
+        }
+
+        Array.from(child.attributes).forEach(attr => {
+            if (!(child.tagName === 'A' && attr.name === 'href')) {
+                child.removeAttribute(attr.name);
+            }
+        });
+
+        if (child.tagName === 'A') {
+            if (!/^https?:\/\//i.test(child.getAttribute('href') || '')) {
+                child.removeAttribute('href');
+            }
+            child.setAttribute('target', '_blank');
+            child.setAttribute('rel', 'noopener noreferrer nofollow');
+        }
+    });
+}
+
+/**
+ * Converts an HTML snippet to plain text
+ * @param {string} html - HTML text
+ * @returns {string} Plain text with paragraphs separated by blank lines
+ */
+export function htmlToText(html) {
+    const template = document.createElement('template');
+    template.innerHTML = (html || '').replace(/<p>/gi, '\n\n');
+    return template.content.textContent.trim();
+}
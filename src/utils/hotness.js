@@ -4,61 +4,34 @@
  */
 
 /**
- * Stop words to exclude from trending topic extraction
+ * Minimum gap between two samples for a delta to count (2 minutes)
  */
-const STOP_WORDS = new Set([
-    'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
-    'of', 'with', 'by', 'from', 'is', 'it', 'as', 'be', 'was', 'are',
-    'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will',
-    'would', 'could', 'should', 'may', 'might', 'must', 'shall', 'can',
-    'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'we',
-    'they', 'what', 'which', 'who', 'whom', 'when', 'where', 'why', 'how',
-    'all', 'each', 'every', 'both', 'few', 'more', 'most', 'other', 'some',
-    'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'so', 'than', 'too',
-    'very', 'just', 'about', 'into', 'through', 'during', 'before', 'after',
-    'above', 'below', 'between', 'under', 'again', 'further', 'then', 'once',
-    'here', 'there', 'any', 'my', 'your', 'its', 'our', 'their', 'out', 'up',
-    'down', 'off', 'over', 'now', 'new', 'also', 'get', 'got', 'getting',
-    'show', 'ask', 'hn', 'via', 'using', 'use', 'used', 'make', 'made',
-    'video', 'pdf', 'why', 'how', 'im', "i'm", 'dont', "don't", 'cant',
-    "can't", 'wont', "won't", 'like', 'need', 'want', 'way', 'one', 'two',
-    'first', 'last', 'year', 'years', 'day', 'days', 'time', 'still'
-]);
+const MIN_SAMPLE_GAP_HOURS = 2 / 60;
 
 /**
- * Tech-focused keywords that get extra weight
+ * Hotness levels from coolest to hottest
  */
-const TECH_KEYWORDS = new Set([
-    'ai', 'ml', 'gpt', 'llm', 'openai', 'chatgpt', 'claude', 'gemini',
-    'rust', 'python', 'javascript', 'typescript', 'golang', 'swift',
-    'react', 'vue', 'angular', 'node', 'deno', 'bun',
-    'linux', 'windows', 'macos', 'android', 'ios',
-    'aws', 'azure', 'gcp', 'cloud', 'kubernetes', 'docker',
-    'blockchain', 'crypto', 'bitcoin', 'ethereum', 'web3',
-    'startup', 'vc', 'funding', 'ipo', 'acquisition',
-    'apple', 'google', 'microsoft', 'meta', 'amazon', 'nvidia', 'tesla',
-    'security', 'privacy', 'hack', 'breach', 'vulnerability',
-    'opensource', 'github', 'gitlab',
-    'database', 'sql', 'postgres', 'mongodb', 'redis',
-    'api', 'sdk', 'framework', 'library'
-]);
+export const HOTNESS_LEVELS = ['cold', 'mild', 'warm', 'hot', 'fire'];
 
 /**
  * Calculates the velocity-based hotness score
  * @param {number} points - Story points/score
  * @param {Date} timestamp - When the story was posted
+ * @param {Object[]} history - Earlier { points, takenAt } snapshots, oldest first
  * @returns {Object} Hotness data with score, level, and explanation
  */
-export function calculateHotness(points, timestamp) {
+export function calculateHotness(points, timestamp, history = []) {
     if (!timestamp || !(timestamp instanceof Date)) {
-        return { score: 0, velocity: 0, level: 'cold', reason: null };
+        return { score: 0, velocity: 0, acceleration: 0, level: 'cold', reason: null, measured: false };
     }
 
     const now = new Date();
     const hoursOld = Math.max((now - timestamp) / (1000 * 60 * 60), 0.1); // min 6 minutes
 
-    // Velocity = points per hour
-    const velocity = points / hoursOld;
+    // Velocity = points per hour, measured from snapshots when we have them,
+    // otherwise estimated from the lifetime average
+    const measured = measureVelocity(points, now, history);
+    const velocity = measured ? measured.velocity : points / hoursOld;
 
     // Hotness score combines velocity with recency bonus
     // Fresh stories get a boost, older stories need higher velocity
@@ -88,9 +61,110 @@ export function calculateHotness(points, timestamp) {
     return {
         score: Math.round(score * 10) / 10,
         velocity: Math.round(velocity * 10) / 10,
+        acceleration: measured ? Math.round(measured.acceleration * 10) / 10 : 0,
         level,
         reason,
-        hoursOld: Math.round(hoursOld * 10) / 10
+        hoursOld: Math.round(hoursOld * 10) / 10,
+        measured: Boolean(measured)
+    };
+}
+
+/**
+ * Gets a story's hotness level, scoring it with calculateHotness when its
+ * source didn't
+ * @param {Object} story - Story in the shared shape
+ * @returns {string} One of HOTNESS_LEVELS
+ */
+export function getHotnessLevel(story) {
+    return story.hotness?.level ?? calculateHotness(story.points || 0, story.timestamp).level;
+}
+
+/**
+ * Measures true velocity and acceleration from consecutive snapshots
+ * @param {number} points - Current points
+ * @param {Date} now - Time of the current reading
+ * @param {Object[]} history - Earlier { points, takenAt } snapshots, oldest first
+ * @returns {Object|null} { velocity, acceleration } in pts/hr and pts/hr², or null without usable history
+ */
+export function measureVelocity(points, now, history = []) {
+    const current = { points, takenAt: now.getTime() };
+
+    // Walk back from the newest snapshot, keeping samples spaced far enough apart
+    const samples = [current];
+    for (let i = history.length - 1; i >= 0 && samples.length < 3; i--) {
+        const gap = hoursBetween(history[i], samples[samples.length - 1]);
+        if (gap >= MIN_SAMPLE_GAP_HOURS) {
+            samples.push(history[i]);
+        }
+    }
+
+    if (samples.length < 2) return null;
+
+    const [latest, previous, earliest] = samples;
+    const recentHours = hoursBetween(previous, latest);
+    const velocity = Math.max(0, latest.points - previous.points) / recentHours;
+
+    let acceleration = 0;
+    if (earliest) {
+        const olderHours = hoursBetween(earliest, previous);
+        const olderVelocity = Math.max(0, previous.points - earliest.points) / olderHours;
+        acceleration = (velocity - olderVelocity) / ((recentHours + olderHours) / 2);
+    }
+
+    return { velocity, acceleration };
+}
+
+/**
+ * Hours elapsed between two snapshots
+ * @param {Object} from - Earlier snapshot
+ * @param {Object} to - Later snapshot
+ * @returns {number} Hours between the two
+ */
+function hoursBetween(from, to) {
+    return (to.takenAt - from.takenAt) / (1000 * 60 * 60);
+}
+
+/**
+ * Places a story on a common 0-100 hotness scale so Hacker News and NewsAPI
+ * stories can be ranked in one list. HN stories map their velocity score;
+ * NewsAPI articles have no points, so recency stands in for velocity.
+ * Stories carried by several sources get a coverage boost either way.
+ * @param {Object} story - Formatted story, optionally with sourceCount
+ * @returns {Object} { score, level, reason }
+ */
+export function calculateUnifiedHotness(story) {
+    const sourceCount = story.sourceCount || 1;
+    const hoursOld = story.timestamp instanceof Date
+        ? Math.max((new Date() - story.timestamp) / (1000 * 60 * 60), 0)
+        : 24;
+
+    // HN: fire (100) lands near 80, hot (50) near 55, warm (20) near 28
+    // NewsAPI: a brand-new headline starts at 70 and halves roughly every 4 hours
+    const base = story.isHackerNews
+        ? 100 * (1 - Math.exp(-(story.hotness?.score || 0) / 60))
+        : 70 * Math.exp(-hoursOld / 6);
+
+    const coverageBoost = 1 + 0.25 * (sourceCount - 1);
+    const score = Math.min(100, base * coverageBoost);
+
+    let level;
+    if (score >= 80) level = 'fire';
+    else if (score >= 55) level = 'hot';
+    else if (score >= 30) level = 'warm';
+    else if (score >= 10) level = 'mild';
+    else level = 'cold';
+
+    let reason = story.hotness?.reason || null;
+    if (!reason && sourceCount > 1) {
+        reason = `📰 ${sourceCount} sources`;
+    } else if (!reason && !story.isHackerNews && hoursOld < 2) {
+        reason = '🆕 Fresh';
+    }
+
+    return {
+        score: Math.round(score * 10) / 10,
+        level,
+        reason
     };
 }
 
@@ -134,78 +208,3 @@ export function getWhyItsHot(story) {
 
     return null;
 }
-
-/**
- * Extracts trending topics from story titles
- * @param {Object[]} stories - Array of story objects
- * @param {number} limit - Max number of topics to return
- * @returns {Object[]} Array of { word, count, weight } objects
- */
-export function extractTrendingTopics(stories, limit = 15) {
-    const wordCounts = new Map();
-
-    stories.forEach(story => {
-        if (!story.title) return;
-
-        // Tokenize and clean the title
-        const words = story.title
-            .toLowerCase()
-            .replace(/[^\w\s-]/g, ' ')
-            .split(/\s+/)
-            .filter(word =>
-                word.length >= 2 &&
-                word.length <= 20 &&
-                !STOP_WORDS.has(word) &&
-                !/^\d+$/.test(word)
-            );
-
-        // Count unique words per story (prevent one story from dominating)
-        const uniqueWords = new Set(words);
-        uniqueWords.forEach(word => {
-            const current = wordCounts.get(word) || { count: 0, points: 0 };
-            current.count += 1;
-            current.points += story.points || 0;
-            wordCounts.set(word, current);
-        });
-    });
-
-    // Convert to array and calculate weighted score
-    const topics = Array.from(wordCounts.entries())
-        .map(([word, data]) => {
-            // Weight = count * (1 + log of avg points) * tech bonus
-            const avgPoints = data.points / data.count;
-            const techBonus = TECH_KEYWORDS.has(word) ? 1.5 : 1;
-            const weight = data.count * (1 + Math.log10(Math.max(avgPoints, 1))) * techBonus;
-
-            return {
-                word,
-                count: data.count,
-                weight: Math.round(weight * 10) / 10,
-                isTech: TECH_KEYWORDS.has(word)
-            };
-        })
-        // Filter: must appear in at least 2 stories
-        .filter(topic => topic.count >= 2)
-        // Sort by weight
-        .sort((a, b) => b.weight - a.weight)
-        // Limit results
-        .slice(0, limit);
-
-    return topics;
-}
-
-/**
- * Gets a size class for word cloud based on weight
- * @param {number} weight - Topic weight
- * @param {number} maxWeight - Maximum weight in the set
- * @returns {string} Size class (xs, sm, md, lg, xl)
- */
-export function getTopicSizeClass(weight, maxWeight) {
-    const ratio = weight / maxWeight;
-
-    if (ratio >= 0.8) return 'xl';
-    if (ratio >= 0.6) return 'lg';
-    if (ratio >= 0.4) return 'md';
-    if (ratio >= 0.2) return 'sm';
-    return 'xs';
-}
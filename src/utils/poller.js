@@ -0,0 +1,87 @@
+/**
+ * Poller Utility
+ * Runs a task on an interval, pausing while the tab is hidden and
+ * backing off exponentially after failures
+ */
+
+/**
+ * Creates a poller
+ * @param {Function} task - Async task to run on each tick
+ * @param {Object} options - Poller options
+ * @param {number} options.interval - Base delay between ticks in ms
+ * @param {number} options.maxInterval - Upper bound for the backoff delay in ms
+ * @param {Function} options.onStatusChange - Called with 'live', 'paused', 'backoff' or null
+ * @returns {Object} Poller with start, stop and isRunning methods
+ */
+export function createPoller(task, { interval, maxInterval = interval * 8, onStatusChange = null }) {
+    let timer = null;
+    let running = false;
+    let inFlight = false;
+    let failures = 0;
+
+    function setStatus(status) {
+        if (onStatusChange) onStatusChange(status);
+    }
+
+    function schedule() {
+        const delay = Math.min(interval * 2 ** failures, maxInterval);
+        timer = setTimeout(tick, delay);
+    }
+
+    async function tick() {
+        timer = null;
+        if (!running || inFlight || document.hidden) return;
+
+        inFlight = true;
+        try {
+            await task();
+            failures = 0;
+        } catch (error) {
+            console.error('Polling failed:', error);
+            failures += 1;
+        }
+        inFlight = false;
+
+        if (running && !document.hidden) {
+            setStatus(failures > 0 ? 'backoff' : 'live');
+            schedule();
+        }
+    }
+
+    function handleVisibilityChange() {
+        if (!running) return;
+
+        if (document.hidden) {
+            clearTimeout(timer);
+            timer = null;
+            setStatus('paused');
+        } else if (!timer && !inFlight) {
+            // Catch up right away when the tab comes back
+            setStatus(failures > 0 ? 'backoff' : 'live');
+            tick();
+        }
+    }
+
+    return {
+        start() {
+            if (running) return;
+            running = true;
+            failures = 0;
+            document.addEventListener('visibilitychange', handleVisibilityChange);
+            setStatus(document.hidden ? 'paused' : 'live');
+            if (!document.hidden) schedule();
+        },
+
+        stop() {
+            running = false;
+            clearTimeout(timer);
+            timer = null;
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            setStatus(null);
+        },
+
+        isRunning() {
+            return running;
+        }
+    };
+}
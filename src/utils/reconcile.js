@@ -0,0 +1,77 @@
+/**
+ * Reconcile Utility
+ * Updates rendered DOM in place instead of rebuilding it: keyed lists keep
+ * the elements of unchanged items, and slots only re-render when their
+ * props change, so focus, scroll position and open details survive updates
+ */
+
+import { shallowEqual } from './store.js';
+
+// The item or props each element was last rendered from
+const renderedWith = new WeakMap();
+
+/**
+ * Makes a container's children match a list of items. Elements are matched
+ * to items by key; an element is reused when its item is shallowly equal to
+ * the one it was rendered from, re-rendered otherwise, and moved only when
+ * it is out of place.
+ * @param {HTMLElement} container - Element whose children are the list
+ * @param {Object[]} items - Items in display order
+ * @param {Object} options - Reconcile options
+ * @param {Function} options.key - Returns an item's unique key
+ * @param {Function} options.render - Renders an item to an element
+ * @param {Function} options.equals - Whether an element can be kept for a new item
+ */
+export function reconcileList(container, items, { key, render, equals = shallowEqual }) {
+    const existing = new Map();
+    Array.from(container.children).forEach(child => {
+        if (child.dataset.key !== undefined) existing.set(child.dataset.key, child);
+    });
+
+    // Everything before `next` is already in its final place
+    let next = container.firstElementChild;
+
+    items.forEach(item => {
+        const itemKey = String(key(item));
+        const previous = existing.get(itemKey);
+        let element = previous;
+
+        if (!previous || !equals(renderedWith.get(previous), item)) {
+            element = render(item);
+            element.dataset.key = itemKey;
+            renderedWith.set(element, item);
+        }
+        existing.delete(itemKey);
+
+        if (element === next) {
+            next = next.nextElementSibling;
+        } else {
+            container.insertBefore(element, next);
+        }
+    });
+
+    // Left over: removed items and elements that were re-rendered
+    while (next) {
+        const after = next.nextElementSibling;
+        next.remove();
+        next = after;
+    }
+}
+
+/**
+ * Renders into a slot only when the props differ (shallowly) from the
+ * props of the last render
+ * @param {HTMLElement} slot - Element holding the rendered content
+ * @param {Object|null} props - Props, or null to empty the slot
+ * @param {Function} render - Renders the props to an element
+ */
+export function patchSlot(slot, props, render) {
+    if (renderedWith.has(slot) && shallowEqual(renderedWith.get(slot), props)) return;
+    renderedWith.set(slot, props);
+
+    if (props) {
+        slot.replaceChildren(render(props));
+    } else {
+        slot.replaceChildren();
+    }
+}
@@ -0,0 +1,167 @@
+/**
+ * Request Scheduler
+ * Shared fetch queue with a concurrency cap, per-request timeouts,
+ * retries with jittered exponential backoff and AbortSignal support
+ */
+
+/**
+ * Creates a request scheduler
+ * @param {Object} options - Scheduler options
+ * @param {number} options.concurrency - Maximum requests in flight
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.timeout - Per-attempt timeout in ms
+ * @param {number} options.baseDelay - Backoff delay before the first retry in ms
+ * @returns {Object} Scheduler with a fetchJson method
+ */
+export function createRequestScheduler({ concurrency = 8, retries = 2, timeout = 8000, baseDelay = 300 } = {}) {
+    let active = 0;
+    const queue = [];
+
+    /**
+     * Waits for a free slot
+     * @param {AbortSignal} signal - Caller's abort signal
+     * @returns {Promise<void>}
+     */
+    function acquire(signal) {
+        if (active < concurrency) {
+            active += 1;
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = {
+                resolve: () => {
+                    signal?.removeEventListener('abort', onAbort);
+                    active += 1;
+                    resolve();
+                }
+            };
+            const onAbort = () => {
+                queue.splice(queue.indexOf(entry), 1);
+                reject(abortError(signal));
+            };
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+            queue.push(entry);
+        });
+    }
+
+    /**
+     * Frees a slot and wakes the next queued request
+     */
+    function release() {
+        active -= 1;
+        const next = queue.shift();
+        if (next) next.resolve();
+    }
+
+    /**
+     * Runs one attempt with its own timeout
+     * @param {string} url - Request URL
+     * @param {AbortSignal} signal - Caller's abort signal
+     * @returns {Promise<*>} Parsed JSON body
+     */
+    async function attempt(url, signal) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+
+            if (!response.ok) {
+                const error = new Error(`Request failed: ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            return await response.json();
+        } catch (error) {
+            if (signal?.aborted) throw abortError(signal);
+            if (controller.signal.aborted) throw new Error(`Request timed out after ${timeout}ms`);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    return {
+        /**
+         * Fetches JSON through the queue, retrying transient failures
+         * @param {string} url - Request URL
+         * @param {Object} options - Request options
+         * @param {AbortSignal} options.signal - Cancels the request, queued or in flight
+         * @returns {Promise<*>} Parsed JSON body
+         */
+        async fetchJson(url, { signal } = {}) {
+            for (let attemptIndex = 0; ; attemptIndex++) {
+                if (signal?.aborted) throw abortError(signal);
+
+                await acquire(signal);
+                try {
+                    return await attempt(url, signal);
+                } catch (error) {
+                    if (isAbortError(error) || attemptIndex >= retries || !isRetryable(error)) {
+                        throw error;
+                    }
+                } finally {
+                    release();
+                }
+
+                // Jitter spreads retries out so they don't stampede together
+                const delay = baseDelay * 2 ** attemptIndex * (0.5 + Math.random());
+                await sleep(delay, signal);
+            }
+        }
+    };
+}
+
+/**
+ * Checks whether an error came from an aborted request
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for abort errors
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * Whether a failure is worth retrying (network errors, timeouts, 429 and 5xx)
+ * @param {Error} error - Failure from an attempt
+ * @returns {boolean} True if retryable
+ */
+function isRetryable(error) {
+    return !error.status || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Builds the error thrown when the caller aborts
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} AbortError
+ */
+function abortError(signal) {
+    if (signal?.reason?.name === 'AbortError') return signal.reason;
+    return new DOMException('Request aborted', 'AbortError');
+}
+
+/**
+ * Waits for a delay unless aborted first
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError(signal));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
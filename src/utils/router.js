@@ -0,0 +1,142 @@
+/**
+ * Router Utility
+ * Keeps the view (source, filters, search, sort, how far the list is
+ * scrolled) in the URL query string, so views can be bookmarked, shared
+ * and stepped through with back/forward
+ */
+
+/**
+ * Query parameter for each view field. Values equal to the defaults are left
+ * out, so the plain URL is the default view.
+ */
+const PARAMS = {
+    storyType: 'source',
+    category: 'category',
+    country: 'country',
+    searchQuery: 'q',
+    timeFilter: 'time',
+    sortBy: 'sort',
+    displayCount: 'show'
+};
+
+/**
+ * Query parameters for the HN search fields
+ */
+const ARCHIVE_PARAMS = {
+    query: 'hq',
+    tags: 'htags',
+    from: 'hfrom',
+    to: 'hto',
+    minPoints: 'hpoints',
+    sort: 'hsort'
+};
+
+const TIME_FILTERS = ['all', '1h', '24h', '7d'];
+const SORTS = ['rank', 'velocity'];
+const MAX_DISPLAY_COUNT = 500;
+
+/**
+ * Creates a router
+ * @param {Object} options - Router options
+ * @param {Object} options.defaults - Default view (see serializeViewState)
+ * @param {Function} options.onNavigate - Called with the view when the user goes back or forward
+ * @returns {Object} Router with read, update, start and stop methods
+ */
+export function createRouter({ defaults, onNavigate }) {
+    function handlePopState() {
+        onNavigate(parseViewState(window.location.search, defaults));
+    }
+
+    return {
+        /**
+         * Reads the view from the current URL
+         * @returns {Object} View, with defaults for anything the URL leaves out
+         */
+        read() {
+            return parseViewState(window.location.search, defaults);
+        },
+
+        /**
+         * Writes a view to the URL
+         * @param {Object} view - View to write
+         * @param {Object} options - { replace: update the current history entry instead of adding one }
+         */
+        update(view, { replace = false } = {}) {
+            const query = serializeViewState(view, defaults);
+            const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+
+            if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+            if (replace) {
+                history.replaceState(null, '', url);
+            } else {
+                history.pushState(null, '', url);
+            }
+        },
+
+        start() {
+            window.addEventListener('popstate', handlePopState);
+        },
+
+        stop() {
+            window.removeEventListener('popstate', handlePopState);
+        }
+    };
+}
+
+/**
+ * Serializes a view to a query string
+ * @param {Object} view - { storyType, category, country, searchQuery, timeFilter, sortBy, displayCount,
+ *   archiveSearch: { query, tags, from, to, minPoints, sort } }
+ * @param {Object} defaults - Default view; matching values are omitted
+ * @returns {string} Query string without the leading "?"
+ */
+export function serializeViewState(view, defaults) {
+    const params = new URLSearchParams();
+
+    Object.entries(PARAMS).forEach(([field, param]) => {
+        if (view[field] !== undefined && String(view[field]) !== String(defaults[field])) {
+            params.set(param, String(view[field]));
+        }
+    });
+
+    Object.entries(ARCHIVE_PARAMS).forEach(([field, param]) => {
+        const value = view.archiveSearch?.[field];
+        if (value !== undefined && String(value) !== String(defaults.archiveSearch[field])) {
+            params.set(param, String(value));
+        }
+    });
+
+    return params.toString();
+}
+
+/**
+ * Parses a query string into a view, ignoring invalid values
+ * @param {string} search - Query string, with or without the leading "?"
+ * @param {Object} defaults - Default view, used for anything missing or invalid
+ * @returns {Object} View
+ */
+export function parseViewState(search, defaults) {
+    const params = new URLSearchParams(search);
+    const view = { ...defaults, archiveSearch: { ...defaults.archiveSearch } };
+
+    const text = param => (params.get(param) ?? '').trim();
+
+    if (text(PARAMS.storyType)) view.storyType = text(PARAMS.storyType);
+    if (text(PARAMS.category)) view.category = text(PARAMS.category);
+    if (text(PARAMS.country)) view.country = text(PARAMS.country);
+    if (params.has(PARAMS.searchQuery)) view.searchQuery = params.get(PARAMS.searchQuery);
+    if (TIME_FILTERS.includes(text(PARAMS.timeFilter))) view.timeFilter = text(PARAMS.timeFilter);
+    if (SORTS.includes(text(PARAMS.sortBy))) view.sortBy = text(PARAMS.sortBy);
+
+    const displayCount = Number(text(PARAMS.displayCount));
+    if (Number.isInteger(displayCount) && displayCount > 0) {
+        view.displayCount = Math.min(displayCount, MAX_DISPLAY_COUNT);
+    }
+
+    Object.entries(ARCHIVE_PARAMS).forEach(([field, param]) => {
+        if (params.has(param)) view.archiveSearch[field] = params.get(param);
+    });
+
+    return view;
+}
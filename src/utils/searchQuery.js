@@ -0,0 +1,334 @@
+/**
+ * Search Query Utility
+ * Parses the search box query language and matches stories against it:
+ *   rust wasm            both words
+ *   "open source"        exact phrase
+ *   -crypto              exclude a word, phrase or field
+ *   rust OR go           either side
+ *   (rust OR go) -job    grouping
+ *   domain:github.com  author:pg  points:>100  comments:>=50  hot:warm
+ */
+
+import { HOTNESS_LEVELS, getHotnessLevel } from './hotness.js';
+
+const TEXT_FIELDS = ['domain', 'author'];
+const NUMBER_FIELDS = ['points', 'comments'];
+const FIELD_PATTERN = /^(domain|author|points|comments|hot):(.*)$/i;
+const NUMBER_PATTERN = /^(>=|<=|>|<|=)?(\d+)$/;
+
+/**
+ * Parses a query
+ * @param {string} input - Query typed in the search box
+ * @returns {Object} { query, terms, error }: query is the parsed tree (null when
+ *   empty or invalid), terms the words and phrases to highlight, error a message
+ *   saying what is wrong with the query (null when valid)
+ */
+export function parseSearchQuery(input) {
+    try {
+        const parser = { tokens: tokenize(input || ''), position: 0 };
+        const query = parseAnd(parser);
+
+        if (parser.position < parser.tokens.length) {
+            throw new Error('Unexpected ")" without a matching "("');
+        }
+
+        return { query, terms: query ? collectTerms(query) : [], error: null };
+    } catch (error) {
+        return { query: null, terms: [], error: error.message };
+    }
+}
+
+/**
+ * Checks whether a story matches a parsed query. Words and phrases are
+ * looked up in the title, description, AI summary, domain and author.
+ * @param {Object|null} query - Tree from parseSearchQuery
+ * @param {Object} story - Story in the shared shape
+ * @param {string|null} summary - The story's AI summary, if it has one
+ * @returns {boolean} Whether the story matches (always true for an empty query)
+ */
+export function matchesSearchQuery(query, story, summary = null) {
+    if (!query) return true;
+
+    const context = {
+        story,
+        texts: [story.title, story.description, summary, story.domain, story.author].filter(Boolean).map(normalizeText),
+        level: null
+    };
+
+    return evaluate(query, context);
+}
+
+/**
+ * Quotes a term when it has to be searched as one phrase, e.g. a
+ * multi-word trending topic
+ * @param {string} term - Word or phrase
+ * @returns {string} Query for the term
+ */
+export function quoteSearchTerm(term) {
+    return /^[^\s"()-][^\s"()]*$/.test(term) && term !== 'OR' && !FIELD_PATTERN.test(term)
+        ? term
+        : `"${term.replace(/"/g, '')}"`;
+}
+
+/**
+ * Splits a query into tokens: '(', ')', 'not', 'or' and terms
+ * @param {string} input - Query
+ * @returns {Object[]} Tokens { type, value, quoted }
+ * @throws {Error} On an unclosed quote or a stray "-"
+ */
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const char = input[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char });
+            i++;
+        } else if (char === '-' && (i === 0 || /[\s(]/.test(input[i - 1]))) {
+            if (i + 1 >= input.length || /[\s)]/.test(input[i + 1])) {
+                throw new Error('Nothing to exclude after "-"; write it right before a word, e.g. -crypto');
+            }
+            tokens.push({ type: 'not' });
+            i++;
+        } else if (char === '"') {
+            const end = input.indexOf('"', i + 1);
+            if (end === -1) {
+                throw new Error(`Missing closing quote after "${input.slice(i + 1)}`);
+            }
+            tokens.push({ type: 'term', value: input.slice(i + 1, end), quoted: true });
+            i = end + 1;
+        } else {
+            let value = '';
+            while (i < input.length && !/[\s()]/.test(input[i])) {
+                // A quoted field value, e.g. author:"Jane Doe"
+                if (input[i] === '"' && value.endsWith(':')) {
+                    const end = input.indexOf('"', i + 1);
+                    if (end === -1) {
+                        throw new Error(`Missing closing quote after ${value}"${input.slice(i + 1)}`);
+                    }
+                    value += input.slice(i + 1, end);
+                    i = end + 1;
+                    break;
+                }
+                value += input[i];
+                i++;
+            }
+            tokens.push(value === 'OR' ? { type: 'or' } : { type: 'term', value, quoted: false });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses terms that must all match, up to the end or a closing parenthesis
+ * @param {Object} parser - { tokens, position }
+ * @returns {Object|null} Node, or null when there are no terms
+ */
+function parseAnd(parser) {
+    const children = [];
+
+    while (parser.position < parser.tokens.length && parser.tokens[parser.position].type !== ')') {
+        children.push(parseOr(parser));
+    }
+
+    if (children.length === 0) return null;
+    return children.length === 1 ? children[0] : { type: 'and', children };
+}
+
+/**
+ * Parses terms joined by OR
+ * @param {Object} parser - { tokens, position }
+ * @returns {Object} Node
+ */
+function parseOr(parser) {
+    const children = [parseUnary(parser)];
+
+    while (parser.tokens[parser.position]?.type === 'or') {
+        parser.position++;
+        const next = parser.tokens[parser.position];
+        if (!next || next.type === ')' || next.type === 'or') {
+            throw new Error('"OR" needs a term on both sides, e.g. rust OR go');
+        }
+        children.push(parseUnary(parser));
+    }
+
+    return children.length === 1 ? children[0] : { type: 'or', children };
+}
+
+/**
+ * Parses an excluded term, a group or a single term
+ * @param {Object} parser - { tokens, position }
+ * @returns {Object} Node
+ */
+function parseUnary(parser) {
+    const token = parser.tokens[parser.position++];
+
+    if (token.type === 'not') {
+        return { type: 'not', child: parseUnary(parser) };
+    }
+    if (token.type === 'or') {
+        throw new Error('"OR" needs a term on both sides, e.g. rust OR go');
+    }
+    if (token.type === '(') {
+        const inner = parseAnd(parser);
+        if (parser.tokens[parser.position]?.type !== ')') {
+            throw new Error('Missing ")" to close the group');
+        }
+        parser.position++;
+        if (!inner) {
+            throw new Error('Empty parentheses; put terms inside, e.g. (rust OR go)');
+        }
+        return inner;
+    }
+
+    return parseTerm(token);
+}
+
+/**
+ * Turns a term token into a text or field node
+ * @param {Object} token - Term token
+ * @returns {Object} Node
+ * @throws {Error} On a field with a missing or invalid value
+ */
+function parseTerm({ value, quoted }) {
+    const field = quoted ? null : value.match(FIELD_PATTERN);
+
+    if (!field) {
+        const text = normalizeText(value);
+        if (!text) throw new Error('Empty quotes; put a phrase inside, e.g. "open source"');
+        return { type: 'text', value: text, display: value.trim() };
+    }
+
+    const name = field[1].toLowerCase();
+    const fieldValue = field[2].trim();
+
+    if (!fieldValue) {
+        throw new Error(`${name}: needs a value, e.g. ${exampleFor(name)}`);
+    }
+
+    if (TEXT_FIELDS.includes(name)) {
+        return { type: name, value: name === 'domain' ? toDomain(fieldValue) : fieldValue.toLowerCase() };
+    }
+
+    if (NUMBER_FIELDS.includes(name)) {
+        const number = fieldValue.match(NUMBER_PATTERN);
+        if (!number) {
+            throw new Error(`${name}: needs a number with an optional >, >=, < or <=, e.g. ${exampleFor(name)}`);
+        }
+        return { type: name, operator: number[1] || '=', value: Number(number[2]) };
+    }
+
+    const level = fieldValue.toLowerCase();
+    if (!HOTNESS_LEVELS.includes(level)) {
+        throw new Error(`hot: must be one of ${HOTNESS_LEVELS.join(', ')}`);
+    }
+    return { type: 'hot', value: level };
+}
+
+/**
+ * Evaluates a node against a story
+ * @param {Object} node - Parsed node
+ * @param {Object} context - { story, texts, level }
+ * @returns {boolean} Whether the story matches
+ */
+function evaluate(node, context) {
+    const { story } = context;
+
+    switch (node.type) {
+        case 'and':
+            return node.children.every(child => evaluate(child, context));
+        case 'or':
+            return node.children.some(child => evaluate(child, context));
+        case 'not':
+            return !evaluate(node.child, context);
+        case 'text':
+            return context.texts.some(text => text.includes(node.value));
+        case 'domain': {
+            const domain = toDomain(story.domain || '');
+            return domain === node.value || domain.endsWith(`.${node.value}`) ||
+                (!node.value.includes('.') && domain.split('.').includes(node.value));
+        }
+        case 'author':
+            return (story.author || '').toLowerCase() === node.value;
+        case 'points':
+        case 'comments': {
+            const actual = node.type === 'points' ? story.points : story.commentCount;
+            return Number.isFinite(actual) && compare(actual, node.operator, node.value);
+        }
+        case 'hot':
+            context.level ??= getHotnessLevel(story);
+            return HOTNESS_LEVELS.indexOf(context.level) >= HOTNESS_LEVELS.indexOf(node.value);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Collects the words and phrases a story was matched on, skipping excluded ones
+ * @param {Object} node - Parsed node
+ * @returns {string[]} Terms to highlight
+ */
+function collectTerms(node) {
+    if (node.type === 'text') return [node.display];
+    if (node.type === 'and' || node.type === 'or') return [...new Set(node.children.flatMap(collectTerms))];
+    return [];
+}
+
+/**
+ * Compares two numbers
+ * @param {number} actual - Story value
+ * @param {string} operator - '>', '>=', '<', '<=' or '='
+ * @param {number} expected - Query value
+ * @returns {boolean} Result
+ */
+function compare(actual, operator, expected) {
+    switch (operator) {
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        default: return actual === expected;
+    }
+}
+
+/**
+ * Lowercases text and collapses whitespace, so phrases match across line breaks
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalizes a domain or URL to a bare lowercase host
+ * @param {string} value - Domain, e.g. "www.GitHub.com"
+ * @returns {string} Host without "www."
+ */
+function toDomain(value) {
+    return value
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/[/?#:].*$/, '')
+        .replace(/^www\./, '');
+}
+
+/**
+ * Gives an example query for a field, used in error messages
+ * @param {string} field - Field name
+ * @returns {string} Example
+ */
+function exampleFor(field) {
+    return {
+        domain: 'domain:github.com',
+        author: 'author:pg',
+        points: 'points:>100',
+        comments: 'comments:>50',
+        hot: 'hot:fire'
+    }[field];
+}
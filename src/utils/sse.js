@@ -0,0 +1,72 @@
+/**
+ * Server-Sent Events
+ * Incremental text/event-stream parsing and formatting, shared by the
+ * OpenAI proxy (reading the upstream stream) and the client (reading the proxy)
+ */
+
+/**
+ * Reads an event stream, calling onEvent as soon as each event is complete
+ * @param {ReadableStream} stream - Response body
+ * @param {Function} onEvent - Called with { event, data } ("message" when no event name is sent)
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export async function readEventStream(stream, onEvent) {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line
+        let boundary = buffer.match(/\r?\n\r?\n/);
+        while (boundary) {
+            const block = buffer.slice(0, boundary.index);
+            buffer = buffer.slice(boundary.index + boundary[0].length);
+            dispatchEvent(block, onEvent);
+            boundary = buffer.match(/\r?\n\r?\n/);
+        }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) dispatchEvent(buffer, onEvent);
+}
+
+/**
+ * Formats one event for writing to a text/event-stream response
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serializable payload
+ * @returns {string} Serialized event
+ */
+export function formatEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Parses one event block and hands it to the callback
+ * @param {string} block - Lines of a single event
+ * @param {Function} onEvent - Event callback
+ */
+function dispatchEvent(block, onEvent) {
+    let event = 'message';
+    const data = [];
+
+    block.split(/\r?\n/).forEach(line => {
+        // Lines starting with a colon are keep-alive comments
+        if (!line || line.startsWith(':')) return;
+
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+        if (field === 'event') event = value;
+        else if (field === 'data') data.push(value);
+    });
+
+    if (data.length > 0) {
+        onEvent({ event, data: data.join('\n') });
+    }
+}
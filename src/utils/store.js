@@ -0,0 +1,119 @@
+/**
+ * Store Utility
+ * A small observable store: state is replaced (never mutated) through
+ * setState, and subscribers are told once per batch of changes, so views
+ * can re-render only the parts whose inputs changed
+ */
+
+/**
+ * Creates a store
+ * @param {Object} initialState - Initial state
+ * @returns {Object} Store with a read-only state property and setState, subscribe and select methods
+ */
+export function createStore(initialState) {
+    let state = initialState;
+    let notified = initialState;
+    let scheduled = false;
+    const listeners = new Set();
+
+    function notify() {
+        scheduled = false;
+        const previous = notified;
+        notified = state;
+        listeners.forEach(listener => listener(state, previous));
+    }
+
+    return {
+        /**
+         * Current state. Treat it as read-only; changes go through setState.
+         */
+        get state() {
+            return state;
+        },
+
+        /**
+         * Merges a patch into the state. Several calls in a row are
+         * delivered to subscribers as one change, on the next microtask.
+         * @param {Object|Function} update - Patch, or a function of the state returning one
+         */
+        setState(update) {
+            const patch = typeof update === 'function' ? update(state) : update;
+            if (!patch || Object.keys(patch).every(key => Object.is(state[key], patch[key]))) return;
+
+            state = { ...state, ...patch };
+
+            if (!scheduled) {
+                scheduled = true;
+                queueMicrotask(notify);
+            }
+        },
+
+        /**
+         * Listens for state changes
+         * @param {Function} listener - Called with the new and the previous state
+         * @returns {Function} Unsubscribes the listener
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        /**
+         * Listens for changes to one derived value
+         * @param {Function} selector - Derives the value from the state
+         * @param {Function} onChange - Called with the new and the previous value
+         * @param {Function} equals - Whether two values count as unchanged
+         * @returns {Function} Unsubscribes the listener
+         */
+        select(selector, onChange, equals = Object.is) {
+            let current = selector(state);
+
+            return this.subscribe(next => {
+                const value = selector(next);
+                if (equals(value, current)) return;
+
+                const previous = current;
+                current = value;
+                onChange(value, previous);
+            });
+        }
+    };
+}
+
+/**
+ * Creates a memoized selector that recomputes only when one of its inputs
+ * changes, so the derived value keeps its identity between unrelated updates
+ * @param {Function[]} inputs - Selectors for the values the result depends on
+ * @param {Function} combine - Computes the result from the input values
+ * @returns {Function} Selector taking the state
+ */
+export function createSelector(inputs, combine) {
+    let lastArgs = null;
+    let lastResult;
+
+    return state => {
+        const args = inputs.map(input => input(state));
+
+        if (!lastArgs || args.some((arg, index) => !Object.is(arg, lastArgs[index]))) {
+            lastArgs = args;
+            lastResult = combine(...args);
+        }
+
+        return lastResult;
+    };
+}
+
+/**
+ * Compares two objects key by key
+ * @param {Object} a - First object
+ * @param {Object} b - Second object
+ * @returns {boolean} Whether both have the same keys with identical values
+ */
+export function shallowEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+        keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
@@ -0,0 +1,37 @@
+/**
+ * Story Diff Utility
+ * Compares two fetches of the same source to find new and rising stories
+ */
+
+/**
+ * Compares a fresh story list with the previous one
+ * @param {Object[]} previous - Stories from the last fetch
+ * @param {Object[]} next - Stories from the current fetch
+ * @returns {Map<string, Object>} Map of story ID to { isNew, rankDelta, previousLevel }
+ *   for stories that changed; rankDelta is positive when a story climbed
+ */
+export function diffStories(previous, next) {
+    const before = new Map(previous.map(story => [story.id.toString(), story]));
+    const changes = new Map();
+
+    next.forEach(story => {
+        const key = story.id.toString();
+        const old = before.get(key);
+
+        if (!old) {
+            changes.set(key, { isNew: true, rankDelta: 0, previousLevel: null });
+            return;
+        }
+
+        const rankDelta = old.rank - story.rank;
+        const oldLevel = old.hotness?.level || null;
+        const newLevel = story.hotness?.level || null;
+        const previousLevel = oldLevel !== newLevel ? oldLevel : null;
+
+        if (rankDelta > 0 || previousLevel) {
+            changes.set(key, { isNew: false, rankDelta: Math.max(rankDelta, 0), previousLevel });
+        }
+    });
+
+    return changes;
+}
@@ -0,0 +1,239 @@
+/**
+ * Story Export Utility
+ * Writes a story list, with each story's hotness, velocity, discussion level
+ * and AI summary, as CSV, JSON or a Markdown list for reports, or as an
+ * RSS 2.0 feed. DOM-free so the RSS route can use it too.
+ */
+
+import { escapeMarkdown, markdownUrl, escapeText } from './digest.js';
+
+/**
+ * Download formats offered by the export menu
+ */
+export const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', type: 'text/csv', render: renderStoriesCsv },
+    json: { label: 'JSON', extension: 'json', type: 'application/json', render: renderStoriesJson },
+    markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown', render: renderStoriesMarkdown }
+};
+
+// Spreadsheet columns: export row field and heading
+const CSV_COLUMNS = [
+    ['rank', 'Rank'],
+    ['title', 'Title'],
+    ['url', 'URL'],
+    ['commentsUrl', 'Comments URL'],
+    ['source', 'Source'],
+    ['domain', 'Domain'],
+    ['author', 'Author'],
+    ['points', 'Points'],
+    ['comments', 'Comments'],
+    ['postedAt', 'Posted'],
+    ['hotnessScore', 'Hotness Score'],
+    ['hotnessLevel', 'Hotness'],
+    ['velocity', 'Velocity (pts/hr)'],
+    ['discussion', 'Discussion'],
+    ['aiSummary', 'AI Summary']
+];
+
+const TIME_LABELS = {
+    '1h': 'past hour',
+    '24h': 'past 24 hours',
+    '7d': 'past week'
+};
+
+/**
+ * Titles an exported view
+ * @param {Object} view - View being exported
+ * @param {string} view.sourceLabel - Source label, e.g. "Hacker News - Show HN"
+ * @param {string} view.searchQuery - Search query
+ * @param {string} view.timeFilter - Time window ('all', '1h', '24h', '7d')
+ * @param {string} view.sortBy - 'rank' or 'velocity'
+ * @returns {string} e.g. "HotsTrends: Hacker News - Show HN · hot:fire"
+ */
+export function formatViewTitle({ sourceLabel, searchQuery = '', timeFilter = 'all', sortBy = 'rank' }) {
+    const parts = [sourceLabel];
+    if (searchQuery.trim()) parts.push(searchQuery.trim());
+    if (TIME_LABELS[timeFilter]) parts.push(TIME_LABELS[timeFilter]);
+    if (sortBy === 'velocity') parts.push('by velocity');
+
+    return `HotsTrends: ${parts.join(' · ')}`;
+}
+
+/**
+ * Flattens a story into the fields every export carries. Fields a source
+ * doesn't have (points on NewsAPI, say) are null.
+ * @param {Object} story - Story as listed, with its AI summary merged in
+ * @returns {Object} Export row
+ */
+export function toExportRow(story) {
+    const posted = story.timestamp ? new Date(story.timestamp) : null;
+
+    return {
+        id: String(story.id),
+        rank: story.rank ?? null,
+        title: story.title,
+        url: story.url || '',
+        commentsUrl: story.commentsUrl || '',
+        source: story.source || '',
+        domain: story.domain || '',
+        author: story.author || '',
+        points: story.points ?? null,
+        comments: story.commentCount ?? null,
+        postedAt: posted && !Number.isNaN(posted.getTime()) ? posted.toISOString() : null,
+        hotnessScore: story.hotness?.score ?? null,
+        hotnessLevel: story.hotness?.level || null,
+        velocity: story.hotness?.velocity ?? null,
+        discussion: story.discussion?.level || null,
+        aiSummary: story.aiSummary || null
+    };
+}
+
+/**
+ * Renders stories as CSV, one row per story under a heading row
+ * @param {Object[]} stories - Stories in list order
+ * @returns {string} CSV document
+ */
+export function renderStoriesCsv(stories) {
+    const rows = [
+        CSV_COLUMNS.map(([, heading]) => heading),
+        ...stories.map(toExportRow).map(row => CSV_COLUMNS.map(([field]) => row[field]))
+    ];
+
+    return `${rows.map(cells => cells.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Renders stories as a JSON document
+ * @param {Object[]} stories - Stories in list order
+ * @param {Object} meta - { title, link, generatedAt }
+ * @returns {string} JSON document
+ */
+export function renderStoriesJson(stories, { title = 'HotsTrends', link = null, generatedAt = new Date() } = {}) {
+    return JSON.stringify({
+        app: 'hotstrends',
+        title,
+        link,
+        exportedAt: generatedAt.toISOString(),
+        count: stories.length,
+        stories: stories.map(toExportRow)
+    }, null, 2);
+}
+
+/**
+ * Renders stories as a Markdown list. Bullets rather than a numbered list,
+ * since Markdown renumbers lists and filtered ranks have gaps.
+ * @param {Object[]} stories - Stories in list order
+ * @param {Object} meta - { title, link, generatedAt }
+ * @returns {string} Markdown
+ */
+export function renderStoriesMarkdown(stories, { title = 'HotsTrends', link = null, generatedAt = new Date() } = {}) {
+    const byline = [
+        `${stories.length} ${stories.length === 1 ? 'story' : 'stories'}`,
+        `exported ${formatUtcTime(generatedAt)}`,
+        ...(link ? [`[view](${markdownUrl(link)})`] : [])
+    ];
+    const lines = [`# ${title}`, `_${byline.join(' · ')}_`, ''];
+
+    stories.map(toExportRow).forEach(row => {
+        const label = `[${escapeMarkdown(row.title)}](${markdownUrl(row.url || row.commentsUrl)})`;
+        const details = [
+            formatStats(row),
+            ...(row.commentsUrl && row.commentsUrl !== row.url ? [`[discuss](${markdownUrl(row.commentsUrl)})`] : [])
+        ].filter(Boolean);
+
+        lines.push(`- ${row.rank !== null ? `#${row.rank} ` : ''}**${label}**${row.domain ? ` (${row.domain})` : ''}`);
+        if (details.length > 0) lines.push(`  ${details.join(' · ')}`);
+        if (row.aiSummary) lines.push(`  > ${row.aiSummary.replace(/\s+/g, ' ').trim()}`);
+    });
+
+    return `${lines.join('\n').trim()}\n`;
+}
+
+/**
+ * Renders stories as an RSS 2.0 feed. Each item's description carries the
+ * AI summary, when there is one, and the story's hotness and engagement.
+ * @param {Object[]} stories - Stories in list order
+ * @param {Object} meta - Channel details
+ * @param {string} meta.title - Feed title
+ * @param {string} meta.link - Page showing the same view
+ * @param {string} meta.selfUrl - URL of the feed itself
+ * @param {string} meta.description - Feed description
+ * @param {Date} meta.generatedAt - When the feed was built
+ * @returns {string} RSS document
+ */
+export function renderStoriesRss(stories, { title, link, selfUrl, description, generatedAt = new Date() }) {
+    const items = stories.map(toExportRow).map(row => {
+        const body = [row.aiSummary, formatStats(row)]
+            .filter(Boolean)
+            .map(text => `<p>${escapeText(text)}</p>`)
+            .join('');
+
+        return [
+            '    <item>',
+            `      <title>${escapeText(row.title)}</title>`,
+            `      <link>${escapeText(row.url || row.commentsUrl)}</link>`,
+            row.commentsUrl && `      <comments>${escapeText(row.commentsUrl)}</comments>`,
+            `      <guid isPermaLink="false">hotstrends-${escapeText(row.id)}</guid>`,
+            row.postedAt && `      <pubDate>${new Date(row.postedAt).toUTCString()}</pubDate>`,
+            row.author && `      <dc:creator>${escapeText(row.author)}</dc:creator>`,
+            row.hotnessLevel && `      <category>${row.hotnessLevel}</category>`,
+            `      <description>${escapeText(body)}</description>`,
+            '    </item>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+        '  <channel>',
+        `    <title>${escapeText(title)}</title>`,
+        `    <link>${escapeText(link)}</link>`,
+        `    <description>${escapeText(description || title)}</description>`,
+        selfUrl && `    <atom:link href="${escapeText(selfUrl)}" rel="self" type="application/rss+xml" />`,
+        `    <lastBuildDate>${generatedAt.toUTCString()}</lastBuildDate>`,
+        '    <generator>HotsTrends</generator>',
+        ...items,
+        '  </channel>',
+        '</rss>'
+    ].filter(Boolean).join('\n') + '\n';
+}
+
+/**
+ * Summarizes a story's hotness and engagement, skipping what its source doesn't have
+ * @param {Object} row - Export row
+ * @returns {string} e.g. "fire (score 87.2) · 45.1 pts/hr · 312 points · 87 comments · intense discussion"
+ */
+function formatStats(row) {
+    const parts = [];
+    if (row.hotnessLevel) parts.push(`${row.hotnessLevel} (score ${row.hotnessScore})`);
+    if (row.velocity !== null) parts.push(`${row.velocity} pts/hr`);
+    if (row.points !== null) parts.push(`${row.points} points`);
+    if (row.comments !== null) parts.push(`${row.comments} comments`);
+    if (row.discussion) parts.push(`${row.discussion} discussion`);
+    return parts.join(' · ');
+}
+
+/**
+ * Quotes a CSV cell when needed. Text that a spreadsheet would read as a
+ * formula is prefixed with an apostrophe.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats a time in UTC
+ * @param {Date} date - Time
+ * @returns {string} e.g. "2026-10-19 14:05 UTC"
+ */
+function formatUtcTime(date) {
+    return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
@@ -0,0 +1,62 @@
+/**
+ * Story Filters Utility
+ * The search, time and sort filters the list applies to loaded stories.
+ * Shared by the app and the RSS route (api/rss.js), so a feed carries the
+ * same stories as the view it was subscribed from.
+ */
+
+import { matchesSearchQuery } from './searchQuery.js';
+
+/**
+ * Milliseconds covered by each time filter
+ */
+export const TIME_WINDOWS = {
+    '1h': 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Applies the search and time filters to the loaded stories
+ * @param {Array} stories - Loaded stories
+ * @param {Object} search - Parsed search { query, terms, error }
+ * @param {string} timeFilter - Time window ('all', '1h', '24h', '7d')
+ * @param {Map|null} aiSummaries - AI summaries, searched along with the stories
+ * @param {Date} now - Current time
+ * @returns {Array} Stories visible under the filters
+ */
+export function filterStories(stories, search, timeFilter, aiSummaries = null, now = new Date()) {
+    let filteredStories = stories;
+
+    if (search.query) {
+        filteredStories = filteredStories.filter(story => matchesSearchQuery(
+            search.query,
+            story,
+            aiSummaries?.get(story.id.toString())?.text || story.aiSummary || null
+        ));
+    }
+
+    const cutoff = TIME_WINDOWS[timeFilter];
+    if (cutoff) {
+        filteredStories = filteredStories.filter(story =>
+            story.timestamp && (now - story.timestamp) <= cutoff
+        );
+    }
+
+    return filteredStories;
+}
+
+/**
+ * Sorts stories for display. The velocity sort re-assigns ranks, so the
+ * numbers on the cards follow the new order.
+ * @param {Array} stories - Stories in source order
+ * @param {string} sortBy - 'rank' or 'velocity'
+ * @returns {Array} Sorted stories
+ */
+export function sortStories(stories, sortBy) {
+    if (sortBy !== 'velocity') return stories;
+
+    return [...stories]
+        .sort((a, b) => (b.hotness?.velocity || 0) - (a.hotness?.velocity || 0))
+        .map((story, index) => ({ ...story, rank: index + 1 }));
+}
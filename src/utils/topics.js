@@ -0,0 +1,558 @@
+/**
+ * Topic Analysis Utility
+ * Turns story titles into trending topics and story clusters. Titles are
+ * tokenized with entities kept intact ("C++", "Node.js", "GPT-4"), common
+ * words are stemmed, repeated two- and three-word phrases become topics of
+ * their own, and stories are clustered by TF-IDF cosine similarity.
+ */
+
+/**
+ * Stop words to exclude from trending topic extraction
+ */
+const STOP_WORDS = new Set([
+    'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
+    'of', 'with', 'by', 'from', 'is', 'it', 'as', 'be', 'was', 'are',
+    'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will',
+    'would', 'could', 'should', 'may', 'might', 'must', 'shall', 'can',
+    'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'we',
+    'they', 'what', 'which', 'who', 'whom', 'when', 'where', 'why', 'how',
+    'all', 'each', 'every', 'both', 'few', 'more', 'most', 'other', 'some',
+    'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'so', 'than', 'too',
+    'very', 'just', 'about', 'into', 'through', 'during', 'before', 'after',
+    'above', 'below', 'between', 'under', 'again', 'further', 'then', 'once',
+    'here', 'there', 'any', 'my', 'your', 'its', 'our', 'their', 'out', 'up',
+    'down', 'off', 'over', 'now', 'new', 'also', 'get', 'got', 'getting',
+    'show', 'ask', 'hn', 'via', 'using', 'use', 'used', 'make', 'made',
+    'video', 'pdf', 'why', 'how', 'im', "i'm", 'dont', "don't", 'cant',
+    "can't", 'wont', "won't", 'like', 'need', 'want', 'way', 'one', 'two',
+    'first', 'last', 'year', 'years', 'day', 'days', 'time', 'still',
+    'vs', "it's", 'let', 'lets', "let's", 'us', 'me', 'his', 'her'
+]);
+
+/**
+ * Tech-focused keywords that get extra weight
+ */
+const TECH_KEYWORDS = new Set([
+    'ai', 'ml', 'gpt', 'llm', 'openai', 'chatgpt', 'claude', 'gemini',
+    'rust', 'python', 'javascript', 'typescript', 'golang', 'swift',
+    'react', 'vue', 'angular', 'node', 'deno', 'bun',
+    'linux', 'windows', 'macos', 'android', 'ios',
+    'aws', 'azure', 'gcp', 'cloud', 'kubernetes', 'docker',
+    'blockchain', 'crypto', 'bitcoin', 'ethereum', 'web3',
+    'startup', 'vc', 'funding', 'ipo', 'acquisition',
+    'apple', 'google', 'microsoft', 'meta', 'amazon', 'nvidia', 'tesla',
+    'security', 'privacy', 'hack', 'breach', 'vulnerability',
+    'opensource', 'github', 'gitlab',
+    'database', 'sql', 'postgres', 'mongodb', 'redis',
+    'api', 'sdk', 'framework', 'library'
+]);
+
+/**
+ * Irregular forms the suffix rules can't reach
+ */
+const LEMMAS = {
+    children: 'child',
+    people: 'person',
+    men: 'man',
+    women: 'woman',
+    mice: 'mouse',
+    geese: 'goose',
+    feet: 'foot',
+    teeth: 'tooth'
+};
+
+// Phrases never cross punctuation like "Show HN: Foo" or "Foo, bar and baz"
+const SEGMENT_BREAK = /[:;,!?()[\]{}"“”|–—]|\s[-/]\s|\.(?:\s|$)/;
+
+// Words plus the characters entities carry: C++, C#, .NET, Node.js, GPT-4, x86-64, CI/CD, Apple's
+const TOKEN_PATTERN = /\.?[A-Za-z0-9]\w*(?:['’.\-/]\w+)*(?:\+\+|#)?/g;
+
+// Phrases are more specific than single words, so they weigh more
+const PHRASE_WEIGHT = { 1: 1, 2: 1.5, 3: 1.75 };
+
+// Clustering only looks at the hottest stories, which keeps it fast with long lists
+const MAX_CLUSTER_STORIES = 150;
+
+/**
+ * Extracts trending topics (words, entities and phrases) from story titles
+ * @param {Object[]} stories - Array of story objects
+ * @param {number} limit - Max number of topics to return
+ * @returns {Object[]} Array of { word, key, count, weight, isTech, isPhrase, storyIds } objects, where
+ *   word is the most common spelling of the topic and storyIds lists the stories that mention it
+ */
+export function extractTrendingTopics(stories, limit = 15) {
+    const { docs, surfaces } = analyzeStories(stories);
+    const termStats = new Map();
+
+    docs.forEach(doc => {
+        doc.terms.forEach((term, key) => {
+            const current = termStats.get(key) || { term, storyIds: [], points: 0 };
+            current.storyIds.push(doc.id);
+            current.points += doc.story.points || 0;
+            termStats.set(key, current);
+        });
+    });
+
+    // Must appear in at least 2 stories
+    const candidates = new Map([...termStats].filter(([, stat]) => stat.storyIds.length >= 2));
+
+    // A phrase absorbs its parts when they rarely appear without it, so
+    // "open source" replaces "open" and "source" instead of joining them
+    [...candidates.values()]
+        .filter(stat => stat.term.parts.length > 1)
+        .sort((a, b) => b.term.parts.length - a.term.parts.length)
+        .forEach(stat => {
+            if (!candidates.has(stat.term.key)) return;
+            subTermKeys(stat.term.parts).forEach(key => {
+                const part = candidates.get(key);
+                if (part && part.storyIds.length - stat.storyIds.length < 2) {
+                    candidates.delete(key);
+                }
+            });
+        });
+
+    return [...candidates.values()]
+        .map(({ term, storyIds, points }) => {
+            // Weight = count * (1 + log of avg points) * tech bonus * phrase bonus
+            const avgPoints = points / storyIds.length;
+            const isTech = term.parts.some(part => TECH_KEYWORDS.has(part.replace(/^E:/, '')));
+            const weight = storyIds.length
+                * (1 + Math.log10(Math.max(avgPoints, 1)))
+                * (isTech ? 1.5 : 1)
+                * PHRASE_WEIGHT[term.parts.length];
+
+            return {
+                word: displayForm(surfaces.get(term.key)),
+                key: term.key,
+                count: storyIds.length,
+                weight: Math.round(weight * 10) / 10,
+                isTech,
+                isPhrase: term.parts.length > 1,
+                storyIds
+            };
+        })
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, limit);
+}
+
+/**
+ * Groups stories into topic clusters by the TF-IDF cosine similarity of
+ * their titles (average linkage: two clusters merge while their stories are
+ * similar on average, so one shared word doesn't chain unrelated stories)
+ * @param {Object[]} stories - Array of story objects
+ * @param {Object} options - Clustering options
+ * @param {number} options.limit - Max clusters to return
+ * @param {number} options.threshold - Minimum average similarity for a merge (0-1)
+ * @param {Map<string, number[]>} options.vectors - Optional embeddings by story ID, used instead of TF-IDF
+ * @returns {Object[]} Clusters of two or more stories as { id, label, terms, stories, weight }, heaviest first
+ */
+export function clusterStories(stories, { limit = 8, threshold = 0.2, vectors = null } = {}) {
+    const candidates = [...stories]
+        .sort((a, b) => storyScore(b) - storyScore(a))
+        .slice(0, MAX_CLUSTER_STORIES);
+
+    const { docs, df, surfaces } = analyzeStories(candidates);
+    if (docs.length < 2) return [];
+
+    const idf = key => Math.log(docs.length / df.get(key));
+    // Phrases only count when another story shares them; otherwise every
+    // title would carry a tail of one-off word pairs that drowns the overlap
+    const weights = docs.map(doc => {
+        const weighted = new Map();
+        doc.terms.forEach((term, key) => {
+            if (term.parts.length > 1 && df.get(key) < 2) return;
+            weighted.set(key, PHRASE_WEIGHT[term.parts.length] * idf(key));
+        });
+        return weighted;
+    });
+
+    const embeddings = vectors ? docs.map(doc => vectors.get(doc.id)) : null;
+    const similarity = embeddings && embeddings.every(Boolean)
+        ? (a, b) => denseCosine(embeddings[a], embeddings[b])
+        : (a, b) => sparseCosine(weights[a], weights[b]);
+
+    const groups = averageLinkage(docs.length, similarity, threshold)
+        .filter(members => members.length >= 2);
+
+    return groups
+        .map(members => {
+            const memberDocs = members.map(index => docs[index]);
+            const terms = labelTerms(memberDocs, members.map(index => weights[index]));
+            const avgPoints = memberDocs.reduce((sum, doc) => sum + (doc.story.points || 0), 0) / members.length;
+
+            return {
+                id: terms[0]?.key || memberDocs[0].id,
+                label: terms[0] ? displayForm(surfaces.get(terms[0].key)) : memberDocs[0].story.title,
+                terms: terms.map(term => displayForm(surfaces.get(term.key))),
+                stories: memberDocs.map(doc => doc.story).sort((a, b) => storyScore(b) - storyScore(a)),
+                weight: Math.round(members.length * (1 + Math.log10(Math.max(avgPoints, 1))) * 10) / 10
+            };
+        })
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, limit);
+}
+
+/**
+ * Gets a size class for word cloud based on weight
+ * @param {number} weight - Topic weight
+ * @param {number} maxWeight - Maximum weight in the set
+ * @returns {string} Size class (xs, sm, md, lg, xl)
+ */
+export function getTopicSizeClass(weight, maxWeight) {
+    const ratio = weight / maxWeight;
+
+    if (ratio >= 0.8) return 'xl';
+    if (ratio >= 0.6) return 'lg';
+    if (ratio >= 0.4) return 'md';
+    if (ratio >= 0.2) return 'sm';
+    return 'xs';
+}
+
+/**
+ * Splits a title into tokens, with stop words and numbers left as null
+ * gaps that phrases can't span
+ * @param {string} title - Story title
+ * @param {Set<string>} properNouns - Lower-cased words written capitalized mid-sentence somewhere in the list
+ * @returns {Array<Array<Object|null>>} Segments of { key, form } tokens
+ */
+export function tokenizeTitle(title, properNouns = new Set()) {
+    const titleCase = isTitleCase(title);
+
+    return splitSegments(title).map(segment =>
+        (segment.match(TOKEN_PATTERN) || []).map((raw, index) => {
+            const form = raw.replace(/['’]s$/i, '');
+            const lower = form.toLowerCase();
+
+            if (STOP_WORDS.has(lower) || /^[\d.,]+$/.test(form)) return null;
+
+            // Acronym plurals ("GPUs") are the acronym
+            if (/^[A-Z]{2,}s$/.test(form)) {
+                return { key: `E:${lower.slice(0, -1)}`, form: form.slice(0, -1) };
+            }
+
+            if (isEntity(form, index, titleCase, properNouns)) {
+                return { key: `E:${lower}`, form };
+            }
+
+            if (lower.length < 2) return null;
+            return { key: stem(lower), form: lower };
+        })
+    );
+}
+
+/**
+ * Reduces a lower-case word to a rough stem so "model", "models" and
+ * "modeling" count as one topic. Stems don't have to be real words; topics
+ * are displayed with their most common spelling.
+ * @param {string} word - Lower-case word
+ * @returns {string} Stem
+ */
+export function stem(word) {
+    if (LEMMAS[word]) return LEMMAS[word];
+    if (word.length <= 3 || !/^[a-z]+$/.test(word)) return word;
+
+    let result = word;
+
+    if (result.endsWith('ies') && result.length > 4) {
+        result = `${result.slice(0, -3)}y`;
+    } else if (result.endsWith('sses')) {
+        result = result.slice(0, -2);
+    } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+        result = result.slice(0, -1);
+    }
+
+    const suffix = result.match(/(ing|[^e]ed)$/);
+    if (suffix) {
+        const base = result.slice(0, suffix[1] === 'ing' ? -3 : -2);
+        if (base.length >= 3 && /[aeiouy]/.test(base)) {
+            // "stopped" -> "stop", but "install" keeps its double l
+            result = /([^aeiouslz])\1$/.test(base) ? base.slice(0, -1) : base;
+        }
+    }
+
+    // "release", "released" and "releasing" all end up as "releas"
+    if (result.endsWith('e') && result.length > 3) {
+        result = result.slice(0, -1);
+    }
+
+    return result;
+}
+
+/**
+ * Tokenizes every title and collects the terms (words, entities, phrases) of each story
+ * @param {Object[]} stories - Stories with titles
+ * @returns {Object} { docs: [{ id, story, terms: Map<key, term> }], df: Map<key, story count>,
+ *   surfaces: Map<key, Map<spelling, count>> }
+ */
+function analyzeStories(stories) {
+    const withTitles = stories.filter(story => story.title);
+    const properNouns = collectProperNouns(withTitles.map(story => story.title));
+    const df = new Map();
+    const surfaces = new Map();
+
+    const docs = withTitles.map(story => {
+        const terms = new Map();
+
+        tokenizeTitle(story.title, properNouns).forEach(segment => {
+            for (let start = 0; start < segment.length; start++) {
+                for (let length = 1; length <= 3 && start + length <= segment.length; length++) {
+                    const tokens = segment.slice(start, start + length);
+                    if (tokens.includes(null)) break;
+
+                    const parts = tokens.map(token => token.key);
+                    const key = parts.join(' ');
+                    const form = tokens.map(token => token.form).join(' ');
+
+                    const spellings = surfaces.get(key) || new Map();
+                    spellings.set(form, (spellings.get(form) || 0) + 1);
+                    surfaces.set(key, spellings);
+
+                    terms.set(key, { key, parts });
+                }
+            }
+        });
+
+        terms.forEach((term, key) => df.set(key, (df.get(key) || 0) + 1));
+        return { id: String(story.id), story, terms };
+    });
+
+    return { docs, df, surfaces };
+}
+
+/**
+ * Finds words that titles write capitalized mid-sentence. A capitalized first
+ * word is only treated as a name when it shows up like that elsewhere, so
+ * "Apple ships..." is the company while "apple pie" stays a common word.
+ * @param {string[]} titles - Story titles
+ * @returns {Set<string>} Lower-cased proper nouns
+ */
+function collectProperNouns(titles) {
+    const properNouns = new Set();
+
+    titles.forEach(title => {
+        if (isTitleCase(title)) return;
+
+        splitSegments(title).forEach(segment => {
+            (segment.match(TOKEN_PATTERN) || []).forEach((raw, index) => {
+                if (index > 0 && /^[A-Z][a-z]/.test(raw)) properNouns.add(raw.replace(/['’]s$/i, '').toLowerCase());
+            });
+        });
+    });
+
+    return properNouns;
+}
+
+/**
+ * Decides whether a token is a name or technical term that must not be
+ * stemmed or lower-cased into a common word
+ * @param {string} form - Token without a possessive
+ * @param {number} index - Position in its segment
+ * @param {boolean} titleCase - Whether the title capitalizes every word
+ * @param {Set<string>} properNouns - Known proper nouns (see collectProperNouns)
+ * @returns {boolean} True for entities
+ */
+function isEntity(form, index, titleCase, properNouns) {
+    // C++, C#, .NET, Node.js, GPT-4, Web3, CI/CD
+    if (/[+#./\d-]/.test(form) && /[A-Za-z]/.test(form)) return true;
+    // GitHub, iPhone, macOS
+    if (/[a-z][A-Z]/.test(form)) return true;
+    // AI, LLM, NASA
+    if (/^[A-Z]{2,}$/.test(form)) return true;
+
+    if (/^[A-Z]/.test(form)) {
+        const lower = form.toLowerCase();
+        // Sentence-case titles only capitalize names mid-sentence
+        if (!titleCase && index > 0) return true;
+        return properNouns.has(lower) || TECH_KEYWORDS.has(lower);
+    }
+
+    return false;
+}
+
+/**
+ * Splits a title where phrases can't continue
+ * @param {string} title - Story title
+ * @returns {string[]} Segments
+ */
+function splitSegments(title) {
+    return title
+        .split(SEGMENT_BREAK)
+        // Hyphenated plain words ("open-source") read like the separate words
+        .map(segment => segment.replace(/\b([A-Za-z]+)-(?=[A-Za-z]+\b)/g, (match, word, offset, text) =>
+            /\d/.test(text.slice(offset).split(/\s/)[0]) ? match : `${word} `
+        ));
+}
+
+/**
+ * Detects Title Case Headlines, where capitals say nothing about names
+ * @param {string} title - Story title
+ * @returns {boolean} True when most longer words are capitalized
+ */
+function isTitleCase(title) {
+    const words = (title.match(/[A-Za-z]{4,}/g) || []).slice(1);
+    if (words.length < 3) return false;
+
+    const capitalized = words.filter(word => /^[A-Z]/.test(word)).length;
+    return capitalized / words.length >= 0.7;
+}
+
+/**
+ * Lists the keys of every shorter run of words inside a phrase
+ * @param {string[]} parts - Phrase term keys
+ * @returns {string[]} Keys of the sub-phrases and single words
+ */
+function subTermKeys(parts) {
+    const keys = [];
+    for (let length = parts.length - 1; length >= 1; length--) {
+        for (let start = 0; start + length <= parts.length; start++) {
+            keys.push(parts.slice(start, start + length).join(' '));
+        }
+    }
+    return keys;
+}
+
+/**
+ * Picks the spelling a term is shown with
+ * @param {Map<string, number>} spellings - Spelling to occurrences
+ * @returns {string} Most common spelling, shortest on ties
+ */
+function displayForm(spellings) {
+    return [...spellings.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)[0][0];
+}
+
+/**
+ * Ranks the terms a cluster's stories share, preferring phrases over the
+ * words inside them
+ * @param {Object[]} docs - Member documents
+ * @param {Map<string, number>[]} weights - TF-IDF weights of each member
+ * @returns {Object[]} Up to three { key } terms, best first
+ */
+function labelTerms(docs, weights) {
+    const scores = new Map();
+
+    docs.forEach((doc, index) => {
+        doc.terms.forEach((term, key) => {
+            const current = scores.get(key) || { term, count: 0, weight: 0 };
+            current.count += 1;
+            current.weight += weights[index].get(key);
+            scores.set(key, current);
+        });
+    });
+
+    const shared = [...scores.values()]
+        .filter(score => score.count >= 2)
+        .sort((a, b) => b.count - a.count || b.weight - a.weight);
+
+    const chosen = [];
+    for (const { term } of shared) {
+        if (chosen.length === 3) break;
+        // Skip words that are already part of a chosen phrase, and phrases containing a chosen word
+        const overlaps = chosen.some(other =>
+            subTermKeys(other.parts).includes(term.key) || subTermKeys(term.parts).includes(other.key)
+        );
+        if (!overlaps) chosen.push(term);
+    }
+
+    return chosen;
+}
+
+/**
+ * Agglomerative clustering with average linkage, merging the most similar
+ * pair of clusters until no pair reaches the threshold
+ * @param {number} count - Number of items
+ * @param {Function} similarity - Returns the similarity (0-1) of two item indexes
+ * @param {number} threshold - Minimum similarity for a merge
+ * @returns {number[][]} Clusters as lists of item indexes
+ */
+function averageLinkage(count, similarity, threshold) {
+    const matrix = Array.from({ length: count }, () => new Float64Array(count));
+    for (let a = 0; a < count; a++) {
+        for (let b = a + 1; b < count; b++) {
+            matrix[a][b] = matrix[b][a] = similarity(a, b);
+        }
+    }
+
+    const clusters = Array.from({ length: count }, (_, index) => [index]);
+    const active = new Set(clusters.keys());
+
+    while (true) {
+        let best = threshold;
+        let pair = null;
+
+        for (const a of active) {
+            for (const b of active) {
+                if (b > a && matrix[a][b] >= best) {
+                    best = matrix[a][b];
+                    pair = [a, b];
+                }
+            }
+        }
+
+        if (!pair) break;
+
+        // Lance-Williams update: the merged cluster's similarity is the size-weighted average
+        const [a, b] = pair;
+        const sizeA = clusters[a].length;
+        const sizeB = clusters[b].length;
+        for (const other of active) {
+            if (other === a || other === b) continue;
+            matrix[a][other] = matrix[other][a] =
+                (sizeA * matrix[a][other] + sizeB * matrix[b][other]) / (sizeA + sizeB);
+        }
+
+        clusters[a] = clusters[a].concat(clusters[b]);
+        active.delete(b);
+    }
+
+    return [...active].map(index => clusters[index]);
+}
+
+/**
+ * Cosine similarity of two sparse vectors
+ * @param {Map<string, number>} a - Term weights
+ * @param {Map<string, number>} b - Term weights
+ * @returns {number} Similarity from 0 to 1
+ */
+function sparseCosine(a, b) {
+    let dot = 0;
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    small.forEach((weight, key) => {
+        if (large.has(key)) dot += weight * large.get(key);
+    });
+    if (dot === 0) return 0;
+
+    return dot / (norm(a.values()) * norm(b.values()));
+}
+
+/**
+ * Cosine similarity of two dense vectors
+ * @param {number[]} a - Embedding
+ * @param {number[]} b - Embedding
+ * @returns {number} Similarity
+ */
+function denseCosine(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot / (norm(a) * norm(b) || 1);
+}
+
+/**
+ * Euclidean length of a vector
+ * @param {Iterable<number>} values - Vector components
+ * @returns {number} Length
+ */
+function norm(values) {
+    let sum = 0;
+    for (const value of values) sum += value * value;
+    return Math.sqrt(sum);
+}
+
+/**
+ * Ranking score of a story: its hotness, or its points when it has none
+ * @param {Object} story - Story object
+ * @returns {number} Score
+ */
+function storyScore(story) {
+    return story.hotness?.score ?? story.points ?? 0;
+}
@@ -0,0 +1,175 @@
+/**
+ * Watch Rules Utility
+ * Validates watchlist rules and matches stories against them
+ */
+
+import { HOTNESS_LEVELS, getHotnessLevel } from './hotness.js';
+
+// Limits on what a single rule may hold
+const MAX_TERMS = 20;
+const MAX_TERM_CHARS = 100;
+const MAX_PATTERN_CHARS = 200;
+
+/**
+ * Validates and normalizes a rule from the rule form
+ * @param {Object} input - Rule fields
+ * @param {string} input.name - Display name (defaults to the first term)
+ * @param {string[]} input.keywords - Words or phrases matched in the title and description
+ * @param {string[]} input.patterns - Regular expressions matched against the title
+ * @param {string[]} input.domains - Domains, matching their subdomains too
+ * @param {string[]} input.authors - Author names
+ * @param {string} input.minLevel - Lowest hotness level that matches
+ * @returns {Object} Rule { name, keywords, patterns, domains, authors, minLevel }
+ * @throws {Error} When the rule is empty or a pattern does not compile
+ */
+export function normalizeRule(input) {
+    const keywords = cleanTerms(input.keywords);
+    const patterns = cleanTerms(input.patterns, MAX_PATTERN_CHARS);
+    const domains = cleanTerms(input.domains).map(toDomain).filter(Boolean);
+    const authors = cleanTerms(input.authors);
+    const minLevel = HOTNESS_LEVELS.includes(input.minLevel) ? input.minLevel : 'cold';
+
+    patterns.forEach(pattern => {
+        try {
+            new RegExp(pattern, 'i');
+        } catch (error) {
+            throw new Error(`Invalid pattern "${pattern}": ${error.message}`);
+        }
+    });
+
+    const hasTerms = keywords.length + patterns.length + domains.length + authors.length > 0;
+    if (!hasTerms && minLevel === 'cold') {
+        throw new Error('Add a keyword, pattern, domain or author, or pick a minimum hotness');
+    }
+
+    const name = String(input.name || '').trim().slice(0, MAX_TERM_CHARS)
+        || keywords[0] || patterns[0] || domains[0] || authors[0]
+        || `Anything ${minLevel}`;
+
+    return { name, keywords, patterns, domains, authors, minLevel };
+}
+
+/**
+ * Prepares rules for matching, skipping disabled ones
+ * @param {Object[]} rules - Saved rules
+ * @returns {Object[]} Compiled rules
+ */
+export function compileRules(rules) {
+    return rules
+        .filter(rule => rule.enabled !== false)
+        .map(rule => ({
+            rule,
+            keywords: rule.keywords.map(keyword => ({ term: keyword, regex: keywordRegex(keyword) })),
+            patterns: rule.patterns.map(pattern => ({ term: pattern, regex: safeRegex(pattern) })).filter(item => item.regex),
+            domains: rule.domains,
+            authors: rule.authors.map(author => author.toLowerCase()),
+            minRank: HOTNESS_LEVELS.indexOf(rule.minLevel)
+        }));
+}
+
+/**
+ * Matches a story against compiled rules. A rule matches when any of its
+ * keywords, patterns, domains or authors does and the story is at least as
+ * hot as its minimum level; a rule with only a level matches on hotness alone.
+ * @param {Object} story - Story in the shared shape
+ * @param {Object[]} compiled - Rules from compileRules
+ * @returns {Object[]} Matches { ruleId, ruleName, notify, reasons }
+ */
+export function matchStory(story, compiled) {
+    const level = getHotnessLevel(story);
+    const levelRank = HOTNESS_LEVELS.indexOf(level);
+    const text = [story.title, story.description].filter(Boolean).join(' ');
+    const domain = toDomain(story.domain || '');
+    const author = (story.author || '').toLowerCase();
+
+    return compiled
+        .filter(item => levelRank >= item.minRank)
+        .map(item => {
+            const reasons = [
+                ...item.keywords.filter(keyword => keyword.regex.test(text)).map(keyword => `"${keyword.term}"`),
+                ...item.patterns.filter(pattern => pattern.regex.test(story.title)).map(pattern => `/${pattern.term}/`),
+                ...item.domains.filter(watched => domain === watched || domain.endsWith(`.${watched}`)),
+                ...(author && item.authors.includes(author) ? [`by ${story.author}`] : [])
+            ];
+
+            const hasTerms = item.keywords.length + item.patterns.length + item.domains.length + item.authors.length > 0;
+            if (hasTerms && reasons.length === 0) return null;
+
+            if (item.minRank > 0) reasons.push(level);
+            return { ruleId: item.rule.id, ruleName: item.rule.name, notify: Boolean(item.rule.notify), reasons };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Matches every story against the saved rules
+ * @param {Object[]} stories - Stories in the shared shape
+ * @param {Object[]} rules - Saved rules
+ * @returns {Map<string, Object[]>} Story ID to its matches, for stories with at least one
+ */
+export function findWatchMatches(stories, rules) {
+    const compiled = compileRules(rules);
+    const matches = new Map();
+    if (compiled.length === 0) return matches;
+
+    stories.forEach(story => {
+        const found = matchStory(story, compiled);
+        if (found.length > 0) matches.set(story.id.toString(), found);
+    });
+
+    return matches;
+}
+
+/**
+ * Trims, dedupes and caps a list of terms
+ * @param {string[]|string} terms - Terms, or a comma-separated string
+ * @param {number} maxChars - Longest term kept
+ * @returns {string[]} Clean terms
+ */
+function cleanTerms(terms, maxChars = MAX_TERM_CHARS) {
+    const list = Array.isArray(terms) ? terms : String(terms || '').split(',');
+    const clean = list
+        .map(term => String(term).trim())
+        .filter(term => term && term.length <= maxChars);
+
+    return [...new Set(clean)].slice(0, MAX_TERMS);
+}
+
+/**
+ * Normalizes a domain or URL to a bare lowercase host
+ * @param {string} value - Domain, e.g. "www.GitHub.com" or "https://github.com/x"
+ * @returns {string} Host without "www.", or '' if there is none
+ */
+function toDomain(value) {
+    return value
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/[/?#:].*$/, '')
+        .replace(/^www\./, '');
+}
+
+/**
+ * Builds a case-insensitive whole-word regex for a keyword. Word edges are
+ * only enforced next to letters and digits, so "C++" and ".NET" still match.
+ * @param {string} keyword - Word or phrase
+ * @returns {RegExp} Regex
+ */
+function keywordRegex(keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    const start = /^[A-Za-z0-9]/.test(keyword) ? '(?<![A-Za-z0-9])' : '';
+    const end = /[A-Za-z0-9]$/.test(keyword) ? '(?![A-Za-z0-9])' : '';
+    return new RegExp(`${start}${escaped}${end}`, 'i');
+}
+
+/**
+ * Compiles a saved pattern, skipping ones this browser can't parse
+ * @param {string} pattern - Regex source
+ * @returns {RegExp|null} Regex, or null
+ */
+function safeRegex(pattern) {
+    try {
+        return new RegExp(pattern, 'i');
+    } catch {
+        return null;
+    }
+}
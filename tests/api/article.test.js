@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createResponse } from '../helpers.js';
+
+vi.mock('../../api/_lib/article.js', () => ({
+    loadArticle: vi.fn()
+}));
+vi.mock('../../api/_lib/usage.js', () => ({
+    recordRejection: vi.fn(),
+    recordUsage: vi.fn(),
+    checkBudget: vi.fn()
+}));
+
+const { loadArticle } = await import('../../api/_lib/article.js');
+const { recordRejection } = await import('../../api/_lib/usage.js');
+const { default: handler } = await import('../../api/article.js');
+
+/**
+ * Builds an article request from one client address
+ * @param {string} ip - Client address
+ * @returns {Object} Request
+ */
+function articleRequest(ip) {
+    return {
+        method: 'GET',
+        query: { url: 'https://example.com/post' },
+        headers: {},
+        socket: { remoteAddress: ip }
+    };
+}
+
+describe('GET /api/article', () => {
+    beforeEach(() => {
+        loadArticle.mockResolvedValue({ article: { title: 'Post', text: 'Body' }, cached: false });
+    });
+
+    afterEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('returns the article with rate-limit headers', async () => {
+        const res = createResponse();
+        await handler(articleRequest('203.0.113.10'), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toEqual({ status: 'ok', article: { title: 'Post', text: 'Body' } });
+        expect(res.headers['x-ratelimit-remaining']).toBeDefined();
+    });
+
+    it('answers 429 with Retry-After once a client is over the limit', async () => {
+        let res;
+        for (let i = 0; i <= 30; i++) {
+            res = createResponse();
+            await handler(articleRequest('203.0.113.20'), res);
+        }
+
+        expect(res.statusCode).toBe(429);
+        expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+        expect(recordRejection).toHaveBeenCalledWith('rateLimited');
+        expect(loadArticle).toHaveBeenCalledTimes(30);
+    });
+
+    it('counts a refused URL as an invalid request', async () => {
+        loadArticle.mockRejectedValue(Object.assign(new Error('A public http(s) URL is required'), { status: 400 }));
+
+        const res = createResponse();
+        await handler(articleRequest('203.0.113.30'), res);
+
+        expect(res.statusCode).toBe(400);
+        expect(recordRejection).toHaveBeenCalledWith('invalid');
+    });
+});
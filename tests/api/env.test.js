@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { readNumber } from '../../api/_lib/env.js';
+
+describe('readNumber', () => {
+    it('keeps an explicit 0', () => {
+        expect(readNumber('0', 1800)).toBe(0);
+    });
+
+    it.each([
+        ['900', 900],
+        [' 2.5 ', 2.5],
+        [undefined, 1800],
+        ['', 1800],
+        ['  ', 1800],
+        ['soon', 1800],
+        ['-1', 1800],
+        ['Infinity', 1800]
+    ])('reads %j as %s', (value, expected) => {
+        expect(readNumber(value, 1800)).toBe(expected);
+    });
+
+    it('falls back below the minimum', () => {
+        expect(readNumber('0', 30, 1)).toBe(30);
+        expect(readNumber('5', 30, 1)).toBe(5);
+    });
+});
@@ -0,0 +1,329 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readEventStream } from '../../src/utils/sse.js';
+import { createResponse, createMemoryStore } from '../helpers.js';
+
+vi.mock('../../api/_lib/article.js', () => ({
+    loadArticle: vi.fn()
+}));
+vi.mock('../../api/_lib/llm/index.js', async importOriginal => {
+    const actual = await importOriginal();
+    return { ...actual, getProvider: vi.fn(actual.getProvider) };
+});
+
+const { loadArticle } = await import('../../api/_lib/article.js');
+const { getProvider } = await import('../../api/_lib/llm/index.js');
+const { createMockProvider } = await import('../../api/_lib/llm/mock.js');
+const { setSummaryStore } = await import('../../api/_lib/summaryStore.js');
+const { setUsageStore, recordUsage } = await import('../../api/_lib/usage.js');
+const { default: handler } = await import('../../api/openai.js');
+
+const STORY = {
+    id: 41880001,
+    title: 'Postgres 17 released',
+    url: 'https://www.postgresql.org/about/news/postgresql-17-released-2936/',
+    domain: 'postgresql.org',
+    points: 412,
+    commentCount: 231
+};
+
+const ARTICLE = { title: 'PostgreSQL 17 Released!', text: 'PostgreSQL 17 adds incremental backup.', wordCount: 320 };
+
+// Each request comes from its own address, so the rate limits never interfere
+let requestCount = 0;
+
+/**
+ * Builds a POST to the AI route
+ * @param {Object} body - Request body
+ * @returns {Object} Request
+ */
+function aiRequest(body) {
+    requestCount += 1;
+    return { method: 'POST', body, headers: {}, socket: { remoteAddress: `198.51.100.${requestCount}` } };
+}
+
+/**
+ * Calls the route and waits for its response
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Fake response
+ */
+async function post(body) {
+    const res = createResponse();
+    await handler(aiRequest(body), res);
+    return res;
+}
+
+/**
+ * Reads the SSE events a batch response wrote
+ * @param {Object} res - Fake response
+ * @returns {Promise<Object[]>} Events as { event, data }
+ */
+async function readEvents(res) {
+    const events = [];
+    await readEventStream(new Response(res.chunks.join('')).body, event => events.push(event));
+    return events.map(({ event, data }) => ({ event, data: JSON.parse(data) }));
+}
+
+const OTHER_STORY = {
+    id: 41879500,
+    title: 'Ask HN: How do you run Postgres upgrades?',
+    url: null,
+    domain: 'news.ycombinator.com',
+    points: 58,
+    commentCount: 120
+};
+
+const COMMENTS = [
+    { author: 'dba_anne', text: 'pg_upgrade with --link takes minutes, not a weekend.' },
+    { author: 'ops_bob', text: 'Logical replication lets you cut over with almost no downtime.' },
+    { author: 'dba_anne', text: 'Test the extensions first; that is what breaks.' }
+];
+
+/**
+ * Today's usage record
+ * @param {Object} store - Usage store
+ * @returns {Promise<Object|null>} Day totals
+ */
+function readToday(store) {
+    return store.get(`usage-${new Date().toISOString().slice(0, 10)}`);
+}
+
+/**
+ * Spends today's whole token budget
+ * @param {Object} store - Usage store
+ */
+async function exhaustBudget(store) {
+    await recordUsage({
+        type: 'single',
+        provider: 'mock',
+        model: 'mock',
+        usage: { inputTokens: 1000000, outputTokens: 0, estimated: false },
+        cost: 0
+    });
+    expect((await readToday(store)).inputTokens).toBeGreaterThanOrEqual(1000000);
+}
+
+describe('POST /api/openai with the mock provider', () => {
+    let summaries;
+    let usage;
+
+    beforeEach(() => {
+        vi.stubEnv('LLM_PROVIDER', 'mock');
+        summaries = createMemoryStore();
+        usage = createMemoryStore();
+        setSummaryStore(summaries);
+        setUsageStore(usage);
+        loadArticle.mockResolvedValue({ article: ARTICLE, cached: false });
+    });
+
+    afterEach(() => {
+        vi.unstubAllEnvs();
+        vi.restoreAllMocks();
+    });
+
+    it('writes a single summary from the article even after a batch covered the story', async () => {
+        const batch = await readEvents(await post({ type: 'batch', stories: [STORY] }));
+        expect(batch[0]).toMatchObject({ event: 'summary', data: { basis: 'title', cached: false } });
+
+        const single = await post({ type: 'single', story: STORY });
+
+        expect(single.headers['x-cache']).toBe('MISS');
+        expect(single.body).toMatchObject({ basis: 'full-text', cached: false });
+        expect(single.body.content).toContain('Based on 320 words of article text.');
+    });
+
+    it('serves a batch the article-based single summary once there is one', async () => {
+        const single = await post({ type: 'single', story: STORY });
+        const [summary] = await readEvents(await post({ type: 'batch', stories: [STORY] }));
+
+        expect(summary.data).toEqual({
+            id: String(STORY.id),
+            summary: single.body.content,
+            basis: 'full-text',
+            cached: true
+        });
+    });
+
+    describe('single', () => {
+        it('summarizes on a miss, records the usage and serves the cache after that', async () => {
+            const miss = await post({ type: 'single', story: STORY });
+
+            expect(miss.statusCode).toBe(200);
+            expect(miss.headers['x-cache']).toBe('MISS');
+            expect(miss.body).toMatchObject({
+                content: 'Mock summary of "Postgres 17 released". Based on 320 words of article text.',
+                basis: 'full-text',
+                cached: false,
+                provider: 'mock',
+                model: 'mock',
+                cost: 0
+            });
+            expect(miss.body.usage.inputTokens).toBeGreaterThan(0);
+            expect(loadArticle).toHaveBeenCalledWith(STORY.url);
+
+            const hit = await post({ type: 'single', story: STORY });
+
+            expect(hit.headers['x-cache']).toBe('HIT');
+            expect(hit.body).toMatchObject({ content: miss.body.content, basis: 'full-text', cached: true });
+            expect(loadArticle).toHaveBeenCalledTimes(1);
+
+            const today = await readToday(usage);
+            expect(today).toMatchObject({ requests: 1, cacheHits: 1, estimatedRequests: 1 });
+            expect(today.byType.single.requests).toBe(1);
+            expect(today.inputTokens).toBe(miss.body.usage.inputTokens);
+            expect(today.outputTokens).toBe(miss.body.usage.outputTokens);
+        });
+
+        it('caches detailed analyses apart from short summaries', async () => {
+            await post({ type: 'single', story: STORY });
+            const detailed = await post({ type: 'single', story: STORY, detailed: true });
+
+            expect(detailed.headers['x-cache']).toBe('MISS');
+            expect(detailed.body.content).toMatch(/^Mock analysis of "Postgres 17 released". It has 412 points and 231 comments./);
+        });
+
+        it('falls back to the title when the article is unavailable', async () => {
+            loadArticle.mockRejectedValue(Object.assign(new Error('No readable article text found'), { status: 422 }));
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+            const res = await post({ type: 'single', story: STORY });
+
+            expect(res.body).toMatchObject({
+                content: 'Mock summary of "Postgres 17 released". Based on the title only.',
+                basis: 'title'
+            });
+        });
+
+        it('refuses a new summary over budget but still serves cached ones', async () => {
+            await post({ type: 'single', story: STORY });
+            await exhaustBudget(usage);
+
+            const cached = await post({ type: 'single', story: STORY });
+            const refused = await post({ type: 'single', story: OTHER_STORY });
+
+            expect(cached.body.cached).toBe(true);
+            expect(refused.statusCode).toBe(429);
+            expect(Number(refused.headers['retry-after'])).toBeGreaterThan(0);
+            expect((await readToday(usage)).rejected.overBudget).toBe(1);
+        });
+    });
+
+    describe('batch', () => {
+        it('streams a summary per story, then done, and records one model call', async () => {
+            const res = await post({ type: 'batch', stories: [STORY, OTHER_STORY] });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['content-type']).toBe('text/event-stream');
+            expect(res.ended).toBe(true);
+
+            const events = await readEvents(res);
+            expect(events.map(({ event }) => event)).toEqual(['summary', 'summary', 'done']);
+            expect(events[0].data).toEqual({
+                id: String(STORY.id),
+                summary: 'Mock summary of "Postgres 17 released".',
+                basis: 'title',
+                cached: false
+            });
+            expect(events[2].data).toMatchObject({ missing: [], cached: 0, budgetReached: false, provider: 'mock', cost: 0 });
+
+            const today = await readToday(usage);
+            expect(today.requests).toBe(1);
+            expect(today.byType.batch.tokens).toBe(events[2].data.usage.inputTokens + events[2].data.usage.outputTokens);
+            expect(loadArticle).not.toHaveBeenCalled();
+        });
+
+        it('sends cached summaries first and only asks the model for the rest', async () => {
+            await post({ type: 'batch', stories: [OTHER_STORY] });
+
+            const events = await readEvents(await post({ type: 'batch', stories: [STORY, OTHER_STORY] }));
+
+            expect(events[0]).toMatchObject({ event: 'summary', data: { id: String(OTHER_STORY.id), cached: true } });
+            expect(events[1]).toMatchObject({ event: 'summary', data: { id: String(STORY.id), cached: false } });
+            expect(events[2].data).toMatchObject({ missing: [], cached: 1 });
+
+            const today = await readToday(usage);
+            expect(today).toMatchObject({ requests: 2, cacheHits: 1 });
+        });
+
+        it('records the tokens already streamed when the stream breaks', async () => {
+            const provider = createMockProvider();
+            const { stream } = provider;
+            provider.stream = async (request, onText) => stream(request, text => {
+                onText(text);
+                if (text.includes('\n')) throw new Error('socket hang up');
+            });
+            getProvider.mockReturnValueOnce(provider);
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            const events = await readEvents(await post({ type: 'batch', stories: [STORY, OTHER_STORY] }));
+
+            expect(events.map(({ event }) => event)).toEqual(['summary', 'error', 'done']);
+            expect(events[2].data).toMatchObject({ missing: [String(OTHER_STORY.id)] });
+            expect(events[2].data.usage).toMatchObject({ estimated: true });
+            expect(events[2].data.usage.outputTokens).toBeGreaterThan(0);
+
+            const today = await readToday(usage);
+            expect(today.byType.batch.requests).toBe(1);
+            expect(today.outputTokens).toBe(events[2].data.usage.outputTokens);
+        });
+
+        it('answers 429 over budget when nothing is cached', async () => {
+            await exhaustBudget(usage);
+
+            const res = await post({ type: 'batch', stories: [STORY] });
+
+            expect(res.statusCode).toBe(429);
+            expect(res.body.error).toMatch(/budget/);
+            expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+            expect((await readToday(usage)).rejected.overBudget).toBe(1);
+        });
+
+        it('still streams cached summaries over budget and flags the rest', async () => {
+            await post({ type: 'batch', stories: [STORY] });
+            await exhaustBudget(usage);
+
+            const events = await readEvents(await post({ type: 'batch', stories: [STORY, OTHER_STORY] }));
+
+            expect(events.map(({ event }) => event)).toEqual(['summary', 'done']);
+            expect(events[1].data).toMatchObject({
+                missing: [String(OTHER_STORY.id)],
+                cached: 1,
+                budgetReached: true,
+                usage: null
+            });
+        });
+    });
+
+    describe('discussion', () => {
+        it('digests the comments and records the usage', async () => {
+            const res = await post({ type: 'discussion', story: STORY, comments: COMMENTS });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.content).toBe([
+                'Overview: Mock digest of 3 comments on "Postgres 17 released".',
+                'Agreement:',
+                '- dba_anne makes a point others agree with',
+                '- ops_bob makes a point others agree with',
+                'Disagreement:',
+                '- Commenters are split on the mock topic'
+            ].join('\n'));
+            expect((await readToday(usage)).byType.discussion.requests).toBe(1);
+        });
+
+        it('refuses over budget', async () => {
+            await exhaustBudget(usage);
+
+            const res = await post({ type: 'discussion', story: STORY, comments: COMMENTS });
+
+            expect(res.statusCode).toBe(429);
+            expect((await readToday(usage)).byType.discussion).toBeUndefined();
+        });
+    });
+
+    it('rejects a malformed request before it reaches the model', async () => {
+        const res = await post({ type: 'batch', stories: [] });
+
+        expect(res.statusCode).toBe(400);
+        expect((await readToday(usage)).rejected.invalid).toBe(1);
+        expect((await readToday(usage)).requests).toBe(0);
+    });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('node:dns/promises', () => ({
+    lookup: vi.fn()
+}));
+
+const { lookup } = await import('node:dns/promises');
+const { parsePublicUrl, isPrivateAddress, fetchPublicText } = await import('../../api/_lib/publicFetch.js');
+
+const OPTIONS = {
+    accept: 'text/html',
+    userAgent: 'test',
+    contentTypes: /html/,
+    maxBytes: 1024,
+    label: 'Article'
+};
+
+describe('parsePublicUrl', () => {
+    it.each([
+        'http://localhost/',
+        'http://api.internal/',
+        'http://127.0.0.1/',
+        'http://2130706433/',
+        'http://10.1.2.3/',
+        'http://100.64.0.1/',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://172.20.0.1/',
+        'http://192.168.1.1/',
+        'http://[::]/',
+        'http://[::1]/',
+        'http://[::ffff:127.0.0.1]/',
+        'http://[::ffff:a9fe:a9fe]/',
+        'http://[64:ff9b::a9fe:a9fe]/',
+        'http://[fd12:3456::1]/',
+        'http://[fe80::1]/',
+        'ftp://example.com/file',
+        'not a url'
+    ])('rejects %s', url => {
+        expect(parsePublicUrl(url)).toBeNull();
+    });
+
+    it.each([
+        'https://example.com/feed.xml',
+        'http://93.184.216.34/',
+        'http://[2606:4700:4700::1111]/',
+        'http://[::ffff:8.8.8.8]/'
+    ])('accepts %s', url => {
+        expect(parsePublicUrl(url)?.href).toBe(new URL(url).href);
+    });
+});
+
+describe('isPrivateAddress', () => {
+    it.each([
+        ['0.0.0.0', true],
+        ['100.127.255.255', true],
+        ['100.128.0.0', false],
+        ['172.15.255.255', false],
+        ['172.31.255.255', true],
+        ['::ffff:10.0.0.1', true],
+        ['::ffff:0a00:0001', true],
+        ['2001:db8::1', false],
+        ['8.8.8.8', false],
+        ['example.com', true]
+    ])('%s is private: %s', (address, expected) => {
+        expect(isPrivateAddress(address)).toBe(expected);
+    });
+});
+
+describe('fetchPublicText', () => {
+    const fetchMock = vi.fn();
+
+    beforeEach(() => {
+        vi.stubGlobal('fetch', fetchMock);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        fetchMock.mockReset();
+        lookup.mockReset();
+    });
+
+    it('refuses a host that resolves to a private address before fetching', async () => {
+        lookup.mockResolvedValue([{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+
+        await expect(fetchPublicText(new URL('https://rebind.example.com/'), OPTIONS))
+            .rejects.toMatchObject({ status: 400 });
+        expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('checks every redirect hop', async () => {
+        lookup.mockImplementation(async host => (host === 'public.example.com'
+            ? [{ address: '93.184.216.34', family: 4 }]
+            : [{ address: '::ffff:169.254.169.254', family: 6 }]));
+        fetchMock.mockResolvedValueOnce(new Response(null, {
+            status: 302,
+            headers: { location: 'https://metadata.example.com/' }
+        }));
+
+        await expect(fetchPublicText(new URL('https://public.example.com/'), OPTIONS))
+            .rejects.toMatchObject({ status: 400 });
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(lookup).toHaveBeenLastCalledWith('metadata.example.com', { all: true, verbatim: true });
+    });
+
+    it('answers 502 when the host does not resolve', async () => {
+        lookup.mockRejectedValue(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+
+        await expect(fetchPublicText(new URL('https://missing.example.com/'), OPTIONS))
+            .rejects.toMatchObject({ status: 502 });
+        expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('fetches public hosts', async () => {
+        lookup.mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+        fetchMock.mockResolvedValueOnce(new Response('<p>Hello</p>', {
+            headers: { 'content-type': 'text/html; charset=utf-8' }
+        }));
+
+        const result = await fetchPublicText(new URL('https://example.com/post'), OPTIONS);
+
+        expect(result.text).toBe('<p>Hello</p>');
+        expect(result.url.href).toBe('https://example.com/post');
+    });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { createRateLimiter, getClientIp } from '../../api/_lib/rateLimit.js';
+
+describe('getClientIp', () => {
+    it('uses the address Vercel sets', () => {
+        expect(getClientIp({
+            headers: { 'x-vercel-forwarded-for': '203.0.113.7', 'x-forwarded-for': '1.2.3.4, 203.0.113.7' }
+        })).toBe('203.0.113.7');
+        expect(getClientIp({ headers: { 'x-real-ip': '203.0.113.8' } })).toBe('203.0.113.8');
+    });
+
+    it('ignores the client-supplied start of X-Forwarded-For', () => {
+        const spoofed = ['10.0.0.1', '8.8.8.8'].map(fake => getClientIp({
+            headers: { 'x-forwarded-for': `${fake}, 203.0.113.9` }
+        }));
+
+        expect(spoofed).toEqual(['203.0.113.9', '203.0.113.9']);
+    });
+
+    it('falls back to the socket address', () => {
+        expect(getClientIp({ headers: {}, socket: { remoteAddress: '198.51.100.4' } })).toBe('198.51.100.4');
+        expect(getClientIp({ headers: { 'x-forwarded-for': ' , ' } })).toBe('unknown');
+    });
+});
+
+describe('createRateLimiter', () => {
+    it('limits each key separately', () => {
+        const limiter = createRateLimiter({ limit: 2, windowMs: 60 * 1000 });
+
+        expect(limiter.hit('a').allowed).toBe(true);
+        expect(limiter.hit('a')).toMatchObject({ allowed: true, remaining: 0 });
+        expect(limiter.hit('a')).toMatchObject({ allowed: false, retryAfter: 60 });
+        expect(limiter.hit('b').allowed).toBe(true);
+    });
+});
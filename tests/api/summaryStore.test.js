@@ -0,0 +1,56 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { summaryKey, getSummary, saveSummary, setSummaryStore } from '../../api/_lib/summaryStore.js';
+
+describe('summaryKey', () => {
+    const story = { id: '41000001', url: 'https://example.com/post', title: 'Real title', domain: 'example.com' };
+
+    it('is stable for the same story, mode and version', () => {
+        expect(summaryKey({ ...story }, 'short', 'v1')).toBe(summaryKey(story, 'short', 'v1'));
+    });
+
+    it('changes with any field that reaches the prompt', () => {
+        const key = summaryKey(story, 'short', 'v1');
+
+        expect(summaryKey({ ...story, title: 'Made-up title' }, 'short', 'v1')).not.toBe(key);
+        expect(summaryKey({ ...story, domain: 'evil.example' }, 'short', 'v1')).not.toBe(key);
+        expect(summaryKey({ ...story, url: 'https://example.com/other' }, 'short', 'v1')).not.toBe(key);
+        expect(summaryKey(story, 'detailed', 'v1')).not.toBe(key);
+        expect(summaryKey(story, 'short', 'v2')).not.toBe(key);
+    });
+});
+
+describe('saveSummary', () => {
+    beforeEach(() => {
+        const entries = new Map();
+        setSummaryStore({
+            get: async key => entries.get(key) || null,
+            set: async (key, entry) => { entries.set(key, entry); }
+        });
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2024-10-19T04:00:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('keeps summaries for the cache TTL', async () => {
+        await saveSummary('full', 'From the article.', 'full-text');
+
+        vi.advanceTimersByTime(24 * 60 * 60 * 1000);
+        expect(await getSummary('full')).toEqual({ summary: 'From the article.', basis: 'full-text' });
+
+        vi.advanceTimersByTime(7 * 24 * 60 * 60 * 1000);
+        expect(await getSummary('full')).toBeNull();
+    });
+
+    it('drops provisional summaries after the retry TTL, so the article is tried again', async () => {
+        await saveSummary('retry', 'From the title.', 'title', { provisional: true });
+
+        vi.advanceTimersByTime(10 * 60 * 1000);
+        expect(await getSummary('retry')).toEqual({ summary: 'From the title.', basis: 'title' });
+
+        vi.advanceTimersByTime(10 * 60 * 1000);
+        expect(await getSummary('retry')).toBeNull();
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * Test Helpers
+ * Fixture loading, the story shape every source normalizes to, and fakes
+ * for calling the API routes directly
+ */
+
+import { readFileSync } from 'node:fs';
+import { expect } from 'vitest';
+
+/**
+ * Reads a fixture file as text
+ * @param {string} name - File name in tests/fixtures
+ * @returns {string} File contents
+ */
+export function loadFixture(name) {
+    return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+/**
+ * Reads and parses a JSON fixture
+ * @param {string} name - File name in tests/fixtures
+ * @returns {*} Parsed JSON
+ */
+export function loadJsonFixture(name) {
+    return JSON.parse(loadFixture(name));
+}
+
+/**
+ * Asserts that a story has the shared shape the cards and filters rely on
+ * @param {Object} story - Normalized story
+ */
+export function expectStoryShape(story) {
+    expect(story).toEqual(expect.objectContaining({
+        id: expect.anything(),
+        rank: expect.any(Number),
+        title: expect.any(String),
+        url: expect.stringMatching(/^https?:\/\//),
+        domain: expect.any(String),
+        author: expect.any(String),
+        timestamp: expect.any(Date),
+        source: expect.any(String),
+        isHackerNews: expect.any(Boolean)
+    }));
+    expect(story).toHaveProperty('points');
+    expect(story).toHaveProperty('commentCount');
+    expect(story).toHaveProperty('commentsUrl');
+    expect(Number.isNaN(story.timestamp.getTime())).toBe(false);
+}
+
+/**
+ * Fake response for calling a route handler directly. It records the
+ * status, headers, JSON or text body and any streamed chunks.
+ * @returns {Object} Response with the Vercel/Express methods the routes use
+ */
+export function createResponse() {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        chunks: [],
+        headersSent: false,
+        ended: false,
+        setHeader(name, value) {
+            res.headers[name.toLowerCase()] = value;
+            return res;
+        },
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            res.headersSent = true;
+            res.ended = true;
+            return res;
+        },
+        send(body) {
+            res.body = body;
+            res.headersSent = true;
+            res.ended = true;
+            return res;
+        },
+        writeHead(code, headers = {}) {
+            res.statusCode = code;
+            Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+            res.headersSent = true;
+            return res;
+        },
+        write(chunk) {
+            res.headersSent = true;
+            res.chunks.push(String(chunk));
+            return true;
+        },
+        end(chunk) {
+            if (chunk !== undefined) res.chunks.push(String(chunk));
+            res.ended = true;
+            return res;
+        }
+    };
+
+    return res;
+}
+
+/**
+ * In-memory store for the summary cache and usage ledger
+ * @returns {Object} Store with async get/set and the entries Map
+ */
+export function createMemoryStore() {
+    const entries = new Map();
+
+    return {
+        entries,
+        get: async key => entries.get(key) ?? null,
+        set: async (key, entry) => {
+            entries.set(key, structuredClone(entry));
+        }
+    };
+}
@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { buildSearchUrl, fetchSearchPage, formatSearchHits } from '../../src/services/hnSearchService.js';
+import { loadJsonFixture, expectStoryShape } from '../helpers.js';
+
+/**
+ * Reads the query parameters of a search URL
+ * @param {string} url - Algolia URL
+ * @returns {Object} Parameters by name
+ */
+function searchParams(url) {
+    return Object.fromEntries(new URL(url).searchParams);
+}
+
+/**
+ * Unix time of a local wall-clock time, as the date filters compute it
+ * @param {string} localTime - e.g. '2024-01-01T00:00:00'
+ * @returns {number} Seconds
+ */
+function localEpoch(localTime) {
+    return Math.floor(new Date(localTime).getTime() / 1000);
+}
+
+describe('buildSearchUrl', () => {
+    it('searches stories by relevance by default', () => {
+        const url = buildSearchUrl({ query: '  postgres ' });
+
+        expect(url.startsWith('https://hn.algolia.com/api/v1/search?')).toBe(true);
+        expect(searchParams(url)).toEqual({ query: 'postgres', tags: 'story', page: '0', hitsPerPage: '30' });
+    });
+
+    it('uses the by-date endpoint for newest first', () => {
+        expect(buildSearchUrl({ sort: 'date' }).startsWith('https://hn.algolia.com/api/v1/search_by_date?')).toBe(true);
+    });
+
+    it('passes the tag through', () => {
+        expect(searchParams(buildSearchUrl({ tags: 'show_hn' })).tags).toBe('show_hn');
+        expect(searchParams(buildSearchUrl({ tags: 'front_page' })).tags).toBe('front_page');
+        expect(() => buildSearchUrl({ tags: 'comment' })).toThrow('Unknown search tag: comment');
+    });
+
+    it('turns the date range into whole local days', () => {
+        const { numericFilters } = searchParams(buildSearchUrl({ from: '2024-01-01', to: '2024-01-31' }));
+
+        expect(numericFilters).toBe(
+            `created_at_i>=${localEpoch('2024-01-01T00:00:00')},created_at_i<=${localEpoch('2024-01-31T23:59:59')}`
+        );
+    });
+
+    it('accepts an open-ended date range', () => {
+        expect(searchParams(buildSearchUrl({ from: '2024-01-01' })).numericFilters)
+            .toBe(`created_at_i>=${localEpoch('2024-01-01T00:00:00')}`);
+        expect(searchParams(buildSearchUrl({ to: '2024-01-31' })).numericFilters)
+            .toBe(`created_at_i<=${localEpoch('2024-01-31T23:59:59')}`);
+    });
+
+    it('rejects invalid or reversed dates', () => {
+        expect(() => buildSearchUrl({ from: '01/02/2024' })).toThrow('Invalid date: 01/02/2024');
+        expect(() => buildSearchUrl({ from: '2024-02-01', to: '2024-01-01' }))
+            .toThrow('The start date is after the end date');
+    });
+
+    it('combines the points filter with the dates', () => {
+        const { numericFilters } = searchParams(buildSearchUrl({ from: '2024-01-01', minPoints: '100' }));
+
+        expect(numericFilters).toBe(`created_at_i>=${localEpoch('2024-01-01T00:00:00')},points>=100`);
+    });
+
+    it('drops a zero or empty points filter and rejects a bad one', () => {
+        expect(searchParams(buildSearchUrl({ minPoints: 0 }))).not.toHaveProperty('numericFilters');
+        expect(searchParams(buildSearchUrl({ minPoints: '' }))).not.toHaveProperty('numericFilters');
+        expect(() => buildSearchUrl({ minPoints: '-5' })).toThrow('Minimum points must be a whole number');
+        expect(() => buildSearchUrl({ minPoints: '2.5' })).toThrow('Minimum points must be a whole number');
+    });
+
+    it('caps the page size at what Algolia serves', () => {
+        expect(searchParams(buildSearchUrl({ page: 2 }, 500))).toMatchObject({ page: '2', hitsPerPage: '100' });
+    });
+});
+
+describe('fetchSearchPage', () => {
+    const fetchMock = vi.fn();
+
+    beforeEach(() => {
+        vi.stubGlobal('fetch', fetchMock);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        fetchMock.mockReset();
+    });
+
+    it('requests the filtered search and returns the hits with a cursor', async () => {
+        const data = loadJsonFixture('hn-search.json');
+        fetchMock.mockResolvedValue(Response.json(data));
+        const params = { query: 'postgres', tags: 'front_page', minPoints: 50, page: 0 };
+
+        const page = await fetchSearchPage(params, 30);
+
+        expect(searchParams(fetchMock.mock.calls[0][0])).toMatchObject({
+            query: 'postgres',
+            tags: 'front_page',
+            numericFilters: 'points>=50'
+        });
+        expect(page).toEqual({
+            hits: data.hits,
+            offset: 0,
+            total: 1874,
+            cursor: { ...params, page: 1 }
+        });
+    });
+
+    it('has no cursor on the last page and offsets its ranks', async () => {
+        fetchMock.mockResolvedValue(Response.json(loadJsonFixture('hn-search-last-page.json')));
+
+        const page = await fetchSearchPage({ query: 'postgres', page: 33 }, 30);
+
+        expect(page.offset).toBe(990);
+        expect(page.cursor).toBeNull();
+    });
+
+    it('throws on an error status', async () => {
+        fetchMock.mockResolvedValue(new Response('{"message":"busy"}', { status: 503 }));
+
+        await expect(fetchSearchPage({ query: 'postgres' })).rejects.toThrow('Hacker News search failed: 503');
+    });
+});
+
+describe('formatSearchHits', () => {
+    const { hits } = loadJsonFixture('hn-search.json');
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2024-10-19T04:00:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('skips hits without a title and ranks the rest from the offset', () => {
+        const stories = formatSearchHits(hits, 30);
+
+        expect(stories.map(story => story.id)).toEqual([41880001, 41879500, 4083000]);
+        expect(stories.map(story => story.rank)).toEqual([31, 32, 33]);
+        stories.forEach(expectStoryShape);
+    });
+
+    it('formats a hit like an HN list story', () => {
+        const [story] = formatSearchHits(hits);
+
+        expect(story).toMatchObject({
+            title: 'Postgres 17 released',
+            url: 'https://www.postgresql.org/about/news/postgresql-17-released-2936/',
+            domain: 'postgresql.org',
+            author: 'pgwriter',
+            points: 412,
+            commentCount: 231,
+            commentsUrl: 'https://news.ycombinator.com/item?id=41880001',
+            source: 'Hacker News',
+            isHackerNews: true
+        });
+        expect(story.timestamp).toEqual(new Date(1729303200 * 1000));
+        expect(story.hotness).toMatchObject({ level: 'fire', velocity: 206 });
+        expect(story.discussion.level).toBe('intense');
+        expect(story).not.toHaveProperty('description');
+    });
+
+    it('links text posts to their thread and keeps the text', () => {
+        const story = formatSearchHits(hits)[1];
+
+        expect(story.url).toBe('https://news.ycombinator.com/item?id=41879500');
+        expect(story.commentsUrl).toBe(story.url);
+        expect(story.description).toBe(
+            "We run Postgres on bare metal and major upgrades take a weekend.\n\nWhat's your process? pg_upgrade & logical replication, or something else?"
+        );
+        expect(story.hotness.level).toBe('warm');
+        expect(story.discussion.level).toBe('controversial');
+    });
+
+    it('scores old stories from their age', () => {
+        const story = formatSearchHits(hits)[2];
+
+        expect(story.domain).toBe('blog.example.org');
+        expect(story.hotness.level).toBe('cold');
+        expect(story.discussion).toBeNull();
+    });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect, vi } from 'vitest';
+import { parseFeed, formatFeedItem, formatFeedItems, resolveItemUrl } from '../../src/sources/feedParser.js';
+import { createRssSource } from '../../src/sources/rssSource.js';
+import { loadFixture, expectStoryShape } from '../helpers.js';
+
+vi.mock('../../src/services/feedService.js', () => ({
+    fetchFeed: vi.fn()
+}));
+
+const { fetchFeed } = await import('../../src/services/feedService.js');
+
+/**
+ * Parses a fixture and formats its items the way /api/feed does
+ * @param {string} name - Fixture file name
+ * @returns {Object[]} Stories
+ */
+function storiesFrom(name) {
+    const parsed = parseFeed(loadFixture(name));
+    const feed = { title: parsed.title, link: parsed.link };
+    return formatFeedItems(parsed.items, feed, 'https://example.com/feed.xml');
+}
+
+describe('parseFeed', () => {
+    it('parses an RSS 2.0 feed', () => {
+        const feed = parseFeed(loadFixture('feed-rss2.xml'));
+
+        expect(feed.title).toBe('The GitHub Blog');
+        expect(feed.link).toBe('https://github.blog/');
+        expect(feed.items).toHaveLength(2);
+        expect(feed.items[0]).toEqual({
+            id: 'https://github.blog/?p=80123',
+            title: 'Securing your repositories with push protection',
+            url: 'https://github.blog/security/push-protection/',
+            author: 'Jane Doe',
+            summary: 'Push protection now blocks secrets & tokens.',
+            publishedAt: 'Fri, 18 Oct 2024 16:00:00 +0000',
+            imageUrl: 'https://github.blog/wp-content/uploads/push.png'
+        });
+        expect(feed.items[1]).toMatchObject({
+            id: 'https://github.blog/changelog/2024-10/',
+            title: 'Release notes & changelog for October',
+            author: 'noreply@github.com (GitHub Staff)',
+            imageUrl: 'https://github.blog/wp-content/uploads/changelog.jpg'
+        });
+    });
+
+    it('parses an Atom feed', () => {
+        const feed = parseFeed(loadFixture('feed-atom.xml'));
+
+        expect(feed.title).toBe('Example Engineering');
+        expect(feed.link).toBe('https://engineering.example.com/');
+        expect(feed.items[0]).toEqual({
+            id: 'tag:engineering.example.com,2024:post-42',
+            title: 'Scaling Postgres reads',
+            url: 'https://engineering.example.com/postgres-reads',
+            author: 'Sam Lee',
+            summary: 'How we added read replicas.',
+            publishedAt: '2024-10-18T09:00:00Z',
+            imageUrl: 'https://engineering.example.com/img/postgres.png'
+        });
+        expect(feed.items[1]).toMatchObject({
+            url: 'https://engineering.example.com/october-outage',
+            author: '',
+            summary: 'A timeline of the outage.',
+            publishedAt: '2024-10-15T08:00:00Z',
+            imageUrl: null
+        });
+    });
+
+    it('parses a JSON Feed', () => {
+        const feed = parseFeed(loadFixture('feed.json'));
+
+        expect(feed.title).toBe('Daring Example');
+        expect(feed.link).toBe('https://daring.example.net/');
+        expect(feed.items[0]).toEqual({
+            id: 'https://daring.example.net/2024/10/new-laptops',
+            title: 'New Laptops',
+            url: 'https://daring.example.net/2024/10/new-laptops',
+            author: 'Pat Gruber',
+            summary: 'The new laptops are fast .',
+            publishedAt: '2024-10-18T20:15:00-04:00',
+            imageUrl: 'https://daring.example.net/images/laptops.jpg'
+        });
+        expect(feed.items[1]).toMatchObject({
+            id: '1024',
+            url: 'https://news.example.com/story',
+            summary: 'A linked item without a title.',
+            publishedAt: '2024-10-17T08:00:00Z'
+        });
+    });
+
+    it('rejects documents that are not feeds', () => {
+        expect(() => parseFeed('<html><body>Not a feed</body></html>')).toThrow('Unrecognized feed format');
+    });
+});
+
+describe('formatFeedItem', () => {
+    it.each(['feed-rss2.xml', 'feed-atom.xml', 'feed.json'])('formats every item of %s as a story', name => {
+        const stories = storiesFrom(name);
+
+        expect(stories.length).toBeGreaterThan(0);
+        stories.forEach((story, index) => {
+            expectStoryShape(story);
+            expect(story.rank).toBe(index + 1);
+            expect(story.id).toMatch(/^rss-/);
+            expect(story.points).toBeNull();
+            expect(story.commentCount).toBeNull();
+            expect(story.commentsUrl).toBeNull();
+        });
+    });
+
+    it('carries the item details and names the feed as the source', () => {
+        const [story] = storiesFrom('feed-rss2.xml');
+
+        expect(story).toMatchObject({
+            title: 'Securing your repositories with push protection',
+            url: 'https://github.blog/security/push-protection/',
+            domain: 'github.blog',
+            author: 'Jane Doe',
+            description: 'Push protection now blocks secrets & tokens.',
+            imageUrl: 'https://github.blog/wp-content/uploads/push.png',
+            source: 'The GitHub Blog',
+            isHackerNews: false
+        });
+        expect(story.timestamp).toEqual(new Date('2024-10-18T16:00:00Z'));
+    });
+
+    it('falls back to the feed name, "Untitled" and a stable ID', () => {
+        const stories = storiesFrom('feed.json');
+        const untitled = stories[1];
+
+        expect(untitled.title).toBe('Untitled');
+        expect(untitled.author).toBe('Daring Example');
+        expect(storiesFrom('feed.json')[1].id).toBe(untitled.id);
+        expect(untitled.id).not.toBe(stories[0].id);
+    });
+});
+
+describe('formatFeedItems', () => {
+    const feed = { title: 'Hostile Feed', link: 'https://hostile.example/' };
+    const items = [
+        { id: '1', title: 'Script link', url: 'javascript:alert(document.cookie)' },
+        { id: '2', title: 'Data link', url: 'data:text/html,<script>alert(1)</script>' },
+        { id: '3', title: 'Relative link', url: '/posts/relative' },
+        { id: '4', title: 'No link' },
+        { id: '5', title: 'Web link', url: 'https://hostile.example/posts/web' }
+    ];
+
+    it('keeps only http(s) links, resolved against the feed URL, and ranks what is left', () => {
+        const stories = formatFeedItems(items, feed, new URL('https://hostile.example/blog/feed.xml'));
+
+        expect(stories.map(story => story.title)).toEqual(['Relative link', 'Web link']);
+        expect(stories.map(story => story.url)).toEqual([
+            'https://hostile.example/posts/relative',
+            'https://hostile.example/posts/web'
+        ]);
+        expect(stories.map(story => story.rank)).toEqual([1, 2]);
+    });
+
+    it('never passes a non-web link through formatFeedItem', () => {
+        expect(formatFeedItem(items[0], 1, feed).url).toBeNull();
+        expect(formatFeedItem(items[1], 1, feed).domain).toBe('');
+    });
+
+    it.each([
+        ['JAVASCRIPT:alert(1)', null],
+        [' javascript:alert(1)', null],
+        ['vbscript:msgbox(1)', null],
+        ['ftp://files.example/a', null],
+        ['//cdn.example/post', 'https://cdn.example/post'],
+        ['http://example.com/a b', 'http://example.com/a%20b']
+    ])('resolves %s to %s', (url, expected) => {
+        expect(resolveItemUrl(url, 'https://example.com/feed.xml')).toBe(expected);
+    });
+});
+
+describe('RSS source', () => {
+    it('passes the stories /api/feed formatted through unchanged', async () => {
+        const items = storiesFrom('feed-atom.xml');
+        fetchFeed.mockResolvedValue({ feed: { title: 'Example Engineering' }, items });
+
+        const source = createRssSource({ id: 'rss-example', label: 'Example', url: 'https://engineering.example.com/feed.atom' });
+        const raw = await source.fetch({ limit: 10 });
+
+        expect(fetchFeed).toHaveBeenCalledWith('https://engineering.example.com/feed.atom', 10, undefined);
+        expect(source.normalize(raw)).toBe(items);
+    });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { hnSearchSource } from '../../src/sources/hnSearchSource.js';
+import { loadJsonFixture, expectStoryShape } from '../helpers.js';
+
+describe('HN search source', () => {
+    const fetchMock = vi.fn();
+
+    beforeEach(() => {
+        vi.stubGlobal('fetch', fetchMock);
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2024-10-19T04:00:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        fetchMock.mockReset();
+    });
+
+    it('starts the search from the first page with the filter row parameters', async () => {
+        fetchMock.mockResolvedValue(Response.json(loadJsonFixture('hn-search.json')));
+        const search = { query: 'postgres', tags: 'show_hn', from: '2024-10-01', minPoints: 10, sort: 'date', page: 5 };
+
+        const page = await hnSearchSource.fetch({ search, limit: 20 });
+
+        const url = new URL(fetchMock.mock.calls[0][0]);
+        expect(url.pathname).toBe('/api/v1/search_by_date');
+        expect(Object.fromEntries(url.searchParams)).toMatchObject({
+            query: 'postgres',
+            tags: 'show_hn',
+            page: '0',
+            hitsPerPage: '20'
+        });
+        expect(url.searchParams.get('numericFilters')).toMatch(/^created_at_i>=\d+,points>=10$/);
+        expect(page.cursor).toEqual({ ...search, page: 1 });
+    });
+
+    it('continues from the cursor', async () => {
+        fetchMock.mockResolvedValue(Response.json(loadJsonFixture('hn-search-last-page.json')));
+
+        const page = await hnSearchSource.fetchMore({ query: 'postgres', page: 33 }, { limit: 30 });
+
+        expect(new URL(fetchMock.mock.calls[0][0]).searchParams.get('page')).toBe('33');
+        expect(page.cursor).toBeNull();
+    });
+
+    it('normalizes a page into ranked stories with hotness and discussion', async () => {
+        fetchMock.mockResolvedValue(Response.json(loadJsonFixture('hn-search.json')));
+
+        const stories = hnSearchSource.normalize(await hnSearchSource.fetch({ search: { query: 'postgres' } }));
+
+        expect(stories).toHaveLength(3);
+        stories.forEach(expectStoryShape);
+        expect(stories.map(story => story.rank)).toEqual([1, 2, 3]);
+        expect(stories.map(story => story.hotness.level)).toEqual(['fire', 'warm', 'cold']);
+        expect(stories.map(story => story.discussion?.level ?? null)).toEqual(['intense', 'controversial', null]);
+        expect(stories.map(story => story.commentsUrl)).toEqual([
+            'https://news.ycombinator.com/item?id=41880001',
+            'https://news.ycombinator.com/item?id=41879500',
+            'https://news.ycombinator.com/item?id=4083000'
+        ]);
+    });
+});
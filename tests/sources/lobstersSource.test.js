@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { lobstersSource, formatLobstersStory } from '../../src/sources/lobstersSource.js';
+import { loadJsonFixture, expectStoryShape } from '../helpers.js';
+
+describe('Lobsters source', () => {
+    const hottest = loadJsonFixture('lobsters-hottest.json');
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2024-10-19T04:00:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('normalizes the hottest list in order', () => {
+        const stories = lobstersSource.normalize(hottest);
+
+        expect(stories.map(story => story.id)).toEqual(['lobsters-abcd12', 'lobsters-efgh34']);
+        expect(stories.map(story => story.rank)).toEqual([1, 2]);
+        stories.forEach(expectStoryShape);
+    });
+
+    it('respects the limit', () => {
+        expect(lobstersSource.normalize(hottest, { limit: 1 })).toHaveLength(1);
+    });
+
+    it('normalizes a link story', () => {
+        const story = formatLobstersStory(hottest[0], 1);
+
+        expect(story).toMatchObject({
+            title: 'Writing a Wayland compositor in 500 lines',
+            url: 'https://www.example.org/wayland-compositor',
+            domain: 'example.org',
+            author: 'alyssa',
+            description: null,
+            points: 48,
+            commentCount: 17,
+            commentsUrl: 'https://lobste.rs/s/abcd12/writing_wayland_compositor_500_lines',
+            source: 'Lobsters',
+            isHackerNews: false,
+            tags: ['linux', 'graphics']
+        });
+        expect(story.timestamp).toEqual(new Date('2024-10-18T19:02:11Z'));
+        expect(story.hotness).toEqual(expect.objectContaining({
+            score: expect.any(Number),
+            velocity: expect.any(Number),
+            level: expect.any(String)
+        }));
+        expect(story.discussion).toBeNull();
+    });
+
+    it('links text posts to their comments and reads a nested submitter', () => {
+        const story = formatLobstersStory(hottest[1], 2);
+
+        expect(story.url).toBe('https://lobste.rs/s/efgh34/what_are_you_doing_this_weekend');
+        expect(story.url).toBe(story.commentsUrl);
+        expect(story.author).toBe('caius');
+        expect(story.description).toBe('Feel free to tell what you plan on doing this weekend.');
+        expect(story.discussion).toBeNull();
+    });
+});
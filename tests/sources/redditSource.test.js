@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRedditSource, normalizeListing } from '../../src/sources/redditSource.js';
+import { loadJsonFixture, expectStoryShape } from '../helpers.js';
+
+describe('Reddit source', () => {
+    const listing = loadJsonFixture('reddit-hot.json');
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2024-10-19T04:00:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('skips pinned posts and ranks the rest in listing order', () => {
+        const stories = normalizeListing(listing);
+
+        expect(stories.map(story => story.id)).toEqual(['reddit-1g6xyz1', 'reddit-1g6zk2p']);
+        expect(stories.map(story => story.rank)).toEqual([1, 2]);
+        stories.forEach(expectStoryShape);
+    });
+
+    it('normalizes a link post', () => {
+        const [story] = normalizeListing(listing);
+
+        expect(story).toMatchObject({
+            title: 'Why SQLite is so great for the edge',
+            url: 'https://www.blog.example.com/posts/sqlite-edge?utm_source=reddit',
+            domain: 'blog.example.com',
+            author: 'sqlfan',
+            description: null,
+            imageUrl: 'https://b.thumbs.redditmedia.com/x1y2z3.jpg',
+            points: 1843,
+            commentCount: 402,
+            commentsUrl: 'https://www.reddit.com/r/programming/comments/1g6xyz1/why_sqlite_is_so_great_for_the_edge/',
+            source: 'r/programming',
+            isHackerNews: false
+        });
+        expect(story.timestamp).toEqual(new Date(1729300000 * 1000));
+        expect(story.hotness.level).toBe('fire');
+        expect(story.discussion.level).toBe('intense');
+    });
+
+    it('links self posts to their comments and keeps the text', () => {
+        const story = normalizeListing(listing)[1];
+
+        expect(story.url).toBe(story.commentsUrl);
+        expect(story.domain).toBe('reddit.com');
+        expect(story.description).toBe('I keep seeing arguments both ways. What does your team do?');
+        expect(story.imageUrl).toBeNull();
+    });
+
+    it('normalizes an empty or malformed listing to no stories', () => {
+        expect(normalizeListing({})).toEqual([]);
+        expect(normalizeListing(null)).toEqual([]);
+    });
+
+    it('exposes the listing through the adapter', () => {
+        const source = createRedditSource('Programming');
+
+        expect(source.id).toBe('reddit-programming');
+        expect(source.label).toBe('r/Programming');
+        expect(source.normalize(listing)).toEqual(normalizeListing(listing));
+    });
+});